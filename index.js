@@ -2,324 +2,754 @@ const express = require('express');
 const cors = require('cors');
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
-puppeteer.use(StealthPlugin());
 const fs = require('fs');
 const path = require('path');
 const { Anthropic } = require('@anthropic-ai/sdk');
+const { loadConfig, getLaunchOptions, usage } = require('./lib/config');
+const { createMcpServer, startStdioTransport, createStreamableHttpRouter } = require('./lib/mcp');
+const { createSessionManager } = require('./lib/sessions');
+const { DEFAULT_LIMIT } = require('./lib/events');
+const { setMonitor, registerMonitor } = require('./lib/pages');
+const { KINDS: DIAGNOSTIC_KINDS, attachDiagnostics, settleDiagnostics, errorSearchText } = require('./lib/diagnostics');
+const { attachNetworkCapture, clearBodies, summarizeRequest, createRequestFilter, requestSearchText } = require('./lib/network');
+const { buildHar } = require('./lib/har');
+const { ACTIONS, ABORT_REASONS, createRouteRule, attachInterception, detachInterceptionIfUnused, describeRule } = require('./lib/interception');
+const { findTab, activateTab, pruneTabs, fallbackTab, describeTab, captureOpenedTabs } = require('./lib/tabs');
+const { readBaseline, writeBaseline, findIgnoreRegions, compareImages } = require('./lib/visual');
+const { DEFAULT_MAX_TOKENS: DEFAULT_SNAPSHOT_TOKENS, takeSnapshot } = require('./lib/snapshot');
+const { describeTarget, resolveElement, selectorForRef } = require('./lib/elements');
+const { CHECKS: ACTION_CHECKS } = require('./lib/actionability');
+const { WAIT_UNTIL, SELECTOR_STATES, checkWaitUntil, checkDuration, waitForUrl, isVisibleInPage, waitForSelectorGone, waitForText: waitForTextIn, waitForPredicate, describeResponse } = require('./lib/waits');
+const { createUrlMatcher } = require('./lib/patterns');
+const { readScript, writeScript, writeTest, validateScript, resultError, runSteps, recordStep } = require('./lib/scripts');
+const { FRAMEWORKS, generateTest } = require('./lib/codegen');
+const { MODIFIERS, MOUSE_BUTTONS, normalizeModifiers, withModifiers, pressChord, selectOptionsInPage, selectContentsInPage, checkedStateInPage, isPasswordFieldInPage, dragAndDrop } = require('./lib/input');
+const { resolveFixture } = require('./lib/fixtures');
+const { DEFAULT_TIMEOUT: DEFAULT_EVALUATE_TIMEOUT, evaluateInFrame, describeThrown } = require('./lib/evaluate');
+const { DEFAULT_RECORD_LIMIT, listCookies, removeCookies, runIndexedDB, captureStorageState, applyStorageState, readStorageState, writeStorageState } = require('./lib/storage');
+const { createResolver, redact, redactValue, freshTotp, waitForLogin, readCachedLogin, writeCachedLogin, describeLogin } = require('./lib/auth');
+const { MODES: CONTENT_MODES, DEFAULT_MAX_LENGTH: DEFAULT_CONTENT_LENGTH, contentInPage, sliceContent } = require('./lib/content');
+const { DEFAULT_MAX_PAGES, extractPages, tableInPage, linksInPage, formsInPage } = require('./lib/extract');
+const { IMPACTS: ACCESSIBILITY_IMPACTS, pruneTree, collapseUninteresting, countNodes, runAudit } = require('./lib/accessibility');
+const packageJson = require('./package.json');
+
+// Load configuration from the config file, environment and command line
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(error.message);
+  console.error(usage());
+  process.exit(1);
+}
+
+if (config.help) {
+  console.log(usage());
+  process.exit(0);
+}
+
+if (config.browser.stealth) {
+  puppeteer.use(StealthPlugin());
+}
 
 const app = express();
-const PORT = 3025;
+
+// In stdio mode stdout carries the MCP protocol, so all logging goes to stderr
+const useStdio = config.transport === 'stdio';
+if (useStdio) {
+  console.log = console.error;
+}
+
+if (config.configFile) {
+  console.log(`Using config file ${config.configFile}`);
+}
 
 // Create screenshots directory if it doesn't exist
-const screenshotsDir = path.join(__dirname, 'screenshots');
+const { screenshotsDir } = config;
 if (!fs.existsSync(screenshotsDir)) {
-  fs.mkdirSync(screenshotsDir);
+  fs.mkdirSync(screenshotsDir, { recursive: true });
 }
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Mcp-Session-Id'] }));
 app.use(express.json());
-app.use(express.static('screenshots'));
+app.use(express.static(screenshotsDir));
 
-// Global browser instance
+// Global browser instance, shared by all sessions
 let browser;
-let page;
+let launching = null;
 
-// Global variables for storing captured data
-let consoleLogs = [];
-let networkRequests = [];
-let isConsoleMonitoring = false;
-let isNetworkMonitoring = false;
-
-// Initialize browser
+// Launch the browser if it is not running
 async function initBrowser() {
-  if (!browser) {
-    console.log('Launching browser in stealth mode...');
-    browser = await puppeteer.launch({
-      headless: false,
-      args: [
-        '--no-sandbox', 
-        '--disable-setuid-sandbox',
-        '--disable-blink-features=AutomationControlled', // Disable automation flag
-        '--window-size=1280,800'
-      ]
-    });
-    console.log('Browser launched successfully in stealth mode');
-  }
-  
-  // Always create a fresh page for each request
-  if (page) {
-    try {
-      await page.close();
-    } catch (e) {
-      console.log('Error closing existing page:', e.message);
-    }
+  if (browser && browser.isConnected()) {
+    return browser;
   }
-  
-  page = await browser.newPage();
-  
-  // Additional stealth measures
-  await page.evaluateOnNewDocument(() => {
-    // Overwrite the 'webdriver' property to prevent detection
-    Object.defineProperty(navigator, 'webdriver', {
-      get: () => false
-    });
-    
-    // Overwrite the plugins to use a custom length
-    Object.defineProperty(navigator, 'plugins', {
-      get: () => {
-        return {
-          length: 3,
-          item: () => { return {}; }
-        };
-      }
+
+  if (!launching) {
+    launching = (async () => {
+      const launchOptions = getLaunchOptions(config);
+      console.log(`Launching browser (headless: ${launchOptions.headless}, stealth: ${config.browser.stealth})...`);
+      const instance = await puppeteer.launch(launchOptions);
+
+      // Pages and contexts do not survive a disconnect; sessions are restored
+      // in a relaunched browser on their next use
+      instance.on('disconnected', () => {
+        console.log('Browser disconnected');
+        if (browser === instance) {
+          browser = null;
+          sessionManager.detachAll();
+        }
+      });
+
+      console.log('Browser launched successfully');
+      browser = instance;
+      return instance;
+    })().finally(() => {
+      launching = null;
     });
-    
-    // Overwrite the languages property
-    Object.defineProperty(navigator, 'languages', {
-      get: () => ['en-US', 'en']
+  }
+
+  return launching;
+}
+
+// Apply our page setup to a new page, whether we opened it or the page did
+async function preparePage(page) {
+  if (config.browser.stealthOverrides) {
+    // Additional stealth measures
+    await page.evaluateOnNewDocument(() => {
+      // Overwrite the 'webdriver' property to prevent detection
+      Object.defineProperty(navigator, 'webdriver', {
+        get: () => false
+      });
+      
+      // Overwrite the plugins to use a custom length
+      Object.defineProperty(navigator, 'plugins', {
+        get: () => {
+          return {
+            length: 3,
+            item: () => { return {}; }
+          };
+        }
+      });
+      
+      // Overwrite the languages property
+      Object.defineProperty(navigator, 'languages', {
+        get: () => ['en-US', 'en']
+      });
     });
-  });
+  }
   
-  await page.setViewport({ width: 1280, height: 800 });
-  console.log('Page created successfully with stealth mode');
+  page.setDefaultTimeout(config.timeouts.element);
+  page.setDefaultNavigationTimeout(config.timeouts.navigation);
+  await page.setViewport(config.viewport);
+  console.log('Page created successfully');
   
-  return { browser, page };
+  return page;
 }
 
-// MCP Schema
-const schema = {
-  name: 'puppeteer-mcp',
-  description: 'A simple Puppeteer MCP server for browser automation',
-  tools: [
+const sessionManager = createSessionManager({
+  getBrowser: initBrowser,
+  preparePage,
+  idleTimeout: config.sessions.idleTimeout,
+  eventBufferSize: config.sessions.eventBufferSize
+});
+
+const SCREENSHOT_FORMATS = ['png', 'jpeg', 'webp'];
+
+// How element selectors can be written, for tool descriptions
+const SELECTOR_SYNTAX = 'CSS, text=..., role=ROLE[name="..."] or xpath=...; >>> pierces shadow roots and " >> " chains into iframes';
+
+// The selector and ref parameters of a tool that acts on an element
+function targetParameters(what, prefix = '') {
+  const key = name => (prefix ? `${prefix}${name[0].toUpperCase()}${name.slice(1)}` : name);
+  return {
+    [key('selector')]: {
+      type: 'string',
+      description: `Selector of ${what} (${SELECTOR_SYNTAX})`
+    },
+    [key('ref')]: {
+      type: 'string',
+      description: `Ref of ${what} from snapshotPage, e.g. "e12", instead of selector`
+    }
+  };
+}
+
+// The tools for a Web Storage area: `area` is localStorage or
+// sessionStorage, and `suffix` its name in tool names
+function webStorageTools(area, suffix) {
+  const success = what => ({
+    success: {
+      type: 'boolean',
+      description: `Whether ${what}`
+    }
+  });
+  return [
     {
-      name: 'takeScreenshot',
-      description: 'Take a screenshot of the current page',
+      name: `get${suffix}`,
+      description: `Get ${area} data of the page's origin`,
       parameters: {
         type: 'object',
-        properties: {},
+        properties: {
+          key: {
+            type: 'string',
+            description: `Specific ${area} key to get (optional)`
+          }
+        },
         required: []
       },
       returns: {
         type: 'object',
         properties: {
-          screenshotPath: {
-            type: 'string',
-            description: 'Path to the saved screenshot'
+          data: {
+            type: 'object',
+            description: `${area} data`
           }
         }
       }
     },
     {
-      name: 'navigateTo',
-      description: 'Navigate to a URL',
+      name: `set${suffix}`,
+      description: `Set ${area} data`,
       parameters: {
         type: 'object',
         properties: {
-          url: {
+          key: {
             type: 'string',
-            description: 'URL to navigate to'
+            description: `${area} key`
+          },
+          value: {
+            type: 'string',
+            description: `${area} value`
           }
         },
-        required: ['url']
+        required: ['key', 'value']
       },
       returns: {
         type: 'object',
-        properties: {
-          title: {
-            type: 'string',
-            description: 'Title of the page'
-          },
-          url: {
-            type: 'string',
-            description: 'Current URL'
-          }
-        }
+        properties: success(`${area} was set successfully`)
       }
     },
     {
-      name: 'getPageContent',
-      description: 'Get the HTML content of the current page',
+      name: `remove${suffix}`,
+      description: `Remove keys from ${area}`,
       parameters: {
         type: 'object',
-        properties: {},
+        properties: {
+          key: {
+            type: 'string',
+            description: `${area} key to remove`
+          },
+          keys: {
+            type: 'array',
+            items: { type: 'string' },
+            description: `${area} keys to remove, instead of key`
+          }
+        },
         required: []
       },
       returns: {
         type: 'object',
         properties: {
-          content: {
-            type: 'string',
-            description: 'HTML content of the page'
+          ...success('the keys were removed'),
+          removed: {
+            type: 'array',
+            description: 'The keys that were there to remove'
           }
         }
       }
     },
     {
-      name: 'clickElement',
-      description: 'Click an element on the page',
+      name: `clear${suffix}`,
+      description: `Remove everything from ${area} of the page's origin`,
       parameters: {
         type: 'object',
-        properties: {
-          selector: {
-            type: 'string',
-            description: 'CSS selector of the element to click'
-          }
-        },
-        required: ['selector']
+        properties: {},
+        required: []
       },
       returns: {
         type: 'object',
         properties: {
-          success: {
-            type: 'boolean',
-            description: 'Whether the click was successful'
+          ...success(`${area} was cleared`),
+          removed: {
+            type: 'number',
+            description: 'Number of keys removed'
           }
         }
       }
-    },
+    }
+  ];
+}
+
+// The database and store of the IndexedDB tools, and the key range of those
+// that pick records
+const indexedDBStoreParameters = {
+  database: {
+    type: 'string',
+    description: 'Database name'
+  },
+  store: {
+    type: 'string',
+    description: 'Object store name'
+  }
+};
+
+const KEY_FORMS = 'a string, number, array, or { "$type": "date", "value": "2024-01-01T00:00:00Z" }';
+
+const keyRangeParameters = {
+  key: {
+    description: `Exact key, ${KEY_FORMS} (optional)`
+  },
+  lower: {
+    description: 'Lowest key of the range (optional)'
+  },
+  upper: {
+    description: 'Highest key of the range (optional)'
+  },
+  lowerOpen: {
+    type: 'boolean',
+    description: 'Leave out records at the lower key itself (optional, default: false)'
+  },
+  upperOpen: {
+    type: 'boolean',
+    description: 'Leave out records at the upper key itself (optional, default: false)'
+  }
+};
+
+// Filters of the cookie tools
+const cookieFilterParameters = {
+  domain: {
+    type: 'string',
+    description: 'Only cookies of this domain and its subdomains, from any page of the session (optional)'
+  },
+  path: {
+    type: 'string',
+    description: 'Only cookies with this path or one under it (optional)'
+  },
+  names: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only cookies with these names (optional)'
+  },
+  all: {
+    type: 'boolean',
+    description: 'Every cookie of the session rather than only the current page\'s (optional)'
+  }
+};
+
+// Parameters and return values shared by the tools that query captured events
+const eventQueryParameters = {
+  search: {
+    type: 'string',
+    description: 'Case-insensitive text to search for (optional)'
+  },
+  from: {
+    type: 'string',
+    description: 'Only events at or after this time, ISO 8601 (optional)'
+  },
+  to: {
+    type: 'string',
+    description: 'Only events at or before this time, ISO 8601 (optional)'
+  },
+  since: {
+    type: 'number',
+    description: 'Cursor from a previous call: only return events recorded after it (optional)'
+  },
+  limit: {
+    type: 'number',
+    description: `Maximum number of events to return (optional, default: ${DEFAULT_LIMIT})`
+  }
+};
+
+const eventQueryReturns = {
+  cursor: {
+    type: 'number',
+    description: 'Pass as `since` to get only newer events next time'
+  },
+  hasMore: {
+    type: 'boolean',
+    description: 'Whether more events matched than were returned'
+  },
+  dropped: {
+    type: 'number',
+    description: 'Events discarded because the buffer was full'
+  }
+};
+
+// Timeout of the tools that wait for an element to become actionable
+const actionTimeoutParameter = {
+  timeout: {
+    type: 'number',
+    description: `Milliseconds to wait for the element to be visible, stable, enabled and not covered (default: ${config.timeouts.element})`
+  }
+};
+
+// MCP Schema
+const schema = {
+  name: 'puppeteer-mcp',
+  description: 'A simple Puppeteer MCP server for browser automation',
+  tools: [
     {
-      name: 'typeText',
-      description: 'Type text into an input field',
+      name: 'takeScreenshot',
+      description: 'Take a screenshot of the current page, an element or a region. The image can be saved, returned inline, or both.',
       parameters: {
         type: 'object',
         properties: {
           selector: {
             type: 'string',
-            description: 'CSS selector of the input field'
+            description: 'Selector of an element to capture (optional)'
           },
-          text: {
+          clip: {
+            type: 'object',
+            properties: {
+              x: { type: 'number' },
+              y: { type: 'number' },
+              width: { type: 'number' },
+              height: { type: 'number' }
+            },
+            required: ['x', 'y', 'width', 'height'],
+            description: 'Region of the page to capture, in CSS pixels (optional)'
+          },
+          fullPage: {
+            type: 'boolean',
+            description: 'Capture the whole scrollable page rather than the viewport (optional, default: true unless selector or clip is given)'
+          },
+          format: {
             type: 'string',
-            description: 'Text to type'
+            enum: SCREENSHOT_FORMATS,
+            description: 'Image format (optional, default: png)'
+          },
+          quality: {
+            type: 'number',
+            description: 'Quality from 0 to 100, for jpeg and webp only (optional)'
+          },
+          omitBackground: {
+            type: 'boolean',
+            description: 'Make the default white background transparent, for png and webp (optional, default: false)'
+          },
+          output: {
+            type: 'string',
+            enum: ['file', 'inline', 'both'],
+            description: 'Save the image to the screenshots directory, return it inline as image content, or both (optional, default: file)'
           }
         },
-        required: ['selector', 'text']
+        required: []
       },
       returns: {
         type: 'object',
         properties: {
-          success: {
-            type: 'boolean',
-            description: 'Whether the typing was successful'
+          screenshotPath: {
+            type: 'string',
+            description: 'Path to the saved screenshot, unless output is inline'
+          },
+          mimeType: {
+            type: 'string',
+            description: 'MIME type of the image'
+          },
+          size: {
+            type: 'number',
+            description: 'Size of the image in bytes'
           }
         }
       }
     },
     {
-      name: 'getElementText',
-      description: 'Get text content from an element',
+      name: 'saveBaseline',
+      description: 'Save a screenshot of the page or an element as a named baseline for compareToBaseline',
       parameters: {
         type: 'object',
         properties: {
+          name: {
+            type: 'string',
+            description: 'Baseline name, e.g. "checkout-page" (letters, digits, _, - and .)'
+          },
           selector: {
             type: 'string',
-            description: 'CSS selector of the element'
+            description: 'Selector of an element to capture (optional, default: the page)'
+          },
+          fullPage: {
+            type: 'boolean',
+            description: 'Capture the whole scrollable page rather than the viewport (optional, default: true unless selector is given)'
+          },
+          ignore: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Selectors of elements to leave out of comparisons, e.g. timestamps and ads (optional)'
           }
         },
-        required: ['selector']
+        required: ['name']
       },
       returns: {
         type: 'object',
         properties: {
-          text: {
-            type: 'string',
-            description: 'Text content of the element'
+          success: {
+            type: 'boolean',
+            description: 'Whether the baseline was saved successfully'
+          },
+          width: {
+            type: 'number',
+            description: 'Width of the baseline image in pixels'
+          },
+          height: {
+            type: 'number',
+            description: 'Height of the baseline image in pixels'
           }
         }
       }
     },
     {
-      name: 'waitForSelector',
-      description: 'Wait for an element to appear on the page',
+      name: 'compareToBaseline',
+      description: 'Capture the page the way a baseline was captured and diff it against the baseline pixel by pixel',
       parameters: {
         type: 'object',
         properties: {
+          name: {
+            type: 'string',
+            description: 'Name of the baseline to compare against'
+          },
           selector: {
             type: 'string',
-            description: 'CSS selector to wait for'
+            description: 'Selector of an element to capture (optional, default: as saved with the baseline)'
           },
-          timeout: {
+          fullPage: {
+            type: 'boolean',
+            description: 'Capture the whole scrollable page (optional, default: as saved with the baseline)'
+          },
+          ignore: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Selectors of elements to leave out of the comparison (optional, default: as saved with the baseline)'
+          },
+          threshold: {
+            type: 'number',
+            description: `Percentage of pixels that may differ for the comparison to pass (optional, default: ${config.visual.threshold})`
+          },
+          colorThreshold: {
             type: 'number',
-            description: 'Timeout in milliseconds (default: 5000)'
+            description: 'How different a pixel must be to count as changed, from 0 (exact) to 1 (optional, default: 0.1)'
+          },
+          inlineDiff: {
+            type: 'boolean',
+            description: 'Also return the diff image inline as image content (optional, default: false)'
           }
         },
-        required: ['selector']
+        required: ['name']
       },
       returns: {
         type: 'object',
         properties: {
-          success: {
+          passed: {
+            type: 'boolean',
+            description: 'Whether the sizes match and the mismatch is within the threshold'
+          },
+          mismatchPercent: {
+            type: 'number',
+            description: 'Percentage of pixels that differ'
+          },
+          mismatchedPixels: {
+            type: 'number',
+            description: 'Number of pixels that differ'
+          },
+          dimensionsMatch: {
             type: 'boolean',
-            description: 'Whether the element appeared before timeout'
+            description: 'Whether the screenshot has the same size as the baseline'
+          },
+          diffPath: {
+            type: 'string',
+            description: 'Path to the diff image, with changed pixels in red'
+          },
+          actualPath: {
+            type: 'string',
+            description: 'Path to the screenshot that was compared'
           }
         }
       }
     },
     {
-      name: 'evaluateScript',
-      description: 'Run JavaScript code on the page',
+      name: 'navigateTo',
+      description: 'Navigate to a URL',
       parameters: {
         type: 'object',
         properties: {
-          script: {
+          url: {
+            type: 'string',
+            description: 'URL to navigate to'
+          },
+          waitUntil: {
+            type: 'string',
+            enum: WAIT_UNTIL,
+            description: 'When navigation counts as finished (default: networkidle2, no more than 2 connections for 500ms)'
+          },
+          timeout: {
+            type: 'number',
+            description: `Timeout of each attempt in milliseconds (default: ${config.timeouts.navigation})`
+          },
+          retries: {
+            type: 'number',
+            description: 'How many times to retry a failed navigation, 2 seconds apart (default: 2)'
+          },
+          referer: {
             type: 'string',
-            description: 'JavaScript code to execute'
+            description: 'Referer header to send (optional)'
+          },
+          headers: {
+            type: 'object',
+            description: 'Extra HTTP headers sent with the requests made while loading the page (optional)'
           }
         },
-        required: ['script']
+        required: ['url']
       },
       returns: {
         type: 'object',
         properties: {
-          result: {
+          title: {
+            type: 'string',
+            description: 'Title of the page'
+          },
+          url: {
             type: 'string',
-            description: 'Result of the script execution (stringified)'
+            description: 'Current URL'
+          },
+          status: {
+            type: 'number',
+            description: 'HTTP status of the page, if it was loaded over the network'
           }
         }
       }
     },
     {
-      name: 'captureConsoleLog',
-      description: 'Start capturing console logs from the page',
+      name: 'getPageContent',
+      description: 'Get the content of the page or of an element: its HTML, cleaned HTML, the main article, Markdown or plain text. Long content comes a slice at a time; pass the returned cursor back to get the next one.',
       parameters: {
         type: 'object',
-        properties: {},
+        properties: {
+          mode: {
+            type: 'string',
+            enum: CONTENT_MODES,
+            description: 'html: the HTML as it is; cleanHtml: without scripts, styles, hidden elements and presentational attributes; article: the main content only, as cleaned HTML; markdown: Markdown with links, lists, code and tables; text: plain text (optional, default: html)'
+          },
+          ...targetParameters('the element to get the content of (optional, default: the whole page)'),
+          mainContent: {
+            type: 'boolean',
+            description: 'With markdown, text or cleanHtml, only the main content, as article mode finds it (optional)'
+          },
+          maxLength: {
+            type: 'number',
+            description: `Most characters to return (optional, default: ${DEFAULT_CONTENT_LENGTH})`
+          },
+          cursor: {
+            type: 'number',
+            description: 'Cursor from a previous call whose content was truncated: continue from there (optional)'
+          }
+        },
         required: []
       },
       returns: {
         type: 'object',
         properties: {
-          success: {
-            type: 'boolean',
-            description: 'Whether console log capture was started successfully'
+          content: {
+            type: 'string',
+            description: 'The content, or the slice of it from cursor'
+          },
+          mode: {
+            type: 'string',
+            description: 'The mode the content is in'
+          },
+          length: {
+            type: 'number',
+            description: 'Length of the whole content in characters'
+          },
+          truncated: {
+            type: 'boolean',
+            description: 'Whether there is more content after this slice'
+          },
+          cursor: {
+            type: 'number',
+            description: 'When truncated, pass as cursor to get the next slice'
+          },
+          title: {
+            type: 'string',
+            description: 'In article mode or with mainContent: the title of the article'
+          },
+          byline: {
+            type: 'string',
+            description: 'In article mode or with mainContent: the author, if the page names one'
+          },
+          excerpt: {
+            type: 'string',
+            description: 'In article mode or with mainContent: the page description or first paragraph'
+          },
+          publishedTime: {
+            type: 'string',
+            description: 'In article mode or with mainContent: when the article was published, if the page says'
           }
         }
       }
     },
     {
-      name: 'getConsoleLogs',
-      description: 'Get captured console logs',
+      name: 'snapshotPage',
+      description: 'Get a compact outline of the page (landmarks, headings, text and interactive elements) for deciding what to interact with. Interactive elements have a ref, e.g. [ref=e12], that element tools accept instead of a selector.',
       parameters: {
         type: 'object',
-        properties: {},
+        properties: {
+          selector: {
+            type: 'string',
+            description: 'Selector of the part of the page to outline (optional, default: the whole page)'
+          },
+          maxTokens: {
+            type: 'number',
+            description: `Approximate size limit of the outline in tokens (optional, default: ${DEFAULT_SNAPSHOT_TOKENS})`
+          }
+        },
         required: []
       },
       returns: {
         type: 'object',
         properties: {
-          logs: {
-            type: 'array',
-            description: 'Array of console log entries'
+          snapshot: {
+            type: 'string',
+            description: 'Indented outline of the page'
+          },
+          refCount: {
+            type: 'number',
+            description: 'Number of elements with a ref'
+          },
+          truncated: {
+            type: 'boolean',
+            description: 'Whether the outline was cut off at maxTokens'
           }
         }
       }
     },
     {
-      name: 'monitorNetwork',
-      description: 'Start monitoring network requests',
+      name: 'clickElement',
+      description: 'Click an element on the page',
       parameters: {
         type: 'object',
-        properties: {},
+        properties: {
+          selector: {
+            type: 'string',
+            description: `Selector of the element to click (${SELECTOR_SYNTAX})`
+          },
+          ref: {
+            type: 'string',
+            description: 'Ref of the element from snapshotPage, e.g. "e12", instead of selector'
+          },
+          button: {
+            type: 'string',
+            enum: MOUSE_BUTTONS,
+            description: 'Mouse button to click with (default: left)'
+          },
+          clickCount: {
+            type: 'number',
+            description: 'Number of clicks, e.g. 2 for a double click (default: 1)'
+          },
+          modifiers: {
+            type: 'array',
+            items: { type: 'string', enum: MODIFIERS },
+            description: 'Modifier keys to hold during the click (optional)'
+          },
+          ...actionTimeoutParameter
+        },
         required: []
       },
       returns: {
@@ -327,123 +757,230 @@ const schema = {
         properties: {
           success: {
             type: 'boolean',
-            description: 'Whether network monitoring was started successfully'
+            description: 'Whether the click was successful'
+          },
+          openedTabs: {
+            type: 'array',
+            description: 'Tabs or popups opened by the click, if any'
           }
         }
       }
     },
     {
-      name: 'getNetworkRequests',
-      description: 'Get captured network requests',
+      name: 'typeText',
+      description: 'Type text into an input field',
       parameters: {
         type: 'object',
-        properties: {},
-        required: []
+        properties: {
+          selector: {
+            type: 'string',
+            description: `Selector of the input field (${SELECTOR_SYNTAX})`
+          },
+          ref: {
+            type: 'string',
+            description: 'Ref of the input field from snapshotPage, e.g. "e12", instead of selector'
+          },
+          text: {
+            type: 'string',
+            description: 'Text to type'
+          },
+          ...actionTimeoutParameter
+        },
+        required: ['text']
       },
       returns: {
         type: 'object',
         properties: {
-          requests: {
-            type: 'array',
-            description: 'Array of network request data'
+          success: {
+            type: 'boolean',
+            description: 'Whether the typing was successful'
+          },
+          masked: {
+            type: 'boolean',
+            description: 'Set when the element is a password field: the text is journaled and recorded as `${password}`'
           }
         }
       }
     },
     {
-      name: 'getPerformanceMetrics',
-      description: 'Get performance metrics for the current page',
+      name: 'clearAndType',
+      description: 'Replace the contents of an input field, textarea or contenteditable element',
       parameters: {
         type: 'object',
-        properties: {},
+        properties: {
+          ...targetParameters('the input field'),
+          text: {
+            type: 'string',
+            description: 'Text to type once the field is cleared; empty to just clear it'
+          },
+          ...actionTimeoutParameter
+        },
+        required: ['text']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the field was replaced'
+          },
+          masked: {
+            type: 'boolean',
+            description: 'Set when the element is a password field: the text is journaled and recorded as `${password}`'
+          }
+        }
+      }
+    },
+    {
+      name: 'hover',
+      description: 'Move the mouse over an element',
+      parameters: {
+        type: 'object',
+        properties: {
+          ...targetParameters('the element to hover'),
+          ...actionTimeoutParameter
+        },
         required: []
       },
       returns: {
         type: 'object',
         properties: {
-          metrics: {
-            type: 'object',
-            description: 'Performance metrics'
+          success: {
+            type: 'boolean',
+            description: 'Whether the element was hovered'
           }
         }
       }
     },
     {
-      name: 'getCookies',
-      description: 'Get cookies for the current page',
+      name: 'selectOption',
+      description: 'Choose options of a <select> element by value or visible label',
       parameters: {
         type: 'object',
         properties: {
-          urls: {
+          ...targetParameters('the <select> element'),
+          values: {
             type: 'array',
-            description: 'URLs to get cookies for (optional)'
-          }
+            items: { type: 'string' },
+            description: 'Values or labels of the options to select; more than one only for a multiple select'
+          },
+          ...actionTimeoutParameter
         },
-        required: []
+        required: ['values']
       },
       returns: {
         type: 'object',
         properties: {
-          cookies: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the options were selected'
+          },
+          selected: {
             type: 'array',
-            description: 'Array of cookies'
+            description: 'Values of the selected options'
           }
         }
       }
     },
     {
-      name: 'setCookie',
-      description: 'Set a cookie',
+      name: 'setChecked',
+      description: 'Check or uncheck a checkbox, radio button or switch',
       parameters: {
         type: 'object',
         properties: {
-          name: {
-            type: 'string',
-            description: 'Cookie name'
+          ...targetParameters('the checkbox'),
+          checked: {
+            type: 'boolean',
+            description: 'Whether it should end up checked (default: true)'
           },
-          value: {
-            type: 'string',
-            description: 'Cookie value'
+          ...actionTimeoutParameter
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the element ended up in the requested state'
           },
-          domain: {
+          changed: {
+            type: 'boolean',
+            description: 'Whether it had to be clicked to get there'
+          }
+        }
+      }
+    },
+    {
+      name: 'pressKey',
+      description: 'Press a key or key chord, optionally after focusing an element',
+      parameters: {
+        type: 'object',
+        properties: {
+          key: {
             type: 'string',
-            description: 'Cookie domain (optional)'
+            description: 'Key name or chord, e.g. "Enter", "Tab", "ArrowDown", "Control+A", "Control+Shift+K"'
           },
-          path: {
-            type: 'string',
-            description: 'Cookie path (optional)'
+          ...targetParameters('the element to focus first (optional)'),
+          ...actionTimeoutParameter
+        },
+        required: ['key']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the key was pressed'
+          }
+        }
+      }
+    },
+    {
+      name: 'scrollTo',
+      description: 'Scroll an element into view, or scroll the page to coordinates',
+      parameters: {
+        type: 'object',
+        properties: {
+          ...targetParameters('the element to scroll into view'),
+          x: {
+            type: 'number',
+            description: 'Horizontal page offset in CSS pixels, instead of an element'
           },
-          expires: {
+          y: {
             type: 'number',
-            description: 'Cookie expiration timestamp (optional)'
+            description: 'Vertical page offset in CSS pixels, instead of an element'
           }
         },
-        required: ['name', 'value']
+        required: []
       },
       returns: {
         type: 'object',
         properties: {
           success: {
             type: 'boolean',
-            description: 'Whether the cookie was set successfully'
+            description: 'Whether the scroll succeeded'
+          },
+          scrollX: {
+            type: 'number',
+            description: 'Horizontal scroll position of the page afterwards'
+          },
+          scrollY: {
+            type: 'number',
+            description: 'Vertical scroll position of the page afterwards'
           }
         }
       }
     },
     {
-      name: 'deleteCookies',
-      description: 'Delete cookies',
+      name: 'dragAndDrop',
+      description: 'Drag an element and drop it onto another',
       parameters: {
         type: 'object',
         properties: {
-          names: {
-            type: 'array',
-            description: 'Names of cookies to delete (optional, deletes all if not specified)'
-          },
-          url: {
-            type: 'string',
-            description: 'URL to delete cookies for (optional)'
-          }
+          ...targetParameters('the element to drag', 'source'),
+          ...targetParameters('the element to drop onto', 'target'),
+          ...actionTimeoutParameter
         },
         required: []
       },
@@ -452,47 +989,50 @@ const schema = {
         properties: {
           success: {
             type: 'boolean',
-            description: 'Whether cookies were deleted successfully'
+            description: 'Whether the drag and drop completed'
           }
         }
       }
     },
     {
-      name: 'authenticate',
-      description: 'Set HTTP authentication credentials',
+      name: 'uploadFile',
+      description: 'Upload files from the fixtures directory through a file input, or a button that opens a file chooser',
       parameters: {
         type: 'object',
         properties: {
-          username: {
-            type: 'string',
-            description: 'Username for HTTP authentication'
+          ...targetParameters('the file input or upload button'),
+          files: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Paths of the files, relative to the fixtures directory'
           },
-          password: {
-            type: 'string',
-            description: 'Password for HTTP authentication'
-          }
+          ...actionTimeoutParameter
         },
-        required: ['username', 'password']
+        required: ['files']
       },
       returns: {
         type: 'object',
         properties: {
           success: {
             type: 'boolean',
-            description: 'Whether authentication was set successfully'
+            description: 'Whether the files were attached'
           }
         }
       }
     },
     {
-      name: 'getLocalStorage',
-      description: 'Get localStorage data',
+      name: 'getElementText',
+      description: 'Get text content from an element',
       parameters: {
         type: 'object',
         properties: {
-          key: {
+          selector: {
+            type: 'string',
+            description: `Selector of the element (${SELECTOR_SYNTAX})`
+          },
+          ref: {
             type: 'string',
-            description: 'Specific localStorage key to get (optional)'
+            description: 'Ref of the element from snapshotPage, e.g. "e12", instead of selector'
           }
         },
         required: []
@@ -500,216 +1040,3053 @@ const schema = {
       returns: {
         type: 'object',
         properties: {
-          data: {
-            type: 'object',
-            description: 'localStorage data'
+          text: {
+            type: 'string',
+            description: 'Text content of the element'
           }
         }
       }
     },
     {
-      name: 'setLocalStorage',
-      description: 'Set localStorage data',
+      name: 'extract',
+      description: 'Extract structured data from the page in one call, described by a field schema: which elements hold the items, and for each field a selector, what to read (text, html, href or an attribute) and a type to convert to. Fields can be lists and nest. Can follow a "next" link or button through several pages.',
       parameters: {
         type: 'object',
         properties: {
-          key: {
-            type: 'string',
-            description: 'localStorage key'
+          schema: {
+            type: 'object',
+            description: 'What to extract: { selector, list, fields: { name: selector | { selector, list, attribute, value: text|html|outerHtml|href, type: string|number|integer|boolean|date|json, pattern, fields } } }. Selectors are CSS or XPath, matched inside the enclosing item; a field without a selector reads the item itself.'
           },
-          value: {
+          next: {
             type: 'string',
-            description: 'localStorage value'
+            description: `Selector of the link or button leading to the next page (${SELECTOR_SYNTAX}); needs a list schema (optional)`
+          },
+          maxPages: {
+            type: 'number',
+            description: `Most pages to extract when following next (optional, default: ${DEFAULT_MAX_PAGES})`
+          },
+          timeout: {
+            type: 'number',
+            description: `Milliseconds to wait for each next page to show new data (optional, default: ${config.timeouts.navigation})`
           }
         },
-        required: ['key', 'value']
+        required: ['schema']
       },
       returns: {
         type: 'object',
         properties: {
-          success: {
+          data: {
+            description: 'The extracted data: a list, an object or a value, as the schema describes'
+          },
+          pages: {
+            type: 'number',
+            description: 'Number of pages extracted'
+          },
+          stoppedBecause: {
+            type: 'string',
+            description: 'Why pagination stopped: maxPages, noNextPage, or unchanged (the next page showed the same data)'
+          }
+        }
+      }
+    },
+    {
+      name: 'extractTable',
+      description: 'Read a table as a list of rows keyed by its column headers',
+      parameters: {
+        type: 'object',
+        properties: {
+          ...targetParameters('the table (optional, default: the first table on the page)'),
+          headerRow: {
             type: 'boolean',
-            description: 'Whether localStorage was set successfully'
+            description: 'Whether a first row of <th> cells holds the headers when there is no <thead> (optional, default: true)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          headers: {
+            type: 'array',
+            description: 'Column names; columns without a header are column1, column2, ...'
+          },
+          rows: {
+            type: 'array',
+            description: 'One object per row, mapping column names to cell text'
           }
         }
       }
-    }
-  ]
-};
-
-// Routes
-app.get('/', (req, res) => {
-  res.json({ message: 'Puppeteer MCP Server is running' });
-});
-
-app.get('/schema', (req, res) => {
-  res.json(schema);
-});
+    },
+    {
+      name: 'getLinks',
+      description: 'List the links on the page, with their text and absolute URL',
+      parameters: {
+        type: 'object',
+        properties: {
+          ...targetParameters('the element to list links inside (optional, default: the whole page)'),
+          sameOrigin: {
+            type: 'boolean',
+            description: 'Only links to the page\'s own origin (optional)'
+          },
+          url: {
+            type: 'string',
+            description: 'Only links whose URL matches this glob pattern, e.g. "**/products/*" (optional)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          links: {
+            type: 'array',
+            description: 'Links as { text, href, sameOrigin, rel?, target? }, without duplicates'
+          }
+        }
+      }
+    },
+    {
+      name: 'getForms',
+      description: 'List the forms on the page and their fields: type, name, label, value, options and whether they are required. Password values are never returned.',
+      parameters: {
+        type: 'object',
+        properties: {
+          ...targetParameters('the element to list forms inside (optional, default: the whole page)')
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          forms: {
+            type: 'array',
+            description: 'Forms as { index, name, action, method, fields }; fields outside any form are listed last with standalone: true'
+          }
+        }
+      }
+    },
+    {
+      name: 'waitForSelector',
+      description: 'Wait for an element to appear on the page, become visible, be hidden or be removed',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: {
+            type: 'string',
+            description: `Selector to wait for (${SELECTOR_SYNTAX})`
+          },
+          state: {
+            type: 'string',
+            enum: SELECTOR_STATES,
+            description: 'attached: on the page; visible: on the page and visible; hidden: not visible or not on the page; detached: not on the page (default: attached)'
+          },
+          timeout: {
+            type: 'number',
+            description: `Timeout in milliseconds (default: ${config.timeouts.element})`
+          }
+        },
+        required: ['selector']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the element reached the state before timeout'
+          }
+        }
+      }
+    },
+    {
+      name: 'waitForNavigation',
+      description: 'Wait for the page to navigate, or until its URL matches a pattern (including history API changes)',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: {
+            type: 'string',
+            description: 'Glob the full URL must match: ** matches anything, * anything except / (optional). If the URL already matches, returns at once.'
+          },
+          urlRegex: {
+            type: 'string',
+            description: 'Regular expression the URL must match (optional)'
+          },
+          waitUntil: {
+            type: 'string',
+            enum: WAIT_UNTIL,
+            description: 'When a navigation counts as finished (default: load)'
+          },
+          timeout: {
+            type: 'number',
+            description: `Timeout in milliseconds (default: ${config.timeouts.navigation})`
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the navigation happened before timeout'
+          },
+          url: {
+            type: 'string',
+            description: 'URL of the page afterwards'
+          },
+          status: {
+            type: 'number',
+            description: 'HTTP status of the new document, for navigations that loaded one'
+          }
+        }
+      }
+    },
+    {
+      name: 'waitForNetworkIdle',
+      description: 'Wait until the page has made no network requests for a while',
+      parameters: {
+        type: 'object',
+        properties: {
+          idleTime: {
+            type: 'number',
+            description: 'How long the network must be quiet, in milliseconds (default: 500)'
+          },
+          concurrency: {
+            type: 'number',
+            description: 'Number of requests that may still be in flight, e.g. for long polling (default: 0)'
+          },
+          timeout: {
+            type: 'number',
+            description: `Timeout in milliseconds (default: ${config.timeouts.navigation})`
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the network went idle before timeout'
+          }
+        }
+      }
+    },
+    {
+      name: 'waitForFunction',
+      description: 'Wait until JavaScript run in the page returns a truthy value',
+      parameters: {
+        type: 'object',
+        properties: {
+          script: {
+            type: 'string',
+            description: 'Expression such as `window.appReady === true`, a function such as `() => window.appReady`, or a function body with a return statement. A promise it returns is waited for.'
+          },
+          polling: {
+            type: 'number',
+            description: 'How often to run the script, in milliseconds (default: 100)'
+          },
+          timeout: {
+            type: 'number',
+            description: `Timeout in milliseconds (default: ${config.timeouts.element})`
+          }
+        },
+        required: ['script']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the script returned a truthy value before timeout'
+          },
+          result: {
+            description: 'The truthy value it returned'
+          }
+        }
+      }
+    },
+    {
+      name: 'waitForText',
+      description: 'Wait until text is visible on the page',
+      parameters: {
+        type: 'object',
+        properties: {
+          text: {
+            type: 'string',
+            description: 'Text to wait for; whitespace differences are ignored'
+          },
+          ...targetParameters('the element to look in (optional, default: the whole page)'),
+          timeout: {
+            type: 'number',
+            description: `Timeout in milliseconds (default: ${config.timeouts.element})`
+          }
+        },
+        required: ['text']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the text appeared before timeout'
+          }
+        }
+      }
+    },
+    {
+      name: 'waitForResponse',
+      description: 'Wait for the page to receive a response matching a URL pattern, and return its status and body. Start waiting before triggering the request: responses received earlier are not seen.',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: {
+            type: 'string',
+            description: 'Glob the full URL must match: ** matches anything, * anything except / (optional)'
+          },
+          urlRegex: {
+            type: 'string',
+            description: 'Regular expression the URL must match (optional)'
+          },
+          method: {
+            type: 'string',
+            description: 'HTTP method, e.g. POST (optional)'
+          },
+          statusMin: {
+            type: 'number',
+            description: 'Lowest response status to accept (optional)'
+          },
+          statusMax: {
+            type: 'number',
+            description: 'Highest response status to accept (optional)'
+          },
+          maxBodyLength: {
+            type: 'number',
+            description: 'Characters of the body to return at most (default: 100000)'
+          },
+          timeout: {
+            type: 'number',
+            description: `Timeout in milliseconds (default: ${config.timeouts.navigation})`
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether a matching response arrived before timeout'
+          },
+          url: {
+            type: 'string',
+            description: 'URL of the response'
+          },
+          status: {
+            type: 'number',
+            description: 'HTTP status'
+          },
+          headers: {
+            type: 'object',
+            description: 'Response headers'
+          },
+          body: {
+            type: 'string',
+            description: 'Response body: text, or base64 when base64Encoded is set'
+          },
+          base64Encoded: {
+            type: 'boolean',
+            description: 'Whether the body is base64-encoded binary data'
+          },
+          bodyTruncated: {
+            type: 'boolean',
+            description: 'Whether the body was cut at maxBodyLength'
+          }
+        }
+      }
+    },
+    {
+      name: 'evaluateScript',
+      description: 'Run JavaScript in the page and return its result. The script is an expression, a function called with args, or a function body using return; it may be async. The result keeps its type: values JSON cannot carry (undefined, NaN, dates, maps, sets, errors, circular references, elements, ...) come back as objects with a $type, elements with a selector for them.',
+      parameters: {
+        type: 'object',
+        properties: {
+          script: {
+            type: 'string',
+            description: 'JavaScript to run, e.g. "document.title", "(a, b) => a + b" or "const r = await fetch(\'/api\'); return r.status"'
+          },
+          args: {
+            type: 'array',
+            description: 'JSON values passed to the script: as the arguments of a function, or as `args` in a function body (optional)'
+          },
+          frame: {
+            type: 'string',
+            description: 'Selector of an iframe to run in (optional, runs in the main frame if not specified)'
+          },
+          isolated: {
+            type: 'boolean',
+            description: 'Run in an isolated world that shares the DOM but not the page\'s JavaScript globals, so page scripts cannot interfere (optional, default: false)'
+          },
+          timeout: {
+            type: 'number',
+            description: `Milliseconds before the script is given up on and, if busy, terminated (optional, default: ${DEFAULT_EVALUATE_TIMEOUT})`
+          }
+        },
+        required: ['script']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          result: {
+            description: 'What the script returned or resolved to'
+          },
+          exception: {
+            type: 'object',
+            description: 'What the script threw, if it threw'
+          }
+        }
+      }
+    },
+    {
+      name: 'captureConsoleLog',
+      description: 'Start capturing console logs and page errors (uncaught exceptions, unhandled rejections, failed requests, crashes and CSP violations) from the page',
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether console log and error capture was started successfully'
+          }
+        }
+      }
+    },
+    {
+      name: 'getConsoleLogs',
+      description: 'Get captured console logs. Returns the most recent entries, or with `since` the entries after that cursor.',
+      parameters: {
+        type: 'object',
+        properties: {
+          level: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Message types to include, e.g. ["error", "warn"] (optional)'
+          },
+          ...eventQueryParameters
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          logs: {
+            type: 'array',
+            description: 'Array of console log entries'
+          },
+          ...eventQueryReturns
+        }
+      }
+    },
+    {
+      name: 'getPageErrors',
+      description: 'Get errors captured since captureConsoleLog, with stack traces resolved through source maps when available',
+      parameters: {
+        type: 'object',
+        properties: {
+          kind: {
+            type: 'array',
+            items: { type: 'string', enum: DIAGNOSTIC_KINDS },
+            description: 'Kinds of errors to include (optional, default: all)'
+          },
+          ...eventQueryParameters
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          errors: {
+            type: 'array',
+            description: 'Array of errors with kind, message, location and stack'
+          },
+          ...eventQueryReturns
+        }
+      }
+    },
+    {
+      name: 'monitorNetwork',
+      description: 'Start monitoring network requests',
+      parameters: {
+        type: 'object',
+        properties: {
+          captureBodies: {
+            type: 'boolean',
+            description: 'Also capture response bodies for HAR export (optional, default: false)'
+          },
+          maxBodySize: {
+            type: 'number',
+            description: 'Largest response body to capture, in bytes (optional, default: 1048576)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether network monitoring was started successfully'
+          }
+        }
+      }
+    },
+    {
+      name: 'getNetworkRequests',
+      description: 'Get captured network requests. Returns the most recent requests, or with `since` the requests after that cursor.',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: {
+            type: 'string',
+            description: 'Glob the full URL must match: ** matches anything, * anything except / (optional)'
+          },
+          urlRegex: {
+            type: 'string',
+            description: 'Regular expression the URL must match (optional)'
+          },
+          method: {
+            type: 'string',
+            description: 'HTTP method, e.g. POST (optional)'
+          },
+          resourceType: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Resource types to include, e.g. ["xhr", "fetch"] (optional)'
+          },
+          statusMin: {
+            type: 'number',
+            description: 'Lowest response status to include, e.g. 400 (optional)'
+          },
+          statusMax: {
+            type: 'number',
+            description: 'Highest response status to include, e.g. 599 (optional)'
+          },
+          failed: {
+            type: 'boolean',
+            description: 'Only requests that failed (true) or did not fail (false) at the network level (optional)'
+          },
+          ...eventQueryParameters
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          requests: {
+            type: 'array',
+            description: 'Array of network request data'
+          },
+          ...eventQueryReturns
+        }
+      }
+    },
+    {
+      name: 'clearLogs',
+      description: 'Discard captured events without stopping capture',
+      parameters: {
+        type: 'object',
+        properties: {
+          source: {
+            type: 'string',
+            enum: ['console', 'errors', 'network', 'actions'],
+            description: 'Which events to clear (optional, clears console, errors and network if not specified); actions is the journal exportTest reads, and is only cleared when named'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the events were cleared successfully'
+          }
+        }
+      }
+    },
+    {
+      name: 'exportHar',
+      description: 'Export the network requests captured by monitorNetwork as a HAR 1.2 file',
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          harPath: {
+            type: 'string',
+            description: 'Path to the saved HAR file'
+          },
+          entries: {
+            type: 'number',
+            description: 'Number of requests in the HAR file'
+          }
+        }
+      }
+    },
+    {
+      name: 'addRouteRule',
+      description: 'Intercept matching requests to mock, block, modify or delay them. Rules are checked in the order they were added and the first match applies.',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: {
+            type: 'string',
+            description: 'Glob matched against the full URL: ** matches anything, * anything except / (optional)'
+          },
+          urlRegex: {
+            type: 'string',
+            description: 'Regular expression the URL must match (optional)'
+          },
+          method: {
+            type: 'string',
+            description: 'HTTP method to match, e.g. GET or POST (optional)'
+          },
+          resourceType: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Resource types to match, e.g. ["xhr", "fetch"], ["image"] or ["document"] (optional)'
+          },
+          action: {
+            type: 'string',
+            enum: ACTIONS,
+            description: 'fulfill: respond with a mock; abort: fail the request; modify: send it with changed headers/body; continue: send it unchanged (useful with delay). Default: continue'
+          },
+          status: {
+            type: 'number',
+            description: 'fulfill: HTTP status from 100 to 599 (default: 200)'
+          },
+          headers: {
+            type: 'object',
+            description: 'fulfill: response headers; modify: request headers to set (null removes a header)'
+          },
+          contentType: {
+            type: 'string',
+            description: 'fulfill: Content-Type of the response (guessed for fixtures and JSON bodies)'
+          },
+          body: {
+            description: 'fulfill: response body; objects and arrays are sent as JSON'
+          },
+          fixture: {
+            type: 'string',
+            description: 'fulfill: file in the fixtures directory to respond with, instead of body'
+          },
+          errorReason: {
+            type: 'string',
+            enum: ABORT_REASONS,
+            description: 'abort: network error to fail the request with (default: failed)'
+          },
+          postData: {
+            type: 'string',
+            description: 'modify: request body to send instead'
+          },
+          overrideMethod: {
+            type: 'string',
+            description: 'modify: HTTP method to send instead'
+          },
+          overrideUrl: {
+            type: 'string',
+            description: 'modify: URL to send the request to instead'
+          },
+          delay: {
+            type: 'number',
+            description: 'Milliseconds to hold the request before applying the action (optional)'
+          },
+          times: {
+            type: 'number',
+            description: 'Only apply to the first N matching requests, a positive integer (optional)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          ruleId: {
+            type: 'string',
+            description: 'ID of the new rule'
+          }
+        }
+      }
+    },
+    {
+      name: 'removeRouteRule',
+      description: 'Remove a request interception rule',
+      parameters: {
+        type: 'object',
+        properties: {
+          ruleId: {
+            type: 'string',
+            description: 'ID of the rule to remove (optional, removes all rules if not specified)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the rule was removed successfully'
+          }
+        }
+      }
+    },
+    {
+      name: 'listRouteRules',
+      description: 'List request interception rules and how many requests each has matched',
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          rules: {
+            type: 'array',
+            description: 'Array of rules with their ID, match criteria, action and hit count'
+          }
+        }
+      }
+    },
+    {
+      name: 'getPerformanceMetrics',
+      description: 'Get performance metrics for the current page',
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          metrics: {
+            type: 'object',
+            description: 'Performance metrics'
+          }
+        }
+      }
+    },
+    {
+      name: 'getAccessibilityTree',
+      description: 'Get the accessibility tree of the page or an element: roles, names, values and states as assistive technology sees them',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: {
+            type: 'string',
+            description: 'Selector of the element to root the tree at (optional, default: the whole page)'
+          },
+          interestingOnly: {
+            type: 'boolean',
+            description: 'Leave out nodes that are not interesting to assistive technology, such as generic containers (optional, default: true)'
+          },
+          maxDepth: {
+            type: 'number',
+            description: 'Cut the tree off below this depth (optional)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          tree: {
+            type: 'object',
+            description: 'Root accessibility node, with nested children'
+          },
+          nodeCount: {
+            type: 'number',
+            description: 'Number of nodes returned'
+          }
+        }
+      }
+    },
+    {
+      name: 'auditAccessibility',
+      description: 'Check the page or an element for accessibility problems with axe-core and return the violations found',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: {
+            type: 'string',
+            description: 'Selector of the element to audit (optional, default: the whole page)'
+          },
+          tags: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only run rules with these tags, e.g. ["wcag2a", "wcag2aa"] (optional)'
+          },
+          rules: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only run these rules, e.g. ["color-contrast", "image-alt"] (optional)'
+          },
+          minImpact: {
+            type: 'string',
+            enum: ACCESSIBILITY_IMPACTS,
+            description: 'Leave out violations with a lower impact (optional)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          violations: {
+            type: 'array',
+            description: 'Violated rules with impact, help text and the offending nodes\' selectors'
+          },
+          passes: {
+            type: 'number',
+            description: 'Number of rules that passed'
+          },
+          incomplete: {
+            type: 'array',
+            description: 'Rules that need a manual check'
+          }
+        }
+      }
+    },
+    {
+      name: 'getCookies',
+      description: 'Get cookies, including HttpOnly ones: those sent to the current page by default, to given URLs, or every cookie of the session filtered by domain, path and name',
+      parameters: {
+        type: 'object',
+        properties: {
+          urls: {
+            type: 'array',
+            description: 'URLs to get cookies for (optional)'
+          },
+          ...cookieFilterParameters
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          cookies: {
+            type: 'array',
+            description: 'Array of cookies'
+          }
+        }
+      }
+    },
+    {
+      name: 'setCookie',
+      description: 'Set a cookie',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Cookie name'
+          },
+          value: {
+            type: 'string',
+            description: 'Cookie value'
+          },
+          domain: {
+            type: 'string',
+            description: 'Cookie domain (optional)'
+          },
+          path: {
+            type: 'string',
+            description: 'Cookie path (optional)'
+          },
+          expires: {
+            type: 'number',
+            description: 'Cookie expiration timestamp (optional)'
+          }
+        },
+        required: ['name', 'value']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the cookie was set successfully'
+          }
+        }
+      }
+    },
+    {
+      name: 'deleteCookies',
+      description: 'Delete cookies, including HttpOnly ones: those sent to the current page by default, to a given URL, or any cookie of the session by domain, path and name',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: {
+            type: 'string',
+            description: 'Delete the cookies sent to this URL (optional)'
+          },
+          ...cookieFilterParameters
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether cookies were deleted successfully'
+          },
+          deleted: {
+            type: 'array',
+            description: 'The deleted cookies as { name, domain, path }'
+          }
+        }
+      }
+    },
+    {
+      name: 'saveStorageState',
+      description: 'Save the session\'s cookies and the localStorage, sessionStorage and IndexedDB of every origin open in it to a named JSON file, for loadStorageState to restore later, even after a restart',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Storage state name, e.g. "admin" (letters, digits, _, - and .)'
+          },
+          origins: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'More origins to save the storage of, besides those open in the session\'s tabs, e.g. ["https://auth.example.com"] (optional)'
+          },
+          indexedDB: {
+            type: 'boolean',
+            description: 'Whether to save IndexedDB databases (optional, default: true)'
+          }
+        },
+        required: ['name']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the state was saved'
+          },
+          cookies: {
+            type: 'number',
+            description: 'Number of cookies saved'
+          },
+          origins: {
+            type: 'array',
+            description: 'Origins whose storage was saved'
+          },
+          skipped: {
+            type: 'number',
+            description: 'IndexedDB values that could not be saved, such as blobs'
+          }
+        }
+      }
+    },
+    {
+      name: 'loadStorageState',
+      description: 'Restore cookies and site storage saved by saveStorageState into the session',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Storage state name'
+          },
+          replace: {
+            type: 'boolean',
+            description: 'Clear the session\'s cookies, and the storage of the saved origins, first (optional, default: false, merge)'
+          }
+        },
+        required: ['name']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the state was restored'
+          },
+          cookies: {
+            type: 'number',
+            description: 'Number of cookies restored'
+          },
+          origins: {
+            type: 'array',
+            description: 'Origins whose storage was restored'
+          }
+        }
+      }
+    },
+    {
+      name: 'authenticate',
+      description: 'Set HTTP authentication credentials',
+      parameters: {
+        type: 'object',
+        properties: {
+          username: {
+            type: 'string',
+            description: 'Username for HTTP authentication'
+          },
+          password: {
+            type: 'string',
+            description: 'Password for HTTP authentication'
+          }
+        },
+        required: ['username', 'password']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether authentication was set successfully'
+          }
+        }
+      }
+    },
+    {
+      name: 'login',
+      description: 'Sign in with a login configured on the server: fill in and submit its form, enter a TOTP code if it has a second step, send its headers to their origins and wait until the page shows it worked. Credentials come from the server\'s environment or secrets file and are never returned. After a form login the session\'s cookies and site data are cached, and later logins restore them instead while the site still accepts them.',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Name of the login, as listed by listLogins'
+          },
+          force: {
+            type: 'boolean',
+            description: 'Fill in the form even if a cached login is available (optional, default: false)'
+          },
+          timeout: {
+            type: 'number',
+            description: 'Maximum time in milliseconds to wait for the login page and for the login to succeed (optional, defaults to the navigation timeout)'
+          }
+        },
+        required: ['name']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the login succeeded'
+          },
+          cached: {
+            type: 'boolean',
+            description: 'Whether a cached login was restored instead of filling in the form'
+          },
+          url: {
+            type: 'string',
+            description: 'URL of the page after logging in'
+          },
+          headers: {
+            type: 'array',
+            description: 'Origins the login sends extra headers to'
+          }
+        }
+      }
+    },
+    {
+      name: 'listLogins',
+      description: 'List the logins configured on the server, with the fields they fill in and whether a cached login is available. Credentials are not included.',
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          logins: {
+            type: 'array',
+            description: 'Array of logins with their name, url, field selectors, whether they use TOTP or HTTP credentials, the origins they send headers to and when they were last cached'
+          }
+        }
+      }
+    },
+    ...webStorageTools('localStorage', 'LocalStorage'),
+    ...webStorageTools('sessionStorage', 'SessionStorage'),
+    {
+      name: 'listIndexedDB',
+      description: 'List the IndexedDB databases of the page\'s origin with their object stores, key paths, indexes and record counts',
+      parameters: {
+        type: 'object',
+        properties: {
+          database: {
+            type: 'string',
+            description: 'Only this database (optional)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          databases: {
+            type: 'array',
+            description: 'Databases as { name, version, stores: [{ name, keyPath, autoIncrement, count, indexes }] }'
+          }
+        }
+      }
+    },
+    {
+      name: 'queryIndexedDB',
+      description: 'Read records of an IndexedDB object store of the page\'s origin, by key or key range, directly or through an index. Keys and values JSON cannot hold, such as dates, come as objects with a $type.',
+      parameters: {
+        type: 'object',
+        properties: {
+          ...indexedDBStoreParameters,
+          index: {
+            type: 'string',
+            description: 'Index to look records up by; keys and bounds are then index keys (optional)'
+          },
+          ...keyRangeParameters,
+          offset: {
+            type: 'number',
+            description: 'Records to skip (optional, default: 0)'
+          },
+          limit: {
+            type: 'number',
+            description: `Most records to return (optional, default: ${DEFAULT_RECORD_LIMIT})`
+          },
+          direction: {
+            type: 'string',
+            enum: ['next', 'prev', 'nextunique', 'prevunique'],
+            description: 'Key order: next ascending, prev descending, the unique forms skip repeated index keys (optional, default: next)'
+          }
+        },
+        required: ['database', 'store']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          records: {
+            type: 'array',
+            description: 'Records as { key, value }, with the store key as primaryKey when read through an index'
+          },
+          total: {
+            type: 'number',
+            description: 'Number of records in the range'
+          },
+          hasMore: {
+            type: 'boolean',
+            description: 'Whether more records follow; raise offset by the records returned to get them'
+          }
+        }
+      }
+    },
+    {
+      name: 'deleteIndexedDB',
+      description: 'Delete records of an IndexedDB object store of the page\'s origin by key or key range, or all of them',
+      parameters: {
+        type: 'object',
+        properties: {
+          ...indexedDBStoreParameters,
+          ...keyRangeParameters,
+          all: {
+            type: 'boolean',
+            description: 'Delete every record of the store (optional)'
+          }
+        },
+        required: ['database', 'store']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the records were deleted'
+          },
+          deleted: {
+            type: 'number',
+            description: 'Number of records deleted'
+          }
+        }
+      }
+    },
+    {
+      name: 'runScript',
+      description: 'Run a list of tool calls in order in this session, checking assertions after each step. Stops at the first failing step unless stopOnFailure is false.',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Name of a script saved in the scripts directory, e.g. by stopRecording'
+          },
+          script: {
+            type: 'object',
+            description: 'The script itself, instead of name: { variables?: {...}, steps: [{ tool, parameters?, assert?: [...], saveAs? }] }. Assertion types: textEquals (selector or ref, value), visible (selector or ref), urlMatches (url or urlRegex), status (value)'
+          },
+          variables: {
+            type: 'object',
+            description: 'Values for ${name} references in step parameters, overriding the script\'s own (optional)'
+          },
+          stopOnFailure: {
+            type: 'boolean',
+            description: 'Stop at the first failing step (default: true)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          passed: {
+            type: 'boolean',
+            description: 'Whether every step succeeded and every assertion passed'
+          },
+          failedStep: {
+            type: 'number',
+            description: 'Number of the first failing step, counting from 1'
+          },
+          steps: {
+            type: 'array',
+            description: 'What each step returned and how its assertions fared'
+          }
+        }
+      }
+    },
+    {
+      name: 'startRecording',
+      description: 'Start recording the tool calls made in this session into a script',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Name to save the script under when recording stops (optional)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether recording started'
+          }
+        }
+      }
+    },
+    {
+      name: 'stopRecording',
+      description: 'Stop recording and return the script, saving it to the scripts directory if it has a name',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Name to save the script under, overriding the one given to startRecording (optional)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          script: {
+            type: 'object',
+            description: 'The recorded script'
+          },
+          scriptPath: {
+            type: 'string',
+            description: 'Where the script was saved, if it has a name'
+          }
+        }
+      }
+    },
+    {
+      name: 'exportTest',
+      description: 'Export the actions taken in this session, or a saved script, as a standalone test that reproduces them. Every successful tool call is kept in a journal; refs are journaled as selectors for their elements. Read-only calls are left out, and getElementText and navigateTo calls become assertions of what they returned.',
+      parameters: {
+        type: 'object',
+        properties: {
+          framework: {
+            type: 'string',
+            enum: FRAMEWORKS,
+            description: 'puppeteer for a plain Node.js script, jest for a Jest test driving Puppeteer, or playwright for a Playwright Test spec (optional, default: puppeteer)'
+          },
+          since: {
+            type: 'number',
+            description: 'Cursor from a previous exportTest: only export actions taken after it (optional, exports the whole journal if not specified)'
+          },
+          scriptName: {
+            type: 'string',
+            description: 'Export this saved script instead of the journal (optional)'
+          },
+          name: {
+            type: 'string',
+            description: 'Save the test to the scripts directory under this name (optional)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          code: {
+            type: 'string',
+            description: 'Source of the test'
+          },
+          exported: {
+            type: 'number',
+            description: 'Number of steps turned into code'
+          },
+          skipped: {
+            type: 'number',
+            description: 'Number of steps left out or left as comments'
+          },
+          cursor: {
+            type: 'number',
+            description: 'Pass as `since` to export only later actions next time'
+          },
+          testPath: {
+            type: 'string',
+            description: 'Where the test was saved, if it has a name'
+          }
+        }
+      }
+    },
+    {
+      name: 'openTab',
+      description: 'Open a new tab and make it the active tab',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: {
+            type: 'string',
+            description: 'URL to open in the new tab (optional)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'string',
+            description: 'ID of the new tab'
+          },
+          title: {
+            type: 'string',
+            description: 'Title of the page'
+          },
+          url: {
+            type: 'string',
+            description: 'Current URL'
+          }
+        }
+      }
+    },
+    {
+      name: 'listTabs',
+      description: 'List open tabs, including popups opened by the page',
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          tabs: {
+            type: 'array',
+            description: 'Array of tabs with their ID, URL, title, whether they are active and which tab opened them'
+          }
+        }
+      }
+    },
+    {
+      name: 'switchTab',
+      description: 'Make a tab the active tab. All other tools operate on the active tab.',
+      parameters: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'string',
+            description: 'ID of the tab to activate'
+          }
+        },
+        required: ['tabId']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the tab was activated successfully'
+          }
+        }
+      }
+    },
+    {
+      name: 'closeTab',
+      description: 'Close a tab. If it was active, the tab that opened it (or the most recent tab) becomes active.',
+      parameters: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'string',
+            description: 'ID of the tab to close (optional, closes the active tab if not specified)'
+          }
+        },
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the tab was closed successfully'
+          },
+          activeTabId: {
+            type: 'string',
+            description: 'ID of the tab that is now active'
+          }
+        }
+      }
+    },
+    {
+      name: 'createSession',
+      description: 'Create an isolated browser session with its own cookies, storage, page and captured logs. Pass the returned sessionId to other tools to use it.',
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          sessionId: {
+            type: 'string',
+            description: 'ID of the new session'
+          }
+        }
+      }
+    },
+    {
+      name: 'listSessions',
+      description: 'List open browser sessions',
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          sessions: {
+            type: 'array',
+            description: 'Array of sessions with their ID, current URL and last use time'
+          }
+        }
+      }
+    },
+    {
+      name: 'closeSession',
+      description: 'Close a browser session and discard its state',
+      parameters: {
+        type: 'object',
+        properties: {
+          sessionId: {
+            type: 'string',
+            description: 'ID of the session to close'
+          }
+        },
+        required: ['sessionId']
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Whether the session was closed successfully'
+          }
+        }
+      }
+    }
+  ]
+};
+
+// Tools that manage sessions rather than operate within one, or need none
+const sessionlessTools = new Set(['createSession', 'listSessions', 'closeSession', 'listLogins']);
+
+// Tools that cannot be steps of a script, or recorded into one
+const unscriptableTools = new Set([...sessionlessTools, 'runScript', 'startRecording', 'stopRecording', 'exportTest']);
+
+// Parameters given in milliseconds, checked for every tool before it runs
+const DURATION_PARAMETERS = ['timeout', 'delay', 'idleTime', 'polling'];
+
+// Tools that run JavaScript supplied by the client, which deployments that do
+// not trust their clients can turn off
+const evaluationTools = new Set(['evaluateScript', 'waitForFunction']);
+
+function isDisabled(tool) {
+  return !config.evaluate && evaluationTools.has(tool);
+}
+
+schema.tools = schema.tools.filter(tool => !isDisabled(tool.name));
+
+// Every other tool runs in the default session unless given a sessionId
+for (const tool of schema.tools) {
+  if (!sessionlessTools.has(tool.name)) {
+    tool.parameters.properties.sessionId = {
+      type: 'string',
+      description: 'Session to run in, as returned by createSession (optional, uses the default session if not specified)'
+    };
+  }
+}
+
+// Routes
+app.get('/', (req, res) => {
+  res.json({ message: 'Puppeteer MCP Server is running' });
+});
+
+app.get('/schema', (req, res) => {
+  res.json(schema);
+});
+
+// Map tool names to their implementations
+const toolHandlers = {
+  takeScreenshot: (parameters, session) => takeScreenshot(session, parameters),
+  saveBaseline: (parameters, session) => saveBaseline(session, parameters),
+  compareToBaseline: (parameters, session) => compareToBaseline(session, parameters),
+  navigateTo: (parameters, session) => navigateTo(session, parameters.url, parameters),
+  getPageContent: (parameters, session) => getPageContent(session, parameters),
+  snapshotPage: (parameters, session) => snapshotPage(session, parameters),
+  clickElement: (parameters, session) => clickElement(session, parameters, parameters),
+  typeText: (parameters, session) => typeText(session, parameters, parameters.text, parameters),
+  clearAndType: (parameters, session) => clearAndType(session, parameters, parameters.text, parameters),
+  hover: (parameters, session) => hover(session, parameters, parameters),
+  selectOption: (parameters, session) => selectOption(session, parameters, parameters.values, parameters),
+  setChecked: (parameters, session) => setChecked(session, parameters, parameters.checked, parameters),
+  pressKey: (parameters, session) => pressKey(session, parameters.key, parameters, parameters),
+  scrollTo: (parameters, session) => scrollTo(session, parameters),
+  dragAndDrop: (parameters, session) => dragElement(session, parameters, parameters),
+  uploadFile: (parameters, session) => uploadFile(session, parameters, parameters.files, parameters),
+  getElementText: (parameters, session) => getElementText(session, parameters),
+  extract: (parameters, session) => extract(session, parameters),
+  extractTable: (parameters, session) => extractTable(session, parameters),
+  getLinks: (parameters, session) => getLinks(session, parameters),
+  getForms: (parameters, session) => getForms(session, parameters),
+  waitForSelector: (parameters, session) => waitForSelector(session, parameters.selector, parameters.timeout, parameters.state),
+  waitForNavigation: (parameters, session) => waitForNavigation(session, parameters),
+  waitForNetworkIdle: (parameters, session) => waitForNetworkIdle(session, parameters),
+  waitForFunction: (parameters, session) => waitForFunction(session, parameters.script, parameters),
+  waitForText: (parameters, session) => waitForText(session, parameters.text, parameters),
+  waitForResponse: (parameters, session) => waitForResponse(session, parameters),
+  evaluateScript: (parameters, session) => evaluateScript(session, parameters),
+  captureConsoleLog: (parameters, session) => captureConsoleLog(session),
+  getConsoleLogs: (parameters, session) => getConsoleLogs(session, parameters),
+  getPageErrors: (parameters, session) => getPageErrors(session, parameters),
+  monitorNetwork: (parameters, session) => monitorNetwork(session, parameters),
+  getNetworkRequests: (parameters, session) => getNetworkRequests(session, parameters),
+  clearLogs: (parameters, session) => clearLogs(session, parameters.source),
+  exportHar: (parameters, session) => exportHar(session),
+  addRouteRule: (parameters, session) => {
+    const { sessionId, ...rule } = parameters;
+    return addRouteRule(session, rule);
+  },
+  removeRouteRule: (parameters, session) => removeRouteRule(session, parameters.ruleId),
+  listRouteRules: (parameters, session) => listRouteRules(session),
+  getPerformanceMetrics: (parameters, session) => getPerformanceMetrics(session),
+  getAccessibilityTree: (parameters, session) => getAccessibilityTree(session, parameters),
+  auditAccessibility: (parameters, session) => auditAccessibility(session, parameters),
+  getCookies: (parameters, session) => getCookies(session, parameters),
+  setCookie: (parameters, session) => {
+    const { sessionId, ...cookie } = parameters;
+    return setCookie(session, cookie);
+  },
+  deleteCookies: (parameters, session) => deleteCookies(session, parameters),
+  saveStorageState: (parameters, session) => saveStorageState(session, parameters),
+  loadStorageState: (parameters, session) => loadStorageState(session, parameters),
+  authenticate: (parameters, session) => authenticate(session, parameters.username, parameters.password),
+  login: (parameters, session) => login(session, parameters),
+  listLogins: () => listLogins(),
+  getLocalStorage: (parameters, session) => getWebStorage(session, 'localStorage', parameters.key),
+  setLocalStorage: (parameters, session) => setWebStorage(session, 'localStorage', parameters.key, parameters.value),
+  removeLocalStorage: (parameters, session) => removeWebStorage(session, 'localStorage', parameters),
+  clearLocalStorage: (parameters, session) => clearWebStorage(session, 'localStorage'),
+  getSessionStorage: (parameters, session) => getWebStorage(session, 'sessionStorage', parameters.key),
+  setSessionStorage: (parameters, session) => setWebStorage(session, 'sessionStorage', parameters.key, parameters.value),
+  removeSessionStorage: (parameters, session) => removeWebStorage(session, 'sessionStorage', parameters),
+  clearSessionStorage: (parameters, session) => clearWebStorage(session, 'sessionStorage'),
+  listIndexedDB: (parameters, session) => listIndexedDB(session, parameters),
+  queryIndexedDB: (parameters, session) => queryIndexedDB(session, parameters),
+  deleteIndexedDB: (parameters, session) => deleteIndexedDB(session, parameters),
+  runScript: (parameters, session) => runScript(session, parameters),
+  startRecording: (parameters, session) => startRecording(session, parameters.name),
+  stopRecording: (parameters, session) => stopRecording(session, parameters.name),
+  exportTest: (parameters, session) => exportTest(session, parameters),
+  openTab: (parameters, session) => openTab(session, parameters.url),
+  listTabs: (parameters, session) => listTabs(session),
+  switchTab: (parameters, session) => switchTab(session, parameters.tabId),
+  closeTab: (parameters, session) => closeTab(session, parameters.tabId),
+  createSession: () => createSession(),
+  listSessions: () => listSessions(),
+  closeSession: (parameters) => closeSession(parameters.sessionId)
+};
+
+function hasTool(tool) {
+  return Object.prototype.hasOwnProperty.call(toolHandlers, tool);
+}
+
+// Selectors for the refs in a tool call's parameters, replacing them. Refs
+// whose element cannot be found are kept.
+async function selectorsForRefs(page, parameters) {
+  const replacements = {};
+  for (const [refKey, selectorKey] of [['ref', 'selector'], ['sourceRef', 'sourceSelector'], ['targetRef', 'targetSelector']]) {
+    if (parameters[refKey] && !parameters[selectorKey]) {
+      try {
+        replacements[selectorKey] = await selectorForRef(page, parameters[refKey]);
+        replacements[refKey] = undefined;
+      } catch (error) {
+        // The tool reports the bad ref itself
+      }
+    }
+  }
+  return replacements;
+}
+
+// Run a tool by name. Shared by the MCP transports and the legacy endpoint.
+async function callTool(tool, parameters = {}) {
+  if (isDisabled(tool)) {
+    throw new Error(`${tool} is disabled on this server`);
+  }
+  if (!hasTool(tool)) {
+    throw new Error(`Unknown tool: ${tool}`);
+  }
+
+  parameters = parameters || {};
+  for (const name of DURATION_PARAMETERS) {
+    if (parameters[name] !== undefined) {
+      checkDuration(name, parameters[name]);
+    }
+  }
+
+  if (sessionlessTools.has(tool)) {
+    return toolHandlers[tool](parameters);
+  }
+
+  const session = await sessionManager.getSession(parameters.sessionId);
+  const journaled = !unscriptableTools.has(tool);
+  // Refs die with the page, so journal the element's selector instead. It has
+  // to be worked out before the call, which may change the page.
+  const refSelectors = journaled ? await selectorsForRefs(session.page, parameters) : {};
+  const startUrl = session.page.url();
+  // Credentials a login used must not reach the client through another tool
+  // (page content, console messages, ...)
+  const result = redactValue(await toolHandlers[tool](parameters, session), session.secrets);
+
+  // Calls that failed are left out, so the journal and recording replay cleanly
+  if (journaled && !resultError(result)) {
+    const step = redactValue(recordStep(tool, { ...parameters, ...refSelectors }, result), session.secrets);
+    session.events.add('actions', { ...step, url: startUrl });
+    if (session.recording) {
+      session.recording.steps.push(step);
+    }
+  }
+
+  // Let the agent know that navigation, page state and anything it set up on
+  // the previous page is gone
+  if (session.pageRecreated) {
+    session.pageRecreated = false;
+    return { ...result, pageRecreated: true };
+  }
+
+  // The active tab closed (e.g. a popup that closed itself) and another one
+  // took its place
+  if (session.switchedToTab) {
+    const switchedToTab = session.switchedToTab;
+    session.switchedToTab = null;
+    return { ...result, switchedToTab };
+  }
+
+  return result;
+}
+
+const mcpServer = createMcpServer({
+  name: schema.name,
+  version: packageJson.version,
+  instructions: schema.description,
+  tools: schema.tools,
+  callTool
+});
+
+// MCP Streamable HTTP transport. Bodies of the form { tool, parameters } are
+// not JSON-RPC and fall through to the legacy handler below.
+const isLegacyRequest = (body) => Boolean(body && !Array.isArray(body) && body.jsonrpc === undefined && body.tool !== undefined);
+app.use(createStreamableHttpRouter(mcpServer, { path: '/mcp', isLegacyRequest, idleTimeout: config.sessions.idleTimeout }));
+
+// Legacy endpoint: { tool, parameters } in, plain result out
+app.post('/mcp', async (req, res) => {
+  try {
+    const { tool, parameters } = req.body;
+
+    if (!hasTool(tool)) {
+      return res.status(400).json({ error: `Unknown tool: ${tool}` });
+    }
+
+    const result = await callTool(tool, parameters);
+    res.json(result);
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tool implementations
+async function takeScreenshot(session, { selector, clip, fullPage, format = 'png', quality, omitBackground = false, output = 'file' }) {
+  const { page } = session;
+  try {
+    if (!SCREENSHOT_FORMATS.includes(format)) {
+      throw new Error(`Invalid format: ${format} (expected one of ${SCREENSHOT_FORMATS.join(', ')})`);
+    }
+    if (!['file', 'inline', 'both'].includes(output)) {
+      throw new Error(`Invalid output: ${output} (expected file, inline or both)`);
+    }
+    if (quality !== undefined && format === 'png') {
+      throw new Error('quality is only supported for jpeg and webp');
+    }
+    if (selector && clip) {
+      throw new Error('Use either selector or clip, not both');
+    }
+    if (fullPage && (selector || clip)) {
+      throw new Error('fullPage cannot be combined with selector or clip');
+    }
+    
+    const options = {
+      type: format,
+      omitBackground,
+      fullPage: fullPage === undefined ? !selector && !clip : fullPage
+    };
+    if (quality !== undefined) {
+      options.quality = quality;
+    }
+    if (clip) {
+      options.clip = clip;
+    }
+    
+    let image;
+    if (selector) {
+      const element = await resolveElement(page, { selector }, { timeout: config.timeouts.element });
+      image = await element.screenshot(options);
+    } else {
+      image = await page.screenshot(options);
+    }
+    
+    const result = {
+      mimeType: `image/${format}`,
+      size: image.length
+    };
+    
+    if (output !== 'inline') {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const fileName = `screenshot-${timestamp}.${format}`;
+      fs.writeFileSync(path.join(screenshotsDir, fileName), image);
+      result.screenshotPath = `/${fileName}`;
+    }
+    if (output !== 'file') {
+      result.images = [{ data: image.toString('base64'), mimeType: result.mimeType }];
+    }
+    
+    return result;
+  } catch (error) {
+    console.error(`Error taking screenshot:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Capture a lossless screenshot for visual regression, along with the
+// regions covered by the ignored selectors
+async function captureForComparison(page, { selector, fullPage, ignore }) {
+  let image;
+  let origin;
+  if (selector) {
+    const element = await resolveElement(page, { selector }, { timeout: config.timeouts.element });
+    image = await element.screenshot({ type: 'png' });
+    // Taking the screenshot scrolls the element into view
+    origin = await element.boundingBox();
+  } else {
+    image = await page.screenshot({ type: 'png', fullPage });
+    origin = fullPage
+      ? await page.evaluate(() => ({ x: -window.scrollX, y: -window.scrollY }))
+      : { x: 0, y: 0 };
+  }
+  
+  return {
+    image,
+    ignoreRegions: await findIgnoreRegions(page, ignore, origin)
+  };
+}
+
+async function saveBaseline(session, { name, selector, fullPage, ignore = [] }) {
+  const { page } = session;
+  try {
+    const options = {
+      selector,
+      fullPage: selector ? false : fullPage !== false,
+      ignore
+    };
+    const { image, ignoreRegions } = await captureForComparison(page, options);
+    
+    const { width, height } = writeBaseline(config.baselinesDir, name, image, {
+      name,
+      url: page.url(),
+      ...options,
+      ignoreRegions,
+      viewport: page.viewport(),
+      createdAt: new Date().toISOString()
+    });
+    
+    return {
+      success: true,
+      name,
+      width,
+      height,
+      ignoredRegions: ignoreRegions.length
+    };
+  } catch (error) {
+    console.error(`Error saving baseline:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function compareToBaseline(session, parameters) {
+  const { page } = session;
+  const { name, threshold = config.visual.threshold, colorThreshold = 0.1, inlineDiff = false } = parameters;
+  try {
+    const baseline = readBaseline(config.baselinesDir, name);
+    const saved = baseline.metadata;
+    const selector = parameters.selector !== undefined ? parameters.selector : saved.selector;
+    const options = {
+      selector,
+      fullPage: selector ? false : (parameters.fullPage !== undefined ? parameters.fullPage : saved.fullPage !== false),
+      ignore: parameters.ignore || saved.ignore || []
+    };
+    
+    const { image, ignoreRegions } = await captureForComparison(page, options);
+    // Ignore what was covered when the baseline was taken, too: an ad may
+    // have moved
+    const comparison = compareImages(baseline.image, image, {
+      ignoreRegions: [...(saved.ignoreRegions || []), ...ignoreRegions],
+      colorThreshold
+    });
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const diffFile = `diff-${name}-${timestamp}.png`;
+    const actualFile = `actual-${name}-${timestamp}.png`;
+    fs.writeFileSync(path.join(screenshotsDir, diffFile), comparison.diff);
+    fs.writeFileSync(path.join(screenshotsDir, actualFile), image);
+    
+    const { diff, ...result } = comparison;
+    return {
+      name,
+      passed: comparison.dimensionsMatch && comparison.mismatchPercent <= threshold,
+      threshold,
+      ...result,
+      diffPath: `/${diffFile}`,
+      actualPath: `/${actualFile}`,
+      ...(inlineDiff ? { images: [{ data: diff.toString('base64'), mimeType: 'image/png' }] } : {})
+    };
+  } catch (error) {
+    console.error(`Error comparing to baseline:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function navigateTo(session, url, { waitUntil = 'networkidle2', timeout = config.timeouts.navigation, retries: maxRetries = 2, referer, headers } = {}) {
+  const { page } = session;
+  checkWaitUntil(waitUntil);
+  if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+    throw new Error('retries must be a non-negative integer');
+  }
+
+  // Add http:// if not present
+  if (!url.startsWith('http://') && !url.startsWith('https://')) {
+    url = 'https://' + url;
+  }
+  
+  console.log(`Attempting to navigate to: ${url}`);
+  
+  // Add retry logic
+  let retries = maxRetries + 1;
+  let success = false;
+  let error = null;
+  let response = null;
+  
+  if (headers) {
+    await page.setExtraHTTPHeaders(Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, String(value)])));
+  }
+  
+  while (retries > 0 && !success) {
+    try {
+      response = await page.goto(url, { 
+        waitUntil,
+        timeout,
+        referer
+      });
+      success = true;
+    } catch (err) {
+      error = err;
+      console.log(`Navigation attempt failed (${retries} retries left): ${err.message}`);
+      retries--;
+      
+      if (retries > 0) {
+        console.log(`Waiting 2 seconds before retrying...`);
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+    }
+  }
+  
+  if (headers) {
+    await page.setExtraHTTPHeaders({});
+  }
+  
+  if (!success) {
+    console.error(`Failed to navigate to ${url} after multiple attempts:`, error);
+    throw new Error(`Failed to navigate to ${url}: ${error.message}`);
+  }
+  
+  const title = await page.title();
+  const currentUrl = page.url();
+  
+  console.log(`Successfully navigated to: ${currentUrl} (${title})`);
+  
+  const result = {
+    title,
+    url: currentUrl
+  };
+  if (response) {
+    result.status = response.status();
+  }
+  return result;
+}
+
+async function getPageContent(session, { mode = 'html', selector, ref, mainContent = false, maxLength = DEFAULT_CONTENT_LENGTH, cursor = 0 }) {
+  const { page } = session;
+  try {
+    if (!CONTENT_MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode} (expected one of ${CONTENT_MODES.join(', ')})`);
+    }
+    let result;
+    if (mode === 'html') {
+      result = {
+        content: selector || ref ? await evaluateInScope(page, { selector, ref }, el => el.outerHTML) : await page.content()
+      };
+    } else {
+      result = await evaluateInScope(page, { selector, ref }, contentInPage, { mode, mainContent });
+    }
+    return {
+      ...result,
+      mode,
+      ...sliceContent(result.content, { cursor, maxLength })
+    };
+  } catch (error) {
+    console.error(`Error getting page content:`, error);
+    return {
+      content: '',
+      error: error.message
+    };
+  }
+}
+
+async function snapshotPage(session, { selector, maxTokens }) {
+  const { page } = session;
+  try {
+    const root = selector ? await resolveElement(page, { selector }, { timeout: config.timeouts.element }) : null;
+    return await takeSnapshot(page, { root, maxTokens });
+  } catch (error) {
+    console.error(`Error taking page snapshot:`, error);
+    return {
+      snapshot: '',
+      error: error.message
+    };
+  }
+}
+
+async function clickElement(session, target, { button = 'left', clickCount = 1, modifiers = [], timeout = config.timeouts.element } = {}) {
+  const { page } = session;
+  try {
+    if (!MOUSE_BUTTONS.includes(button)) {
+      throw new Error(`Invalid button: ${button} (expected one of ${MOUSE_BUTTONS.join(', ')})`);
+    }
+    if (!Number.isInteger(clickCount) || clickCount < 1) {
+      throw new Error('clickCount must be a positive integer');
+    }
+    const keys = normalizeModifiers(modifiers);
+    const element = await resolveElement(page, target, { timeout, checks: ACTION_CHECKS.click });
+    let openedTabs;
+    try {
+      ({ openedTabs } = await captureOpenedTabs(session, () =>
+        withModifiers(page.keyboard, keys, () => element.click({ button, count: clickCount }))
+      ));
+    } finally {
+      await element.dispose();
+    }
+    
+    if (openedTabs.length > 0) {
+      return {
+        success: true,
+        openedTabs
+      };
+    }
+    
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error(`Error clicking element ${describeTarget(target)}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function typeText(session, target, text, { timeout = config.timeouts.element } = {}) {
+  const { page } = session;
+  try {
+    const element = await resolveElement(page, target, { timeout, checks: ACTION_CHECKS.type });
+    let masked;
+    try {
+      masked = await element.evaluate(isPasswordFieldInPage);
+      await element.type(text);
+    } finally {
+      await element.dispose();
+    }
+    const result = {
+      success: true
+    };
+    if (masked) {
+      result.masked = true;
+    }
+    return result;
+  } catch (error) {
+    console.error(`Error typing text into ${describeTarget(target)}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function clearAndType(session, target, text, { timeout = config.timeouts.element } = {}) {
+  const { page } = session;
+  try {
+    const element = await resolveElement(page, target, { timeout, checks: ACTION_CHECKS.type });
+    let masked;
+    try {
+      masked = await element.evaluate(isPasswordFieldInPage);
+      await element.evaluate(selectContentsInPage);
+      await page.keyboard.press('Backspace');
+      if (text) {
+        await element.type(text);
+      }
+    } finally {
+      await element.dispose();
+    }
+    const result = {
+      success: true
+    };
+    if (masked) {
+      result.masked = true;
+    }
+    return result;
+  } catch (error) {
+    console.error(`Error replacing text in ${describeTarget(target)}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function hover(session, target, { timeout = config.timeouts.element } = {}) {
+  const { page } = session;
+  try {
+    const element = await resolveElement(page, target, { timeout, checks: ACTION_CHECKS.hover });
+    try {
+      await element.hover();
+    } finally {
+      await element.dispose();
+    }
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error(`Error hovering ${describeTarget(target)}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function selectOption(session, target, values, { timeout = config.timeouts.element } = {}) {
+  const { page } = session;
+  try {
+    const wanted = [].concat(values === undefined ? [] : values).map(String);
+    if (wanted.length === 0) {
+      throw new Error('At least one value is required');
+    }
+    const element = await resolveElement(page, target, { timeout, checks: ACTION_CHECKS.select });
+    let selected;
+    try {
+      selected = await element.evaluate(selectOptionsInPage, wanted);
+    } finally {
+      await element.dispose();
+    }
+    return {
+      success: true,
+      selected
+    };
+  } catch (error) {
+    console.error(`Error selecting options in ${describeTarget(target)}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function setChecked(session, target, checked = true, { timeout = config.timeouts.element } = {}) {
+  const { page } = session;
+  try {
+    const element = await resolveElement(page, target, { timeout, checks: ACTION_CHECKS.click });
+    try {
+      const before = await element.evaluate(checkedStateInPage);
+      if (before.checked === checked) {
+        return {
+          success: true,
+          changed: false
+        };
+      }
+      if (!checked && before.radio) {
+        throw new Error('Cannot uncheck a radio button; check another option in its group instead');
+      }
+
+      await element.click();
+      const after = await element.evaluate(checkedStateInPage);
+      if (after.checked !== checked) {
+        throw new Error(`Clicking did not ${checked ? 'check' : 'uncheck'} the element`);
+      }
+    } finally {
+      await element.dispose();
+    }
+    return {
+      success: true,
+      changed: true
+    };
+  } catch (error) {
+    console.error(`Error setting checked state of ${describeTarget(target)}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function pressKey(session, key, target = {}, { timeout = config.timeouts.element } = {}) {
+  const { page } = session;
+  try {
+    if (target.selector || target.ref) {
+      const element = await resolveElement(page, target, { timeout, checks: ACTION_CHECKS.focus });
+      try {
+        await element.focus();
+      } finally {
+        await element.dispose();
+      }
+    }
+    await pressChord(page.keyboard, key);
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error(`Error pressing ${key}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function scrollTo(session, { selector, ref, x, y }) {
+  const { page } = session;
+  try {
+    if (selector || ref) {
+      const element = await resolveElement(page, { selector, ref }, { timeout: config.timeouts.element });
+      try {
+        await element.scrollIntoView();
+      } finally {
+        await element.dispose();
+      }
+    } else if (x !== undefined || y !== undefined) {
+      await page.evaluate((x, y) => window.scrollTo(x === null ? window.scrollX : x, y === null ? window.scrollY : y), x === undefined ? null : x, y === undefined ? null : y);
+    } else {
+      throw new Error('Either selector, ref, or x and y is required');
+    }
+    const position = await page.evaluate(() => ({ scrollX: window.scrollX, scrollY: window.scrollY }));
+    return {
+      success: true,
+      ...position
+    };
+  } catch (error) {
+    console.error(`Error scrolling:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function dragElement(session, { sourceSelector, sourceRef, targetSelector, targetRef }, { timeout = config.timeouts.element } = {}) {
+  const { page } = session;
+  const from = { selector: sourceSelector, ref: sourceRef };
+  const to = { selector: targetSelector, ref: targetRef };
+  try {
+    const source = await resolveElement(page, from, { timeout, checks: ACTION_CHECKS.drag });
+    try {
+      const target = await resolveElement(page, to, { timeout, checks: ACTION_CHECKS.drag });
+      try {
+        await dragAndDrop(page, source, target);
+      } finally {
+        await target.dispose();
+      }
+    } finally {
+      await source.dispose();
+    }
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error(`Error dragging ${describeTarget(from)} to ${describeTarget(to)}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function uploadFile(session, target, files, { timeout = config.timeouts.element } = {}) {
+  const { page } = session;
+  try {
+    const paths = [].concat(files === undefined ? [] : files).map(file => resolveFixture(config.fixturesDir, file));
+    if (paths.length === 0) {
+      throw new Error('At least one file is required');
+    }
+    let element = await resolveElement(page, target, { timeout });
+    try {
+      const input = await element.evaluate(el => (
+        el instanceof HTMLInputElement && el.type === 'file' ? { multiple: el.multiple } : null
+      ));
+
+      if (input) {
+        if (paths.length > 1 && !input.multiple) {
+          throw new Error('The file input accepts only one file');
+        }
+        await element.uploadFile(...paths);
+      } else {
+        // Anything else has to open a file chooser when clicked
+        await element.dispose();
+        element = await resolveElement(page, target, { timeout, checks: ACTION_CHECKS.click });
+        const [chooser] = await Promise.all([
+          page.waitForFileChooser({ timeout: config.timeouts.element }).catch(() => {
+            throw new Error('Clicking the element did not open a file chooser');
+          }),
+          element.click()
+        ]);
+        if (paths.length > 1 && !chooser.isMultiple()) {
+          await chooser.cancel();
+          throw new Error('The file chooser accepts only one file');
+        }
+        await chooser.accept(paths);
+      }
+    } finally {
+      await element.dispose();
+    }
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error(`Error uploading files to ${describeTarget(target)}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function getElementText(session, target) {
+  const { page } = session;
+  try {
+    const element = await resolveElement(page, target, { timeout: config.timeouts.element });
+    let text;
+    try {
+      text = await element.evaluate(el => el.textContent);
+    } finally {
+      await element.dispose();
+    }
+    return {
+      text: text.trim()
+    };
+  } catch (error) {
+    console.error(`Error getting text from ${describeTarget(target)}:`, error);
+    return {
+      text: '',
+      error: error.message
+    };
+  }
+}
+
+async function extract(session, { schema, next, maxPages = DEFAULT_MAX_PAGES, timeout = config.timeouts.navigation }) {
+  const { page } = session;
+
+  // Click the next page link or button, if there is one that can be used
+  const clickNext = async selector => {
+    let element;
+    try {
+      element = await resolveElement(page, { selector }, { timeout: 0 });
+    } catch (error) {
+      if (/^No element matches/.test(error.message)) {
+        return false;
+      }
+      throw error;
+    }
+    const usable = await element.evaluate(el => !el.matches(':disabled') && !el.closest('[aria-disabled="true"]'))
+      && await element.evaluate(isVisibleInPage);
+    await element.dispose();
+    if (!usable) {
+      return false;
+    }
+    const target = await resolveElement(page, { selector }, { timeout: config.timeouts.element, checks: ACTION_CHECKS.click });
+    await target.click();
+    await target.dispose();
+    return true;
+  };
+
+  try {
+    return await extractPages(page, schema, { next, maxPages, timeout, clickNext });
+  } catch (error) {
+    console.error(`Error extracting data:`, error);
+    return {
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+// Run an in-page function on the element a listing tool is scoped to, or on
+// the whole page
+async function evaluateInScope(page, target, pageFunction, ...args) {
+  if (!target.selector && !target.ref) {
+    return page.evaluate(pageFunction, null, ...args);
+  }
+  const root = await resolveElement(page, target, { timeout: config.timeouts.element });
+  try {
+    return await root.evaluate(pageFunction, ...args);
+  } finally {
+    await root.dispose();
+  }
+}
+
+async function extractTable(session, { selector, ref, headerRow = true }) {
+  const { page } = session;
+  try {
+    const target = selector || ref ? { selector, ref } : { selector: 'table' };
+    const table = await resolveElement(page, target, { timeout: config.timeouts.element });
+    const result = await table.evaluate(tableInPage, { headerRow });
+    await table.dispose();
+    return result;
+  } catch (error) {
+    console.error(`Error extracting table:`, error);
+    return {
+      headers: [],
+      rows: [],
+      error: error.message
+    };
+  }
+}
+
+async function getLinks(session, { selector, ref, sameOrigin, url }) {
+  const { page } = session;
+  try {
+    const matches = url ? createUrlMatcher({ url }) : () => true;
+    const links = (await evaluateInScope(page, { selector, ref }, linksInPage))
+      .filter(link => (!sameOrigin || link.sameOrigin) && matches(link.href));
+    return {
+      links
+    };
+  } catch (error) {
+    console.error(`Error listing links:`, error);
+    return {
+      links: [],
+      error: error.message
+    };
+  }
+}
+
+async function getForms(session, { selector, ref }) {
+  const { page } = session;
+  try {
+    return {
+      forms: await evaluateInScope(page, { selector, ref }, formsInPage)
+    };
+  } catch (error) {
+    console.error(`Error listing forms:`, error);
+    return {
+      forms: [],
+      error: error.message
+    };
+  }
+}
+
+async function waitForSelector(session, selector, timeout = config.timeouts.element, state = 'attached') {
+  const { page } = session;
+  try {
+    if (!SELECTOR_STATES.includes(state)) {
+      throw new Error(`Invalid state: ${state} (expected one of ${SELECTOR_STATES.join(', ')})`);
+    }
+    if (state === 'hidden' || state === 'detached') {
+      await waitForSelectorGone(page, selector, { state, timeout });
+    } else {
+      const element = await resolveElement(page, { selector }, { timeout, checks: state === 'visible' ? ['visible'] : [] });
+      await element.dispose();
+    }
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error(`Error waiting for selector ${selector}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function waitForNavigation(session, { url, urlRegex, waitUntil = 'load', timeout = config.timeouts.navigation }) {
+  const { page } = session;
+  try {
+    const matches = url || urlRegex ? createUrlMatcher({ url, urlRegex }) : null;
+    const response = await waitForUrl(page, matches, { waitUntil, timeout, description: url || urlRegex });
+    const result = {
+      success: true,
+      url: page.url()
+    };
+    if (response) {
+      result.status = response.status();
+    }
+    return result;
+  } catch (error) {
+    console.error(`Error waiting for navigation:`, error);
+    return {
+      success: false,
+      url: page.url(),
+      error: error.message
+    };
+  }
+}
+
+async function waitForNetworkIdle(session, { idleTime = 500, concurrency = 0, timeout = config.timeouts.navigation }) {
+  const { page } = session;
+  try {
+    await page.waitForNetworkIdle({ idleTime, concurrency, timeout });
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error(`Error waiting for network idle:`, error);
+    return {
+      success: false,
+      error: error.name === 'TimeoutError' ? `Network did not go idle for ${idleTime}ms within ${timeout}ms` : error.message
+    };
+  }
+}
+
+async function waitForFunction(session, script, { polling, timeout = config.timeouts.element }) {
+  const { page } = session;
+  try {
+    if (typeof script !== 'string' || !script.trim()) {
+      throw new Error('script is required');
+    }
+    const result = await waitForPredicate(page, script, { polling, timeout });
+    return {
+      success: true,
+      result
+    };
+  } catch (error) {
+    console.error(`Error waiting for function:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function waitForText(session, text, { selector, ref, timeout = config.timeouts.element }) {
+  const { page } = session;
+  try {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('text is required');
+    }
+    const root = selector || ref ? await resolveElement(page, { selector, ref }, { timeout }) : null;
+    await waitForTextIn(page, text, { root, timeout });
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error(`Error waiting for text ${text}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function waitForResponse(session, { url, urlRegex, method, statusMin, statusMax, maxBodyLength, timeout = config.timeouts.navigation }) {
+  const { page } = session;
+  try {
+    const matches = createRequestFilter({ url, urlRegex, method, statusMin, statusMax });
+    let response;
+    try {
+      response = await page.waitForResponse(response => matches({
+        url: response.url(),
+        method: response.request().method(),
+        type: response.request().resourceType(),
+        response: { status: response.status() }
+      }), { timeout });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`No matching response within ${timeout}ms`);
+      }
+      throw error;
+    }
+    return {
+      success: true,
+      ...(await describeResponse(response, { maxBodyLength }))
+    };
+  } catch (error) {
+    console.error(`Error waiting for response:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function evaluateScript(session, { script, args, frame, isolated = false, timeout = DEFAULT_EVALUATE_TIMEOUT }) {
+  const { page } = session;
+  try {
+    let target = page.mainFrame();
+    if (frame) {
+      const element = await resolveElement(page, { selector: frame }, { timeout: config.timeouts.element });
+      target = await element.contentFrame();
+      await element.dispose();
+      if (!target) {
+        throw new Error(`${frame} is not an iframe`);
+      }
+    }
+
+    const outcome = await evaluateInFrame(target, script, { args, isolated, timeout });
+    if ('thrown' in outcome) {
+      return {
+        result: null,
+        exception: outcome.thrown,
+        error: `Script threw ${describeThrown(outcome.thrown)}`
+      };
+    }
+    return {
+      result: outcome.value
+    };
+  } catch (error) {
+    console.error(`Error evaluating script:`, error);
+    return {
+      result: null,
+      error: error.message
+    };
+  }
+}
+
+async function captureConsoleLog(session) {
+  try {
+    // Clear previous logs
+    session.events.clear('console');
+    session.events.clear('errors');
+    session.isConsoleMonitoring = true;
+    
+    // Set up console log listener if not already set
+    await registerMonitor(session, 'console', page => {
+      page.on('console', message => {
+        if (session.isConsoleMonitoring) {
+          session.events.add('console', {
+            type: message.type(),
+            text: message.text(),
+            timestamp: new Date().toISOString()
+          });
+        }
+      });
+    });
+    await registerMonitor(session, 'diagnostics', page => attachDiagnostics(session, page));
+    
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error(`Error capturing console logs:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function getConsoleLogs(session, { level, search, from, to, since, limit }) {
+  try {
+    // Puppeteer reports console.warn() as 'warning'
+    const levels = [].concat(level || []).map(l => String(l).toLowerCase()).map(l => (l === 'warn' ? 'warning' : l));
+    const { events, ...page } = session.events.query('console', {
+      since,
+      limit,
+      from,
+      to,
+      search,
+      filter: levels.length > 0 ? entry => levels.includes(entry.type) : null,
+      searchText: entry => entry.text
+    });
+    
+    return {
+      logs: events,
+      ...page
+    };
+  } catch (error) {
+    console.error(`Error getting console logs:`, error);
+    return {
+      logs: [],
+      error: error.message
+    };
+  }
+}
+
+async function getPageErrors(session, { kind, search, from, to, since, limit }) {
+  try {
+    const kinds = [].concat(kind || []);
+    await settleDiagnostics(session);
+    const { events, ...page } = session.events.query('errors', {
+      since,
+      limit,
+      from,
+      to,
+      search,
+      filter: kinds.length > 0 ? entry => kinds.includes(entry.kind) : null,
+      searchText: errorSearchText
+    });
+    
+    return {
+      errors: events,
+      ...page
+    };
+  } catch (error) {
+    console.error(`Error getting page errors:`, error);
+    return {
+      errors: [],
+      error: error.message
+    };
+  }
+}
+
+async function monitorNetwork(session, options = {}) {
+  try {
+    // Clear previous requests
+    session.events.clear('network');
+    session.isNetworkMonitoring = true;
+    session.networkOptions = {
+      captureBodies: Boolean(options.captureBodies),
+      maxBodySize: options.maxBodySize
+    };
+    
+    await registerMonitor(session, 'network', page => attachNetworkCapture(session, page));
+    
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error(`Error monitoring network:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
-// MCP endpoint
-app.post('/mcp', async (req, res) => {
+async function getNetworkRequests(session, { search, from, to, since, limit, ...filters }) {
   try {
-    const { tool, parameters } = req.body;
+    const { events, ...page } = session.events.query('network', {
+      since,
+      limit,
+      from,
+      to,
+      search,
+      filter: createRequestFilter(filters),
+      searchText: requestSearchText
+    });
     
-    // Initialize browser if not already initialized or if connection is closed
+    return {
+      requests: events.map(summarizeRequest),
+      ...page
+    };
+  } catch (error) {
+    console.error(`Error getting network requests:`, error);
+    return {
+      requests: [],
+      error: error.message
+    };
+  }
+}
+
+// Without a source, clears captured events but keeps the action journal,
+// which only goes when asked for by name
+async function clearLogs(session, source) {
+  for (const name of source ? [source] : ['console', 'errors', 'network']) {
+    session.events.clear(name);
+  }
+  if (!source || source === 'network') {
+    clearBodies(session);
+  }
+  return {
+    success: true
+  };
+}
+
+async function exportHar(session) {
+  try {
+    let pageTitle = '';
     try {
-      if (!browser || !page || !browser.isConnected()) {
-        await initBrowser();
-      }
+      pageTitle = await session.page.title();
     } catch (error) {
-      console.error('Error initializing browser:', error);
-      await initBrowser();
+      // Export what we have even if the page is gone
     }
     
-    let result;
+    const har = buildHar(session.events.list('network'), {
+      creator: { name: packageJson.name, version: packageJson.version },
+      pageTitle
+    });
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const harPath = path.join(screenshotsDir, `network-${timestamp}.har`);
+    // Response bodies may echo credentials a login sent
+    fs.writeFileSync(harPath, JSON.stringify(redactValue(har, session.secrets), null, 2));
+    
+    return {
+      harPath: `/network-${timestamp}.har`,
+      entries: har.log.entries.length
+    };
+  } catch (error) {
+    console.error(`Error exporting HAR:`, error);
+    return {
+      harPath: null,
+      error: error.message
+    };
+  }
+}
+
+async function addRouteRule(session, parameters) {
+  try {
+    const rule = createRouteRule(`rule-${session.routeRuleCounter + 1}`, parameters, {
+      fixturesDir: config.fixturesDir
+    });
+    session.routeRuleCounter++;
+    session.routeRules.push(rule);
+    
+    await registerMonitor(session, 'interception', page => attachInterception(session, page));
     
-    switch (tool) {
-      case 'takeScreenshot':
-        result = await takeScreenshot();
-        break;
-      case 'navigateTo':
-        result = await navigateTo(parameters.url);
-        break;
-      case 'getPageContent':
-        result = await getPageContent();
-        break;
-      case 'clickElement':
-        result = await clickElement(parameters.selector);
-        break;
-      case 'typeText':
-        result = await typeText(parameters.selector, parameters.text);
-        break;
-      case 'getElementText':
-        result = await getElementText(parameters.selector);
-        break;
-      case 'waitForSelector':
-        result = await waitForSelector(parameters.selector, parameters.timeout);
-        break;
-      case 'evaluateScript':
-        result = await evaluateScript(parameters.script);
-        break;
-      case 'captureConsoleLog':
-        result = await captureConsoleLog();
-        break;
-      case 'getConsoleLogs':
-        result = await getConsoleLogs();
-        break;
-      case 'monitorNetwork':
-        result = await monitorNetwork();
-        break;
-      case 'getNetworkRequests':
-        result = await getNetworkRequests();
-        break;
-      case 'getPerformanceMetrics':
-        result = await getPerformanceMetrics();
-        break;
-      case 'getCookies':
-        result = await getCookies(parameters.urls);
-        break;
-      case 'setCookie':
-        result = await setCookie(parameters);
-        break;
-      case 'deleteCookies':
-        result = await deleteCookies(parameters.names, parameters.url);
-        break;
-      case 'authenticate':
-        result = await authenticate(parameters.username, parameters.password);
-        break;
-      case 'getLocalStorage':
-        result = await getLocalStorage(parameters.key);
-        break;
-      case 'setLocalStorage':
-        result = await setLocalStorage(parameters.key, parameters.value);
-        break;
-      default:
-        return res.status(400).json({ error: `Unknown tool: ${tool}` });
+    return {
+      ruleId: rule.id
+    };
+  } catch (error) {
+    console.error(`Error adding route rule:`, error);
+    return {
+      ruleId: null,
+      error: error.message
+    };
+  }
+}
+
+async function removeRouteRule(session, ruleId) {
+  try {
+    if (!ruleId) {
+      session.routeRules = [];
+    } else {
+      if (!session.routeRules.some(rule => rule.id === ruleId)) {
+        throw new Error(`Unknown rule: ${ruleId}`);
+      }
+      session.routeRules = session.routeRules.filter(rule => rule.id !== ruleId);
     }
+    await detachInterceptionIfUnused(session);
     
-    res.json(result);
+    return {
+      success: true
+    };
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ error: error.message });
+    console.error(`Error removing route rule:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
   }
-});
+}
 
-// Tool implementations
-async function takeScreenshot() {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const screenshotPath = path.join(screenshotsDir, `screenshot-${timestamp}.png`);
-  
-  await page.screenshot({ path: screenshotPath, fullPage: true });
-  
+async function listRouteRules(session) {
   return {
-    screenshotPath: `/screenshot-${timestamp}.png`
+    rules: session.routeRules.map(describeRule)
   };
 }
 
-async function navigateTo(url) {
-  // Add http:// if not present
-  if (!url.startsWith('http://') && !url.startsWith('https://')) {
-    url = 'https://' + url;
-  }
-  
-  console.log(`Attempting to navigate to: ${url}`);
-  
-  // Add retry logic
-  let retries = 3;
-  let success = false;
-  let error = null;
-  
-  while (retries > 0 && !success) {
-    try {
-      // Set a longer timeout for navigation
-      await page.goto(url, { 
-        waitUntil: 'networkidle2',
-        timeout: 30000 // 30 seconds timeout
-      });
-      success = true;
-    } catch (err) {
-      error = err;
-      console.log(`Navigation attempt failed (${retries} retries left): ${err.message}`);
-      retries--;
+async function getPerformanceMetrics(session) {
+  const { page } = session;
+  try {
+    // Get metrics from Chrome DevTools Protocol
+    const client = await page.target().createCDPSession();
+    await client.send('Performance.enable');
+    const metrics = await client.send('Performance.getMetrics');
+    
+    // Get navigation timing data
+    const timingData = await page.evaluate(() => {
+      const timing = performance.timing || {};
+      const navigation = performance.navigation || {};
       
-      if (retries > 0) {
-        console.log(`Waiting 2 seconds before retrying...`);
-        await new Promise(resolve => setTimeout(resolve, 2000));
+      // Get all performance entries
+      const entries = performance.getEntriesByType('resource').map(entry => ({
+        name: entry.name,
+        entryType: entry.entryType,
+        startTime: entry.startTime,
+        duration: entry.duration,
+        initiatorType: entry.initiatorType
+      }));
+      
+      return {
+        timing: {
+          navigationStart: timing.navigationStart,
+          unloadEventStart: timing.unloadEventStart,
+          unloadEventEnd: timing.unloadEventEnd,
+          redirectStart: timing.redirectStart,
+          redirectEnd: timing.redirectEnd,
+          fetchStart: timing.fetchStart,
+          domainLookupStart: timing.domainLookupStart,
+          domainLookupEnd: timing.domainLookupEnd,
+          connectStart: timing.connectStart,
+          connectEnd: timing.connectEnd,
+          secureConnectionStart: timing.secureConnectionStart,
+          requestStart: timing.requestStart,
+          responseStart: timing.responseStart,
+          responseEnd: timing.responseEnd,
+          domLoading: timing.domLoading,
+          domInteractive: timing.domInteractive,
+          domContentLoadedEventStart: timing.domContentLoadedEventStart,
+          domContentLoadedEventEnd: timing.domContentLoadedEventEnd,
+          domComplete: timing.domComplete,
+          loadEventStart: timing.loadEventStart,
+          loadEventEnd: timing.loadEventEnd
+        },
+        navigation: {
+          type: navigation.type,
+          redirectCount: navigation.redirectCount
+        },
+        entries
+      };
+    });
+    
+    return {
+      metrics: {
+        chrome: metrics.metrics,
+        timing: timingData
       }
+    };
+  } catch (error) {
+    console.error(`Error getting performance metrics:`, error);
+    return {
+      metrics: {},
+      error: error.message
+    };
+  }
+}
+
+
+async function getAccessibilityTree(session, { selector, interestingOnly = true, maxDepth }) {
+  const { page } = session;
+  try {
+    const options = { interestingOnly };
+    if (selector) {
+      options.root = await resolveElement(page, { selector }, { timeout: config.timeouts.element });
     }
+    
+    let tree = await page.accessibility.snapshot(options);
+    if (!tree && options.root && interestingOnly) {
+      tree = collapseUninteresting(await page.accessibility.snapshot({ ...options, interestingOnly: false }));
+    }
+    if (maxDepth !== undefined) {
+      tree = pruneTree(tree, maxDepth);
+    }
+    
+    return {
+      tree,
+      nodeCount: countNodes(tree)
+    };
+  } catch (error) {
+    console.error(`Error getting accessibility tree:`, error);
+    return {
+      tree: null,
+      error: error.message
+    };
   }
-  
-  if (!success) {
-    console.error(`Failed to navigate to ${url} after multiple attempts:`, error);
-    throw new Error(`Failed to navigate to ${url}: ${error.message}`);
+}
+
+async function auditAccessibility(session, { selector, tags, rules, minImpact }) {
+  const { page } = session;
+  try {
+    const root = selector ? await resolveElement(page, { selector }, { timeout: config.timeouts.element }) : null;
+    return await runAudit(page, { root, tags, rules, minImpact });
+  } catch (error) {
+    console.error(`Error auditing accessibility:`, error);
+    return {
+      violations: [],
+      error: error.message
+    };
   }
-  
-  const title = await page.title();
-  const currentUrl = page.url();
-  
-  console.log(`Successfully navigated to: ${currentUrl} (${title})`);
-  
-  return {
-    title,
-    url: currentUrl
-  };
 }
 
-async function getPageContent() {
-  const content = await page.content();
-  
-  return {
-    content
-  };
+// Without urls, domain or all, the cookies sent to the current page
+function cookieFilters(session, { urls, url, domain, path, names, all }) {
+  const cookieUrls = urls || url ? [].concat(urls || url) : [];
+  if (cookieUrls.length === 0 && !domain && !all) {
+    cookieUrls.push(session.page.url());
+  }
+  return { urls: cookieUrls, domain, path, names };
+}
+
+async function getCookies(session, parameters) {
+  const { page } = session;
+  try {
+    const cookies = await listCookies(page, cookieFilters(session, parameters));
+    return {
+      cookies
+    };
+  } catch (error) {
+    console.error(`Error getting cookies:`, error);
+    return {
+      cookies: [],
+      error: error.message
+    };
+  }
+}
+
+async function setCookie(session, cookieData) {
+  const { page } = session;
+  try {
+    await page.setCookie(cookieData);
+    return {
+      success: true
+    };
+  } catch (error) {
+    console.error(`Error setting cookie:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function deleteCookies(session, parameters) {
+  const { page } = session;
+  try {
+    const deleted = await removeCookies(page, cookieFilters(session, parameters));
+    return {
+      success: true,
+      deleted: deleted.map(({ name, domain, path }) => ({ name, domain, path }))
+    };
+  } catch (error) {
+    console.error(`Error deleting cookies:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function saveStorageState(session, { name, origins, indexedDB = true }) {
+  try {
+    const { state, skipped } = await captureStorageState(session, { origins, indexedDB });
+    writeStorageState(config.storageStateDir, name, state);
+    return {
+      success: true,
+      cookies: state.cookies.length,
+      origins: state.origins.map(({ origin }) => origin),
+      skipped
+    };
+  } catch (error) {
+    console.error(`Error saving storage state:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+async function loadStorageState(session, { name, replace = false }) {
+  try {
+    const state = readStorageState(config.storageStateDir, name);
+    return {
+      success: true,
+      ...await applyStorageState(session, state, { replace })
+    };
+  } catch (error) {
+    console.error(`Error loading storage state:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
 }
 
-async function clickElement(selector) {
+async function authenticate(session, username, password) {
   try {
-    await page.waitForSelector(selector, { timeout: 5000 });
-    await page.click(selector);
+    // Applies to every tab, and is re-applied if a page has to be recreated
+    await setMonitor(session, 'authenticate', target => target.authenticate({ username, password }));
     return {
       success: true
     };
   } catch (error) {
-    console.error(`Error clicking element ${selector}:`, error);
+    console.error(`Error setting authentication:`, error);
     return {
       success: false,
       error: error.message
@@ -717,95 +4094,214 @@ async function clickElement(selector) {
   }
 }
 
-async function typeText(selector, text) {
+// Fill in a login form field, replacing what it holds
+async function fillLoginField(page, selector, value) {
+  const element = await resolveElement(page, { selector }, { timeout: config.timeouts.element, checks: ACTION_CHECKS.type });
+  await element.evaluate(selectContentsInPage);
+  await page.keyboard.press('Backspace');
+  await element.type(value);
+  return element;
+}
+
+// Submit a login step with its submit button, or by pressing Enter in the
+// last field filled in
+async function submitLoginStep(page, submit, lastField) {
+  if (submit) {
+    const button = await resolveElement(page, { selector: submit }, { timeout: config.timeouts.element, checks: ACTION_CHECKS.click });
+    await button.click();
+  } else {
+    await lastField.press('Enter');
+  }
+}
+
+async function login(session, { name, force = false, timeout = config.timeouts.navigation }) {
+  const { page } = session;
+  // A TOTP code is redacted only while this login runs: kept in the
+  // session's secrets, any number that happened to match it would be blanked
+  // out of every later result
+  let totpCode = null;
   try {
-    await page.waitForSelector(selector, { timeout: 5000 });
-    await page.type(selector, text);
-    return {
-      success: true
+    const profile = Object.prototype.hasOwnProperty.call(config.logins, name) ? config.logins[name] : null;
+    if (!profile) {
+      const names = Object.keys(config.logins);
+      throw new Error(`Unknown login: ${name} (${names.length > 0 ? `configured: ${names.join(', ')}` : 'none are configured'})`);
+    }
+
+    // Resolve every credential before touching the page, so a missing one
+    // fails early. They are redacted from captured traffic from now on.
+    const resolve = createResolver({ secretsFile: config.secretsFile, secrets: session.secrets });
+    const fields = (profile.fields || []).map(([selector, value]) => [selector, resolve(value)]);
+    const totpSecret = profile.totp && resolve(profile.totp.secret);
+    const headers = {};
+    for (const [origin, values] of Object.entries(profile.headers || {})) {
+      headers[origin] = Object.fromEntries(Object.entries(values).map(([header, value]) => [header, resolve(value)]));
+    }
+    const credentials = profile.httpCredentials && {
+      username: resolve(profile.httpCredentials.username),
+      password: resolve(profile.httpCredentials.password)
     };
+
+    if (profile.headers) {
+      for (const [origin, values] of Object.entries(headers)) {
+        session.originHeaders[origin] = { ...session.originHeaders[origin], ...values };
+      }
+      await registerMonitor(session, 'interception', target => attachInterception(session, target));
+    }
+    if (credentials) {
+      await setMonitor(session, 'authenticate', target => target.authenticate(credentials));
+    }
+
+    const result = { success: true, cached: false };
+    if (profile.headers) {
+      result.headers = Object.keys(headers);
+    }
+    if (!profile.url) {
+      return result;
+    }
+
+    // A cached login counts if the site still shows it as signed in
+    const cached = profile.cache && !force ? readCachedLogin(config.storageStateDir, profile) : null;
+    if (cached) {
+      await applyStorageState(session, cached);
+      await page.goto(profile.url, { waitUntil: 'load', timeout });
+      const accepted = await waitForLogin(page, { ...profile, failure: null }, { timeout: config.timeouts.element }).then(() => true, () => false);
+      if (accepted) {
+        return { ...result, cached: true, url: redact(page.url(), session.secrets) };
+      }
+    }
+
+    await page.goto(profile.url, { waitUntil: 'load', timeout });
+
+    let lastField = null;
+    for (const [selector, value] of fields) {
+      lastField = await fillLoginField(page, selector, value);
+    }
+    if (lastField) {
+      await submitLoginStep(page, profile.submit, lastField);
+    }
+
+    if (profile.totp) {
+      // Wait for the field first, so the code is as fresh as it can be
+      await resolveElement(page, { selector: profile.totp.selector }, { timeout, checks: ACTION_CHECKS.type });
+      const code = await freshTotp(totpSecret, profile.totp);
+      if (!session.secrets.has(code)) {
+        totpCode = code;
+        session.secrets.add(code);
+      }
+      const field = await fillLoginField(page, profile.totp.selector, code);
+      await submitLoginStep(page, profile.totp.submit, field);
+    }
+
+    if (profile.success) {
+      await waitForLogin(page, profile, { timeout });
+    }
+
+    if (profile.cache) {
+      const { state } = await captureStorageState(session, {});
+      writeCachedLogin(config.storageStateDir, profile, state);
+    }
+
+    return { ...result, url: redact(page.url(), session.secrets) };
   } catch (error) {
-    console.error(`Error typing text into ${selector}:`, error);
+    // Only the redacted message is logged, in case a page or protocol error
+    // quoted a credential
+    const message = redact(error.message, session.secrets);
+    console.error(`Error logging in with ${name}:`, message);
     return {
       success: false,
-      error: error.message
+      error: message
     };
+  } finally {
+    if (totpCode) {
+      session.secrets.delete(totpCode);
+    }
   }
 }
 
-async function getElementText(selector) {
+async function listLogins() {
   try {
-    await page.waitForSelector(selector, { timeout: 5000 });
-    const text = await page.$eval(selector, el => el.textContent);
     return {
-      text: text.trim()
+      logins: Object.values(config.logins).map(profile => describeLogin(profile, config.storageStateDir))
     };
   } catch (error) {
-    console.error(`Error getting text from ${selector}:`, error);
+    console.error(`Error listing logins:`, error);
     return {
-      text: '',
+      logins: [],
       error: error.message
     };
   }
 }
 
-async function waitForSelector(selector, timeout = 5000) {
+// localStorage and sessionStorage work alike; `area` says which to use
+async function getWebStorage(session, area, key) {
+  const { page } = session;
   try {
-    await page.waitForSelector(selector, { timeout });
+    const data = await page.evaluate((area, k) => {
+      const storage = window[area];
+      if (k) {
+        return { [k]: storage.getItem(k) };
+      } else {
+        const items = {};
+        for (let i = 0; i < storage.length; i++) {
+          const key = storage.key(i);
+          items[key] = storage.getItem(key);
+        }
+        return items;
+      }
+    }, area, key);
+
     return {
-      success: true
+      data
     };
   } catch (error) {
-    console.error(`Error waiting for selector ${selector}:`, error);
+    console.error(`Error getting ${area}:`, error);
     return {
-      success: false,
+      data: {},
       error: error.message
     };
   }
 }
 
-async function evaluateScript(script) {
+async function setWebStorage(session, area, key, value) {
+  const { page } = session;
   try {
-    // Wrap the script in an IIFE to handle return statements
-    const wrappedScript = `(() => { ${script} })()`;
-    const result = await page.evaluate(wrappedScript);
-    
+    await page.evaluate((area, k, v) => {
+      window[area].setItem(k, v);
+    }, area, key, value);
+
     return {
-      result: typeof result === 'object' ? JSON.stringify(result) : String(result || '')
+      success: true
     };
   } catch (error) {
-    console.error(`Error evaluating script:`, error);
+    console.error(`Error setting ${area}:`, error);
     return {
-      result: '',
+      success: false,
       error: error.message
     };
   }
 }
 
-async function captureConsoleLog() {
+async function removeWebStorage(session, area, { key, keys }) {
+  const { page } = session;
   try {
-    // Clear previous logs
-    consoleLogs = [];
-    isConsoleMonitoring = true;
-    
-    // Set up console log listener if not already set
-    if (!page.listenerCount('console')) {
-      page.on('console', message => {
-        if (isConsoleMonitoring) {
-          consoleLogs.push({
-            type: message.type(),
-            text: message.text(),
-            timestamp: new Date().toISOString()
-          });
-        }
-      });
+    const names = key ? [key] : keys;
+    if ((key && keys) || !Array.isArray(names) || names.length === 0) {
+      throw new Error('Give either key or a non-empty keys array');
     }
-    
+    const removed = await page.evaluate((area, keys) => {
+      const storage = window[area];
+      const present = keys.filter(key => storage.getItem(key) !== null);
+      for (const key of keys) {
+        storage.removeItem(key);
+      }
+      return present;
+    }, area, names);
     return {
-      success: true
+      success: true,
+      removed
     };
   } catch (error) {
-    console.error(`Error capturing console logs:`, error);
+    console.error(`Error removing ${area} keys:`, error);
     return {
       success: false,
       error: error.message
@@ -813,57 +4309,20 @@ async function captureConsoleLog() {
   }
 }
 
-async function getConsoleLogs() {
-  return {
-    logs: consoleLogs
-  };
-}
-
-async function monitorNetwork() {
+async function clearWebStorage(session, area) {
+  const { page } = session;
   try {
-    // Clear previous requests
-    networkRequests = [];
-    isNetworkMonitoring = true;
-    
-    // Create a CDP session to monitor network
-    const client = await page.target().createCDPSession();
-    await client.send('Network.enable');
-    
-    // Listen for request events
-    client.on('Network.requestWillBeSent', request => {
-      if (isNetworkMonitoring) {
-        networkRequests.push({
-          requestId: request.requestId,
-          url: request.request.url,
-          method: request.request.method,
-          headers: request.request.headers,
-          timestamp: new Date().toISOString(),
-          type: request.type
-        });
-      }
-    });
-    
-    // Listen for response events
-    client.on('Network.responseReceived', response => {
-      if (isNetworkMonitoring) {
-        const requestIndex = networkRequests.findIndex(req => req.requestId === response.requestId);
-        
-        if (requestIndex !== -1) {
-          networkRequests[requestIndex].response = {
-            status: response.response.status,
-            headers: response.response.headers,
-            mimeType: response.response.mimeType,
-            timestamp: new Date().toISOString()
-          };
-        }
-      }
-    });
-    
+    const removed = await page.evaluate(area => {
+      const count = window[area].length;
+      window[area].clear();
+      return count;
+    }, area);
     return {
-      success: true
+      success: true,
+      removed
     };
   } catch (error) {
-    console.error(`Error monitoring network:`, error);
+    console.error(`Error clearing ${area}:`, error);
     return {
       success: false,
       error: error.message
@@ -871,105 +4330,107 @@ async function monitorNetwork() {
   }
 }
 
-async function getNetworkRequests() {
-  return {
-    requests: networkRequests
-  };
+async function listIndexedDB(session, { database }) {
+  const { page } = session;
+  try {
+    return await runIndexedDB(page, 'list', { database });
+  } catch (error) {
+    console.error(`Error listing IndexedDB databases:`, error);
+    return {
+      databases: [],
+      error: error.message
+    };
+  }
 }
 
-async function getPerformanceMetrics() {
+async function queryIndexedDB(session, { database, store, index, key, lower, upper, lowerOpen, upperOpen, offset = 0, limit = DEFAULT_RECORD_LIMIT, direction = 'next' }) {
+  const { page } = session;
   try {
-    // Get metrics from Chrome DevTools Protocol
-    const client = await page.target().createCDPSession();
-    await client.send('Performance.enable');
-    const metrics = await client.send('Performance.getMetrics');
-    
-    // Get navigation timing data
-    const timingData = await page.evaluate(() => {
-      const timing = performance.timing || {};
-      const navigation = performance.navigation || {};
-      
-      // Get all performance entries
-      const entries = performance.getEntriesByType('resource').map(entry => ({
-        name: entry.name,
-        entryType: entry.entryType,
-        startTime: entry.startTime,
-        duration: entry.duration,
-        initiatorType: entry.initiatorType
-      }));
-      
-      return {
-        timing: {
-          navigationStart: timing.navigationStart,
-          unloadEventStart: timing.unloadEventStart,
-          unloadEventEnd: timing.unloadEventEnd,
-          redirectStart: timing.redirectStart,
-          redirectEnd: timing.redirectEnd,
-          fetchStart: timing.fetchStart,
-          domainLookupStart: timing.domainLookupStart,
-          domainLookupEnd: timing.domainLookupEnd,
-          connectStart: timing.connectStart,
-          connectEnd: timing.connectEnd,
-          secureConnectionStart: timing.secureConnectionStart,
-          requestStart: timing.requestStart,
-          responseStart: timing.responseStart,
-          responseEnd: timing.responseEnd,
-          domLoading: timing.domLoading,
-          domInteractive: timing.domInteractive,
-          domContentLoadedEventStart: timing.domContentLoadedEventStart,
-          domContentLoadedEventEnd: timing.domContentLoadedEventEnd,
-          domComplete: timing.domComplete,
-          loadEventStart: timing.loadEventStart,
-          loadEventEnd: timing.loadEventEnd
-        },
-        navigation: {
-          type: navigation.type,
-          redirectCount: navigation.redirectCount
-        },
-        entries
-      };
+    if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1) {
+      throw new Error('offset must be a non-negative integer and limit a positive one');
+    }
+    const { records, total, hasMore } = await runIndexedDB(page, 'query', {
+      database, store, index, key, lower, upper, lowerOpen, upperOpen, offset, limit, direction
     });
-    
     return {
-      metrics: {
-        chrome: metrics.metrics,
-        timing: timingData
-      }
+      records,
+      total,
+      hasMore
     };
   } catch (error) {
-    console.error(`Error getting performance metrics:`, error);
+    console.error(`Error querying IndexedDB:`, error);
     return {
-      metrics: {},
+      records: [],
       error: error.message
     };
   }
 }
 
-async function getCookies(urls) {
+async function deleteIndexedDB(session, { database, store, key, lower, upper, lowerOpen, upperOpen, all = false }) {
+  const { page } = session;
   try {
-    // Make sure urls is an array if provided
-    const cookieUrls = urls ? (Array.isArray(urls) ? urls : [urls]) : [];
-    const cookies = await page.cookies(...cookieUrls);
+    const { deleted } = await runIndexedDB(page, 'delete', {
+      database, store, key, lower, upper, lowerOpen, upperOpen, all
+    });
     return {
-      cookies
+      success: true,
+      deleted
     };
   } catch (error) {
-    console.error(`Error getting cookies:`, error);
+    console.error(`Error deleting IndexedDB records:`, error);
     return {
-      cookies: [],
+      success: false,
       error: error.message
     };
   }
 }
 
-async function setCookie(cookieData) {
+async function runScript(session, { name, script, variables = {}, stopOnFailure = true }) {
   try {
-    await page.setCookie(cookieData);
+    if (name && script) {
+      throw new Error('Use either name or script, not both');
+    }
+    if (!name && !script) {
+      throw new Error('Either name or script is required');
+    }
+    const steps = name ? readScript(config.scriptsDir, name) : script;
+    validateScript(steps, tool => hasTool(tool) && !unscriptableTools.has(tool) && !isDisabled(tool));
+
+    const report = await runSteps(steps, {
+      variables,
+      stopOnFailure,
+      timeout: config.timeouts.element,
+      // Steps always run in the session the script runs in
+      callStep: (tool, parameters) => callTool(tool, { ...parameters, sessionId: session.id }),
+      getPage: () => session.page
+    });
+    console.log(`Script ${name || '(inline)'}: ${report.passed ? 'passed' : `failed at step ${report.failedStep}`}`);
+    return report;
+  } catch (error) {
+    console.error(`Error running script ${name || '(inline)'}:`, error);
+    return {
+      passed: false,
+      steps: [],
+      error: error.message
+    };
+  }
+}
+
+async function startRecording(session, name) {
+  try {
+    if (session.recording) {
+      throw new Error('Already recording; call stopRecording first');
+    }
+    session.recording = {
+      name: name || null,
+      startedAt: new Date().toISOString(),
+      steps: []
+    };
     return {
       success: true
     };
   } catch (error) {
-    console.error(`Error setting cookie:`, error);
+    console.error(`Error starting recording:`, error);
     return {
       success: false,
       error: error.message
@@ -977,49 +4438,125 @@ async function setCookie(cookieData) {
   }
 }
 
-async function deleteCookies(names, url) {
+async function stopRecording(session, name) {
   try {
-    if (names && names.length > 0) {
-      // Delete specific cookies by name
-      await page.evaluate((cookieNames) => {
-        for (const name of cookieNames) {
-          document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; domain=${window.location.hostname}`;
-          document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; domain=.${window.location.hostname}`;
-        }
-      }, names);
+    const { recording } = session;
+    if (!recording) {
+      throw new Error('Not recording; call startRecording first');
+    }
+    session.recording = null;
+
+    const script = {
+      recordedAt: recording.startedAt,
+      steps: recording.steps
+    };
+    const scriptName = name || recording.name;
+    const result = {
+      script
+    };
+    if (scriptName) {
+      result.scriptPath = writeScript(config.scriptsDir, scriptName, script);
+    }
+    return result;
+  } catch (error) {
+    console.error(`Error stopping recording:`, error);
+    return {
+      script: null,
+      error: error.message
+    };
+  }
+}
+
+async function exportTest(session, { framework = 'puppeteer', since, scriptName, name }) {
+  try {
+    let steps;
+    let cursor;
+    if (scriptName) {
+      steps = readScript(config.scriptsDir, scriptName).steps || [];
     } else {
-      // Delete all cookies
-      const cookies = await page.cookies();
-      const cookieNames = cookies.map(cookie => cookie.name);
-      
-      await page.evaluate((cookieNames) => {
-        for (const name of cookieNames) {
-          document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; domain=${window.location.hostname}`;
-          document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; domain=.${window.location.hostname}`;
-        }
-      }, cookieNames);
+      const journal = session.events.query('actions', { since, limit: Infinity });
+      steps = journal.events.map(({ seq, url, ...step }) => step);
+      cursor = journal.cursor;
+      // Start where the first action was taken, if that was not a navigation
+      const first = journal.events[0];
+      if (first && first.tool !== 'navigateTo' && /^https?:/.test(first.url)) {
+        steps.unshift({ tool: 'navigateTo', parameters: { url: first.url } });
+      }
+    }
+
+    const { code, exported, skipped } = generateTest(steps, {
+      framework,
+      testName: scriptName || name || `session ${session.id}`,
+      viewport: config.viewport,
+      fixturesDir: config.fixturesDir,
+      header: `Exported by ${packageJson.name} on ${new Date().toISOString()}`
+    });
+
+    const result = {
+      code,
+      exported,
+      skipped,
+      cursor
+    };
+    if (name) {
+      result.testPath = writeTest(config.scriptsDir, name, framework, code);
+    }
+    return result;
+  } catch (error) {
+    console.error(`Error exporting test:`, error);
+    return {
+      code: null,
+      error: error.message
+    };
+  }
+}
+
+async function openTab(session, url) {
+  try {
+    const tab = await sessionManager.openTab(session);
+    await activateTab(session, tab);
+    
+    if (url) {
+      await navigateTo(session, url);
     }
     
+    const { tabId, title, url: currentUrl } = await describeTab(session, tab);
     return {
-      success: true
+      tabId,
+      title,
+      url: currentUrl
     };
   } catch (error) {
-    console.error(`Error deleting cookies:`, error);
+    console.error(`Error opening tab:`, error);
     return {
-      success: false,
+      tabId: null,
       error: error.message
     };
   }
 }
 
-async function authenticate(username, password) {
+async function listTabs(session) {
+  pruneTabs(session);
+  
+  const tabs = [];
+  for (const tab of session.tabs) {
+    tabs.push(await describeTab(session, tab));
+  }
+  
+  return {
+    tabs
+  };
+}
+
+async function switchTab(session, tabId) {
   try {
-    await page.authenticate({ username, password });
+    pruneTabs(session);
+    await activateTab(session, findTab(session, tabId));
     return {
       success: true
     };
   } catch (error) {
-    console.error(`Error setting authentication:`, error);
+    console.error(`Error switching to tab ${tabId}:`, error);
     return {
       success: false,
       error: error.message
@@ -1027,44 +4564,63 @@ async function authenticate(username, password) {
   }
 }
 
-async function getLocalStorage(key) {
+async function closeTab(session, tabId) {
   try {
-    const data = await page.evaluate((k) => {
-      if (k) {
-        return { [k]: localStorage.getItem(k) };
-      } else {
-        const items = {};
-        for (let i = 0; i < localStorage.length; i++) {
-          const key = localStorage.key(i);
-          items[key] = localStorage.getItem(key);
-        }
-        return items;
-      }
-    }, key);
+    const tab = tabId ? findTab(session, tabId) : session.tabs.find(t => t.page === session.page);
+    const fallback = fallbackTab(session, tab);
+    
+    if (!fallback) {
+      throw new Error('Cannot close the last tab of a session, use closeSession instead');
+    }
+    
+    session.tabs = session.tabs.filter(t => t !== tab);
+    if (tab.page === session.page) {
+      await activateTab(session, fallback);
+    }
+    await tab.page.close();
     
     return {
-      data
+      success: true,
+      activeTabId: session.tabs.find(t => t.page === session.page).id
     };
   } catch (error) {
-    console.error(`Error getting localStorage:`, error);
+    console.error(`Error closing tab:`, error);
     return {
-      data: {},
+      success: false,
       error: error.message
     };
   }
 }
 
-async function setLocalStorage(key, value) {
+async function createSession() {
   try {
-    await page.evaluate((k, v) => {
-      localStorage.setItem(k, v);
-    }, key, value);
-    
+    const session = await sessionManager.createSession();
+    return {
+      sessionId: session.id
+    };
+  } catch (error) {
+    console.error(`Error creating session:`, error);
+    return {
+      sessionId: null,
+      error: error.message
+    };
+  }
+}
+
+async function listSessions() {
+  return {
+    sessions: sessionManager.listSessions()
+  };
+}
+
+async function closeSession(sessionId) {
+  try {
+    await sessionManager.closeSession(sessionId);
     return {
       success: true
     };
   } catch (error) {
-    console.error(`Error setting localStorage:`, error);
+    console.error(`Error closing session ${sessionId}:`, error);
     return {
       success: false,
       error: error.message
@@ -1072,24 +4628,44 @@ async function setLocalStorage(key, value) {
   }
 }
 
-// Start server
-app.listen(PORT, async () => {
-  console.log(`Puppeteer MCP Server running on http://localhost:${PORT}`);
-  
-  // Initialize browser on startup
+// Initialize browser on startup
+async function startBrowser() {
+  // Sessions created later still need reaping if the browser fails to start
+  sessionManager.startReaper();
   try {
-    await initBrowser();
+    await sessionManager.getSession();
     console.log('Browser initialized successfully');
   } catch (error) {
     console.error('Failed to initialize browser:', error);
   }
-});
+}
+
+// Start server
+if (useStdio) {
+  // The client closing stdin is the stdio equivalent of a disconnect
+  startStdioTransport(mcpServer, { onClose: shutdown });
+  console.log('Puppeteer MCP Server running on stdio');
+  startBrowser();
+} else {
+  const onListening = async () => {
+    console.log(`Puppeteer MCP Server running on http://${config.host || 'localhost'}:${config.port}`);
+    await startBrowser();
+  };
+  
+  if (config.host) {
+    app.listen(config.port, config.host, onListening);
+  } else {
+    app.listen(config.port, onListening);
+  }
+}
 
 // Handle shutdown
-process.on('SIGINT', async () => {
+async function shutdown() {
   if (browser) {
     console.log('Closing browser...');
     await browser.close();
   }
   process.exit();
-}); 
\ No newline at end of file
+}
+
+process.on('SIGINT', shutdown);
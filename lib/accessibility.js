@@ -0,0 +1,123 @@
+const fs = require('fs');
+
+// Accessibility tools: the browser's accessibility tree, and audits with
+// axe-core injected into the page.
+
+const IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+
+let axeSource = null;
+
+function getAxeSource() {
+  if (!axeSource) {
+    axeSource = fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8');
+  }
+  return axeSource;
+}
+
+// Drop the children of nodes deeper than maxDepth, noting how many were cut
+function pruneTree(node, maxDepth, depth = 0) {
+  if (!node || !node.children) {
+    return node;
+  }
+  if (depth >= maxDepth) {
+    const { children, ...rest } = node;
+    return { ...rest, childCount: children.length };
+  }
+  return {
+    ...node,
+    children: node.children.map(child => pruneTree(child, maxDepth, depth + 1))
+  };
+}
+
+const UNINTERESTING_ROLES = ['generic', 'none', 'presentation', 'LabelText', 'LineBreak', 'InlineTextBox'];
+
+// Remove unnamed structural nodes, promoting their children. Used when the
+// element a tree is rooted at is itself uninteresting, in which case Puppeteer
+// returns nothing with interestingOnly.
+function collapseUninteresting(node, isRoot = true) {
+  const children = (node.children || []).flatMap(child => collapseUninteresting(child, false));
+  if (!isRoot && UNINTERESTING_ROLES.includes(node.role) && !node.name) {
+    return children;
+  }
+  const { children: _, ...rest } = node;
+  return children.length > 0 ? { ...rest, children } : rest;
+}
+
+function countNodes(node) {
+  if (!node) {
+    return 0;
+  }
+  return 1 + (node.children || []).reduce((sum, child) => sum + countNodes(child), 0);
+}
+
+function toViolation(result) {
+  return {
+    id: result.id,
+    impact: result.impact,
+    description: result.description,
+    help: result.help,
+    helpUrl: result.helpUrl,
+    tags: result.tags,
+    nodes: result.nodes.map(node => ({
+      target: node.target,
+      html: node.html,
+      impact: node.impact,
+      failureSummary: node.failureSummary
+    }))
+  };
+}
+
+// Run axe-core on the page, or on the element `root` and its descendants.
+// Only violations at or above `minImpact` are returned.
+async function runAudit(page, { root = null, tags, rules, minImpact } = {}) {
+  if (minImpact && !IMPACTS.includes(minImpact)) {
+    throw new Error(`Invalid minImpact: ${minImpact} (expected one of ${IMPACTS.join(', ')})`);
+  }
+  if (tags && tags.length > 0 && rules && rules.length > 0) {
+    throw new Error('Use either tags or rules, not both');
+  }
+
+  // axe-core has to run in the frame the element is in. It is evaluated
+  // over CDP, so the page's Content-Security-Policy does not apply.
+  const frame = root ? root.frame : page.mainFrame();
+  const injected = await frame.evaluate(() => typeof window.axe !== 'undefined');
+  if (!injected) {
+    await frame.evaluate(getAxeSource());
+  }
+
+  const options = { resultTypes: ['violations'] };
+  if (tags && tags.length > 0) {
+    options.runOnly = { type: 'tag', values: tags };
+  } else if (rules && rules.length > 0) {
+    options.runOnly = { type: 'rule', values: rules };
+  }
+
+  const results = await frame.evaluate(async (root, options) => {
+    const { violations, passes, incomplete, testEngine, url } = await window.axe.run(root || document, options);
+    return {
+      violations,
+      passes: passes.length,
+      incomplete: incomplete.map(result => ({ id: result.id, help: result.help, nodes: result.nodes.length })),
+      engine: `${testEngine.name} ${testEngine.version}`,
+      url
+    };
+  }, root, options);
+
+  const threshold = minImpact ? IMPACTS.indexOf(minImpact) : 0;
+  const violations = results.violations
+    .filter(result => IMPACTS.indexOf(result.impact) >= threshold)
+    .map(toViolation);
+
+  return {
+    ...results,
+    violations
+  };
+}
+
+module.exports = {
+  IMPACTS,
+  pruneTree,
+  collapseUninteresting,
+  countNodes,
+  runAudit
+};
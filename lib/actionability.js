@@ -0,0 +1,153 @@
+// Actionability: before acting on an element, wait until it is in a state a
+// user could act on. Each action needs some of these checks; the element
+// being attached to the page is always required.
+//
+//   visible         has a non-empty box and is not hidden by CSS
+//   stable          has not moved or resized between two animation frames
+//   enabled         is not disabled, natively or with aria-disabled
+//   editable        is enabled and not read-only
+//   receivesEvents  is what the pointer would hit at its click point, not an
+//                   overlay covering it
+
+const CHECKS = {
+  click: ['visible', 'stable', 'enabled', 'receivesEvents'],
+  hover: ['visible', 'stable', 'receivesEvents'],
+  drag: ['visible', 'stable', 'receivesEvents'],
+  type: ['visible', 'editable'],
+  select: ['visible', 'enabled'],
+  focus: ['visible']
+};
+
+const POLL_INTERVAL = 100;
+
+// Runs in the page: the first check the element fails, as a reason that
+// completes "Element is not actionable: ...", or null if it passes them all
+async function checkInPage(el, checks) {
+  const describe = node => {
+    const id = node.id ? `#${node.id}` : '';
+    const classes = Array.from(node.classList || []).slice(0, 2).map(name => `.${name}`).join('');
+    const text = (node.getAttribute('aria-label') || node.innerText || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+    return `<${node.tagName.toLowerCase()}${id}${classes}>${text ? ` "${text}"` : ''}`;
+  };
+  const nextFrame = () => new Promise(resolve => {
+    // Animation frames do not run in background tabs
+    const timer = setTimeout(resolve, 100);
+    requestAnimationFrame(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+
+  if (!el.isConnected) {
+    return 'it was removed from the page';
+  }
+
+  if (checks.includes('visible')) {
+    const rect = el.getBoundingClientRect();
+    const hidden = typeof el.checkVisibility === 'function'
+      ? !el.checkVisibility({ visibilityProperty: true })
+      : getComputedStyle(el).visibility !== 'visible';
+    if (hidden || rect.width === 0 || rect.height === 0) {
+      return 'it is not visible';
+    }
+  }
+
+  if (checks.includes('enabled') || checks.includes('editable')) {
+    if (el.matches(':disabled') || el.closest('[aria-disabled="true"]')) {
+      return 'it is disabled';
+    }
+  }
+
+  if (checks.includes('editable')) {
+    const isTextField = el instanceof HTMLTextAreaElement || el instanceof HTMLInputElement;
+    if ((isTextField && el.readOnly) || el.getAttribute('aria-readonly') === 'true') {
+      return 'it is read-only';
+    }
+  }
+
+  if (checks.includes('stable')) {
+    const before = el.getBoundingClientRect();
+    await nextFrame();
+    const after = el.getBoundingClientRect();
+    if (['x', 'y', 'width', 'height'].some(key => before[key] !== after[key])) {
+      return 'it is still moving (animating or changing size)';
+    }
+  }
+
+  if (checks.includes('receivesEvents')) {
+    if (getComputedStyle(el).pointerEvents === 'none') {
+      return 'it has pointer-events: none';
+    }
+    el.scrollIntoViewIfNeeded ? el.scrollIntoViewIfNeeded() : el.scrollIntoView({ block: 'center', inline: 'center' });
+
+    // The point a click lands on: the center of the element's first box
+    // inside the viewport, as Puppeteer picks it
+    const boxes = Array.from(el.getClientRects())
+      .map(rect => ({
+        left: Math.max(rect.left, 0),
+        top: Math.max(rect.top, 0),
+        right: Math.min(rect.right, window.innerWidth),
+        bottom: Math.min(rect.bottom, window.innerHeight)
+      }))
+      .filter(box => box.right - box.left > 1 && box.bottom - box.top > 1);
+    if (boxes.length === 0) {
+      return 'it is outside the viewport';
+    }
+    const x = (boxes[0].left + boxes[0].right) / 2;
+    const y = (boxes[0].top + boxes[0].bottom) / 2;
+
+    let hit = document.elementFromPoint(x, y);
+    while (hit && hit.shadowRoot) {
+      const inner = hit.shadowRoot.elementFromPoint(x, y);
+      if (!inner || inner === hit) {
+        break;
+      }
+      hit = inner;
+    }
+    for (let node = hit; node; node = node.parentNode || node.host) {
+      if (node === el) {
+        return null;
+      }
+    }
+    return hit ? `it is covered by ${describe(hit)}, which would receive the click` : 'nothing is at its click point';
+  }
+
+  return null;
+}
+
+// Wait until `getElement` resolves to an element that passes `checks`. The
+// element is looked up again on every attempt, since pages often replace
+// the element while it is loading. `getElement(remaining)` is given the time
+// left, in milliseconds.
+async function waitForActionable(getElement, checks, { timeout }) {
+  const deadline = Date.now() + timeout;
+  let reason = null;
+
+  for (;;) {
+    const element = await getElement(Math.max(0, deadline - Date.now()));
+    try {
+      reason = await element.evaluate(checkInPage, checks);
+    } catch (error) {
+      if (!/Execution context was destroyed|detached|Cannot find context|does not belong to the document/i.test(error.message)) {
+        throw error;
+      }
+      reason = 'it was removed from the page';
+    }
+    if (!reason) {
+      return element;
+    }
+    await element.dispose().catch(() => {});
+
+    if (Date.now() >= deadline) {
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.min(POLL_INTERVAL, Math.max(0, deadline - Date.now()))));
+  }
+
+  throw new Error(`Element is not actionable (waited ${timeout}ms): ${reason}`);
+}
+
+module.exports = {
+  CHECKS,
+  waitForActionable
+};
@@ -0,0 +1,509 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createUrlMatcher } = require('./patterns');
+const { parseSelector, queryAll } = require('./selectors');
+const { isVisibleInPage } = require('./waits');
+const { readStorageState, writeStorageState } = require('./storage');
+
+// Logins configured under `logins` in the config file. Each one is named and
+// says how to sign in to a site: a form to fill in and submit, a TOTP code
+// for a second step, headers to send to some origins, HTTP credentials, and
+// what the page looks like once it worked.
+//
+//   "logins": {
+//     "admin": {
+//       "url": "https://app.example/login",
+//       "fields": { "#email": "${env:ADMIN_EMAIL}", "#password": "${secret:admin.password}" },
+//       "submit": "button[type=submit]",
+//       "totp": { "selector": "#code", "secret": "${secret:admin.totp}" },
+//       "success": { "url": "**/dashboard" },
+//       "failure": { "selector": ".login-error" },
+//       "headers": { "https://api.app.example": { "Authorization": "Bearer ${env:API_TOKEN}" } },
+//       "maxAge": 3600000
+//     }
+//   }
+//
+// `${env:NAME}` in a value is replaced by an environment variable and
+// `${secret:key}` by a key of the secrets file (--secrets-file), a JSON
+// object whose nested keys are joined with dots. They are resolved when the
+// login runs, and the values are redacted from every tool result, the action
+// journal, captured network traffic and logs. Values written into the config
+// as they are are not treated as secret.
+//
+// After a form login the session's storage state is cached in the logins
+// directory of the storage state directory, and later logins restore it
+// instead of filling in the form while the site still accepts it.
+
+const NAME_PATTERN = /^[\w-][\w.-]*$/;
+const REFERENCE_PATTERN = /\$\{(env|secret):([^}]+)\}/g;
+const SETTINGS = ['url', 'fields', 'submit', 'totp', 'success', 'failure', 'headers', 'httpCredentials', 'cache', 'maxAge'];
+const TOTP_ALGORITHMS = ['sha1', 'sha256', 'sha512'];
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_MIN_VALIDITY = 3000;
+const CACHE_DIR = 'logins';
+const POLL_INTERVAL = 100;
+const REDACTED = '[redacted]';
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkString(value, where) {
+  if (typeof value !== 'string' || value === '') {
+    throw new Error(`${where} must be a non-empty string`);
+  }
+  return value;
+}
+
+function checkSelector(value, where) {
+  checkString(value, where);
+  try {
+    parseSelector(value);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+  return value;
+}
+
+function checkHttpUrl(value, where) {
+  checkString(value, where);
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`${where} is not a valid URL: ${value}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`${where} must be an http or https URL: ${value}`);
+  }
+  return url;
+}
+
+function normalizeCondition(condition, keys, where) {
+  if (!isObject(condition)) {
+    throw new Error(`${where} must be an object`);
+  }
+  const unknown = Object.keys(condition).find(key => !keys.includes(key));
+  if (unknown !== undefined) {
+    throw new Error(`${where} has an unknown condition: ${unknown} (expected ${keys.join(', ')})`);
+  }
+  if (!keys.some(key => condition[key] !== undefined)) {
+    throw new Error(`${where} needs one of ${keys.join(', ')}`);
+  }
+
+  const normalized = {};
+  for (const key of keys.filter(key => condition[key] !== undefined)) {
+    normalized[key] = key === 'selector'
+      ? checkSelector(condition[key], `${where}.selector`)
+      : checkString(condition[key], `${where}.${key}`);
+  }
+  try {
+    // Fails early on an invalid regular expression
+    normalized.matchesUrl = createUrlMatcher(normalized);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+  return normalized;
+}
+
+function normalizeTotp(totp, where) {
+  if (!isObject(totp)) {
+    throw new Error(`${where} must be an object`);
+  }
+  const { secret, selector, submit, digits = 6, period = 30, algorithm = 'sha1' } = totp;
+  if (!Number.isInteger(digits) || digits < 6 || digits > 10) {
+    throw new Error(`${where}.digits must be an integer from 6 to 10`);
+  }
+  if (!Number.isInteger(period) || period < 1) {
+    throw new Error(`${where}.period must be a positive integer`);
+  }
+  if (!TOTP_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`${where}.algorithm must be one of ${TOTP_ALGORITHMS.join(', ')}, not ${algorithm}`);
+  }
+  return {
+    secret: checkString(secret, `${where}.secret`),
+    selector: checkSelector(selector, `${where}.selector`),
+    submit: submit === undefined ? undefined : checkSelector(submit, `${where}.submit`),
+    digits,
+    period,
+    algorithm
+  };
+}
+
+function normalizeHeaders(headers, where) {
+  if (!isObject(headers)) {
+    throw new Error(`${where} must be an object of origins`);
+  }
+  const normalized = {};
+  for (const [origin, values] of Object.entries(headers)) {
+    const { origin: key } = checkHttpUrl(origin, `${where} origin`);
+    if (!isObject(values)) {
+      throw new Error(`${where}.${origin} must be an object of header names and values`);
+    }
+    normalized[key] = {};
+    for (const [name, value] of Object.entries(values)) {
+      normalized[key][name] = checkString(value, `${where}.${origin}.${name}`);
+    }
+  }
+  return normalized;
+}
+
+function normalizeLogin(name, login) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid login name: ${name} (use letters, digits, _, - and .)`);
+  }
+  const where = `Login ${name}`;
+  if (!isObject(login)) {
+    throw new Error(`${where} must be an object`);
+  }
+  const unknown = Object.keys(login).find(key => !SETTINGS.includes(key));
+  if (unknown !== undefined) {
+    throw new Error(`${where} has an unknown setting: ${unknown}`);
+  }
+
+  const normalized = { name };
+  if (login.url !== undefined) {
+    normalized.url = checkHttpUrl(login.url, `${where} url`).href;
+  }
+
+  if (login.fields !== undefined) {
+    if (!isObject(login.fields) || Object.keys(login.fields).length === 0) {
+      throw new Error(`${where} fields must be an object of selectors and values`);
+    }
+    normalized.fields = Object.entries(login.fields).map(([selector, value]) =>
+      [checkSelector(selector, `${where} field selector`), checkString(value, `${where} field ${selector}`)]
+    );
+  }
+  if (login.submit !== undefined) {
+    normalized.submit = checkSelector(login.submit, `${where} submit`);
+  }
+  if (login.totp !== undefined) {
+    normalized.totp = normalizeTotp(login.totp, `${where} totp`);
+  }
+  if (login.success !== undefined) {
+    normalized.success = normalizeCondition(login.success, ['url', 'urlRegex', 'selector', 'text'], `${where} success`);
+  }
+  if (login.failure !== undefined) {
+    normalized.failure = normalizeCondition(login.failure, ['selector', 'text'], `${where} failure`);
+  }
+  if (login.headers !== undefined) {
+    normalized.headers = normalizeHeaders(login.headers, `${where} headers`);
+  }
+  if (login.httpCredentials !== undefined) {
+    const credentials = login.httpCredentials;
+    if (!isObject(credentials)) {
+      throw new Error(`${where} httpCredentials must be an object with a username and password`);
+    }
+    normalized.httpCredentials = {
+      username: checkString(credentials.username, `${where} httpCredentials.username`),
+      password: checkString(credentials.password, `${where} httpCredentials.password`)
+    };
+  }
+  if (login.maxAge !== undefined && !(typeof login.maxAge === 'number' && login.maxAge > 0)) {
+    throw new Error(`${where} maxAge must be a positive number of milliseconds`);
+  }
+
+  const isForm = Boolean(normalized.fields || normalized.totp);
+  if (isForm && !normalized.url) {
+    throw new Error(`${where} fills in a form, so it needs a url`);
+  }
+  if (isForm && !normalized.success) {
+    throw new Error(`${where} fills in a form, so it needs a success condition`);
+  }
+  if (!normalized.url && !normalized.headers && !normalized.httpCredentials) {
+    throw new Error(`${where} has nothing to do (give a url and fields, headers or httpCredentials)`);
+  }
+
+  // Only form logins leave state worth caching
+  normalized.cache = isForm && login.cache !== false;
+  normalized.maxAge = login.maxAge;
+  return normalized;
+}
+
+// Validate the `logins` config setting
+function normalizeLogins(logins) {
+  if (logins === undefined || logins === null) {
+    return {};
+  }
+  if (!isObject(logins)) {
+    throw new Error('logins must be an object of named logins');
+  }
+  const normalized = {};
+  for (const [name, login] of Object.entries(logins)) {
+    normalized[name] = normalizeLogin(name, login);
+  }
+  return normalized;
+}
+
+// Read the secrets file. It is read again for every login, so secrets can be
+// changed without a restart. Parse errors are not passed on, as they quote
+// the file's contents.
+function readSecrets(secretsFile) {
+  if (!secretsFile) {
+    throw new Error('No secrets file is configured (set --secrets-file)');
+  }
+  let contents;
+  try {
+    contents = fs.readFileSync(secretsFile, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read secrets file ${secretsFile}: ${error.code || error.message}`);
+  }
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Secrets file ${secretsFile} is not valid JSON`);
+  }
+}
+
+// A function that resolves the references in a value. Every value it looks
+// up is added to `secrets`, so it can be redacted wherever it shows up.
+function createResolver({ env = process.env, secretsFile, secrets }) {
+  let secretsData;
+  const lookup = (kind, key) => {
+    let value;
+    if (kind === 'env') {
+      value = env[key];
+      if (value === undefined) {
+        throw new Error(`Environment variable ${key} is not set`);
+      }
+    } else {
+      secretsData = secretsData || readSecrets(secretsFile);
+      value = key.split('.').reduce((node, part) => (isObject(node) ? node[part] : undefined), secretsData);
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error(`Secret ${key} is not in the secrets file`);
+      }
+      value = String(value);
+    }
+    if (value !== '') {
+      secrets.add(value);
+    }
+    return value;
+  };
+
+  return value => value.replace(REFERENCE_PATTERN, (match, kind, key) => lookup(kind, key));
+}
+
+// The forms a secret takes in captured traffic: as it is, URL-encoded (form
+// posts and query strings) and escaped inside a JSON string
+function secretForms(secret) {
+  const forms = new Set([
+    secret,
+    encodeURIComponent(secret),
+    new URLSearchParams({ s: secret }).toString().slice(2),
+    JSON.stringify(secret).slice(1, -1)
+  ]);
+  return [...forms];
+}
+
+function redact(text, secrets) {
+  if (typeof text !== 'string' || !secrets || secrets.size === 0) {
+    return text;
+  }
+  // Longest first, so a secret that contains another is replaced whole
+  const forms = [...secrets].flatMap(secretForms).sort((a, b) => b.length - a.length);
+  return forms.reduce((result, form) => result.split(form).join(REDACTED), text);
+}
+
+function redactHeaders(headers, secrets) {
+  if (!headers || !secrets || secrets.size === 0) {
+    return headers;
+  }
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, redact(value, secrets)]));
+}
+
+// A tool result or journal entry with `redact` applied to every string in
+// it. Inline images are binary data, which a short secret such as a TOTP
+// code could turn up in by chance, so they are left alone.
+function redactValue(value, secrets) {
+  if (!secrets || secrets.size === 0) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return redact(value, secrets);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, secrets));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, key === 'images' ? item : redactValue(item, secrets)]
+    ));
+  }
+  return value;
+}
+
+function decodeBase32(text) {
+  const clean = text.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('TOTP secret is not valid base32');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((value >>> bits) & 0xff);
+      value &= (1 << bits) - 1;
+    }
+  }
+  if (bytes.length === 0) {
+    throw new Error('TOTP secret is empty');
+  }
+  return Buffer.from(bytes);
+}
+
+// An RFC 6238 time-based one-time password, and how many milliseconds it
+// stays valid for. The seed is base32, or an otpauth:// URI whose digits,
+// period and algorithm take precedence over the options.
+function totp(seed, { digits = 6, period = 30, algorithm = 'sha1', time = Date.now() } = {}) {
+  let secret = seed;
+  if (/^otpauth:/i.test(seed)) {
+    const params = new URL(seed).searchParams;
+    secret = params.get('secret') || '';
+    digits = Number(params.get('digits')) || digits;
+    period = Number(params.get('period')) || period;
+    algorithm = (params.get('algorithm') || algorithm).toLowerCase();
+    if (!TOTP_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unsupported TOTP algorithm: ${algorithm}`);
+    }
+  }
+
+  const counter = Math.floor(time / 1000 / period);
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(algorithm, decodeBase32(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return {
+    code: String(binary % 10 ** digits).padStart(digits, '0'),
+    expiresIn: (counter + 1) * period * 1000 - time
+  };
+}
+
+// A TOTP code to type in now. One about to expire may be stale by the time
+// the form is submitted, so that one is waited out.
+async function freshTotp(seed, options) {
+  const { code, expiresIn } = totp(seed, options);
+  if (expiresIn >= TOTP_MIN_VALIDITY) {
+    return code;
+  }
+  await new Promise(resolve => setTimeout(resolve, expiresIn));
+  return totp(seed, options).code;
+}
+
+// Runs in the page: whether its text includes `text`, whitespace collapsed
+function hasTextInPage(text) {
+  const normalize = value => String(value || '').replace(/\s+/g, ' ').trim();
+  return Boolean(document.body) && normalize(document.body.innerText).includes(normalize(text));
+}
+
+async function hasVisible(page, selector) {
+  const matches = await queryAll(page, selector);
+  let visible = false;
+  for (const element of matches) {
+    visible = visible || await element.evaluate(isVisibleInPage).catch(() => false);
+    await element.dispose().catch(() => {});
+  }
+  return visible;
+}
+
+// Whether every part of a condition holds on the page now. A navigation in
+// progress counts as not holding yet.
+async function conditionHolds(page, condition) {
+  try {
+    if (!condition.matchesUrl(page.url())) {
+      return false;
+    }
+    if (condition.selector && !await hasVisible(page, condition.selector)) {
+      return false;
+    }
+    return !condition.text || await page.evaluate(hasTextInPage, condition.text);
+  } catch (error) {
+    return false;
+  }
+}
+
+// The visible text of what the failure condition found, for the error
+async function failureMessage(page, failure) {
+  if (failure.selector) {
+    const [element] = await queryAll(page, failure.selector).catch(() => []);
+    const text = element ? await element.evaluate(el => el.innerText.replace(/\s+/g, ' ').trim()).catch(() => '') : '';
+    if (text) {
+      return text;
+    }
+  }
+  return failure.text || `found ${failure.selector}`;
+}
+
+// Wait until the login's success condition holds, failing early if its
+// failure condition does first
+async function waitForLogin(page, login, { timeout }) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    if (await conditionHolds(page, login.success)) {
+      return;
+    }
+    if (login.failure && await conditionHolds(page, login.failure)) {
+      throw new Error(`Login ${login.name} failed: ${await failureMessage(page, login.failure)}`);
+    }
+    if (Date.now() >= deadline) {
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.min(POLL_INTERVAL, Math.max(0, deadline - Date.now()))));
+  }
+  throw new Error(`Login ${login.name} did not succeed within ${timeout}ms (current URL: ${page.url()})`);
+}
+
+// The cached storage state of a login, or null if there is none or it is
+// older than the login's maxAge
+function readCachedLogin(storageStateDir, login) {
+  let state;
+  try {
+    state = readStorageState(path.join(storageStateDir, CACHE_DIR), login.name);
+  } catch (error) {
+    return null;
+  }
+  if (login.maxAge && !(Date.now() - Date.parse(state.savedAt) <= login.maxAge)) {
+    return null;
+  }
+  return state;
+}
+
+function writeCachedLogin(storageStateDir, login, state) {
+  return writeStorageState(path.join(storageStateDir, CACHE_DIR), login.name, state);
+}
+
+// A login as returned by listLogins: what it does, without its values
+function describeLogin(login, storageStateDir) {
+  const cached = login.cache ? readCachedLogin(storageStateDir, login) : null;
+  return {
+    name: login.name,
+    url: login.url || null,
+    fields: (login.fields || []).map(([selector]) => selector),
+    totp: Boolean(login.totp),
+    headers: Object.keys(login.headers || {}),
+    httpCredentials: Boolean(login.httpCredentials),
+    cache: login.cache,
+    cachedAt: cached ? cached.savedAt : null
+  };
+}
+
+module.exports = {
+  normalizeLogins,
+  createResolver,
+  redact,
+  redactHeaders,
+  redactValue,
+  decodeBase32,
+  totp,
+  freshTotp,
+  waitForLogin,
+  readCachedLogin,
+  writeCachedLogin,
+  describeLogin
+};
@@ -0,0 +1,583 @@
+const { parseSelector } = require('./selectors');
+const { globToRegExp } = require('./patterns');
+const { parseChord } = require('./input');
+const { scriptSource } = require('./evaluate');
+const { DEFAULT_MAX_PAGES } = require('./extract');
+const { unescapeReferences } = require('./scripts');
+
+// Turn script steps (recorded tool calls, see lib/scripts.js) into a
+// standalone test: a Puppeteer script, a Jest test driving Puppeteer, or a
+// Playwright Test spec. Element steps use locators, which wait for their
+// element the way the tools do; assertions recorded with the steps become
+// assertions in the test.
+
+const FRAMEWORKS = ['puppeteer', 'jest', 'playwright'];
+
+// Tools that only read state; a test has no use for them
+const READ_ONLY_TOOLS = new Set([
+  'getPageContent', 'snapshotPage', 'captureConsoleLog', 'getConsoleLogs', 'getPageErrors',
+  'monitorNetwork', 'getNetworkRequests', 'clearLogs', 'exportHar', 'listRouteRules',
+  'getPerformanceMetrics', 'getAccessibilityTree', 'auditAccessibility', 'getCookies',
+  'getLocalStorage', 'getSessionStorage', 'listIndexedDB', 'queryIndexedDB', 'listTabs', 'extractTable',
+  'getLinks', 'getForms'
+]);
+
+// Parameters that say what a tool acted on, safe to print in a comment about
+// a step that was not exported. Values, passwords and the like are left out.
+const PRINTABLE_PARAMETERS = new Set([
+  'selector', 'ref', 'url', 'urlRegex', 'name', 'names', 'key', 'keys', 'domain', 'path', 'all',
+  'database', 'store', 'index', 'tabId', 'ruleId', 'action', 'method', 'resourceType', 'origins', 'replace', 'force'
+]);
+
+function printableParameters(parameters) {
+  return Object.fromEntries(Object.entries(parameters || {}).filter(([name]) => PRINTABLE_PARAMETERS.has(name)));
+}
+
+// A JavaScript string literal in single quotes
+function quote(value) {
+  return `'${JSON.stringify(String(value)).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+}
+
+// A JavaScript literal for plain data
+function literal(value) {
+  if (typeof value === 'string') {
+    return quote(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(literal).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) {
+      return '{}';
+    }
+    const key = name => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : quote(name));
+    return `{ ${entries.map(([name, item]) => `${key(name)}: ${literal(item)}`).join(', ')} }`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Arguments for a call taking an optional options object
+function optionsArgument(options) {
+  const code = literal(options);
+  return code === '{}' ? '' : code;
+}
+
+// A regular expression literal for a RegExp source
+function regexLiteral(source) {
+  let result = '';
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\\') {
+      result += source[i] + (source[i + 1] || '');
+      i++;
+    } else {
+      result += source[i] === '/' ? '\\/' : source[i];
+    }
+  }
+  return `/${result}/`;
+}
+
+// The patterns a URL must match, as regular expression literals
+function urlPatterns({ url, urlRegex }) {
+  return [
+    ...(url ? [regexLiteral(globToRegExp(url).source)] : []),
+    ...(urlRegex ? [regexLiteral(urlRegex)] : [])
+  ];
+}
+
+function normalizeUrl(url) {
+  return /^https?:\/\//.test(url) ? url : `https://${url}`;
+}
+
+// A chain part that selects an iframe to look inside of
+function isFramePart(part) {
+  return part.engine === 'css' && /^i?frame\b/i.test(part.query);
+}
+
+// Puppeteer: the P-selector for a part of a chain
+function puppeteerPart(part) {
+  switch (part.engine) {
+    case 'text':
+      return `::-p-text(${JSON.stringify(part.text)})`;
+    case 'role':
+      return `::-p-aria(${part.name !== null ? part.name : ''}[role="${part.role}"])`;
+    case 'xpath':
+      return `::-p-xpath(${part.query.replace(/^xpath\//, '')})`;
+    default:
+      return part.query;
+  }
+}
+
+// Puppeteer: lines that find the frame a selector is in, and the selector
+// within it. Parts of a chain become descendant combinators, except that an
+// iframe part switches to the iframe's document.
+function puppeteerTarget(selector, n) {
+  const setup = [];
+  let scope = 'page';
+  let current = '';
+  const parts = parseSelector(selector);
+
+  parts.forEach((part, index) => {
+    const piece = puppeteerPart(part);
+    current = current ? `${current} ${piece}` : piece;
+    if (index < parts.length - 1 && isFramePart(part)) {
+      const frame = `frame${n}${setup.length > 0 ? `_${setup.length + 1}` : ''}`;
+      setup.push(`const ${frame} = await (await ${scope}.waitForSelector(${quote(current)})).contentFrame();`);
+      scope = frame;
+      current = '';
+    }
+  });
+
+  return { setup, scope, selector: current, locator: `${scope}.locator(${quote(current)})` };
+}
+
+// Playwright: a locator expression for a selector
+function playwrightTarget(selector) {
+  const parts = parseSelector(selector);
+  let expression = 'page';
+
+  parts.forEach((part, index) => {
+    if (index < parts.length - 1 && isFramePart(part)) {
+      expression += `.frameLocator(${quote(part.query)})`;
+      return;
+    }
+    switch (part.engine) {
+      case 'text':
+        expression += `.getByText(${quote(part.text)}${part.exact ? ', { exact: true }' : ''})`;
+        break;
+      case 'role':
+        expression += `.getByRole(${quote(part.role)}${part.name !== null ? `, { name: ${quote(part.name)}, exact: true }` : ''})`;
+        break;
+      case 'xpath':
+        expression += `.locator(${quote(`xpath=${part.query.replace(/^xpath\//, '')}`)})`;
+        break;
+      default:
+        // Playwright's CSS pierces open shadow roots by itself
+        expression += `.locator(${quote(part.query.replace(/\s*>>>\s*/g, ' '))})`;
+    }
+  });
+
+  return { setup: [], locator: expression };
+}
+
+// Emits the lines of one test, tracking what it needs imported
+function createWriter(framework) {
+  const playwright = framework === 'playwright';
+  const useExpect = framework !== 'puppeteer';
+  const needs = new Set();
+
+  const target = (selector, n) => (playwright ? playwrightTarget(selector) : puppeteerTarget(selector, n));
+
+  function assertEqual(actual, expected) {
+    if (useExpect) {
+      return `expect(${actual}).toBe(${literal(expected)});`;
+    }
+    needs.add('assert');
+    return `assert.strictEqual(${actual}, ${literal(expected)});`;
+  }
+
+  function assertMatch(actual, pattern) {
+    if (useExpect) {
+      return `expect(${actual}).toMatch(${pattern});`;
+    }
+    needs.add('assert');
+    return `assert.match(${actual}, ${pattern});`;
+  }
+
+  function fixture(file) {
+    needs.add('path');
+    return `path.join(FIXTURES_DIR, ${quote(file)})`;
+  }
+
+  function pressKeys(keyboard, chord) {
+    const keys = parseChord(chord);
+    const key = keys.pop();
+    return [
+      ...keys.map(modifier => `await ${keyboard}.down(${quote(modifier)});`),
+      `await ${keyboard}.press(${quote(key)});`,
+      ...keys.reverse().map(modifier => `await ${keyboard}.up(${quote(modifier)});`)
+    ];
+  }
+
+  // Lines checking an assertion recorded with a step; `response` names the
+  // variable holding the step's response, if it has one
+  function assertion(check, n, response) {
+    const { type } = check;
+    if ((type === 'textEquals' || type === 'visible') && !check.selector) {
+      return [`// ${type} assertion on snapshot ref ${check.ref} was not exported; use a selector`];
+    }
+    switch (type) {
+      case 'status':
+        return response
+          ? [assertEqual(`${response}.status()`, check.value)]
+          : [`// status assertion (${check.value}) was not exported: the step has no response`];
+      case 'urlMatches':
+        return urlPatterns(check).map(pattern => (playwright
+          ? `await expect(page).toHaveURL(${pattern});`
+          : assertMatch('page.url()', pattern)));
+      case 'textEquals': {
+        const { setup, locator } = target(check.selector, n);
+        if (playwright) {
+          return [...setup, `await expect(${locator}).toHaveText(${quote(check.value)});`];
+        }
+        return [
+          ...setup,
+          assertEqual(`await (await ${locator}.waitHandle()).evaluate(el => el.textContent.replace(/\\s+/g, ' ').trim())`, String(check.value).replace(/\s+/g, ' ').trim())
+        ];
+      }
+      case 'visible': {
+        const { setup, scope, selector, locator } = target(check.selector, n);
+        return playwright
+          ? [...setup, `await expect(${locator}).toBeVisible();`]
+          : [...setup, `await ${scope}.waitForSelector(${quote(selector)}, { visible: true });`];
+      }
+      default:
+        return [`// ${type} assertion was not exported`];
+    }
+  }
+
+  // Lines performing a step. Returns null for steps that have no place in a test.
+  function action(tool, parameters, n, assertions) {
+    const p = parameters;
+    const elementTools = ['clickElement', 'typeText', 'clearAndType', 'hover', 'selectOption', 'setChecked', 'uploadFile', 'getElementText'];
+    if (elementTools.includes(tool) && !p.selector) {
+      return [`// ${tool} on snapshot ref ${p.ref} was not exported; use a selector`];
+    }
+
+    switch (tool) {
+      case 'navigateTo': {
+        const waitUntil = p.waitUntil || 'networkidle2';
+        const options = playwright
+          ? { waitUntil: waitUntil.startsWith('networkidle') ? 'networkidle' : waitUntil, timeout: p.timeout, referer: p.referer }
+          : { waitUntil, timeout: p.timeout, referer: p.referer };
+        const call = `await page.goto(${quote(normalizeUrl(p.url))}, ${literal(options)});`;
+        const lines = [];
+        if (p.headers) {
+          lines.push(`await page.setExtraHTTPHeaders(${literal(p.headers)});`);
+        }
+        lines.push(assertions.some(check => check.type === 'status') ? `const response${n} = ${call}` : call);
+        if (p.headers) {
+          lines.push('await page.setExtraHTTPHeaders({});');
+        }
+        return lines;
+      }
+      case 'clickElement': {
+        const { setup, locator } = target(p.selector, n);
+        const modifiers = [].concat(p.modifiers || []);
+        if (playwright) {
+          const options = { button: p.button, clickCount: p.clickCount, modifiers: modifiers.length > 0 ? modifiers.map(modifier => parseChord(modifier)[0]) : undefined };
+          return [...setup, `await ${locator}.click(${optionsArgument(options)});`];
+        }
+        const keys = modifiers.map(modifier => quote(parseChord(modifier)[0]));
+        return [
+          ...setup,
+          ...keys.map(key => `await page.keyboard.down(${key});`),
+          `await ${locator}.click(${optionsArgument({ button: p.button, count: p.clickCount })});`,
+          ...keys.reverse().map(key => `await page.keyboard.up(${key});`)
+        ];
+      }
+      case 'typeText': {
+        const { setup, locator } = target(p.selector, n);
+        return playwright
+          ? [...setup, `await ${locator}.pressSequentially(${quote(p.text)});`]
+          : [...setup, `await (await ${locator}.waitHandle()).type(${quote(p.text)});`];
+      }
+      case 'clearAndType': {
+        const { setup, locator } = target(p.selector, n);
+        return [...setup, `await ${locator}.fill(${quote(p.text)});`];
+      }
+      case 'hover': {
+        const { setup, locator } = target(p.selector, n);
+        return [...setup, `await ${locator}.hover();`];
+      }
+      case 'selectOption': {
+        const { setup, locator } = target(p.selector, n);
+        const values = [].concat(p.values || []);
+        return playwright
+          ? [...setup, `await ${locator}.selectOption(${literal(values)});`]
+          : [...setup, `await (await ${locator}.waitHandle()).select(${values.map(quote).join(', ')});`];
+      }
+      case 'setChecked': {
+        const { setup, locator } = target(p.selector, n);
+        const checked = p.checked !== false;
+        if (playwright) {
+          return [...setup, `await ${locator}.setChecked(${checked});`];
+        }
+        return [
+          ...setup,
+          `const checkbox${n} = await ${locator}.waitHandle();`,
+          `if ((await checkbox${n}.evaluate(el => el.checked)) !== ${checked}) {`,
+          `  await checkbox${n}.click();`,
+          '}'
+        ];
+      }
+      case 'pressKey': {
+        if (p.ref && !p.selector) {
+          return [`// pressKey on snapshot ref ${p.ref} was not exported; use a selector`];
+        }
+        if (!p.selector) {
+          return playwright ? [`await page.keyboard.press(${quote(parseChord(p.key).join('+'))});`] : pressKeys('page.keyboard', p.key);
+        }
+        const { setup, locator } = target(p.selector, n);
+        return playwright
+          ? [...setup, `await ${locator}.press(${quote(parseChord(p.key).join('+'))});`]
+          : [...setup, `await (await ${locator}.waitHandle()).focus();`, ...pressKeys('page.keyboard', p.key)];
+      }
+      case 'scrollTo': {
+        if (!p.selector && !p.ref) {
+          return [`await page.evaluate(() => window.scrollTo(${p.x === undefined ? 'window.scrollX' : p.x}, ${p.y === undefined ? 'window.scrollY' : p.y}));`];
+        }
+        if (!p.selector) {
+          return [`// scrollTo snapshot ref ${p.ref} was not exported; use a selector`];
+        }
+        const { setup, locator } = target(p.selector, n);
+        return playwright
+          ? [...setup, `await ${locator}.scrollIntoViewIfNeeded();`]
+          : [...setup, `await (await ${locator}.waitHandle()).scrollIntoView();`];
+      }
+      case 'dragAndDrop': {
+        if (!p.sourceSelector || !p.targetSelector) {
+          return ['// dragAndDrop between snapshot refs was not exported; use selectors'];
+        }
+        const source = target(p.sourceSelector, `${n}a`);
+        const destination = target(p.targetSelector, `${n}b`);
+        if (playwright) {
+          return [`await ${source.locator}.dragTo(${destination.locator});`];
+        }
+        return [
+          ...source.setup,
+          ...destination.setup,
+          `const source${n} = await ${source.locator}.waitHandle();`,
+          `const target${n} = await ${destination.locator}.waitHandle();`,
+          `await target${n}.drop(source${n});`
+        ];
+      }
+      case 'uploadFile': {
+        const { setup, locator } = target(p.selector, n);
+        const files = [].concat(p.files || []).map(fixture);
+        return playwright
+          ? [...setup, `await ${locator}.setInputFiles([${files.join(', ')}]);`]
+          : [...setup, `await (await ${locator}.waitHandle()).uploadFile(${files.join(', ')});`];
+      }
+      case 'getElementText':
+        // Only worth exporting for the text it asserted
+        return [];
+      case 'waitForSelector': {
+        const { setup, scope, selector, locator } = target(p.selector, n);
+        const state = p.state || 'attached';
+        if (playwright) {
+          return [...setup, `await ${locator}.waitFor(${literal({ state, timeout: p.timeout })});`];
+        }
+        const options = { visible: state === 'visible' || undefined, hidden: state === 'hidden' || state === 'detached' || undefined, timeout: p.timeout };
+        return [...setup, `await ${scope}.waitForSelector(${quote(selector)}, ${literal(options)});`];
+      }
+      case 'waitForNavigation': {
+        const patterns = urlPatterns(p);
+        if (patterns.length === 0) {
+          return playwright
+            ? [`await page.waitForLoadState(${quote(p.waitUntil && !p.waitUntil.startsWith('networkidle') ? p.waitUntil : 'load')});`]
+            : ['// waitForNavigation without a URL pattern was not exported; the next steps wait for their elements'];
+        }
+        return patterns.map(pattern => (playwright
+          ? `await page.waitForURL(${pattern});`
+          : `await page.waitForFunction(pattern => new RegExp(pattern).test(location.href), {}, ${quote(pattern.slice(1, -1).replace(/\\\//g, '/'))});`));
+      }
+      case 'waitForNetworkIdle':
+        return playwright
+          ? ["await page.waitForLoadState('networkidle');"]
+          : [`await page.waitForNetworkIdle(${optionsArgument({ idleTime: p.idleTime, concurrency: p.concurrency })});`];
+      case 'waitForFunction': {
+        // Puppeteer waits for a promise the predicate returns; Playwright
+        // would take the promise itself as truthy, so poll evaluate instead
+        const source = scriptSource(p.script);
+        return playwright
+          ? [`await expect.poll(() => page.evaluate(${source})).toBeTruthy();`]
+          : [`await page.waitForFunction(${source});`];
+      }
+      case 'waitForText': {
+        if (p.ref && !p.selector) {
+          return [`// waitForText inside snapshot ref ${p.ref} was not exported; use a selector`];
+        }
+        if (playwright) {
+          const scope = p.selector ? playwrightTarget(p.selector).locator : 'page';
+          return [`await expect(${scope}.getByText(${quote(p.text)}).first()).toBeVisible();`];
+        }
+        const { setup, scope, selector } = p.selector ? puppeteerTarget(p.selector, n) : { setup: [], scope: 'page', selector: '' };
+        const text = `::-p-text(${JSON.stringify(p.text)})`;
+        return [...setup, `await ${scope}.locator(${quote(selector ? `${selector} ${text}` : text)}).wait();`];
+      }
+      case 'evaluateScript': {
+        const source = scriptSource(p.script);
+        const args = [].concat(p.args || []);
+        let setup = [];
+        let scope = 'page';
+        if (p.frame) {
+          const frame = target(p.frame, n);
+          setup = playwright
+            ? [`const frame${n} = await (await ${frame.locator}.elementHandle()).contentFrame();`]
+            : [...frame.setup, `const frame${n} = await (await ${frame.locator}.waitHandle()).contentFrame();`];
+          scope = `frame${n}`;
+        }
+        // Playwright passes a single argument
+        const call = args.length === 0
+          ? `await ${scope}.evaluate(${source});`
+          : (playwright
+            ? `await ${scope}.evaluate(args => (${source})(...args), ${literal(args)});`
+            : `await ${scope}.evaluate(${source}, ${args.map(literal).join(', ')});`);
+        return [...setup, ...call.split('\n')];
+      }
+      case 'takeScreenshot': {
+        const file = `step-${n}.${p.format || 'png'}`;
+        if (p.selector) {
+          const { setup, locator } = target(p.selector, n);
+          return playwright
+            ? [...setup, `await ${locator}.screenshot(${literal({ path: file })});`]
+            : [...setup, `await (await ${locator}.waitHandle()).screenshot(${literal({ path: file })});`];
+        }
+        return [`await page.screenshot(${literal({ path: file, clip: p.clip, fullPage: p.clip ? undefined : p.fullPage !== false })});`];
+      }
+      case 'compareToBaseline':
+        return playwright
+          ? [`await expect(page).toHaveScreenshot(${quote(`${p.name}.png`)});`]
+          : [`// compareToBaseline ${p.name} was not exported`];
+      // Following next links moves the page on, which later steps depend on
+      case 'extract':
+        return p.next ? [`// extract followed ${quote(p.next)} through up to ${p.maxPages || DEFAULT_MAX_PAGES} pages`] : null;
+      default: {
+        if (READ_ONLY_TOOLS.has(tool)) {
+          return null;
+        }
+        const printable = printableParameters(parameters);
+        const shown = Object.keys(printable).length > 0 ? ` ${literal(printable)}` : '';
+        return [`// ${tool}${shown} has no equivalent in the exported test`];
+      }
+    }
+  }
+
+  return { needs, action, assertion };
+}
+
+function indent(lines, depth) {
+  const prefix = ' '.repeat(depth);
+  return lines.map(line => (line ? prefix + line : line));
+}
+
+// Generate a test from steps. Returns the code and how many steps made it in.
+function generateTest(steps, { framework = 'puppeteer', testName = 'replays the recorded steps', viewport, fixturesDir, header }) {
+  if (!FRAMEWORKS.includes(framework)) {
+    throw new Error(`Invalid framework: ${framework} (expected one of ${FRAMEWORKS.join(', ')})`);
+  }
+
+  const writer = createWriter(framework);
+  const body = [];
+  let exported = 0;
+  let skipped = 0;
+
+  steps.forEach((step, index) => {
+    const n = index + 1;
+    // Recorded text is escaped for replay; the test takes it as written
+    const parameters = unescapeReferences(step.parameters || {});
+    const assertions = [].concat(unescapeReferences(step.assert || []));
+    const lines = writer.action(step.tool, parameters, n, assertions);
+    if (lines === null) {
+      skipped++;
+      return;
+    }
+    const response = step.tool === 'navigateTo' ? `response${n}` : null;
+    const checks = assertions.flatMap((check, i) => writer.assertion(check, `${n}_${i + 1}`, response));
+    const all = [...lines, ...checks];
+    if (all.length === 0) {
+      skipped++;
+      return;
+    }
+    if (all.every(line => line.startsWith('//'))) {
+      skipped++;
+    } else {
+      exported++;
+    }
+    if (body.length > 0) {
+      body.push('');
+    }
+    body.push(...all);
+  });
+
+  const requires = [];
+  if (writer.needs.has('assert')) {
+    requires.push("const assert = require('assert');");
+  }
+  if (writer.needs.has('path')) {
+    requires.push("const path = require('path');");
+  }
+  const constants = writer.needs.has('path') ? [`const FIXTURES_DIR = ${quote(fixturesDir)};`, ''] : [];
+  const setViewport = viewport ? [`await page.setViewport(${literal(viewport)});`] : [];
+
+  let lines;
+  if (framework === 'playwright') {
+    lines = [
+      "const { test, expect } = require('@playwright/test');",
+      ...requires,
+      '',
+      ...constants,
+      ...(viewport ? [`test.use({ viewport: ${literal(viewport)} });`, ''] : []),
+      `test(${quote(testName)}, async ({ page }) => {`,
+      ...indent(body, 2),
+      '});'
+    ];
+  } else if (framework === 'jest') {
+    lines = [
+      ...requires,
+      "const puppeteer = require('puppeteer');",
+      '',
+      ...constants,
+      `describe(${quote(testName)}, () => {`,
+      '  let browser;',
+      '  let page;',
+      '',
+      '  beforeAll(async () => {',
+      '    browser = await puppeteer.launch();',
+      '    page = await browser.newPage();',
+      ...indent(setViewport, 4),
+      '  });',
+      '',
+      '  afterAll(async () => {',
+      '    await browser.close();',
+      '  });',
+      '',
+      "  test('replays the recorded steps', async () => {",
+      ...indent(body, 4),
+      '  }, 120000);',
+      '});'
+    ];
+  } else {
+    lines = [
+      ...requires,
+      "const puppeteer = require('puppeteer');",
+      '',
+      ...constants,
+      '(async () => {',
+      '  const browser = await puppeteer.launch();',
+      '  const page = await browser.newPage();',
+      ...indent(setViewport, 2),
+      '  try {',
+      ...indent(body, 4),
+      '  } finally {',
+      '    await browser.close();',
+      '  }',
+      '})().catch(error => {',
+      '  console.error(error);',
+      '  process.exitCode = 1;',
+      '});'
+    ];
+  }
+
+  return {
+    code: `${header ? `// ${header}\n` : ''}${lines.join('\n')}\n`,
+    exported,
+    skipped
+  };
+}
+
+module.exports = {
+  FRAMEWORKS,
+  generateTest
+};
@@ -0,0 +1,396 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeLogins } = require('./auth');
+
+// Server configuration. Values are merged in order of precedence:
+// defaults < config file < environment variables < command line flags.
+//
+// The config file is JSON with the same shape as DEFAULTS. It is read from
+// --config / MCP_CONFIG, or from mcp-puppeteer.config.json in the working
+// directory if that exists.
+
+const DEFAULT_CONFIG_FILE = 'mcp-puppeteer.config.json';
+
+const DEFAULTS = {
+  transport: 'http',
+  port: 3025,
+  host: null, // all interfaces
+  screenshotsDir: path.join(__dirname, '..', 'screenshots'),
+  fixturesDir: path.join(__dirname, '..', 'fixtures'),
+  baselinesDir: path.join(__dirname, '..', 'baselines'),
+  scriptsDir: path.join(__dirname, '..', 'scripts'),
+  storageStateDir: path.join(__dirname, '..', 'storage-state'),
+  secretsFile: null, // JSON file login credentials can be read from
+  logins: {}, // named logins for the login tool, see lib/auth.js
+  evaluate: true, // tools that run client-supplied JavaScript
+  browser: {
+    headless: false,
+    executablePath: null,
+    userDataDir: null,
+    proxy: null,
+    proxyBypass: null,
+    sandbox: false,
+    args: [],
+    stealth: true,
+    stealthOverrides: true
+  },
+  viewport: {
+    width: 1280,
+    height: 800
+  },
+  timeouts: {
+    navigation: 30000,
+    element: 5000
+  },
+  sessions: {
+    idleTimeout: 30 * 60 * 1000,
+    eventBufferSize: 1000
+  },
+  visual: {
+    threshold: 0.1 // percent of pixels that may differ from a baseline
+  }
+};
+
+// Every setting that can be given in the environment or on the command line.
+// Numbers are at least `min` (default 0) and at most `max`, and whole if
+// `integer` is set.
+const OPTIONS = [
+  { key: 'transport', flag: 'transport', env: 'MCP_TRANSPORT', type: 'string', description: 'Transport to serve MCP on: http or stdio' },
+  { key: 'port', flag: 'port', env: 'MCP_PORT', type: 'number', integer: true, max: 65535, description: 'HTTP port' },
+  { key: 'host', flag: 'host', env: 'MCP_HOST', type: 'string', description: 'HTTP host to bind to (default: all interfaces)' },
+  { key: 'screenshotsDir', flag: 'screenshots-dir', env: 'MCP_SCREENSHOTS_DIR', type: 'path', description: 'Directory screenshots are saved to and served from' },
+  { key: 'fixturesDir', flag: 'fixtures-dir', env: 'MCP_FIXTURES_DIR', type: 'path', description: 'Directory that fixture files for mocked responses and uploads are read from' },
+  { key: 'baselinesDir', flag: 'baselines-dir', env: 'MCP_BASELINES_DIR', type: 'path', description: 'Directory visual regression baselines are stored in' },
+  { key: 'scriptsDir', flag: 'scripts-dir', env: 'MCP_SCRIPTS_DIR', type: 'path', description: 'Directory recorded scripts are saved to and run from' },
+  { key: 'storageStateDir', flag: 'storage-state-dir', env: 'MCP_STORAGE_STATE_DIR', type: 'path', description: 'Directory saved storage states (cookies and site data) are kept in' },
+  { key: 'secretsFile', flag: 'secrets-file', env: 'MCP_SECRETS_FILE', type: 'path', description: 'JSON file that ${secret:...} references in logins are read from' },
+  { key: 'evaluate', flag: 'evaluate', env: 'MCP_EVALUATE', type: 'boolean', description: 'Enable evaluateScript and waitForFunction (--no-evaluate turns them off for untrusted clients)' },
+  { key: 'browser.headless', flag: 'headless', env: 'MCP_HEADLESS', type: 'headless', description: 'Run the browser headless (or --headless new for the new headless mode)' },
+  { key: 'browser.executablePath', flag: 'executable-path', env: 'MCP_EXECUTABLE_PATH', type: 'path', description: 'Chrome/Chromium executable to launch' },
+  { key: 'browser.userDataDir', flag: 'user-data-dir', env: 'MCP_USER_DATA_DIR', type: 'path', description: 'Browser profile directory' },
+  { key: 'browser.proxy', flag: 'proxy', env: 'MCP_PROXY', type: 'string', description: 'Proxy server, e.g. http://proxy:8080' },
+  { key: 'browser.proxyBypass', flag: 'proxy-bypass', env: 'MCP_PROXY_BYPASS', type: 'string', description: 'Hosts that bypass the proxy, e.g. localhost;*.internal' },
+  { key: 'browser.sandbox', flag: 'sandbox', env: 'MCP_SANDBOX', type: 'boolean', description: 'Keep the Chrome sandbox enabled (it is disabled by default)' },
+  { key: 'browser.args', flag: 'browser-arg', env: 'MCP_BROWSER_ARGS', type: 'list', description: 'Extra browser argument (repeatable; comma separated in the environment)' },
+  { key: 'browser.stealth', flag: 'stealth', env: 'MCP_STEALTH', type: 'boolean', description: 'Apply the puppeteer-extra stealth plugin' },
+  { key: 'browser.stealthOverrides', flag: 'stealth-overrides', env: 'MCP_STEALTH_OVERRIDES', type: 'boolean', description: 'Apply our own navigator overrides and hide the automation flag' },
+  { key: 'viewport', flag: 'viewport', env: 'MCP_VIEWPORT', type: 'viewport', description: 'Default viewport as WIDTHxHEIGHT' },
+  { key: 'timeouts.navigation', flag: 'navigation-timeout', env: 'MCP_NAVIGATION_TIMEOUT', type: 'number', description: 'Default navigation timeout in milliseconds' },
+  { key: 'timeouts.element', flag: 'element-timeout', env: 'MCP_ELEMENT_TIMEOUT', type: 'number', description: 'Default timeout for waiting on elements in milliseconds' },
+  { key: 'sessions.eventBufferSize', flag: 'event-buffer-size', env: 'MCP_EVENT_BUFFER_SIZE', type: 'number', integer: true, min: 1, description: 'Console messages, network requests, ... kept per session and source' },
+  { key: 'sessions.idleTimeout', flag: 'session-idle-timeout', env: 'MCP_SESSION_IDLE_TIMEOUT', type: 'number', min: 1, description: 'Close sessions idle for this many milliseconds' },
+  { key: 'visual.threshold', flag: 'visual-threshold', env: 'MCP_VISUAL_THRESHOLD', type: 'number', max: 100, description: 'Percentage of pixels that may differ from a baseline before compareToBaseline fails' }
+];
+
+// What a number option accepts, for error messages
+function describeRange({ integer, min = 0, max }) {
+  const kind = integer ? 'an integer' : 'a number';
+  return max === undefined ? `${kind} of at least ${min}` : `${kind} from ${min} to ${max}`;
+}
+
+function inRange(option, value) {
+  const { integer, min = 0, max = Infinity } = option;
+  return Number.isFinite(value) && value >= min && value <= max && (!integer || Number.isInteger(value));
+}
+
+function parseValue(option, raw, source, cwd) {
+  const fail = () => {
+    throw new Error(`Invalid value for ${source}: ${raw}`);
+  };
+
+  switch (option.type) {
+    case 'number': {
+      const value = Number(raw);
+      if (raw === '' || !inRange(option, value)) {
+        throw new Error(`Invalid value for ${source}: ${raw} (expected ${describeRange(option)})`);
+      }
+      return value;
+    }
+    case 'boolean':
+      if (raw === true || ['true', '1', 'yes', 'on'].includes(String(raw).toLowerCase())) {
+        return true;
+      }
+      if (raw === false || ['false', '0', 'no', 'off'].includes(String(raw).toLowerCase())) {
+        return false;
+      }
+      return fail();
+    case 'headless':
+      if (String(raw).toLowerCase() === 'new') {
+        return 'new';
+      }
+      return parseValue({ type: 'boolean' }, raw, source, cwd);
+    case 'viewport': {
+      const match = /^([1-9]\d*)x([1-9]\d*)$/.exec(String(raw));
+      if (!match) {
+        fail();
+      }
+      return { width: Number(match[1]), height: Number(match[2]) };
+    }
+    case 'list':
+      return String(raw).split(',').map(item => item.trim()).filter(Boolean);
+    case 'path':
+      return path.resolve(cwd, String(raw));
+    default:
+      return String(raw);
+  }
+}
+
+// Check a value read from the config file, which JSON has already typed.
+// Returns what was expected if it is not acceptable.
+function checkFileValue(option, value) {
+  const nullable = getPath(DEFAULTS, option.key) === null;
+  if (value === null && nullable) {
+    return null;
+  }
+  switch (option.type) {
+    case 'number':
+      return typeof value === 'number' && inRange(option, value) ? null : describeRange(option);
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'true or false';
+    case 'headless':
+      return typeof value === 'boolean' || value === 'new' ? null : 'true, false or "new"';
+    case 'viewport': {
+      const sizes = value && typeof value === 'object' && !Array.isArray(value) ? Object.entries(value) : null;
+      const valid = sizes && sizes.every(([name, size]) => ['width', 'height'].includes(name) && Number.isInteger(size) && size > 0);
+      return valid ? null : 'an object with positive integer width and height';
+    }
+    case 'list':
+      return Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'an array of strings';
+    default:
+      return typeof value === 'string' ? null : `a string${nullable ? ' or null' : ''}`;
+  }
+}
+
+function getPath(target, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), target);
+}
+
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+// Deep merge plain objects; arrays and other values replace
+function merge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)
+      && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      merge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+// Split argv into { flag: value } pairs. Supports --flag value, --flag=value,
+// bare boolean flags and --no-flag for booleans. --stdio is shorthand for
+// --transport stdio.
+function parseArgs(argv) {
+  const flags = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+
+    if (name === 'stdio') {
+      flags.push({ option: OPTIONS.find(o => o.key === 'transport'), value: 'stdio', name });
+      continue;
+    }
+    if (name === 'help') {
+      flags.push({ name, value });
+      continue;
+    }
+    if (name === 'config') {
+      if (value === undefined) {
+        value = argv[++i];
+      }
+      if (!value) {
+        throw new Error('Missing value for --config (expected the path of a JSON config file)');
+      }
+      flags.push({ name, value });
+      continue;
+    }
+
+    let option = OPTIONS.find(o => o.flag === name);
+    if (!option && name.startsWith('no-')) {
+      option = OPTIONS.find(o => o.flag === name.slice(3) && ['boolean', 'headless'].includes(o.type));
+      if (option && value === undefined) {
+        flags.push({ option, value: false, name });
+        continue;
+      }
+    }
+    if (!option) {
+      throw new Error(`Unknown option: --${name}`);
+    }
+
+    if (value === undefined) {
+      const next = argv[i + 1];
+      const takesValue = !['boolean', 'headless'].includes(option.type) || (next !== undefined && !next.startsWith('--'));
+      value = takesValue ? argv[++i] : true;
+    }
+    if (value === undefined) {
+      throw new Error(`Missing value for --${name}`);
+    }
+
+    flags.push({ option, value, name });
+  }
+
+  return flags;
+}
+
+function readConfigFile(file) {
+  let contents;
+  try {
+    contents = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read config file ${file}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Invalid JSON in config file ${file}: ${error.message}`);
+  }
+}
+
+function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+  const flags = parseArgs(argv);
+  const config = JSON.parse(JSON.stringify(DEFAULTS));
+
+  // Config file
+  const configFlag = flags.find(flag => flag.name === 'config');
+  let configFile = (configFlag && configFlag.value) || env.MCP_CONFIG;
+  if (!configFile && fs.existsSync(path.join(cwd, DEFAULT_CONFIG_FILE))) {
+    configFile = DEFAULT_CONFIG_FILE;
+  }
+  if (configFile) {
+    configFile = path.resolve(cwd, configFile);
+    const fileConfig = readConfigFile(configFile);
+    if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+      throw new Error(`Config file ${configFile} must contain a JSON object`);
+    }
+
+    for (const section of ['browser', 'timeouts', 'sessions', 'visual']) {
+      const value = fileConfig[section];
+      if (value !== undefined && (!value || typeof value !== 'object' || Array.isArray(value))) {
+        throw new Error(`Invalid value for ${section} in config file ${configFile}: ${JSON.stringify(value)} (expected an object)`);
+      }
+    }
+    for (const option of OPTIONS) {
+      const value = getPath(fileConfig, option.key);
+      const expected = value === undefined ? null : checkFileValue(option, value);
+      if (expected) {
+        throw new Error(`Invalid value for ${option.key} in config file ${configFile}: ${JSON.stringify(value)} (expected ${expected})`);
+      }
+    }
+
+    // Relative paths in the file are relative to the file
+    for (const option of OPTIONS.filter(o => o.type === 'path')) {
+      const value = getPath(fileConfig, option.key);
+      if (typeof value === 'string') {
+        setPath(fileConfig, option.key, path.resolve(path.dirname(configFile), value));
+      }
+    }
+
+    merge(config, fileConfig);
+  }
+
+  // Environment variables
+  for (const option of OPTIONS) {
+    if (env[option.env] !== undefined && env[option.env] !== '') {
+      setPath(config, option.key, parseValue(option, env[option.env], option.env, cwd));
+    }
+  }
+
+  // Command line flags
+  for (const { option, value, name } of flags) {
+    if (!option) {
+      continue;
+    }
+    const parsed = parseValue(option, value, `--${name}`, cwd);
+    if (option.type === 'list') {
+      const current = getPath(config, option.key);
+      setPath(config, option.key, current.concat(parsed));
+    } else {
+      setPath(config, option.key, parsed);
+    }
+  }
+
+  if (!['http', 'stdio'].includes(config.transport)) {
+    throw new Error(`Invalid transport: ${config.transport} (expected http or stdio)`);
+  }
+
+  config.logins = normalizeLogins(config.logins);
+
+  config.configFile = configFile || null;
+  config.help = flags.some(flag => flag.name === 'help');
+  return config;
+}
+
+function usage() {
+  const lines = [
+    'Usage: node index.js [options]',
+    '',
+    'Options (environment variable in brackets):',
+    '  --config <file>                  JSON config file [MCP_CONFIG]',
+    '  --stdio                          Shorthand for --transport stdio',
+    '  --help                           Show this help'
+  ];
+
+  for (const option of OPTIONS) {
+    const value = ['boolean', 'headless'].includes(option.type) ? '' : ' <value>';
+    lines.push(`  --${(option.flag + value).padEnd(31)}${option.description} [${option.env}]`);
+  }
+
+  lines.push('', 'Boolean options can be negated with --no-<option>, e.g. --no-stealth.');
+  return lines.join('\n');
+}
+
+// Launch options for puppeteer.launch()
+function getLaunchOptions(config) {
+  const { browser, viewport } = config;
+  const args = [];
+
+  if (!browser.sandbox) {
+    args.push('--no-sandbox', '--disable-setuid-sandbox');
+  }
+  if (browser.stealthOverrides) {
+    args.push('--disable-blink-features=AutomationControlled'); // Disable automation flag
+  }
+  args.push(`--window-size=${viewport.width},${viewport.height}`);
+  if (browser.proxy) {
+    args.push(`--proxy-server=${browser.proxy}`);
+  }
+  if (browser.proxyBypass) {
+    args.push(`--proxy-bypass-list=${browser.proxyBypass}`);
+  }
+  args.push(...browser.args);
+
+  const options = {
+    headless: browser.headless,
+    args
+  };
+  if (browser.executablePath) {
+    options.executablePath = browser.executablePath;
+  }
+  if (browser.userDataDir) {
+    options.userDataDir = browser.userDataDir;
+  }
+  return options;
+}
+
+module.exports = {
+  DEFAULTS,
+  loadConfig,
+  getLaunchOptions,
+  usage
+};
@@ -0,0 +1,419 @@
+// Page content in the forms agents read best. Every mode but html works on a
+// cleaned copy of the page (or of one element), made in the page:
+//
+//   html       the page's HTML as it is
+//   cleanHtml  without scripts, styles, hidden elements and presentational
+//              attributes, with absolute link and image URLs
+//   article    the main content only, found the way reader modes find it,
+//              as cleaned HTML
+//   markdown   Markdown, keeping links, images, lists, code and tables
+//   text       plain text with the paragraphs, list items and table rows of
+//              the page on their own lines
+//
+// Long content is returned a slice of maxLength characters at a time; the
+// cursor of one slice is where the next starts.
+
+const MODES = ['html', 'cleanHtml', 'article', 'markdown', 'text'];
+const DEFAULT_MAX_LENGTH = 100000;
+
+// Runs in the page: the content of `root` (the whole page when null) in
+// `mode`. With `mainContent`, or in article mode, only the main content is
+// kept and the article's metadata is returned with it.
+function contentInPage(root, { mode, mainContent = false }) {
+  const REMOVED = new Set([
+    'script', 'style', 'noscript', 'template', 'link', 'meta', 'head', 'title', 'base',
+    'iframe', 'frame', 'frameset', 'object', 'embed', 'canvas', 'svg', 'math', 'audio', 'video', 'source', 'track'
+  ]);
+  const KEPT_ATTRIBUTES = new Set([
+    'href', 'src', 'alt', 'title', 'colspan', 'rowspan', 'headers', 'scope', 'datetime', 'lang', 'start',
+    'type', 'name', 'placeholder', 'role', 'aria-label', 'open', 'class', 'id'
+  ]);
+  const BLOCKS = 'address, article, aside, blockquote, dd, details, div, dl, dt, figure, footer, form, h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, ul';
+  const UNLIKELY = /-ad-|banner|breadcrumbs|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|pager|pagination|popup|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental/i;
+  const MAYBE = /and|article|body|column|content|main|shadow/i;
+  const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+  const NEGATIVE = /-ad-|hidden|banner|combx|comment|com-|contact|foot|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+  const doc = document.implementation.createHTMLDocument('');
+  const textOf = node => (node.textContent || '').replace(/\s+/g, ' ').trim();
+  const absolute = value => {
+    try {
+      return new URL(value, document.baseURI).href;
+    } catch (error) {
+      return value;
+    }
+  };
+
+  // Copy the rendered content into `doc`, where custom elements do not
+  // upgrade and nothing runs. Open shadow roots are copied in place of the
+  // host's children, with slots filled in.
+  const copyNode = (node, parent, visible) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (visible) {
+        parent.appendChild(doc.createTextNode(node.nodeValue));
+      }
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || REMOVED.has(node.localName)) {
+      return;
+    }
+    if (node.localName === 'slot') {
+      const assigned = node.assignedNodes({ flatten: true });
+      for (const child of assigned.length > 0 ? assigned : Array.from(node.childNodes)) {
+        copyNode(child, parent, visible);
+      }
+      return;
+    }
+    const style = getComputedStyle(node);
+    if (style.display === 'none' || (node.localName === 'input' && node.type === 'hidden')) {
+      return;
+    }
+    parent.appendChild(copyElement(node, style.visibility !== 'hidden' && style.visibility !== 'collapse'));
+  };
+  const copyElement = (node, visible) => {
+    const copy = doc.createElement(node.localName);
+    for (const { name, value } of Array.from(node.attributes)) {
+      if (!KEPT_ATTRIBUTES.has(name)) {
+        continue;
+      }
+      if (name === 'href' || name === 'src') {
+        if (!/^\s*javascript:/i.test(value)) {
+          copy.setAttribute(name, absolute(value));
+        }
+      } else {
+        copy.setAttribute(name, value);
+      }
+    }
+    // Lazily loaded images keep their URL elsewhere until they are loaded
+    if (node.localName === 'img' && (node.currentSrc || node.getAttribute('data-src'))) {
+      copy.setAttribute('src', absolute(node.currentSrc || node.getAttribute('data-src')));
+    }
+    for (const child of Array.from((node.shadowRoot || node).childNodes)) {
+      copyNode(child, copy, visible);
+    }
+    return copy;
+  };
+
+  const scope = root || document.body || document.documentElement;
+  const container = doc.createElement('div');
+  container.appendChild(copyElement(scope, true));
+  const scopeCopy = container.firstElementChild;
+
+  const weightOf = el => {
+    const name = `${el.className} ${el.id}`;
+    return (POSITIVE.test(name) ? 25 : 0) - (NEGATIVE.test(name) ? 25 : 0);
+  };
+  const linkDensity = el => {
+    const length = textOf(el).length;
+    if (length === 0) {
+      return 0;
+    }
+    return Array.from(el.querySelectorAll('a')).reduce((sum, link) => sum + textOf(link).length, 0) / length;
+  };
+
+  // Reader-mode extraction: score the elements around paragraphs by how
+  // much prose they hold, take the best, and drop what looks like
+  // navigation, ads or comments from it
+  const mainContentOf = scopeCopy => {
+    const clutter = 'nav, aside, footer, form, button, dialog, [role=navigation], [role=complementary], [role=contentinfo], ' +
+      '[role=banner], [role=dialog], [role=alertdialog], [role=menu], [role=menubar], [role=search]';
+    for (const el of Array.from(scopeCopy.querySelectorAll(clutter))) {
+      el.remove();
+    }
+    for (const el of Array.from(scopeCopy.querySelectorAll('header'))) {
+      if (!el.querySelector('h1')) {
+        el.remove();
+      }
+    }
+    for (const el of Array.from(scopeCopy.querySelectorAll('*'))) {
+      const name = `${el.className} ${el.id}`;
+      if (UNLIKELY.test(name) && !MAYBE.test(name) && !el.matches('a, article, main, body') && !el.closest('table, pre, code')) {
+        el.remove();
+      }
+    }
+
+    const INITIAL_SCORES = { div: 5, section: 5, article: 5, main: 5, pre: 3, td: 3, blockquote: 3, address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3, h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5 };
+    const scores = new Map();
+    const paragraphs = Array.from(scopeCopy.querySelectorAll('p, pre, td, blockquote, div, section'))
+      .filter(el => !['div', 'section'].includes(el.localName) || !el.querySelector(BLOCKS));
+    for (const paragraph of paragraphs) {
+      const text = textOf(paragraph);
+      if (text.length < 25) {
+        continue;
+      }
+      // A point, one per comma and one per 100 characters (up to 3)
+      const score = text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+      let ancestor = paragraph.parentElement;
+      for (let level = 0; ancestor && level < 5; level++) {
+        if (!scores.has(ancestor)) {
+          scores.set(ancestor, (INITIAL_SCORES[ancestor.localName] || 0) + weightOf(ancestor));
+        }
+        scores.set(ancestor, scores.get(ancestor) + score / (level === 0 ? 1 : level === 1 ? 2 : level * 3));
+        if (ancestor === scopeCopy) {
+          break;
+        }
+        ancestor = ancestor.parentElement;
+      }
+    }
+    const finalScores = new Map(Array.from(scores, ([el, score]) => [el, score * (1 - linkDensity(el))]));
+    const finalScore = el => finalScores.get(el);
+    let top = null;
+    for (const el of finalScores.keys()) {
+      if (!top || finalScore(el) > finalScore(top)) {
+        top = el;
+      }
+    }
+    if (!top) {
+      return scopeCopy.querySelector('article, main, [role=main]') || scopeCopy;
+    }
+
+    // Siblings that score nearly as well, or are paragraphs of prose, belong
+    // to the article too
+    const article = doc.createElement('div');
+    const threshold = Math.max(10, finalScore(top) * 0.2);
+    const siblings = top === scopeCopy ? [top] : Array.from(top.parentElement.children);
+    for (const sibling of siblings) {
+      let append = sibling === top || (finalScores.has(sibling) && finalScore(sibling) >= threshold);
+      if (!append && sibling.localName === 'p') {
+        const text = textOf(sibling);
+        const density = linkDensity(sibling);
+        append = (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+      }
+      if (append) {
+        article.appendChild(sibling);
+      }
+    }
+
+    // Innermost first, so an element is judged without what was removed
+    for (const el of Array.from(article.querySelectorAll('div, section, header, ul, ol, table')).reverse()) {
+      if (el.localName === 'table' && el.querySelector('th, caption')) {
+        continue;
+      }
+      const weight = weightOf(el);
+      const text = textOf(el);
+      const density = linkDensity(el);
+      const short = text.length < 25 && !['ul', 'ol'].includes(el.localName) && !el.querySelector('img, pre, table, h1, h2, h3, h4, h5, h6');
+      if (weight < 0 || (text.split(',').length <= 10 && ((weight < 25 && density > 0.2) || density > 0.5 || short))) {
+        el.remove();
+      }
+    }
+    return article;
+  };
+
+  const metadataOf = article => {
+    const meta = name => {
+      const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+      return (el && el.content.trim()) || null;
+    };
+    const headings = document.querySelectorAll('h1');
+    const author = document.querySelector('[rel=author], [itemprop=author], .byline, .author');
+    const firstParagraph = Array.from(article.querySelectorAll('p')).map(textOf).find(text => text.length > 0);
+    const time = article.querySelector('time[datetime]') || document.querySelector('article time[datetime]');
+    return {
+      title: meta('og:title') || (headings.length === 1 && textOf(headings[0])) || document.title.trim() || null,
+      byline: meta('author') || (author && textOf(author).length <= 100 ? textOf(author) : null) || null,
+      excerpt: meta('description') || meta('og:description') || (firstParagraph ? firstParagraph.slice(0, 200) : null),
+      publishedTime: meta('article:published_time') || (time && time.getAttribute('datetime')) || null
+    };
+  };
+
+  const cleanHtml = el => {
+    for (const node of Array.from(el.querySelectorAll('[class], [id]'))) {
+      node.removeAttribute('class');
+      node.removeAttribute('id');
+    }
+    for (const node of Array.from(el.querySelectorAll('div, span, section, p, a, li, ul, ol')).reverse()) {
+      if (!textOf(node) && !node.querySelector('img, input, select, textarea, table, hr, br')) {
+        node.remove();
+      }
+    }
+    const walker = doc.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (!node.parentElement.closest('pre, textarea')) {
+        node.nodeValue = node.nodeValue.replace(/\s+/g, ' ');
+      }
+    }
+    return el.innerHTML.replace(/>\s+</g, '>\n<').trim();
+  };
+
+  // Markdown, or plain text when `plain`. Spaces and newlines that have to
+  // survive the whitespace clean-up are written as placeholders until the
+  // end: INDENT for list indentation and code spaces, CODE_NEWLINE for
+  // newlines in code blocks and BREAK for <br>.
+  const INDENT = '\u0001';
+  const CODE_NEWLINE = '\u0002';
+  const BREAK = '\u0003';
+  const toText = (el, plain) => {
+    const escape = text => (plain ? text : text.replace(/[\\`*_[\]]/g, '\\$&'));
+    const squeeze = text => text.replace(/ {2,}/g, ' ').replace(/[ \t]*\n[ \t]*/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    const block = text => `\n\n${squeeze(text)}\n\n`;
+    const inline = text => squeeze(text).replace(/[\n\u0002\u0003]+/g, ' ');
+    const wrap = (text, marker) => {
+      const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+      return match[2] && !plain ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+    };
+    const indent = (text, first, rest) => `${first}${text.replace(/[\n\u0002]/g, `$&${rest}`)}`;
+
+    const table = node => {
+      const rows = Array.from(node.rows).map(row => {
+        const cells = [];
+        for (const cell of Array.from(row.cells)) {
+          cells.push(inline(children(cell)).replace(/\|/g, plain ? '|' : '\\|'));
+          for (let i = 1; i < cell.colSpan; i++) {
+            cells.push('');
+          }
+        }
+        return cells;
+      }).filter(cells => cells.length > 0);
+      const caption = node.caption ? block(children(node.caption)) : '';
+      // Tables used for layout rather than data read as their cells
+      if (rows.length === 0 || node.querySelector('table') || rows.every(cells => cells.length <= 1)) {
+        return caption + Array.from(node.querySelectorAll('td, th')).map(cell => block(children(cell))).join('');
+      }
+      if (plain) {
+        return caption + block(rows.map(cells => cells.join('\t')).join('\n'));
+      }
+      const width = Math.max(...rows.map(cells => cells.length));
+      const line = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+      return caption + block([line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n'));
+    };
+
+    const list = node => {
+      const items = Array.from(node.children).filter(child => child.localName === 'li');
+      const start = Number(node.getAttribute('start')) || 1;
+      return block(items.map((item, index) => {
+        const marker = node.localName === 'ol' ? `${start + index}. ` : '- ';
+        const content = squeeze(children(item)).replace(/\n{2,}/g, '\n');
+        return indent(content, marker, INDENT.repeat(marker.length));
+      }).join('\n'));
+    };
+
+    const convert = node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return escape(node.nodeValue.replace(/\s+/g, ' '));
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return '';
+      }
+      const tag = node.localName;
+      switch (tag) {
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+          const text = inline(children(node));
+          return text ? block(`${plain ? '' : `${'#'.repeat(Number(tag[1]))} `}${text}`) : '';
+        }
+        case 'br':
+          return `${BREAK}\n`;
+        case 'hr':
+          return plain ? '\n\n' : block('---');
+        case 'strong': case 'b':
+          return wrap(children(node), '**');
+        case 'em': case 'i':
+          return wrap(children(node), '_');
+        case 'del': case 's': case 'strike':
+          return wrap(children(node), '~~');
+        case 'code': {
+          const text = node.textContent.replace(/\s+/g, ' ');
+          if (plain || !text.trim()) {
+            return text;
+          }
+          const ticks = text.includes('`') ? '``' : '`';
+          return ticks.length > 1 ? `${ticks} ${text} ${ticks}` : `${ticks}${text}${ticks}`;
+        }
+        case 'pre': {
+          const code = node.textContent.replace(/\n$/, '').replace(/ /g, INDENT).replace(/\n/g, CODE_NEWLINE);
+          if (plain) {
+            return `\n\n${code}\n\n`;
+          }
+          const language = /language-(\S+)/.exec(`${node.className} ${node.querySelector('code') ? node.querySelector('code').className : ''}`);
+          const longest = Math.max(0, ...(node.textContent.match(/`+/g) || []).map(run => run.length));
+          const fence = '`'.repeat(Math.max(3, longest + 1));
+          return `\n\n${fence}${language ? language[1] : ''}\n${code}\n${fence}\n\n`;
+        }
+        case 'a': {
+          const text = inline(children(node));
+          const href = node.getAttribute('href');
+          if (plain || !href || !text) {
+            return text;
+          }
+          return `[${text}](${/[\s()]/.test(href) ? `<${href}>` : href})`;
+        }
+        case 'img': {
+          const alt = (node.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+          if (plain || !node.getAttribute('src')) {
+            return alt;
+          }
+          return `![${escape(alt)}](${node.getAttribute('src')})`;
+        }
+        case 'blockquote': {
+          const text = squeeze(children(node));
+          return plain ? block(text) : block(indent(text, '> ', '> '));
+        }
+        case 'ul': case 'ol':
+          return list(node);
+        case 'li':
+          return block(`- ${children(node)}`);
+        case 'table':
+          return table(node);
+        case 'dt':
+          return `\n\n${wrap(inline(children(node)), '**')}\n`;
+        case 'dd':
+          return `\n${indent(squeeze(children(node)), plain ? INDENT.repeat(2) : `:${INDENT}`, INDENT.repeat(2))}\n`;
+        case 'input': case 'select': case 'textarea':
+          return '';
+        default:
+          return node.matches(BLOCKS) || ['figcaption', 'summary', 'caption', 'tr'].includes(tag)
+            ? block(children(node))
+            : children(node);
+      }
+    };
+    const children = node => Array.from(node.childNodes).map(convert).join('');
+
+    return squeeze(convert(el))
+      .replace(new RegExp(INDENT, 'g'), ' ')
+      .replace(new RegExp(CODE_NEWLINE, 'g'), '\n')
+      .replace(new RegExp(BREAK, 'g'), plain ? '' : '  ');
+  };
+
+  const readable = mode === 'article' || mainContent;
+  const content = readable ? mainContentOf(scopeCopy) : scopeCopy;
+  const metadata = readable ? metadataOf(content) : {};
+  if (mode === 'markdown' || mode === 'text') {
+    return { content: toText(content, mode === 'text'), ...metadata };
+  }
+  // An element keeps its own tag; the page is the inside of its <body>
+  return { content: cleanHtml(content === scopeCopy && root ? container : content), ...metadata };
+}
+
+// The part of `content` from `cursor`, at most `maxLength` characters long.
+// A cut falls after a line or, failing that, a word where it can.
+function sliceContent(content, { cursor = 0, maxLength = DEFAULT_MAX_LENGTH } = {}) {
+  if (!Number.isInteger(cursor) || cursor < 0) {
+    throw new Error('cursor must be a non-negative integer');
+  }
+  if (!Number.isInteger(maxLength) || maxLength <= 0) {
+    throw new Error('maxLength must be a positive integer');
+  }
+  const length = content.length;
+  let end = cursor + maxLength;
+  if (end >= length) {
+    return { content: content.slice(cursor), length, truncated: false };
+  }
+  const minimum = cursor + Math.floor(maxLength / 2);
+  const newline = content.lastIndexOf('\n', end - 1);
+  const space = content.lastIndexOf(' ', end - 1);
+  if (newline >= minimum) {
+    end = newline + 1;
+  } else if (space >= minimum) {
+    end = space + 1;
+  } else if (/[\ud800-\udbff]/.test(content[end - 1])) {
+    end--;
+  }
+  return { content: content.slice(cursor, end), length, truncated: true, cursor: end };
+}
+
+module.exports = {
+  MODES,
+  DEFAULT_MAX_LENGTH,
+  contentInPage,
+  sliceContent
+};
@@ -0,0 +1,249 @@
+// Diagnostics capture: uncaught exceptions, unhandled promise rejections,
+// failed requests, renderer crashes and CSP violations are recorded as
+// 'errors' events. Stack frames in scripts that declare a source map are
+// resolved to their original source in the background. Scripts and maps are
+// loaded by the browser for the page, with its cookies, proxy and
+// authentication, never by this process.
+
+const { SourceMapConsumer } = require('source-map');
+
+const KINDS = ['exception', 'unhandledrejection', 'requestfailed', 'crash', 'csp'];
+
+const MAX_SOURCE_MAPS = 50;
+
+function findHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+// Load a resource the way the page would, through the browser
+async function loadResource(client, frameId, url) {
+  const { resource } = await client.send('Network.loadNetworkResource', {
+    frameId,
+    url,
+    options: { disableCache: false, includeCredentials: true }
+  });
+  if (!resource.success) {
+    throw new Error(resource.httpStatusCode ? `HTTP ${resource.httpStatusCode}` : resource.netErrorName || 'load failed');
+  }
+
+  const chunks = [];
+  try {
+    for (;;) {
+      const { data, base64Encoded, eof } = await client.send('IO.read', { handle: resource.stream });
+      chunks.push(Buffer.from(data, base64Encoded ? 'base64' : 'utf8'));
+      if (eof) {
+        break;
+      }
+    }
+  } finally {
+    await client.send('IO.close', { handle: resource.stream }).catch(() => {});
+  }
+  return { headers: resource.headers, text: Buffer.concat(chunks).toString('utf8') };
+}
+
+// Maps inlined as data: URLs are decoded here rather than loaded
+function decodeDataUrl(url) {
+  const match = /^data:[^,]*?(;base64)?,(.*)$/s.exec(url);
+  if (!match) {
+    throw new Error('Invalid data: URL');
+  }
+  return match[1] ? Buffer.from(match[2], 'base64').toString('utf8') : decodeURIComponent(match[2]);
+}
+
+// Find the map a script declares, either in a SourceMap header or in a
+// trailing sourceMappingURL comment, and load it. Resolves to null if the
+// script has none.
+async function findSourceMap(client, frameId, scriptUrl) {
+  const script = await loadResource(client, frameId, scriptUrl);
+  const header = findHeader(script.headers, 'sourcemap') || findHeader(script.headers, 'x-sourcemap');
+  const comment = script.text.match(/[#@]\s*sourceMappingURL=(\S+)\s*$/);
+  const declared = header || (comment && comment[1]);
+  if (!declared) {
+    return null;
+  }
+
+  const mapUrl = new URL(declared, scriptUrl).href;
+  const map = mapUrl.startsWith('data:')
+    ? decodeDataUrl(mapUrl)
+    : (await loadResource(client, frameId, mapUrl)).text;
+  return new SourceMapConsumer(JSON.parse(map));
+}
+
+// Source maps are cached by script URL in session.sourceMaps, shared by the
+// session's pages but not with other sessions, whose cookies may load
+// different maps: bundles rarely change while the server is running, and
+// loading them for each error is wasteful. The least recently used are
+// dropped past MAX_SOURCE_MAPS; failed loads are not kept, so they are tried
+// again.
+function loadSourceMap(sourceMaps, client, frameId, scriptUrl) {
+  let loading = sourceMaps.get(scriptUrl);
+  if (loading) {
+    // Most recently used last
+    sourceMaps.delete(scriptUrl);
+  } else {
+    loading = findSourceMap(client, frameId, scriptUrl).catch(error => {
+      console.error(`Error loading source map for ${scriptUrl}:`, error.message);
+      if (sourceMaps.get(scriptUrl) === loading) {
+        sourceMaps.delete(scriptUrl);
+      }
+      return null;
+    });
+  }
+  sourceMaps.set(scriptUrl, loading);
+  if (sourceMaps.size > MAX_SOURCE_MAPS) {
+    sourceMaps.delete(sourceMaps.keys().next().value);
+  }
+  return loading;
+}
+
+// CDP locations are zero-based; the ones we report are one-based, like
+// browser devtools and stack traces
+function toFrame(frame) {
+  return {
+    functionName: frame.functionName || '',
+    url: frame.url,
+    line: frame.lineNumber + 1,
+    column: frame.columnNumber + 1
+  };
+}
+
+// Fill in `original` on frames whose script has a source map, loading it
+// through `client`, the page's DevTools session
+async function resolveFrames(client, sourceMaps, frames) {
+  const frameId = frames.some(frame => /^https?:/.test(frame.url))
+    ? (await client.send('Page.getFrameTree')).frameTree.frame.id
+    : null;
+  await Promise.all(frames.map(async frame => {
+    if (!/^https?:/.test(frame.url)) {
+      return;
+    }
+    const consumer = await loadSourceMap(sourceMaps, client, frameId, frame.url);
+    if (!consumer) {
+      return;
+    }
+    const position = consumer.originalPositionFor({ line: frame.line, column: frame.column - 1 });
+    if (position.source) {
+      frame.original = {
+        source: position.source,
+        line: position.line,
+        column: position.column + 1,
+        name: position.name || undefined
+      };
+    }
+  }));
+}
+
+function describeException(details) {
+  const exception = details.exception || {};
+  const description = exception.description || (exception.value !== undefined ? String(exception.value) : '');
+  // An Error's description is its stack; the first line is the message
+  const message = description.split('\n')[0] || details.text;
+  return {
+    kind: /\(in promise\)/.test(details.text) ? 'unhandledrejection' : 'exception',
+    message,
+    errorName: exception.className
+  };
+}
+
+// Attach diagnostics capture to a page. Events are only recorded while
+// session.isConsoleMonitoring is set.
+async function attachDiagnostics(session, page) {
+  const record = data => session.events.add('errors', {
+    ...data,
+    pageUrl: page.url(),
+    timestamp: new Date().toISOString()
+  });
+
+  const client = await page.target().createCDPSession();
+
+  client.on('Runtime.exceptionThrown', ({ exceptionDetails: details }) => {
+    if (!session.isConsoleMonitoring) {
+      return;
+    }
+    const callFrames = details.stackTrace ? details.stackTrace.callFrames : [];
+    // Errors without a stack (e.g. syntax errors) still carry a location
+    const frames = callFrames.length > 0
+      ? callFrames
+      : [{ url: details.url, lineNumber: details.lineNumber, columnNumber: details.columnNumber }];
+
+    const stack = frames.filter(frame => frame.url).map(toFrame);
+    const entry = record({
+      ...describeException(details),
+      location: stack[0] ? { url: stack[0].url, line: stack[0].line, column: stack[0].column } : null,
+      stack
+    });
+
+    const resolving = resolveFrames(client, session.sourceMaps, stack)
+      .then(() => {
+        if (entry.location && stack[0].original) {
+          entry.location.original = stack[0].original;
+        }
+      })
+      // The page may be gone by now
+      .catch(error => console.error('Error resolving stack frames:', error.message))
+      .finally(() => session.pendingDiagnostics.delete(resolving));
+    session.pendingDiagnostics.add(resolving);
+  });
+
+  client.on('Log.entryAdded', ({ entry }) => {
+    if (!session.isConsoleMonitoring || entry.source !== 'security') {
+      return;
+    }
+    record({
+      kind: 'csp',
+      message: entry.text.trim(),
+      location: entry.url ? { url: entry.url, line: entry.lineNumber !== undefined ? entry.lineNumber + 1 : undefined } : null
+    });
+  });
+
+  page.on('requestfailed', request => {
+    if (!session.isConsoleMonitoring) {
+      return;
+    }
+    const failure = request.failure();
+    record({
+      kind: 'requestfailed',
+      message: `${request.method()} ${request.url()} failed: ${failure ? failure.errorText : 'unknown error'}`,
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      errorText: failure ? failure.errorText : undefined
+    });
+  });
+
+  page.on('error', error => {
+    if (session.isConsoleMonitoring) {
+      record({
+        kind: 'crash',
+        message: error.message
+      });
+    }
+  });
+
+  await client.send('Runtime.enable');
+  await client.send('Log.enable');
+}
+
+// Wait for source map resolution of the errors recorded so far
+async function settleDiagnostics(session) {
+  await Promise.all(Array.from(session.pendingDiagnostics));
+}
+
+// What `search` looks in for error events
+function errorSearchText(entry) {
+  const frames = entry.stack || [];
+  return [
+    entry.kind,
+    entry.message,
+    entry.url,
+    ...frames.map(frame => [frame.functionName, frame.url, frame.original && frame.original.source].join(' '))
+  ].join(' ');
+}
+
+module.exports = {
+  KINDS,
+  attachDiagnostics,
+  settleDiagnostics,
+  errorSearchText
+};
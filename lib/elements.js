@@ -0,0 +1,134 @@
+const { resolveRef } = require('./snapshot');
+const { waitForElement } = require('./selectors');
+const { waitForActionable } = require('./actionability');
+
+// The element a tool acts on is given either as a `selector` (see
+// lib/selectors.js for the syntax) or as a `ref` from the latest snapshotPage.
+// Tools that interact with it also pass the actionability checks it has to
+// pass (see lib/actionability.js).
+
+function describeTarget({ selector, ref }) {
+  return ref ? `ref ${ref}` : selector;
+}
+
+function findElement(page, { selector, ref }, timeout) {
+  if (ref) {
+    return resolveRef(page, ref);
+  }
+  if (!selector) {
+    throw new Error('Either selector or ref is required');
+  }
+  return waitForElement(page, selector, { timeout });
+}
+
+// Wait for the target element, and until it passes `checks`, and return its
+// handle
+async function resolveElement(page, target, { timeout, checks = [] }) {
+  if (checks.length === 0) {
+    return findElement(page, target, timeout);
+  }
+  return waitForActionable(remaining => findElement(page, target, remaining), checks, { timeout });
+}
+
+// Runs in the page: a selector that finds the element again, preferring
+// attributes written to be stable over a path through the tree. Inside a
+// shadow root the selector starts from its host.
+function selectorInPage(el) {
+  const quoteValue = value => `"${value.replace(/["\\]/g, '\\$&')}"`;
+  const normalize = value => String(value || '').replace(/\s+/g, ' ').trim();
+  const isUnique = (root, selector) => {
+    try {
+      return root.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  };
+  const candidates = node => {
+    const tag = CSS.escape(node.localName);
+    const list = [];
+    // Generated ids (counters, React's :r1:) change between page loads
+    if (node.id && !/\d{3}|:/.test(node.id)) {
+      list.push(`#${CSS.escape(node.id)}`);
+    }
+    for (const name of ['data-testid', 'data-test', 'data-qa']) {
+      if (node.getAttribute(name)) {
+        list.push(`[${name}=${quoteValue(node.getAttribute(name))}]`);
+      }
+    }
+    // Buttons and links by their text, if no smaller element has the same text
+    const text = normalize(node.textContent);
+    if (node === el && node.matches('button, a[href], summary, [role=button], [role=link], [role=tab], [role=menuitem]') &&
+        text && text.length <= 50 && !/"|>>/.test(text)) {
+      const matches = Array.from(document.querySelectorAll('body *')).filter(other =>
+        normalize(other.textContent) === text && !Array.from(other.children).some(child => normalize(child.textContent) === text));
+      if (matches.length === 1 && matches[0] === node) {
+        list.push(`text="${text}"`);
+      }
+    }
+    for (const name of ['name', 'aria-label', 'placeholder']) {
+      if (node.getAttribute(name)) {
+        list.push(`${tag}[${name}=${quoteValue(node.getAttribute(name))}]`);
+      }
+    }
+    return list;
+  };
+  const step = node => {
+    const tag = CSS.escape(node.localName);
+    const siblings = node.parentElement
+      ? Array.from(node.parentElement.children).filter(sibling => sibling.localName === node.localName)
+      : [];
+    return siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag;
+  };
+  const within = (node, root) => {
+    const path = [];
+    for (let current = node; current; current = current.parentElement) {
+      const found = candidates(current).find(selector => selector.startsWith('text=') || isUnique(root, selector));
+      if (found) {
+        path.unshift(found);
+        break;
+      }
+      path.unshift(step(current));
+      if (isUnique(root, path.join(' > ')) || current.localName === 'body' || current.parentNode === root) {
+        break;
+      }
+    }
+    return path.join(' > ');
+  };
+
+  const root = el.getRootNode();
+  const selector = within(el, root);
+  return root instanceof ShadowRoot ? `${selectorInPage(root.host)} >>> ${selector}` : selector;
+}
+
+// A selector for the element a snapshot ref points at, for recording steps
+// that keep working once the ref is gone. Elements in iframes get a chain
+// through the iframe (see lib/selectors.js).
+async function selectorForRef(page, ref) {
+  const element = await resolveRef(page, ref);
+  try {
+    return await selectorForElement(element);
+  } finally {
+    await element.dispose();
+  }
+}
+
+async function selectorForElement(element) {
+  const selector = await element.evaluate(selectorInPage);
+  const frame = element.frame;
+  if (!frame.parentFrame()) {
+    return selector;
+  }
+  const frameElement = await frame.frameElement();
+  try {
+    return `${await selectorForElement(frameElement)} >> ${selector}`;
+  } finally {
+    await frameElement.dispose();
+  }
+}
+
+module.exports = {
+  describeTarget,
+  resolveElement,
+  selectorInPage,
+  selectorForRef
+};
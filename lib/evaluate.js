@@ -0,0 +1,300 @@
+const { selectorInPage } = require('./elements');
+
+// Running agent-supplied JavaScript in a page. The script is either an
+// expression (`document.title`, `fetch('/api').then(r => r.json())`), a
+// function that is called with the arguments (`(a, b) => a + b`), or a
+// function body that uses `return`. It may be async. Its result is
+// serialized in the page (see serializeInPage) so values JSON cannot carry
+// survive the trip.
+
+const DEFAULT_TIMEOUT = 30000;
+const WORLD_NAME = 'puppeteer-mcp-evaluate';
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+function parses(body) {
+  try {
+    new AsyncFunction('args', body);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The source of an async function that runs the script with `args`
+function scriptSource(script) {
+  if (typeof script !== 'string' || !script.trim()) {
+    throw new Error('script must be a non-empty string');
+  }
+  const expression = script.trim().replace(/;+$/, '');
+  if (parses(`return (\n${expression}\n);`)) {
+    return `async (...args) => {\n  const value = (\n${expression}\n  );\n  return typeof value === 'function' ? value(...args) : value;\n}`;
+  }
+  try {
+    new AsyncFunction('args', script);
+  } catch (error) {
+    throw new Error(`Script has a syntax error: ${error.message}`);
+  }
+  return `async (...args) => {\n${script}\n}`;
+}
+
+// Runs in the page: a JSON-safe copy of any value. Values JSON has no place
+// for become objects tagged with $type:
+//
+//   { $type: 'undefined' }                    { $type: 'number', value: 'NaN' }
+//   { $type: 'bigint', value: '12' }          { $type: 'date', value: '2024-...' }
+//   { $type: 'map', entries: [[k, v]] }       { $type: 'set', values: [...] }
+//   { $type: 'element', selector, tag, text } { $type: 'circular', path: '$.a' }
+//
+// and likewise regexp, error, function, symbol, node, window, promise,
+// typedarray and truncated (past maxDepth or maxItems).
+function serializeInPage(value, describeElement, { maxDepth = 10, maxItems = 1000 } = {}) {
+  const ancestors = new Map();
+  const text = node => String(node.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 100);
+
+  const visit = (value, path, depth) => {
+    switch (typeof value) {
+      case 'undefined':
+        return { $type: 'undefined' };
+      case 'number':
+        return Number.isFinite(value) && !Object.is(value, -0) ? value : { $type: 'number', value: Object.is(value, -0) ? '-0' : String(value) };
+      case 'bigint':
+        return { $type: 'bigint', value: String(value) };
+      case 'symbol':
+        return { $type: 'symbol', description: value.description };
+      case 'function':
+        return { $type: 'function', name: value.name };
+      case 'string':
+      case 'boolean':
+        return value;
+      default:
+        break;
+    }
+    if (value === null) {
+      return null;
+    }
+
+    if (value instanceof Date) {
+      return { $type: 'date', value: Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString() };
+    }
+    if (value instanceof RegExp) {
+      return { $type: 'regexp', source: value.source, flags: value.flags };
+    }
+    if (value instanceof Error) {
+      return { $type: 'error', name: value.name, message: value.message, stack: value.stack };
+    }
+    if (value instanceof Promise) {
+      return { $type: 'promise' };
+    }
+    if (value === window) {
+      return { $type: 'window', url: location.href };
+    }
+    if (value instanceof Element) {
+      let selector = null;
+      try {
+        selector = describeElement(value);
+      } catch (error) {
+        // Leave it to the tag and text
+      }
+      return { $type: 'element', selector, tag: value.localName, text: text(value) };
+    }
+    if (value instanceof Node) {
+      return { $type: 'node', nodeName: value.nodeName, text: text(value) };
+    }
+    if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+      const items = value instanceof ArrayBuffer ? new Uint8Array(value) : value;
+      return {
+        $type: 'typedarray',
+        name: value.constructor.name,
+        length: items.length,
+        values: Array.from(items.slice ? items.slice(0, maxItems) : []).map(item => visit(item, path, depth + 1))
+      };
+    }
+
+    if (ancestors.has(value)) {
+      return { $type: 'circular', path: ancestors.get(value) };
+    }
+    if (depth >= maxDepth) {
+      return { $type: 'truncated', summary: Array.isArray(value) ? `Array(${value.length})` : (value.constructor && value.constructor.name) || 'Object' };
+    }
+
+    ancestors.set(value, path);
+    try {
+      if (value instanceof Map) {
+        const entries = Array.from(value).slice(0, maxItems);
+        const result = { $type: 'map', entries: entries.map(([key, item], index) => [visit(key, `${path}[${index}][0]`, depth + 1), visit(item, `${path}[${index}][1]`, depth + 1)]) };
+        if (value.size > maxItems) {
+          result.truncated = value.size - maxItems;
+        }
+        return result;
+      }
+      if (value instanceof Set) {
+        const values = Array.from(value).slice(0, maxItems);
+        const result = { $type: 'set', values: values.map((item, index) => visit(item, `${path}[${index}]`, depth + 1)) };
+        if (value.size > maxItems) {
+          result.truncated = value.size - maxItems;
+        }
+        return result;
+      }
+      // Arrays, and array-likes such as NodeList and HTMLCollection
+      if (Array.isArray(value) || value instanceof NodeList || value instanceof HTMLCollection) {
+        const items = Array.from(value);
+        const result = items.slice(0, maxItems).map((item, index) => visit(item, `${path}[${index}]`, depth + 1));
+        if (items.length > maxItems) {
+          result.push({ $type: 'truncated', remaining: items.length - maxItems });
+        }
+        return result;
+      }
+
+      const result = {};
+      const prototype = Object.getPrototypeOf(value);
+      if (prototype && prototype !== Object.prototype && prototype.constructor && prototype.constructor.name) {
+        result.$class = prototype.constructor.name;
+      }
+      const keys = Object.keys(value);
+      for (const key of keys.slice(0, maxItems)) {
+        let item;
+        try {
+          item = value[key];
+        } catch (error) {
+          item = error;
+        }
+        result[key] = visit(item, `${path}.${key}`, depth + 1);
+      }
+      if (keys.length > maxItems) {
+        result.$truncated = keys.length - maxItems;
+      }
+      return result;
+    } finally {
+      ancestors.delete(value);
+    }
+  };
+
+  return visit(value, '$', 0);
+}
+
+// The expression evaluated in the page: run the script, then serialize
+// what it returned or threw. The script comes first and the expression is
+// named, so stack traces point at the script's own lines.
+function buildExpression(script, args) {
+  return `(async () => {
+  const run = ${scriptSource(script)};
+  const describeElement = ${selectorInPage};
+  const serialize = ${serializeInPage};
+  try {
+    return { value: serialize(await run(...${JSON.stringify(args)}), describeElement) };
+  } catch (error) {
+    return { thrown: serialize(error, describeElement) };
+  }
+})()
+//# sourceURL=evaluateScript.js`;
+}
+
+// The DevTools id of a frame, asked of the session that owns it. A main or
+// out-of-process frame is the root of its own session's frame tree; any
+// other frame is found through its <iframe> element in the parent.
+async function getFrameId(frame) {
+  const parent = frame.parentFrame();
+  if (!parent || frame.isOOPFrame()) {
+    const { frameTree } = await frame.client.send('Page.getFrameTree');
+    return frameTree.frame.id;
+  }
+  for (const element of await parent.$$('iframe, frame')) {
+    try {
+      if (await element.contentFrame() === frame) {
+        const { node } = await parent.client.send('DOM.describeNode', { objectId: element.remoteObject().objectId });
+        return node.frameId;
+      }
+    } finally {
+      await element.dispose();
+    }
+  }
+  throw new Error('The frame is no longer on the page');
+}
+
+// The isolated world of each frame, created on first use. A navigation
+// takes the world with it; the next evaluation makes a new one.
+const isolatedWorlds = new WeakMap();
+
+async function getIsolatedWorld(frame) {
+  if (!isolatedWorlds.has(frame)) {
+    const world = getFrameId(frame)
+      .then(frameId => frame.client.send('Page.createIsolatedWorld', { frameId, worldName: WORLD_NAME }))
+      .then(({ executionContextId }) => executionContextId);
+    world.catch(() => isolatedWorlds.delete(frame));
+    isolatedWorlds.set(frame, world);
+  }
+  return isolatedWorlds.get(frame);
+}
+
+// Evaluate in the frame's isolated world: it shares the DOM but not the
+// page's globals, so page scripts cannot see or tamper with the script
+async function evaluateIsolated(frame, expression) {
+  const evaluate = async () => frame.client.send('Runtime.evaluate', {
+    expression,
+    contextId: await getIsolatedWorld(frame),
+    awaitPromise: true,
+    returnByValue: true
+  });
+  let response;
+  try {
+    response = await evaluate();
+  } catch (error) {
+    if (!/Cannot find context with specified id/.test(error.message)) {
+      throw error;
+    }
+    isolatedWorlds.delete(frame);
+    response = await evaluate();
+  }
+  const { result, exceptionDetails } = response;
+  if (exceptionDetails) {
+    throw new Error(exceptionDetails.exception ? exceptionDetails.exception.description : exceptionDetails.text);
+  }
+  return result.value;
+}
+
+// Run a script in `frame`. Resolves to { value } or, if the script threw,
+// { thrown }, both serialized. A script still running after `timeout` is
+// terminated, if it is busy rather than waiting.
+async function evaluateInFrame(frame, script, { args = [], isolated = false, timeout = DEFAULT_TIMEOUT } = {}) {
+  if (!Array.isArray(args)) {
+    throw new Error('args must be an array');
+  }
+  const expression = buildExpression(script, args);
+  let timer;
+  try {
+    const evaluation = isolated ? evaluateIsolated(frame, expression) : frame.evaluate(expression);
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Script did not finish within ${timeout}ms`)), timeout);
+    });
+    try {
+      return await Promise.race([evaluation, timedOut]);
+    } catch (error) {
+      evaluation.catch(() => {});
+      if (/did not finish within/.test(error.message)) {
+        // The frame's own session reaches the renderer running it, even for
+        // out-of-process frames
+        await frame.client.send('Runtime.terminateExecution').catch(() => {});
+      }
+      throw error;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// A one-line description of what a script threw
+function describeThrown(thrown) {
+  if (thrown && thrown.$type === 'error') {
+    return `${thrown.name}: ${thrown.message}`;
+  }
+  return JSON.stringify(thrown);
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  scriptSource,
+  serializeInPage,
+  evaluateInFrame,
+  describeThrown
+};
@@ -0,0 +1,148 @@
+// Bounded event store shared by the capture sources of a session (console,
+// network, ...). Each source has its own ring buffer, so a chatty source
+// cannot evict another's events, and every event gets a sequence number from
+// a single counter that callers can use as a `since` cursor.
+
+const DEFAULT_CAPACITY = 1000;
+const DEFAULT_LIMIT = 100;
+
+function createRingBuffer(capacity) {
+  let items = new Array(capacity);
+  let start = 0;
+  let length = 0;
+
+  return {
+    // Returns the evicted item, if the buffer was full
+    push(item) {
+      if (length < capacity) {
+        items[(start + length) % capacity] = item;
+        length++;
+        return undefined;
+      }
+      const evicted = items[start];
+      items[start] = item;
+      start = (start + 1) % capacity;
+      return evicted;
+    },
+
+    toArray() {
+      const result = [];
+      for (let i = 0; i < length; i++) {
+        result.push(items[(start + i) % capacity]);
+      }
+      return result;
+    },
+
+    clear() {
+      items = new Array(capacity);
+      start = 0;
+      length = 0;
+    },
+
+    get length() {
+      return length;
+    }
+  };
+}
+
+// Accepts an ISO date string or epoch milliseconds
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return time;
+}
+
+function createEventStore({ capacity = DEFAULT_CAPACITY } = {}) {
+  const buffers = new Map();
+  const dropped = new Map();
+  let seq = 0;
+
+  function buffer(source) {
+    if (!buffers.has(source)) {
+      buffers.set(source, createRingBuffer(capacity));
+      dropped.set(source, 0);
+    }
+    return buffers.get(source);
+  }
+
+  // Record an event. The data object is stored by reference, so sources may
+  // keep filling it in (e.g. a response arriving for a request).
+  function add(source, data) {
+    const record = { seq: ++seq, time: Date.now(), data };
+    if (buffer(source).push(record)) {
+      dropped.set(source, dropped.get(source) + 1);
+    }
+    return data;
+  }
+
+  // Every buffered event of a source, oldest first
+  function list(source) {
+    return buffer(source).toArray().map(record => record.data);
+  }
+
+  // Query a source. With `since`, returns the first `limit` events after
+  // that cursor (oldest first), so repeated calls page forward; without it,
+  // returns the most recent `limit` events. `filter` is a predicate on the
+  // event data and `searchText` extracts the text `search` looks in.
+  function query(source, {
+    since,
+    limit = DEFAULT_LIMIT,
+    from,
+    to,
+    search,
+    filter,
+    searchText = data => JSON.stringify(data)
+  } = {}) {
+    const fromTime = parseTime(from, 'from');
+    const toTime = parseTime(to, 'to');
+    const needle = search ? String(search).toLowerCase() : null;
+
+    const matches = buffer(source).toArray().filter(record =>
+      (since === undefined || since === null || record.seq > since)
+      && (fromTime === null || record.time >= fromTime)
+      && (toTime === null || record.time <= toTime)
+      && (!filter || filter(record.data))
+      && (!needle || String(searchText(record.data)).toLowerCase().includes(needle))
+    );
+
+    const count = Math.max(0, Math.min(limit, matches.length));
+    const page = since !== undefined && since !== null
+      ? matches.slice(0, count)
+      : matches.slice(matches.length - count);
+    const last = page[page.length - 1];
+
+    return {
+      events: page.map(record => ({ seq: record.seq, ...record.data })),
+      // Pass back as `since` to get the events after these
+      cursor: last ? last.seq : (since !== undefined && since !== null ? since : seq),
+      hasMore: matches.length > page.length,
+      dropped: dropped.get(source)
+    };
+  }
+
+  function clear(source) {
+    const sources = source ? [source] : Array.from(buffers.keys());
+    for (const name of sources) {
+      buffer(name).clear();
+      dropped.set(name, 0);
+    }
+  }
+
+  return {
+    add,
+    list,
+    query,
+    clear
+  };
+}
+
+module.exports = {
+  DEFAULT_CAPACITY,
+  DEFAULT_LIMIT,
+  createEventStore
+};
@@ -0,0 +1,402 @@
+// Structured extraction: a field schema describes where data sits on the
+// page, and one pass in the page turns it into JSON.
+//
+//   {
+//     "selector": ".product",
+//     "list": true,
+//     "fields": {
+//       "name": "h2",
+//       "price": { "selector": ".price", "type": "number" },
+//       "url": { "selector": "a", "value": "href" },
+//       "sku": { "attribute": "data-sku" },
+//       "tags": { "selector": ".tag", "list": true },
+//       "reviews": { "selector": ".review", "list": true, "fields": { "stars": { "selector": ".stars", "type": "integer" } } }
+//     }
+//   }
+//
+// Selectors are CSS, or XPath when they start with xpath= or //, and are
+// matched inside the enclosing item. A field without a selector reads the
+// item itself; a string is shorthand for { "selector": ... }.
+
+const KEYS = ['selector', 'list', 'attribute', 'value', 'type', 'pattern', 'fields'];
+const VALUES = ['text', 'html', 'outerHtml', 'href'];
+const TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'json'];
+const DEFAULT_MAX_PAGES = 5;
+const POLL_INTERVAL = 100;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Check a schema and fill in the shorthand, so mistakes are reported before
+// anything runs. `where` names the part of the schema being checked.
+function normalizeSchema(schema, where = 'schema') {
+  if (typeof schema === 'string') {
+    return { selector: schema };
+  }
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`${where} must be a selector or an object`);
+  }
+
+  const unknown = Object.keys(schema).filter(key => !KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown key in ${where}: ${unknown.join(', ')} (expected ${KEYS.join(', ')})`);
+  }
+  const { selector, list, attribute, value, type, pattern, fields } = schema;
+  if (selector !== undefined && (typeof selector !== 'string' || !selector.trim())) {
+    throw new Error(`${where}.selector must be a non-empty string`);
+  }
+  if (value !== undefined && !VALUES.includes(value)) {
+    throw new Error(`Invalid ${where}.value: ${value} (expected one of ${VALUES.join(', ')})`);
+  }
+  if (type !== undefined && !TYPES.includes(type)) {
+    throw new Error(`Invalid ${where}.type: ${type} (expected one of ${TYPES.join(', ')})`);
+  }
+  if (attribute !== undefined && value !== undefined) {
+    throw new Error(`${where} can have an attribute or a value, not both`);
+  }
+  if (pattern !== undefined) {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid ${where}.pattern: ${error.message}`);
+    }
+  }
+
+  const normalized = { selector, list: Boolean(list), attribute, value, type, pattern };
+  if (fields !== undefined) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+      throw new Error(`${where}.fields must be an object with at least one field`);
+    }
+    if (attribute !== undefined || value !== undefined || type !== undefined || pattern !== undefined) {
+      throw new Error(`${where} has fields, so it cannot also have an attribute, value, type or pattern`);
+    }
+    normalized.fields = {};
+    for (const [name, field] of Object.entries(fields)) {
+      normalized.fields[name] = normalizeSchema(field, `${where}.fields.${name}`);
+    }
+  }
+  return normalized;
+}
+
+// Runs in the page: extract what `schema` describes from the document.
+// Returns null while the document is still loading.
+function extractInPage(schema) {
+  if (document.readyState === 'loading') {
+    return null;
+  }
+
+  const queryAll = (root, selector) => {
+    const xpath = /^xpath=/.test(selector) ? selector.slice(6) : (/^\(*\/\//.test(selector) ? selector : null);
+    if (xpath === null) {
+      return Array.from(root.querySelectorAll(selector));
+    }
+    const result = document.evaluate(xpath, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    const nodes = [];
+    for (let i = 0; i < result.snapshotLength; i++) {
+      nodes.push(result.snapshotItem(i));
+    }
+    return nodes;
+  };
+
+  const normalizeText = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+  // "$1,299.00" and "1.299,00 €" are both 1299
+  const toNumber = text => {
+    const match = /-?\d(?:[\d.,\u00a0\u202f]|\s(?=\d{3}\b))*/.exec(text.replace(/−/g, '-'));
+    if (!match) {
+      return null;
+    }
+    let digits = match[0].replace(/[\s\u00a0\u202f]/g, '');
+    const lastComma = digits.lastIndexOf(',');
+    const lastDot = digits.lastIndexOf('.');
+    if (lastComma !== -1 && lastDot !== -1) {
+      const decimal = lastComma > lastDot ? ',' : '.';
+      digits = digits.split(decimal === ',' ? '.' : ',').join('').replace(',', '.');
+    } else if (lastComma !== -1) {
+      // A single comma followed by other than three digits is a decimal comma
+      digits = /^-?\d+,\d{1,2}$|^-?\d+,\d{4,}$/.test(digits) ? digits.replace(',', '.') : digits.replace(/,/g, '');
+    } else if ((digits.match(/\./g) || []).length > 1) {
+      digits = digits.replace(/\./g, '');
+    }
+    const number = parseFloat(digits);
+    return Number.isFinite(number) ? number : null;
+  };
+
+  const coerce = (raw, type) => {
+    if (raw === null) {
+      return null;
+    }
+    const text = String(raw);
+    switch (type) {
+      case 'number':
+        return toNumber(text);
+      case 'integer': {
+        const number = toNumber(text);
+        return number === null ? null : Math.trunc(number);
+      }
+      case 'boolean':
+        return !/^(false|no|off|0|)$/i.test(text.trim());
+      case 'date': {
+        const time = Date.parse(text);
+        return Number.isNaN(time) ? null : new Date(time).toISOString();
+      }
+      case 'json':
+        try {
+          return JSON.parse(text);
+        } catch (error) {
+          return null;
+        }
+      default:
+        return text;
+    }
+  };
+
+  const read = (el, field) => {
+    let raw;
+    if (field.attribute !== undefined) {
+      raw = el.getAttribute(field.attribute);
+      // A boolean attribute is true just by being there
+      if (field.type === 'boolean') {
+        return raw !== null && raw !== 'false';
+      }
+    } else {
+      switch (field.value) {
+        case 'html':
+          raw = el.innerHTML;
+          break;
+        case 'outerHtml':
+          raw = el.outerHTML;
+          break;
+        case 'href': {
+          const url = el.getAttribute('href') || el.getAttribute('src');
+          raw = url === null ? null : new URL(url, document.baseURI).href;
+          break;
+        }
+        default:
+          raw = field.type === 'json' ? el.textContent : normalizeText(el.innerText !== undefined ? el.innerText : el.textContent);
+      }
+    }
+    if (raw !== null && field.pattern !== undefined) {
+      const match = new RegExp(field.pattern).exec(raw);
+      raw = match ? (match.length > 1 ? match[1] : match[0]) : null;
+    }
+    return coerce(raw, field.type);
+  };
+
+  const extract = (el, field) => (field.fields
+    ? Object.fromEntries(Object.entries(field.fields).map(([name, child]) => [name, select(el, child)]))
+    : read(el, field));
+
+  const select = (root, field) => {
+    const matches = field.selector === undefined ? [root === document ? document.documentElement : root] : queryAll(root, field.selector);
+    if (field.list) {
+      return matches.map(el => extract(el, field));
+    }
+    return matches.length > 0 ? extract(matches[0], field) : null;
+  };
+
+  return select(document, schema);
+}
+
+// Extract from the page. Given a `next` selector, `clickNext(next)` moves on
+// to the next page, for up to `maxPages` pages, and the pages' items are
+// concatenated. `clickNext` resolves to false when there is no next page.
+async function extractPages(page, schema, { next, maxPages = DEFAULT_MAX_PAGES, timeout, clickNext }) {
+  const normalized = normalizeSchema(schema);
+  if (next && !normalized.list) {
+    throw new Error('next needs a list schema: set list to true');
+  }
+
+  const extractOnce = async () => {
+    // A navigation in progress has no document to read yet
+    try {
+      return await page.evaluate(extractInPage, normalized);
+    } catch (error) {
+      if (/Execution context was destroyed|Cannot find context|detached/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  const waitForData = async (previous) => {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const data = await extractOnce();
+      if (data !== null && JSON.stringify(data) !== previous) {
+        return data;
+      }
+      if (Date.now() >= deadline) {
+        return null;
+      }
+      await sleep(POLL_INTERVAL);
+    }
+  };
+
+  let data = await waitForData(undefined);
+  if (data === null) {
+    throw new Error(`The page did not finish loading within ${timeout}ms`);
+  }
+  if (!next) {
+    return { data, pages: 1 };
+  }
+
+  const items = [...data];
+  let pages = 1;
+  let stoppedBecause = 'maxPages';
+  while (pages < maxPages) {
+    if (!(await clickNext(next))) {
+      stoppedBecause = 'noNextPage';
+      break;
+    }
+    // The next page has loaded once the data has changed
+    data = await waitForData(JSON.stringify(data));
+    if (data === null) {
+      stoppedBecause = 'unchanged';
+      break;
+    }
+    items.push(...data);
+    pages++;
+  }
+  return { data: items, pages, stoppedBecause };
+}
+
+// Runs in the page: a table as rows keyed by its column headers. Headers
+// come from the <thead>, or the first row if it is all <th>; columns
+// without a header are named column1, column2, ...
+function tableInPage(table, { headerRow }) {
+  if (!(table instanceof HTMLTableElement)) {
+    throw new Error(`Element is a <${table.tagName.toLowerCase()}>, not a <table>`);
+  }
+  const text = cell => cell.innerText.replace(/\s+/g, ' ').trim();
+
+  // Expand colspans so cells line up with their headers
+  const cellsOf = row => Array.from(row.cells).flatMap(cell => Array(Math.max(1, cell.colSpan)).fill(cell));
+
+  const rows = Array.from(table.rows);
+  let header = null;
+  if (table.tHead && table.tHead.rows.length > 0) {
+    header = table.tHead.rows[table.tHead.rows.length - 1];
+  } else if (headerRow !== false && rows.length > 0 && Array.from(rows[0].cells).every(cell => cell.tagName === 'TH')) {
+    header = rows[0];
+  }
+
+  const headers = header ? cellsOf(header).map(text) : [];
+  const body = rows.filter(row => row !== header && !(table.tHead && table.tHead.contains(row)));
+  const width = Math.max(headers.length, ...body.map(row => cellsOf(row).length));
+  const seen = {};
+  const keys = Array.from({ length: width }, (_, index) => {
+    let key = headers[index] || `column${index + 1}`;
+    // Repeated headers (e.g. from a colspan) get a suffix
+    seen[key] = (seen[key] || 0) + 1;
+    if (seen[key] > 1) {
+      key = `${key} ${seen[key]}`;
+    }
+    return key;
+  });
+
+  return {
+    headers: keys,
+    rows: body.map(row => {
+      const cells = cellsOf(row);
+      return Object.fromEntries(keys.map((key, index) => [key, cells[index] ? text(cells[index]) : null]));
+    })
+  };
+}
+
+// Runs in the page: the links on the page, or inside `root`
+function linksInPage(root) {
+  const scope = root || document;
+  const seen = new Set();
+  const links = [];
+  for (const link of scope.querySelectorAll('a[href], area[href]')) {
+    const href = link.href;
+    if (!href || /^javascript:/i.test(href)) {
+      continue;
+    }
+    const text = (link.innerText || link.getAttribute('aria-label') || link.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+    const key = `${href}\n${text}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    const entry = { text, href, sameOrigin: new URL(href).origin === location.origin };
+    if (link.rel) {
+      entry.rel = link.rel;
+    }
+    if (link.target) {
+      entry.target = link.target;
+    }
+    links.push(entry);
+  }
+  return links;
+}
+
+// Runs in the page: the forms on the page with their fields. Password values
+// are never returned.
+function formsInPage(root) {
+  const scope = root || document;
+  const labelOf = el => {
+    const labels = el.labels ? Array.from(el.labels).map(label => label.innerText) : [];
+    const text = labels.join(' ') || el.getAttribute('aria-label') || el.getAttribute('placeholder') || '';
+    return text.replace(/\s+/g, ' ').trim();
+  };
+  const describe = (container, index) => {
+    const form = {
+      index,
+      name: (container.getAttribute && (container.getAttribute('name') || container.id)) || null,
+      action: container.action || null,
+      method: container.method ? container.method.toUpperCase() : null,
+      fields: []
+    };
+    const elements = container.elements ? Array.from(container.elements) : Array.from(container.querySelectorAll('input, select, textarea, button'));
+    for (const el of elements) {
+      if (el.tagName === 'FIELDSET' || el.tagName === 'OBJECT' || el.tagName === 'OUTPUT') {
+        continue;
+      }
+      const type = el.tagName === 'INPUT' || el.tagName === 'BUTTON' ? el.type : el.tagName.toLowerCase();
+      const field = {
+        tag: el.tagName.toLowerCase(),
+        type,
+        name: el.name || null,
+        id: el.id || null,
+        label: labelOf(el) || (el.tagName === 'BUTTON' || ['submit', 'button', 'reset'].includes(type) ? (el.innerText || el.value || '').trim() : ''),
+        required: Boolean(el.required),
+        disabled: Boolean(el.disabled)
+      };
+      if (type === 'password') {
+        field.hasValue = el.value !== '';
+      } else if (type === 'checkbox' || type === 'radio') {
+        field.value = el.value;
+        field.checked = el.checked;
+      } else if (el.tagName === 'SELECT') {
+        field.multiple = el.multiple;
+        field.options = Array.from(el.options).map(option => ({ value: option.value, label: option.label || option.text.trim(), selected: option.selected }));
+      } else if (type !== 'file') {
+        field.value = el.value;
+      }
+      form.fields.push(field);
+    }
+    return form;
+  };
+
+  const forms = Array.from(scope.querySelectorAll('form')).map(describe);
+  // Fields outside any form, as single-page apps often have
+  const loose = Array.from(scope.querySelectorAll('input, select, textarea')).filter(el => !el.form && el.type !== 'hidden');
+  if (loose.length > 0) {
+    forms.push({ ...describe({ querySelectorAll: () => loose }, forms.length), standalone: true });
+  }
+  return forms;
+}
+
+module.exports = {
+  VALUES,
+  TYPES,
+  DEFAULT_MAX_PAGES,
+  normalizeSchema,
+  extractPages,
+  tableInPage,
+  linksInPage,
+  formsInPage
+};
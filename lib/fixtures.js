@@ -0,0 +1,21 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files tools read from the fixtures directory (mocked responses, uploads)
+
+// Resolve a file inside the fixtures directory, refusing paths that escape it
+function resolveFixture(fixturesDir, fixture) {
+  const root = path.resolve(fixturesDir);
+  const file = path.resolve(root, fixture);
+  if (file !== root && !file.startsWith(root + path.sep)) {
+    throw new Error(`Fixture must be inside the fixtures directory: ${fixture}`);
+  }
+  if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    throw new Error(`Fixture not found: ${fixture}`);
+  }
+  return file;
+}
+
+module.exports = {
+  resolveFixture
+};
@@ -0,0 +1,209 @@
+// Build HAR 1.2 documents (http://www.softwareishard.com/blog/har-12-spec/)
+// from the entries recorded by lib/network.js.
+
+function toNameValueList(headers) {
+  return Object.entries(headers || {}).flatMap(([name, value]) =>
+    // CDP joins repeated headers (e.g. Set-Cookie) with newlines
+    String(value).split('\n').map(line => ({ name, value: line }))
+  );
+}
+
+function findHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : headers[key];
+}
+
+function parseQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+}
+
+function parseRequestCookies(header) {
+  if (!header) {
+    return [];
+  }
+  return header.split(';').map(pair => pair.trim()).filter(Boolean).map(pair => {
+    const index = pair.indexOf('=');
+    return index === -1
+      ? { name: pair, value: '' }
+      : { name: pair.slice(0, index), value: pair.slice(index + 1) };
+  });
+}
+
+function parseResponseCookies(header) {
+  if (!header) {
+    return [];
+  }
+  return String(header).split('\n').filter(Boolean).map(line => {
+    const [pair, ...attributes] = line.split(';').map(part => part.trim());
+    const index = pair.indexOf('=');
+    const cookie = index === -1
+      ? { name: pair, value: '' }
+      : { name: pair.slice(0, index), value: pair.slice(index + 1) };
+
+    for (const attribute of attributes) {
+      const [key, ...rest] = attribute.split('=');
+      const value = rest.join('=');
+      switch (key.toLowerCase()) {
+        case 'path': cookie.path = value; break;
+        case 'domain': cookie.domain = value; break;
+        case 'expires': {
+          const expires = new Date(value);
+          if (!Number.isNaN(expires.getTime())) {
+            cookie.expires = expires.toISOString();
+          }
+          break;
+        }
+        case 'httponly': cookie.httpOnly = true; break;
+        case 'secure': cookie.secure = true; break;
+      }
+    }
+    return cookie;
+  });
+}
+
+function httpVersion(protocol) {
+  switch ((protocol || '').toLowerCase()) {
+    case 'h2': return 'HTTP/2.0';
+    case 'h3': return 'HTTP/3';
+    case 'http/1.0': return 'HTTP/1.0';
+    case 'http/1.1': return 'HTTP/1.1';
+    default: return protocol || '';
+  }
+}
+
+// Convert CDP ResourceTiming (milliseconds relative to requestTime) into HAR
+// timings. Phases that did not happen are -1; send, wait and receive never are.
+function toTimings(entry) {
+  const timing = entry.response && entry.response.timing;
+  const end = entry.finishedTime;
+
+  if (!timing) {
+    const total = end && entry.startTime ? Math.round(Math.max(0, (end - entry.startTime) * 1000000)) / 1000 : 0;
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: total, receive: 0 };
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+  const span = (start, finish) => (start >= 0 && finish >= 0 ? round(Math.max(0, finish - start)) : -1);
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+
+  const receiveEnd = end ? (end - timing.requestTime) * 1000 : timing.receiveHeadersEnd;
+
+  return {
+    blocked: firstStart > 0 ? round(firstStart) : -1,
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: round(Math.max(0, timing.sendEnd - timing.sendStart)),
+    wait: round(Math.max(0, timing.receiveHeadersEnd - timing.sendEnd)),
+    receive: round(Math.max(0, receiveEnd - timing.receiveHeadersEnd))
+  };
+}
+
+function totalTime(timings) {
+  // ssl is already included in connect
+  return ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .map(phase => timings[phase])
+    .filter(value => value > 0)
+    .reduce((sum, value) => Math.round((sum + value) * 1000) / 1000, 0);
+}
+
+function toHarEntry(entry, pageref) {
+  const requestHeaders = entry.extraHeaders || entry.headers || {};
+  const response = entry.response || {};
+  const responseHeaders = entry.extraResponseHeaders || response.headers || {};
+  const timings = toTimings(entry);
+
+  const request = {
+    method: entry.method,
+    url: entry.url,
+    httpVersion: httpVersion(response.protocol),
+    cookies: parseRequestCookies(findHeader(requestHeaders, 'cookie')),
+    headers: toNameValueList(requestHeaders),
+    queryString: parseQueryString(entry.url),
+    headersSize: -1,
+    bodySize: entry.postData ? Buffer.byteLength(entry.postData) : 0
+  };
+  if (entry.postData) {
+    request.postData = {
+      mimeType: findHeader(requestHeaders, 'content-type') || '',
+      text: entry.postData
+    };
+  }
+
+  const content = {
+    size: entry.responseBody !== undefined
+      ? Buffer.byteLength(entry.responseBody, entry.responseBodyBase64 ? 'base64' : 'utf8')
+      : 0,
+    mimeType: response.mimeType || 'x-unknown'
+  };
+  if (entry.responseBody !== undefined) {
+    content.text = entry.responseBody;
+    if (entry.responseBodyBase64) {
+      content.encoding = 'base64';
+    }
+  }
+
+  const harEntry = {
+    pageref,
+    startedDateTime: new Date(entry.wallTime * 1000).toISOString(),
+    time: totalTime(timings),
+    request,
+    response: {
+      status: response.status || 0,
+      statusText: response.statusText || '',
+      httpVersion: httpVersion(response.protocol),
+      cookies: parseResponseCookies(findHeader(responseHeaders, 'set-cookie')),
+      headers: toNameValueList(responseHeaders),
+      content,
+      redirectURL: entry.redirectURL || findHeader(responseHeaders, 'location') || '',
+      headersSize: -1,
+      bodySize: entry.encodedDataLength !== undefined ? entry.encodedDataLength : -1,
+      _transferSize: entry.encodedDataLength !== undefined ? entry.encodedDataLength : -1
+    },
+    cache: {},
+    timings,
+    _resourceType: (entry.type || 'other').toLowerCase()
+  };
+
+  if (response.remoteIPAddress) {
+    harEntry.serverIPAddress = response.remoteIPAddress.replace(/^\[|\]$/g, '');
+  }
+  if (response.connectionId !== undefined) {
+    harEntry.connection = String(response.connectionId);
+  }
+  if (entry.failed) {
+    harEntry.response._error = entry.failed.errorText;
+  }
+
+  return harEntry;
+}
+
+function buildHar(entries, { creator, pageTitle = '' } = {}) {
+  const pageref = 'page_1';
+  const first = entries[0];
+
+  return {
+    log: {
+      version: '1.2',
+      creator,
+      pages: [{
+        startedDateTime: new Date(first ? first.wallTime * 1000 : Date.now()).toISOString(),
+        id: pageref,
+        title: pageTitle,
+        pageTimings: {
+          onContentLoad: -1,
+          onLoad: -1
+        }
+      }],
+      entries: entries.filter(entry => entry.wallTime).map(entry => toHarEntry(entry, pageref))
+    }
+  };
+}
+
+module.exports = {
+  buildHar
+};
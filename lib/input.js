@@ -0,0 +1,198 @@
+// Keyboard and mouse helpers for the input tools.
+
+const MODIFIERS = ['Alt', 'Control', 'Meta', 'Shift'];
+const MOUSE_BUTTONS = ['left', 'right', 'middle'];
+
+// Common spellings of modifier keys, mapped to Puppeteer key names
+const KEY_ALIASES = {
+  ctrl: 'Control',
+  control: 'Control',
+  cmd: 'Meta',
+  command: 'Meta',
+  meta: 'Meta',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift',
+  esc: 'Escape',
+  del: 'Delete',
+  space: ' ',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight'
+};
+
+function normalizeKey(key) {
+  return KEY_ALIASES[key.toLowerCase()] || key;
+}
+
+function normalizeModifiers(modifiers = []) {
+  return [].concat(modifiers).map(modifier => {
+    const key = normalizeKey(String(modifier));
+    if (!MODIFIERS.includes(key)) {
+      throw new Error(`Invalid modifier: ${modifier} (expected one of ${MODIFIERS.join(', ')})`);
+    }
+    return key;
+  });
+}
+
+// Split a chord such as "Control+Shift+K" into its keys. A lone "+" is the
+// plus key, so "Control++" works too.
+function parseChord(chord) {
+  if (typeof chord !== 'string' || chord === '') {
+    throw new Error('key must be a non-empty string, e.g. "Enter" or "Control+A"');
+  }
+  const keys = chord === '+' ? ['+'] : chord.replace(/\+\+$/, '+plus').split('+').map(key => (key === 'plus' ? '+' : key));
+  if (keys.some(key => key === '')) {
+    throw new Error(`Invalid key chord: ${chord}`);
+  }
+  return keys.map(normalizeKey);
+}
+
+// Run an action with modifier keys held down
+async function withModifiers(keyboard, modifiers, action) {
+  const held = [];
+  try {
+    for (const modifier of modifiers) {
+      await keyboard.down(modifier);
+      held.push(modifier);
+    }
+    return await action();
+  } finally {
+    for (const modifier of held.reverse()) {
+      await keyboard.up(modifier);
+    }
+  }
+}
+
+// Press a chord: every key but the last is held while the last is pressed
+async function pressChord(keyboard, chord) {
+  const keys = parseChord(chord);
+  const key = keys.pop();
+  await withModifiers(keyboard, keys, () => keyboard.press(key));
+}
+
+// Runs in the page: select the options of a <select> whose value or label
+// matches, firing the events a user's choice would
+function selectOptionsInPage(select, values) {
+  if (!(select instanceof HTMLSelectElement)) {
+    throw new Error(`Element is a <${select.tagName.toLowerCase()}>, not a <select>`);
+  }
+  const options = Array.from(select.options);
+  const label = option => option.label || option.text.trim();
+  // A plain loop: errors thrown from nested callbacks carry an extra stack
+  // line in the message Puppeteer reports
+  const chosen = [];
+  for (const value of values) {
+    const option = options.find(o => o.value === value) || options.find(o => label(o) === value);
+    if (!option) {
+      const available = options.map(o => (o.value === label(o) ? `"${o.value}"` : `"${o.value}" (${label(o)})`));
+      throw new Error(`No option matches "${value}". Options: ${available.join(', ')}`);
+    }
+    if (option.disabled) {
+      throw new Error(`Option "${value}" is disabled`);
+    }
+    chosen.push(option);
+  }
+  if (chosen.length > 1 && !select.multiple) {
+    throw new Error('Cannot select more than one option in a single-choice <select>');
+  }
+
+  for (const option of options) {
+    option.selected = chosen.includes(option);
+  }
+  select.dispatchEvent(new Event('input', { bubbles: true }));
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+  return chosen.map(option => option.value);
+}
+
+// Runs in the page: focus an editable element and select all of its
+// contents, so the next key press replaces them
+function selectContentsInPage(el) {
+  const isTextField = el instanceof HTMLTextAreaElement ||
+    (el instanceof HTMLInputElement && !['checkbox', 'radio', 'file', 'button', 'submit', 'reset', 'image', 'range', 'color'].includes(el.type));
+  if (!isTextField && !el.isContentEditable) {
+    throw new Error(`Element is a <${el.tagName.toLowerCase()}>, not an editable field`);
+  }
+  el.focus();
+  if (isTextField) {
+    el.select();
+  } else {
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+}
+
+// Runs in the page: whether a checkbox, radio button, switch or a label for
+// one is checked
+function checkedStateInPage(el) {
+  const control = el instanceof HTMLLabelElement && el.control ? el.control : el;
+  if (control instanceof HTMLInputElement && ['checkbox', 'radio'].includes(control.type)) {
+    return { checked: control.checked, radio: control.type === 'radio' };
+  }
+  const ariaChecked = control.getAttribute('aria-checked');
+  if (ariaChecked !== null) {
+    return { checked: ariaChecked === 'true', radio: control.getAttribute('role') === 'radio' };
+  }
+  throw new Error(`Element is a <${control.tagName.toLowerCase()}>, not a checkbox, radio button or switch`);
+}
+
+// Runs in the page: whether an element is a password field, whose text is
+// kept out of the action journal
+function isPasswordFieldInPage(el) {
+  return el instanceof HTMLInputElement && el.type === 'password';
+}
+
+async function centerOf(element) {
+  await element.scrollIntoView();
+  const box = await element.boundingBox();
+  if (!box) {
+    throw new Error('Element is not visible');
+  }
+  return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
+
+// Drag one element onto another. HTML5 draggables need drag interception to
+// get their dragstart/drop events; everything else gets plain mouse moves,
+// which is what pointer-based drag libraries listen to.
+async function dragAndDrop(page, source, target, { steps = 10 } = {}) {
+  const isDraggable = await source.evaluate(el => el.draggable === true);
+
+  if (isDraggable) {
+    const wasIntercepting = page.isDragInterceptionEnabled();
+    await page.setDragInterception(true);
+    try {
+      await source.dragAndDrop(target);
+    } finally {
+      if (!wasIntercepting) {
+        await page.setDragInterception(false);
+      }
+    }
+    return;
+  }
+
+  const from = await centerOf(source);
+  await page.mouse.move(from.x, from.y);
+  await page.mouse.down();
+  // Target positions are measured after pressing, in case that changed layout
+  const to = await centerOf(target);
+  await page.mouse.move(to.x, to.y, { steps });
+  await page.mouse.up();
+}
+
+module.exports = {
+  MODIFIERS,
+  MOUSE_BUTTONS,
+  normalizeModifiers,
+  parseChord,
+  withModifiers,
+  pressChord,
+  selectOptionsInPage,
+  selectContentsInPage,
+  checkedStateInPage,
+  isPasswordFieldInPage,
+  dragAndDrop
+};
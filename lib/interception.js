@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const { createUrlMatcher } = require('./patterns');
+const { resolveFixture } = require('./fixtures');
+
+// Rule-based request interception. A session's rules apply to every tab in
+// it; the first rule (in the order they were added) that matches a request
+// decides what happens to it, and requests no rule matches continue as usual.
+// Requests that go on to the network also get the headers a login set for
+// their origin (session.originHeaders).
+
+const ACTIONS = ['fulfill', 'abort', 'modify', 'continue'];
+
+// Reasons accepted by HTTPRequest.abort()
+const ABORT_REASONS = [
+  'aborted', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse',
+  'connectionaborted', 'connectionclosed', 'connectionfailed', 'connectionrefused',
+  'connectionreset', 'internetdisconnected', 'namenotresolved', 'timedout', 'failed'
+];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.json': 'application/json',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.txt': 'text/plain',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+}
+
+// Validate tool parameters and build a rule
+function createRouteRule(id, parameters, { fixturesDir }) {
+  const action = parameters.action || 'continue';
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Invalid action: ${action} (expected one of ${ACTIONS.join(', ')})`);
+  }
+  if (parameters.times !== undefined && (!Number.isInteger(parameters.times) || parameters.times < 1)) {
+    throw new Error(`Invalid times: ${JSON.stringify(parameters.times)} (expected a positive integer)`);
+  }
+
+  const rule = {
+    id,
+    url: parameters.url,
+    urlRegex: parameters.urlRegex,
+    methods: toList(parameters.method),
+    resourceTypes: toList(parameters.resourceType),
+    action,
+    delay: parameters.delay || 0,
+    times: parameters.times,
+    hits: 0,
+    createdAt: new Date().toISOString()
+  };
+
+  // Fails early on an invalid regular expression
+  rule.matchesUrl = createUrlMatcher(rule);
+
+  if (action === 'fulfill') {
+    if (parameters.fixture !== undefined && parameters.body !== undefined) {
+      throw new Error('Use either body or fixture, not both');
+    }
+    rule.status = parameters.status === undefined ? 200 : parameters.status;
+    if (!Number.isInteger(rule.status) || rule.status < 100 || rule.status > 599) {
+      throw new Error(`Invalid status: ${JSON.stringify(rule.status)} (expected an HTTP status from 100 to 599)`);
+    }
+    rule.headers = parameters.headers || {};
+    rule.contentType = parameters.contentType;
+
+    if (parameters.fixture !== undefined) {
+      rule.fixture = parameters.fixture;
+      rule.fixtureFile = resolveFixture(fixturesDir, parameters.fixture);
+      rule.contentType = rule.contentType || CONTENT_TYPES[path.extname(rule.fixtureFile).toLowerCase()];
+    } else if (parameters.body !== undefined && typeof parameters.body !== 'string') {
+      rule.body = JSON.stringify(parameters.body);
+      rule.contentType = rule.contentType || 'application/json';
+    } else {
+      rule.body = parameters.body || '';
+    }
+  }
+
+  if (action === 'abort') {
+    rule.errorReason = parameters.errorReason || 'failed';
+    if (!ABORT_REASONS.includes(rule.errorReason)) {
+      throw new Error(`Invalid errorReason: ${rule.errorReason} (expected one of ${ABORT_REASONS.join(', ')})`);
+    }
+  }
+
+  if (action === 'modify') {
+    rule.headers = parameters.headers || {};
+    rule.postData = parameters.postData;
+    rule.method = parameters.overrideMethod;
+    rule.overrideUrl = parameters.overrideUrl;
+  }
+
+  return rule;
+}
+
+function ruleMatches(rule, request) {
+  if (rule.times !== undefined && rule.hits >= rule.times) {
+    return false;
+  }
+  if (rule.methods.length > 0 && !rule.methods.includes(request.method().toLowerCase())) {
+    return false;
+  }
+  if (rule.resourceTypes.length > 0 && !rule.resourceTypes.includes(request.resourceType())) {
+    return false;
+  }
+  return rule.matchesUrl(request.url());
+}
+
+// Headers with `changes` applied; a null value removes the header
+function mergeHeaders(headers, changes) {
+  const merged = { ...headers };
+  for (const [name, value] of Object.entries(changes)) {
+    const existing = Object.keys(merged).find(header => header.toLowerCase() === name.toLowerCase());
+    if (existing !== undefined) {
+      delete merged[existing];
+    }
+    if (value !== null) {
+      merged[name] = String(value);
+    }
+  }
+  return merged;
+}
+
+function originHeadersFor(session, request) {
+  let origin;
+  try {
+    origin = new URL(request.url()).origin;
+  } catch (error) {
+    return null;
+  }
+  return session.originHeaders[origin] || null;
+}
+
+async function applyRule(rule, request, extraHeaders) {
+  switch (rule.action) {
+    case 'fulfill': {
+      const body = rule.fixtureFile ? fs.readFileSync(rule.fixtureFile) : rule.body;
+      return request.respond({
+        status: rule.status,
+        headers: rule.headers,
+        contentType: rule.contentType,
+        body
+      });
+    }
+    case 'abort':
+      return request.abort(rule.errorReason);
+    case 'modify': {
+      const headers = mergeHeaders(mergeHeaders(request.headers(), extraHeaders || {}), rule.headers);
+      const overrides = { headers };
+      if (rule.postData !== undefined) {
+        overrides.postData = rule.postData;
+      }
+      if (rule.method) {
+        overrides.method = rule.method;
+      }
+      if (rule.overrideUrl) {
+        overrides.url = rule.overrideUrl;
+      }
+      return request.continue(overrides);
+    }
+    default:
+      return continueRequest(request, extraHeaders);
+  }
+}
+
+function continueRequest(request, extraHeaders) {
+  return extraHeaders
+    ? request.continue({ headers: mergeHeaders(request.headers(), extraHeaders) })
+    : request.continue();
+}
+
+// The request listener attachInterception added to each page
+const requestListeners = new WeakMap();
+
+// Enable interception on a page and route its requests through the
+// session's rules
+async function attachInterception(session, page) {
+  await page.setRequestInterception(true);
+
+  const onRequest = async request => {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+
+    const rule = session.routeRules.find(candidate => ruleMatches(candidate, request));
+    const extraHeaders = originHeadersFor(session, request);
+
+    try {
+      if (!rule) {
+        await continueRequest(request, extraHeaders);
+        return;
+      }
+
+      rule.hits++;
+      if (rule.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, rule.delay));
+      }
+      await applyRule(rule, request, extraHeaders);
+    } catch (error) {
+      console.error(`Error handling intercepted request ${request.url()}:`, error);
+      if (!request.isInterceptResolutionHandled()) {
+        await request.continue().catch(() => {});
+      }
+    }
+  };
+  page.on('request', onRequest);
+  requestListeners.set(page, onRequest);
+}
+
+// Turn interception off in every tab once the session has no rules and no
+// login headers left, so requests go straight to the network again. Resolves
+// to whether it was turned off.
+async function detachInterceptionIfUnused(session) {
+  if (session.routeRules.length > 0 || Object.keys(session.originHeaders).length > 0) {
+    return false;
+  }
+  if (!session.monitors.delete('interception')) {
+    return false;
+  }
+  const pages = [session.page, ...session.tabs.map(tab => tab.page).filter(page => page !== session.page)];
+  for (const page of pages.filter(page => page && !page.isClosed())) {
+    const onRequest = requestListeners.get(page);
+    if (onRequest) {
+      page.off('request', onRequest);
+      requestListeners.delete(page);
+    }
+    try {
+      await page.setRequestInterception(false);
+    } catch (error) {
+      console.error('Error turning off request interception:', error);
+    }
+  }
+  return true;
+}
+
+// A rule as returned by listRouteRules
+function describeRule(rule) {
+  const { matchesUrl, fixtureFile, body, ...description } = rule;
+  if (body !== undefined) {
+    description.bodyLength = body.length;
+  }
+  return description;
+}
+
+module.exports = {
+  ACTIONS,
+  ABORT_REASONS,
+  createRouteRule,
+  attachInterception,
+  detachInterceptionIfUnused,
+  describeRule
+};
@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const readline = require('readline');
+const express = require('express');
+
+// Model Context Protocol over JSON-RPC 2.0.
+// The protocol layer knows nothing about Puppeteer: it is handed the tool
+// definitions (the same objects served by GET /schema) and a callTool function.
+
+const LATEST_PROTOCOL_VERSION = '2025-06-18';
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// Streamable HTTP sessions are forgotten after this long without a request
+const DEFAULT_SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+const SESSION_EXPIRY_INTERVAL = 60 * 1000;
+
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function jsonRpcError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: '2.0', id: id === undefined ? null : id, error };
+}
+
+// Convert an entry of schema.tools into an MCP tool definition
+function toMcpTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: {
+      type: 'object',
+      properties: (tool.parameters && tool.parameters.properties) || {},
+      required: (tool.parameters && tool.parameters.required) || []
+    }
+  };
+}
+
+// Convert the plain object returned by a tool implementation into a
+// CallToolResult. Tools report failures as { success: false, error } or
+// { error }, which maps onto isError rather than a JSON-RPC error.
+// Images returned as `images: [{ data, mimeType }]` (base64 data) become
+// image content blocks instead of being repeated in the JSON text.
+function toCallToolResult(result) {
+  let value = result === undefined ? {} : result;
+  let images = [];
+  if (value && typeof value === 'object' && Array.isArray(value.images)) {
+    ({ images, ...value } = value);
+  }
+
+  const callResult = {
+    content: [
+      { type: 'text', text: JSON.stringify(value, null, 2) },
+      ...images.map(image => ({ type: 'image', data: image.data, mimeType: image.mimeType }))
+    ],
+    isError: Boolean(value && (value.success === false || value.error))
+  };
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    callResult.structuredContent = value;
+  }
+
+  return callResult;
+}
+
+function createMcpServer({ name, version, instructions, tools, callTool }) {
+  const mcpTools = tools.map(toMcpTool);
+  const toolNames = new Set(mcpTools.map(tool => tool.name));
+
+  const methods = {
+    initialize: async (params) => {
+      const requested = params && params.protocolVersion;
+      const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+        ? requested
+        : LATEST_PROTOCOL_VERSION;
+
+      const result = {
+        protocolVersion,
+        capabilities: {
+          tools: { listChanged: false }
+        },
+        serverInfo: { name, version }
+      };
+      if (instructions) {
+        result.instructions = instructions;
+      }
+      return result;
+    },
+
+    ping: async () => ({}),
+
+    'tools/list': async () => ({
+      tools: mcpTools
+    }),
+
+    'tools/call': async (params) => {
+      if (!params || typeof params.name !== 'string') {
+        throw new JsonRpcError(INVALID_PARAMS, 'tools/call requires a tool name');
+      }
+      if (!toolNames.has(params.name)) {
+        throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+      }
+
+      try {
+        const result = await callTool(params.name, params.arguments || {});
+        return toCallToolResult(result);
+      } catch (error) {
+        console.error(`Error calling tool ${params.name}:`, error);
+        return {
+          content: [{ type: 'text', text: error.message }],
+          isError: true
+        };
+      }
+    }
+  };
+
+  // Handle a single JSON-RPC message. Resolves to the response object, or
+  // null for notifications and responses, which get no reply.
+  async function handleSingle(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+      return jsonRpcError(message && message.id, INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message');
+    }
+
+    // Responses from the client to server-initiated requests; we never send any
+    if (!('method' in message)) {
+      return null;
+    }
+
+    const isNotification = !('id' in message);
+
+    if (isNotification) {
+      // notifications/initialized, notifications/cancelled, ... need no action
+      return null;
+    }
+
+    const method = Object.prototype.hasOwnProperty.call(methods, message.method)
+      ? methods[message.method]
+      : null;
+
+    if (!method) {
+      return jsonRpcError(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+
+    try {
+      const result = await method(message.params || {});
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (error instanceof JsonRpcError) {
+        return jsonRpcError(message.id, error.code, error.message, error.data);
+      }
+      console.error(`Error handling ${message.method}:`, error);
+      return jsonRpcError(message.id, INTERNAL_ERROR, error.message);
+    }
+  }
+
+  // Handle a message or a batch of messages. Resolves to null when nothing
+  // needs to be sent back.
+  async function handleMessage(message) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return jsonRpcError(null, INVALID_REQUEST, 'Empty batch');
+      }
+      const responses = (await Promise.all(message.map(handleSingle))).filter(Boolean);
+      return responses.length > 0 ? responses : null;
+    }
+    return handleSingle(message);
+  }
+
+  return {
+    handleMessage
+  };
+}
+
+// Newline-delimited JSON-RPC over stdin/stdout. Anything else written to
+// stdout corrupts the stream, so callers must route logging to stderr.
+// onClose is called once stdin ends and every request read before then has
+// been answered.
+function startStdioTransport(server, { input = process.stdin, output = process.stdout, onClose = () => {} } = {}) {
+  const rl = readline.createInterface({ input, terminal: false });
+  const pending = new Set();
+
+  const send = (message) => {
+    output.write(JSON.stringify(message) + '\n');
+  };
+
+  const handleLine = async (line) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send(jsonRpcError(null, PARSE_ERROR, 'Parse error'));
+      return;
+    }
+
+    const response = await server.handleMessage(message);
+    if (response) {
+      send(response);
+    }
+  };
+
+  rl.on('line', (line) => {
+    const handled = handleLine(line);
+    pending.add(handled);
+    const settled = () => pending.delete(handled);
+    handled.then(settled, settled);
+  });
+
+  rl.on('close', async () => {
+    while (pending.size > 0) {
+      await Promise.allSettled(pending);
+    }
+    onClose();
+  });
+
+  return rl;
+}
+
+function isLocalOrigin(origin) {
+  try {
+    const { hostname } = new URL(origin);
+    return ['localhost', '127.0.0.1', '[::1]', '::1'].includes(hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+function containsInitialize(message) {
+  const messages = Array.isArray(message) ? message : [message];
+  return messages.some(m => m && m.method === 'initialize');
+}
+
+// Streamable HTTP transport: JSON-RPC messages are POSTed to the endpoint and
+// answered with a single JSON response. We have no server-initiated messages,
+// so the optional GET event stream is not offered.
+//
+// `isLegacyRequest` lets the caller keep an older body format on the same
+// path: matching requests are passed on to the next handler untouched.
+//
+// Most clients go away without a DELETE, so sessions unused for
+// `idleTimeout` milliseconds are forgotten; a client that comes back gets a
+// 404 and initializes again.
+function createStreamableHttpRouter(server, { path = '/mcp', isAllowedOrigin = isLocalOrigin, isLegacyRequest, idleTimeout = DEFAULT_SESSION_IDLE_TIMEOUT } = {}) {
+  const router = express.Router();
+  const sessions = new Map();
+
+  const expireSessions = () => {
+    const cutoff = Date.now() - idleTimeout;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastUsedAt < cutoff) {
+        sessions.delete(sessionId);
+      }
+    }
+  };
+  setInterval(expireSessions, SESSION_EXPIRY_INTERVAL).unref();
+
+  const checkOrigin = (req, res, next) => {
+    const origin = req.get('Origin');
+    if (origin && !isAllowedOrigin(origin)) {
+      return res.status(403).json(jsonRpcError(null, INVALID_REQUEST, `Origin not allowed: ${origin}`));
+    }
+    next();
+  };
+
+  const checkSession = (req, res) => {
+    const sessionId = req.get('Mcp-Session-Id');
+    if (sessionId && sessions.has(sessionId) && sessions.get(sessionId).lastUsedAt < Date.now() - idleTimeout) {
+      sessions.delete(sessionId);
+    }
+    if (sessionId && !sessions.has(sessionId)) {
+      res.status(404).json(jsonRpcError(null, INVALID_REQUEST, 'Session not found'));
+      return false;
+    }
+    if (sessionId) {
+      sessions.get(sessionId).lastUsedAt = Date.now();
+    }
+    return true;
+  };
+
+  router.post(path, checkOrigin, async (req, res, next) => {
+    const message = req.body;
+
+    if (isLegacyRequest && isLegacyRequest(message)) {
+      return next();
+    }
+
+    const protocolVersion = req.get('Mcp-Protocol-Version');
+    if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      return res.status(400).json(jsonRpcError(null, INVALID_REQUEST, `Unsupported protocol version: ${protocolVersion}`));
+    }
+
+    const initializing = containsInitialize(message);
+    if (!initializing && !checkSession(req, res)) {
+      return;
+    }
+
+    try {
+      const response = await server.handleMessage(message);
+
+      if (initializing && response && !response.error) {
+        const sessionId = crypto.randomUUID();
+        sessions.set(sessionId, { createdAt: new Date().toISOString(), lastUsedAt: Date.now() });
+        res.set('Mcp-Session-Id', sessionId);
+      }
+
+      if (!response) {
+        return res.status(202).end();
+      }
+      res.json(response);
+    } catch (error) {
+      console.error('Error handling MCP request:', error);
+      res.status(500).json(jsonRpcError(null, INTERNAL_ERROR, error.message));
+    }
+  });
+
+  router.get(path, checkOrigin, (req, res) => {
+    res.set('Allow', 'POST, DELETE');
+    res.status(405).json(jsonRpcError(null, INVALID_REQUEST, 'This server does not offer an SSE stream'));
+  });
+
+  router.delete(path, checkOrigin, (req, res) => {
+    const sessionId = req.get('Mcp-Session-Id');
+    if (!sessionId) {
+      return res.status(400).json(jsonRpcError(null, INVALID_REQUEST, 'Missing Mcp-Session-Id header'));
+    }
+    if (!sessions.delete(sessionId)) {
+      return res.status(404).json(jsonRpcError(null, INVALID_REQUEST, 'Session not found'));
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  LATEST_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  createMcpServer,
+  startStdioTransport,
+  createStreamableHttpRouter
+};
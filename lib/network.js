@@ -0,0 +1,241 @@
+// Network capture over CDP. Each request is recorded as a 'network' event in
+// the session's event store with enough detail (timings, sizes, failures and,
+// if enabled, response bodies) to be exported as HAR. Bodies are kept up to a
+// budget per session; past it the oldest are dropped. Credentials a login
+// sent (session.secrets) are redacted from request URLs, headers and bodies.
+
+const { createUrlMatcher } = require('./patterns');
+const { redact, redactHeaders } = require('./auth');
+
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024; // 1 MB
+const BODY_BUDGET = 50 * 1024 * 1024; // 50 MB of bodies per session, across its tabs
+
+function toResponse(response) {
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    mimeType: response.mimeType,
+    protocol: response.protocol,
+    remoteIPAddress: response.remoteIPAddress,
+    remotePort: response.remotePort,
+    connectionId: response.connectionId,
+    fromDiskCache: Boolean(response.fromDiskCache),
+    fromServiceWorker: Boolean(response.fromServiceWorker),
+    encodedDataLength: response.encodedDataLength,
+    timing: response.timing,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// The decoded size of a response body in bytes, whether CDP returned it as
+// text or base64
+function bodySize(body, base64Encoded) {
+  return Buffer.byteLength(body, base64Encoded ? 'base64' : 'utf8');
+}
+
+// Keep a response body within the session's body budget, dropping the
+// bodies of the oldest entries that have one to make room
+function keepBody(session, entry, body, base64Encoded) {
+  const bodies = session.networkBodies;
+  entry.responseBody = body;
+  entry.responseBodyBase64 = base64Encoded;
+  bodies.entries.push(entry);
+  bodies.bytes += bodySize(body, base64Encoded);
+
+  while (bodies.bytes > BODY_BUDGET && bodies.entries.length > 0) {
+    const oldest = bodies.entries.shift();
+    bodies.bytes -= bodySize(oldest.responseBody, oldest.responseBodyBase64);
+    delete oldest.responseBody;
+    delete oldest.responseBodyBase64;
+    oldest.responseBodyDropped = true;
+  }
+}
+
+// Forget the bodies kept so far, when the network events are cleared
+function clearBodies(session) {
+  for (const entry of session.networkBodies.entries) {
+    delete entry.responseBody;
+    delete entry.responseBodyBase64;
+  }
+  session.networkBodies = { entries: [], bytes: 0 };
+}
+
+// Attach network capture to a page. Events are only recorded while
+// session.isNetworkMonitoring is set; session.networkOptions controls body
+// capture.
+async function attachNetworkCapture(session, page) {
+  const client = await page.target().createCDPSession();
+  await client.send('Network.enable');
+
+  // Requests still in flight, by requestId
+  const inFlight = new Map();
+  // Response headers as received that came before the response they belong
+  // to, by requestId
+  const earlyResponseHeaders = new Map();
+  const findEntry = requestId => (session.isNetworkMonitoring && inFlight.get(requestId)) || null;
+  const setResponse = (entry, response) => {
+    entry.response = toResponse(response);
+    if (earlyResponseHeaders.has(entry.requestId)) {
+      entry.extraResponseHeaders = earlyResponseHeaders.get(entry.requestId);
+      earlyResponseHeaders.delete(entry.requestId);
+    }
+  };
+  const finish = (entry, timestamp) => {
+    entry.finished = true;
+    entry.finishedTime = timestamp;
+    inFlight.delete(entry.requestId);
+    earlyResponseHeaders.delete(entry.requestId);
+  };
+
+  client.on('Network.requestWillBeSent', event => {
+    if (!session.isNetworkMonitoring) {
+      return;
+    }
+
+    // A redirect reuses the requestId: the previous hop ends here
+    if (event.redirectResponse) {
+      const previous = inFlight.get(event.requestId);
+      if (previous) {
+        setResponse(previous, event.redirectResponse);
+        previous.redirectURL = redact(event.request.url, session.secrets);
+        finish(previous, event.timestamp);
+      }
+    }
+
+    const entry = session.events.add('network', {
+      requestId: event.requestId,
+      url: redact(event.request.url, session.secrets),
+      method: event.request.method,
+      headers: redactHeaders(event.request.headers, session.secrets),
+      postData: redact(event.request.postData, session.secrets),
+      timestamp: new Date(event.wallTime * 1000).toISOString(),
+      type: event.type,
+      frameId: event.frameId,
+      initiator: event.initiator && event.initiator.type,
+      startTime: event.timestamp,
+      wallTime: event.wallTime,
+      finished: false
+    });
+    inFlight.set(event.requestId, entry);
+  });
+
+  // Headers as actually sent, including cookies
+  client.on('Network.requestWillBeSentExtraInfo', event => {
+    const entry = findEntry(event.requestId);
+    if (entry) {
+      entry.extraHeaders = redactHeaders(event.headers, session.secrets);
+    }
+  });
+
+  client.on('Network.responseReceived', event => {
+    const entry = findEntry(event.requestId);
+    if (entry) {
+      setResponse(entry, event.response);
+    }
+  });
+
+  // Headers as actually received, including Set-Cookie. They may come before
+  // or after the response itself.
+  client.on('Network.responseReceivedExtraInfo', event => {
+    const entry = findEntry(event.requestId);
+    if (!entry) {
+      return;
+    }
+    if (entry.response) {
+      entry.extraResponseHeaders = event.headers;
+    } else {
+      earlyResponseHeaders.set(event.requestId, event.headers);
+    }
+  });
+
+  client.on('Network.loadingFinished', async event => {
+    const entry = findEntry(event.requestId);
+    if (!entry) {
+      return;
+    }
+
+    finish(entry, event.timestamp);
+    entry.encodedDataLength = event.encodedDataLength;
+
+    const options = session.networkOptions || {};
+    const maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+    // Bytes on the wire past the headers; the body decodes to at least that
+    const headerBytes = (entry.response && entry.response.encodedDataLength) || 0;
+    if (options.captureBodies && event.encodedDataLength - headerBytes <= maxBodySize) {
+      try {
+        const { body, base64Encoded } = await client.send('Network.getResponseBody', { requestId: event.requestId });
+        if (bodySize(body, base64Encoded) <= maxBodySize) {
+          keepBody(session, entry, body, base64Encoded);
+        }
+      } catch (error) {
+        // Bodies of redirects, preflights and evicted resources are unavailable
+      }
+    }
+  });
+
+  client.on('Network.loadingFailed', event => {
+    const entry = findEntry(event.requestId);
+    if (!entry) {
+      return;
+    }
+
+    finish(entry, event.timestamp);
+    entry.failed = {
+      errorText: event.errorText,
+      canceled: Boolean(event.canceled),
+      blockedReason: event.blockedReason
+    };
+  });
+}
+
+// A request as returned by getNetworkRequests: bodies are left out, they
+// only go into HAR exports
+function summarizeRequest(entry) {
+  const { responseBody, responseBodyBase64, ...summary } = entry;
+  return summary;
+}
+
+function toStatusFilter(value, name) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const status = Number(value);
+  if (!Number.isFinite(status)) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return status;
+}
+
+// Build a predicate on network events from getNetworkRequests parameters
+function createRequestFilter({ url, urlRegex, method, resourceType, statusMin, statusMax, failed }) {
+  const matchesUrl = createUrlMatcher({ url, urlRegex });
+  const methods = [].concat(method || []).map(m => String(m).toUpperCase());
+  const resourceTypes = [].concat(resourceType || []).map(t => String(t).toLowerCase());
+  const min = toStatusFilter(statusMin, 'statusMin');
+  const max = toStatusFilter(statusMax, 'statusMax');
+
+  return entry => {
+    const status = entry.response ? entry.response.status : null;
+    return matchesUrl(entry.url)
+      && (methods.length === 0 || methods.includes(entry.method))
+      && (resourceTypes.length === 0 || resourceTypes.includes(String(entry.type).toLowerCase()))
+      && (min === null || (status !== null && status >= min))
+      && (max === null || (status !== null && status <= max))
+      && (failed === undefined || failed === null || Boolean(entry.failed) === Boolean(failed));
+  };
+}
+
+// What `search` looks in for network events
+function requestSearchText(entry) {
+  return [entry.method, entry.url, entry.response && entry.response.status, entry.failed && entry.failed.errorText].join(' ');
+}
+
+module.exports = {
+  BODY_BUDGET,
+  attachNetworkCapture,
+  clearBodies,
+  summarizeRequest,
+  createRequestFilter,
+  requestSearchText
+};
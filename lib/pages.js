@@ -0,0 +1,71 @@
+// Page lifecycle helpers. Pages are kept alive across tool calls; when one
+// crashes or is closed underneath us it is replaced, and every monitor the
+// session registered (console capture, network monitoring, credentials, ...)
+// is attached again to the replacement.
+
+const crashedPages = new WeakSet();
+
+// Start watching a page for renderer crashes
+function trackPage(page) {
+  page.on('error', error => {
+    console.error('Page crashed:', error.message);
+    crashedPages.add(page);
+  });
+  return page;
+}
+
+function isPageUsable(page) {
+  return Boolean(page)
+    && !page.isClosed()
+    && !crashedPages.has(page)
+    && page.browser().isConnected();
+}
+
+// Attach every registered monitor to a page, e.g. a freshly created one.
+// A monitor failing to attach is logged rather than failing the tool call.
+async function attachMonitors(session, page) {
+  for (const [name, attach] of session.monitors) {
+    try {
+      await attach(page);
+    } catch (error) {
+      console.error(`Error attaching ${name} monitor:`, error);
+    }
+  }
+}
+
+// Register a monitor with the session, replacing any of the same name, and
+// attach it to every open tab. Failing to attach to the active page fails
+// the call; other tabs are logged, as in attachMonitors.
+async function setMonitor(session, name, attach) {
+  session.monitors.set(name, attach);
+  const pages = [session.page, ...session.tabs.map(tab => tab.page).filter(page => page !== session.page)];
+  for (const page of pages.filter(page => page && !page.isClosed())) {
+    if (page === session.page) {
+      await attach(page);
+      continue;
+    }
+    try {
+      await attach(page);
+    } catch (error) {
+      console.error(`Error attaching ${name} monitor:`, error);
+    }
+  }
+}
+
+// Register a monitor and attach it to every open tab. Registering the same
+// name again is a no-op, so listeners are not doubled.
+async function registerMonitor(session, name, attach) {
+  if (session.monitors.has(name)) {
+    return false;
+  }
+  await setMonitor(session, name, attach);
+  return true;
+}
+
+module.exports = {
+  trackPage,
+  isPageUsable,
+  attachMonitors,
+  setMonitor,
+  registerMonitor
+};
@@ -0,0 +1,51 @@
+// URL patterns shared by the tools that match requests by URL.
+//
+// Globs are matched against the whole URL: `**` matches any characters,
+// `*` any characters except `/`. Everything else, including `?`, is literal,
+// so query strings can be written as they appear. Regular expressions are
+// given as source text and are not anchored.
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else {
+      source += char.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Build a predicate for a URL from a glob and/or a regular expression.
+// Without either, every URL matches.
+function createUrlMatcher({ url, urlRegex } = {}) {
+  const tests = [];
+
+  if (url) {
+    const regExp = globToRegExp(url);
+    tests.push(value => regExp.test(value));
+  }
+  if (urlRegex) {
+    let regExp;
+    try {
+      regExp = new RegExp(urlRegex);
+    } catch (error) {
+      throw new Error(`Invalid urlRegex ${urlRegex}: ${error.message}`);
+    }
+    tests.push(value => regExp.test(value));
+  }
+
+  return value => tests.every(test => test(value));
+}
+
+module.exports = {
+  globToRegExp,
+  createUrlMatcher
+};
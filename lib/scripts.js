@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const { describeTarget, resolveElement } = require('./elements');
+const { createUrlMatcher } = require('./patterns');
+const { isVisibleInPage, checkDuration } = require('./waits');
+
+// Scripts: ordered tool calls run in one go, with variables and assertions,
+// stored as JSON in the scripts directory:
+//
+//   {
+//     "variables": { "base": "https://shop.example" },
+//     "steps": [
+//       { "tool": "navigateTo", "parameters": { "url": "${base}/login" },
+//         "assert": [{ "type": "status", "value": 200 }] },
+//       { "tool": "typeText", "parameters": { "selector": "#user", "text": "${user}" } },
+//       { "tool": "getElementText", "parameters": { "selector": "h1" }, "saveAs": "heading" }
+//     ]
+//   }
+//
+// `${name}` in a string parameter is replaced by a variable; `${name.key}`
+// reads a field of a step result saved with `saveAs`. A parameter that is
+// exactly one `${...}` keeps the variable's type. `$${` stands for a literal
+// `${`.
+
+const NAME_PATTERN = /^[\w-][\w.-]*$/;
+const ASSERTIONS = ['textEquals', 'visible', 'urlMatches', 'status'];
+const POLL_INTERVAL = 100;
+
+// Parameters that hold credentials. They are recorded as a variable of the
+// same name, for runScript to be given, instead of being kept in the
+// journal and saved scripts. Text typed into a password field is recorded
+// as `${password}` too.
+const SECRET_PARAMETERS = {
+  authenticate: ['password']
+};
+const TYPING_TOOLS = ['typeText', 'clearAndType'];
+
+// Tests exported from scripts are saved next to them, named the way each
+// framework's runner finds them
+const TEST_EXTENSIONS = {
+  puppeteer: '.js',
+  jest: '.test.js',
+  playwright: '.spec.js'
+};
+
+function scriptFile(scriptsDir, name, extension = '.json') {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid script name: ${name} (use letters, digits, _, - and .)`);
+  }
+  return path.join(scriptsDir, `${name}${extension}`);
+}
+
+function readScript(scriptsDir, name) {
+  const file = scriptFile(scriptsDir, name);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Script not found: ${name}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Script ${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+function writeScript(scriptsDir, name, script) {
+  const file = scriptFile(scriptsDir, name);
+  fs.mkdirSync(scriptsDir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(script, null, 2));
+  return file;
+}
+
+function writeTest(scriptsDir, name, framework, code) {
+  const file = scriptFile(scriptsDir, name, TEST_EXTENSIONS[framework]);
+  fs.mkdirSync(scriptsDir, { recursive: true });
+  fs.writeFileSync(file, code);
+  return file;
+}
+
+// Check a script's shape before running any of it. `isAllowed(tool)` says
+// whether a tool may be used in a step.
+function validateScript(script, isAllowed) {
+  if (!script || typeof script !== 'object' || !Array.isArray(script.steps)) {
+    throw new Error('A script is an object with a steps array');
+  }
+  script.steps.forEach((step, index) => {
+    const where = `Step ${index + 1}`;
+    if (!step || typeof step.tool !== 'string') {
+      throw new Error(`${where} has no tool`);
+    }
+    if (!isAllowed(step.tool)) {
+      throw new Error(`${where}: ${step.tool} cannot be used in a script`);
+    }
+    if (step.parameters !== undefined && (typeof step.parameters !== 'object' || Array.isArray(step.parameters))) {
+      throw new Error(`${where}: parameters must be an object`);
+    }
+    for (const assertion of [].concat(step.assert || [])) {
+      if (!assertion || !ASSERTIONS.includes(assertion.type)) {
+        throw new Error(`${where}: invalid assertion type ${assertion && assertion.type} (expected one of ${ASSERTIONS.join(', ')})`);
+      }
+    }
+  });
+}
+
+function lookup(variables, name) {
+  const [first, ...rest] = name.split('.');
+  if (!Object.prototype.hasOwnProperty.call(variables, first)) {
+    throw new Error(`Unknown variable: ${name}`);
+  }
+  return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), variables[first]);
+}
+
+// Replace ${...} references in every string of a value, and $${ with ${
+function substitute(value, variables) {
+  if (typeof value === 'string') {
+    const whole = /^\$\{([\w.-]+)\}$/.exec(value);
+    if (whole) {
+      return lookup(variables, whole[1]);
+    }
+    return value.replace(/\$\$\{|\$\{([\w.-]+)\}/g, (match, name) => {
+      if (match === '$${') {
+        return '${';
+      }
+      const replacement = lookup(variables, name);
+      return typeof replacement === 'object' && replacement !== null ? JSON.stringify(replacement) : String(replacement);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, variables)]));
+  }
+  return value;
+}
+
+// Whether a tool result reports a failure
+function resultError(result) {
+  if (!result || typeof result !== 'object') {
+    return null;
+  }
+  if (result.error) {
+    return result.error;
+  }
+  return result.success === false ? 'The tool reported failure' : null;
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// The element an assertion is about, or null if there is none right now
+async function findElement(page, { selector, ref }) {
+  try {
+    return await resolveElement(page, { selector, ref }, { timeout: 0 });
+  } catch (error) {
+    if (/^No element matches|^Unknown ref|no longer on the page/.test(error.message)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Check an assertion once: { passed, message }
+async function checkAssertion(page, assertion, result) {
+  const { type, selector, ref } = assertion;
+  switch (type) {
+    case 'textEquals': {
+      const element = await findElement(page, { selector, ref });
+      if (!element) {
+        return { passed: false, message: `no element matches ${describeTarget({ selector, ref })}` };
+      }
+      // Compared like getElementText reads it
+      const text = normalizeText(await element.evaluate(el => el.textContent));
+      await element.dispose();
+      const expected = normalizeText(assertion.value);
+      return {
+        passed: text === expected,
+        message: `expected text "${expected}", got "${text}"`
+      };
+    }
+    case 'visible': {
+      const element = await findElement(page, { selector, ref });
+      if (!element) {
+        return { passed: false, message: `no element matches ${describeTarget({ selector, ref })}` };
+      }
+      const visible = await element.evaluate(isVisibleInPage);
+      await element.dispose();
+      return { passed: visible, message: visible ? 'element is visible' : 'element is not visible' };
+    }
+    case 'urlMatches': {
+      const matches = createUrlMatcher({ url: assertion.url, urlRegex: assertion.urlRegex });
+      return {
+        passed: matches(page.url()),
+        message: `expected URL matching ${assertion.url || assertion.urlRegex}, got ${page.url()}`
+      };
+    }
+    case 'status': {
+      const status = result && result.status;
+      return {
+        passed: status === assertion.value,
+        message: status === undefined ? 'the step returned no status' : `expected status ${assertion.value}, got ${status}`
+      };
+    }
+    default:
+      throw new Error(`Unknown assertion type: ${type}`);
+  }
+}
+
+// Check an assertion, retrying until it passes or `timeout` runs out, since
+// pages often update just after the step that changed them
+async function evaluateAssertion(getPage, assertion, result, { timeout }) {
+  if (assertion.timeout !== undefined) {
+    try {
+      checkDuration('timeout', assertion.timeout);
+    } catch (error) {
+      return { type: assertion.type, passed: false, message: error.message };
+    }
+  }
+  const deadline = Date.now() + (assertion.timeout !== undefined ? assertion.timeout : timeout);
+  let outcome;
+  for (;;) {
+    try {
+      outcome = await checkAssertion(getPage(), assertion, result);
+    } catch (error) {
+      outcome = { passed: false, message: error.message };
+    }
+    if (outcome.passed || assertion.type === 'status' || Date.now() >= deadline) {
+      return { type: assertion.type, ...outcome };
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  }
+}
+
+// Run a script's steps in order. `callStep(tool, parameters)` runs a tool;
+// `getPage()` returns the page assertions are checked on.
+async function runSteps(script, { variables = {}, stopOnFailure = true, callStep, getPage, timeout }) {
+  const scope = { ...(script.variables || {}), ...variables };
+  const steps = [];
+  let failedStep = null;
+
+  for (const [index, step] of script.steps.entries()) {
+    const started = Date.now();
+    const report = { step: index + 1, tool: step.tool };
+    let result = null;
+
+    try {
+      const parameters = substitute(step.parameters || {}, scope);
+      result = await callStep(step.tool, parameters);
+      const error = resultError(result);
+      if (error) {
+        report.error = error;
+      }
+    } catch (error) {
+      report.error = error.message;
+    }
+
+    if (!report.error) {
+      const assertions = [];
+      for (const assertion of [].concat(step.assert || [])) {
+        let expanded;
+        try {
+          expanded = substitute(assertion, scope);
+        } catch (error) {
+          assertions.push({ type: assertion.type, passed: false, message: error.message });
+          continue;
+        }
+        assertions.push(await evaluateAssertion(getPage, expanded, result, { timeout }));
+      }
+      if (assertions.length > 0) {
+        report.assertions = assertions;
+      }
+      if (step.saveAs) {
+        scope[step.saveAs] = result;
+      }
+    }
+
+    report.passed = !report.error && (report.assertions || []).every(assertion => assertion.passed);
+    report.durationMs = Date.now() - started;
+    if (result && typeof result === 'object') {
+      // Inline images would swamp the report
+      const { images, ...rest } = result;
+      report.result = rest;
+    }
+    steps.push(report);
+
+    if (!report.passed && failedStep === null) {
+      failedStep = index + 1;
+      if (stopOnFailure) {
+        break;
+      }
+    }
+  }
+
+  return {
+    passed: failedStep === null,
+    failedStep,
+    stepsRun: steps.length,
+    totalSteps: script.steps.length,
+    steps
+  };
+}
+
+// Escape `${` in every string of a value, so substitute leaves it as it is
+function escapeReferences(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{/g, () => '$${');
+  }
+  if (Array.isArray(value)) {
+    return value.map(escapeReferences);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, escapeReferences(item)]));
+  }
+  return value;
+}
+
+// Undo escapeReferences, for code that takes a script's strings literally
+function unescapeReferences(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\$\{/g, () => '${');
+  }
+  if (Array.isArray(value)) {
+    return value.map(unescapeReferences);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, unescapeReferences(item)]));
+  }
+  return value;
+}
+
+// The script step for a recorded tool call. Calls that read the page get an
+// assertion of what they saw, so replaying the script checks it again. What
+// was typed or read is taken literally on replay, even if it has `${` in it.
+function recordStep(tool, parameters, result) {
+  const { sessionId, ...rest } = parameters;
+  let step = { tool, parameters: rest };
+
+  if (tool === 'getElementText' && typeof result.text === 'string') {
+    step.assert = [{ type: 'textEquals', selector: rest.selector, ref: rest.ref, value: result.text }];
+  } else if (tool === 'navigateTo' && typeof result.status === 'number') {
+    step.assert = [{ type: 'status', value: result.status }];
+  } else if (tool === 'selectOption' && Array.isArray(result.selected)) {
+    // The values chosen, even if the call named options by label
+    step.parameters = { ...rest, values: result.selected };
+  }
+
+  step = escapeReferences(step);
+  for (const name of SECRET_PARAMETERS[tool] || []) {
+    if (step.parameters[name] !== undefined) {
+      step.parameters = { ...step.parameters, [name]: `\${${name}}` };
+    }
+  }
+  if (TYPING_TOOLS.includes(tool) && result.masked) {
+    step.parameters = { ...step.parameters, text: '${password}' };
+  }
+  return step;
+}
+
+module.exports = {
+  ASSERTIONS,
+  readScript,
+  writeScript,
+  writeTest,
+  validateScript,
+  resultError,
+  runSteps,
+  recordStep,
+  unescapeReferences
+};
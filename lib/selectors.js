@@ -0,0 +1,289 @@
+// Selector engines shared by every tool that takes a selector:
+//
+//   button.primary              CSS (also css=...); >>> pierces shadow roots
+//   text=Save                   smallest element whose text contains Save
+//   text="Save"                 smallest element whose text is exactly Save
+//   role=button[name="Save"]    element with that ARIA role and accessible name
+//   xpath=//button[2]           XPath (a selector starting with // is XPath too)
+//   iframe#pay >> text=Pay      chain: each part is matched inside the element
+//                               the previous part found, or inside its
+//                               document if that element is an iframe
+//
+// Engines map onto Puppeteer's query handlers, which already pierce shadow
+// roots for text and role.
+
+const POLL_INTERVAL = 100;
+const NEAR_MISS_LIMIT = 5;
+
+const ENGINES = ['css', 'text', 'role', 'xpath'];
+
+function unquote(value) {
+  const match = /^(["'])(.*)\1$/s.exec(value.trim());
+  return match ? { value: match[2], quoted: true } : { value: value.trim(), quoted: false };
+}
+
+function parsePart(source) {
+  const raw = source.trim();
+  const match = /^([a-z]+)=(.*)$/s.exec(raw);
+  const engine = match && ENGINES.includes(match[1]) ? match[1] : (/^\(*\/\//.test(raw) ? 'xpath' : 'css');
+  const body = match && ENGINES.includes(match[1]) ? match[2] : raw;
+
+  if (!body.trim()) {
+    throw new Error(`Empty ${engine} selector in "${source}"`);
+  }
+
+  switch (engine) {
+    case 'text': {
+      const { value, quoted } = unquote(body);
+      return { source: raw, engine, text: value, exact: quoted, query: `text/${value}` };
+    }
+    case 'role': {
+      const roleMatch = /^([\w-]+)\s*(?:\[\s*name\s*=\s*("[^"]*"|'[^']*'|[^\]]*)\s*\])?$/.exec(body.trim());
+      if (!roleMatch) {
+        throw new Error(`Invalid role selector: ${raw} (expected role=ROLE or role=ROLE[name="NAME"])`);
+      }
+      const role = roleMatch[1];
+      const name = roleMatch[2] !== undefined ? unquote(roleMatch[2]).value : null;
+      return {
+        source: raw,
+        engine,
+        role,
+        name,
+        query: name !== null ? `aria/${name}[role="${role}"]` : `aria/[role="${role}"]`
+      };
+    }
+    case 'xpath':
+      return { source: raw, engine, query: `xpath/${body.trim()}` };
+    default:
+      return { source: raw, engine, query: body.trim() };
+  }
+}
+
+// Split a selector into chained parts. ` >> ` separates parts; the shadow
+// piercing >>> combinator is left alone.
+function parseSelector(selector) {
+  if (typeof selector !== 'string' || !selector.trim()) {
+    throw new Error('Selector must be a non-empty string');
+  }
+  return selector.split(/\s+>>\s+/).map(parsePart);
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+async function queryPart(scope, part) {
+  const handles = await scope.$$(part.query);
+  if (!part.exact) {
+    return handles;
+  }
+  const matches = [];
+  for (const handle of handles) {
+    const text = await handle.evaluate(el => el.textContent);
+    if (normalizeText(text) === part.text) {
+      matches.push(handle);
+    } else {
+      await handle.dispose();
+    }
+  }
+  return matches;
+}
+
+// The scope the next part of a chain is matched in: an iframe's document,
+// or the element itself
+async function scopeOf(element) {
+  const isFrame = await element.evaluate(el => el.tagName === 'IFRAME' || el.tagName === 'FRAME');
+  if (!isFrame) {
+    return element;
+  }
+  const frame = await element.contentFrame();
+  if (!frame) {
+    throw new Error('The iframe has no document to search in');
+  }
+  return frame;
+}
+
+// Match every part of the chain once. Resolves to the matches of the last
+// part, or tells which part matched nothing and where it was looked for.
+async function queryChain(page, parts) {
+  let scope = page;
+  for (let i = 0; i < parts.length; i++) {
+    const matches = await queryPart(scope, parts[i]);
+    if (matches.length === 0) {
+      return { matches, failedPart: i, scope };
+    }
+    if (i === parts.length - 1) {
+      return { matches };
+    }
+    await Promise.all(matches.slice(1).map(handle => handle.dispose()));
+    scope = await scopeOf(matches[0]);
+  }
+  return { matches: [] };
+}
+
+// Navigations destroy the context a query runs in; the next poll retries
+function isTransient(error) {
+  return /Execution context was destroyed|Cannot find context|detached|Target closed|does not belong to the document/i.test(error.message);
+}
+
+// Runs in the page: elements that look like what the failed part asked for
+function nearMissesInPage(root, { text, limit }) {
+  const bigrams = value => {
+    const clean = String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const result = new Map();
+    for (let i = 0; i < clean.length - 1; i++) {
+      const bigram = clean.slice(i, i + 2);
+      result.set(bigram, (result.get(bigram) || 0) + 1);
+    }
+    return result;
+  };
+  const similarity = (a, b) => {
+    const first = bigrams(a);
+    const second = bigrams(b);
+    let shared = 0;
+    let total = 0;
+    for (const [bigram, count] of first) {
+      shared += Math.min(count, second.get(bigram) || 0);
+      total += count;
+    }
+    for (const count of second.values()) {
+      total += count;
+    }
+    return total > 0 ? (2 * shared) / total : 0;
+  };
+
+  const elements = [];
+  const collect = node => {
+    for (const el of node.querySelectorAll('*')) {
+      if (elements.length >= 3000) {
+        return;
+      }
+      elements.push(el);
+      if (el.shadowRoot) {
+        collect(el.shadowRoot);
+      }
+    }
+  };
+  collect(root.nodeType === Node.DOCUMENT_NODE ? root : (root.shadowRoot || root));
+
+  const candidates = [];
+  for (const el of elements) {
+    if (['SCRIPT', 'STYLE', 'HEAD', 'META', 'LINK', 'HTML', 'BODY'].includes(el.tagName)) {
+      continue;
+    }
+    if (typeof el.checkVisibility === 'function' && !el.checkVisibility()) {
+      continue;
+    }
+    const ownText = Array.from(el.childNodes).filter(node => node.nodeType === Node.TEXT_NODE).map(node => node.textContent).join(' ');
+    const fields = [
+      ownText,
+      el.getAttribute('aria-label'),
+      el.id,
+      el.getAttribute('name'),
+      el.getAttribute('placeholder'),
+      el.getAttribute('title'),
+      el.getAttribute('role'),
+      ...Array.from(el.classList)
+    ].filter(Boolean);
+    const score = Math.max(0, ...fields.map(field => similarity(text, field)));
+    if (score >= 0.35) {
+      candidates.push({ el, score });
+    }
+  }
+
+  return candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ el }) => {
+      const id = el.id ? `#${el.id}` : '';
+      const classes = Array.from(el.classList).slice(0, 2).map(name => `.${name}`).join('');
+      const role = el.getAttribute('role') ? `[role=${el.getAttribute('role')}]` : '';
+      const label = (el.getAttribute('aria-label') || el.innerText || el.getAttribute('placeholder') || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+      return `${el.tagName.toLowerCase()}${id}${classes}${role}${label ? ` "${label}"` : ''}`;
+    });
+}
+
+// What a failed part is compared against to find near misses
+function searchTextOf(part) {
+  switch (part.engine) {
+    case 'text':
+      return part.text;
+    case 'role':
+      return part.name || part.role;
+    default:
+      // Identifiers and quoted strings of a CSS selector or XPath
+      return (part.query.replace(/^xpath\//, '').match(/[\w-]{2,}/g) || [])
+        .filter(word => !['div', 'span', 'contains', 'text', 'normalize-space'].includes(word))
+        .join(' ');
+  }
+}
+
+async function findNearMisses(scope, part) {
+  try {
+    const searchText = searchTextOf(part);
+    if (!searchText) {
+      return [];
+    }
+    // The scope is a page, a frame or an element
+    const root = typeof scope.asElement === 'function'
+      ? scope
+      : await scope.evaluateHandle(() => document);
+    return await root.evaluate(nearMissesInPage, { text: searchText, limit: NEAR_MISS_LIMIT });
+  } catch (error) {
+    return [];
+  }
+}
+
+async function describeFailure(selector, parts, { failedPart, scope }, timeout) {
+  const part = parts[failedPart];
+  let message = `No element matches "${selector}" (waited ${timeout}ms)`;
+  if (failedPart > 0) {
+    message += `: "${part.source}" found nothing inside "${parts.slice(0, failedPart).map(p => p.source).join(' >> ')}"`;
+  }
+  const candidates = await findNearMisses(scope, part);
+  if (candidates.length > 0) {
+    message += `. Similar elements: ${candidates.join(', ')}`;
+  }
+  return message;
+}
+
+// Wait until a selector matches and return the first match
+async function waitForElement(page, selector, { timeout }) {
+  const parts = parseSelector(selector);
+  const deadline = Date.now() + timeout;
+  let lastResult = { failedPart: 0, scope: page };
+
+  for (;;) {
+    try {
+      const { matches, ...result } = await queryChain(page, parts);
+      if (matches.length > 0) {
+        await Promise.all(matches.slice(1).map(handle => handle.dispose()));
+        return matches[0];
+      }
+      lastResult = result;
+    } catch (error) {
+      if (!isTransient(error)) {
+        throw error;
+      }
+    }
+
+    if (Date.now() >= deadline) {
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.min(POLL_INTERVAL, Math.max(0, deadline - Date.now()))));
+  }
+
+  throw new Error(await describeFailure(selector, parts, lastResult, timeout));
+}
+
+// Every element a selector matches right now, without waiting
+async function queryAll(page, selector) {
+  const { matches } = await queryChain(page, parseSelector(selector));
+  return matches;
+}
+
+module.exports = {
+  parseSelector,
+  waitForElement,
+  queryAll
+};
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const { trackPage, isPageUsable, attachMonitors } = require('./pages');
+const { createEventStore } = require('./events');
+const { addTab, findTabByPage, activateTab, pruneTabs, fallbackTab } = require('./tabs');
+
+// Browser sessions. Each named session owns an incognito BrowserContext, so
+// cookies, storage and cache are isolated, along with its own page and
+// capture buffers. Calls without a sessionId use the "default" session, which
+// lives in the browser's default context and is never reaped.
+//
+// A session outlives its page and even the browser: if the page crashes or
+// the browser goes away, the next call gets a new context and page with the
+// session's monitors re-attached, and session.pageRecreated is set so the
+// caller can tell the agent its page state was lost. If the active tab closes
+// while other tabs are open, the session falls back to one of those instead
+// and session.switchedToTab is set.
+
+const DEFAULT_SESSION_ID = 'default';
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const REAP_INTERVAL = 60 * 1000;
+
+function createSessionManager({ getBrowser, preparePage, idleTimeout = DEFAULT_IDLE_TIMEOUT, eventBufferSize }) {
+  const sessions = new Map();
+  const pending = new Map();
+
+  async function createContext(session) {
+    const browser = await getBrowser();
+    const context = session.isDefault
+      ? browser.defaultBrowserContext()
+      : await browser.createIncognitoBrowserContext();
+
+    context.on('targetcreated', target => {
+      if (session.context === context && target.type() === 'page') {
+        const registering = registerPopup(session, target)
+          .catch(error => console.error('Error registering popup:', error))
+          .finally(() => session.pendingTabs.delete(registering));
+        session.pendingTabs.add(registering);
+      }
+    });
+
+    return context;
+  }
+
+  // Prepare a page for use in the session and attach its monitors
+  async function setupPage(session, page, openerTabId) {
+    await preparePage(trackPage(page));
+    const tab = addTab(session, page, openerTabId);
+    await attachMonitors(session, page);
+    return tab;
+  }
+
+  // Open a new tab in the session. It does not become active by itself.
+  async function openTab(session) {
+    return setupPage(session, await session.context.newPage());
+  }
+
+  // Pages opened by one of the session's pages become tabs too. Pages we open
+  // ourselves have no opener and are registered by openTab instead.
+  async function registerPopup(session, target) {
+    const opener = target.opener();
+    const openerTab = opener && session.tabs.find(tab => tab.page.target() === opener);
+    if (!openerTab) {
+      return;
+    }
+
+    const page = await target.page();
+    if (!page || findTabByPage(session, page)) {
+      return;
+    }
+
+    const tab = await setupPage(session, page, openerTab.id);
+    console.log(`Session ${session.id}: ${tab.id} opened by ${openerTab.id}`);
+  }
+
+  async function openSession(id) {
+    const now = Date.now();
+    const session = {
+      id,
+      isDefault: id === DEFAULT_SESSION_ID,
+      context: null,
+      page: null,
+      tabs: [],
+      tabCounter: 0,
+      pendingTabs: new Set(),
+      pageRecreated: false,
+      switchedToTab: null,
+      restoring: null,
+      monitors: new Map(),
+      routeRules: [],
+      routeRuleCounter: 0,
+      originHeaders: {},
+      secrets: new Set(),
+      recording: null,
+      createdAt: now,
+      lastUsedAt: now,
+      events: createEventStore({ capacity: eventBufferSize }),
+      pendingDiagnostics: new Set(),
+      sourceMaps: new Map(),
+      isConsoleMonitoring: false,
+      isNetworkMonitoring: false,
+      networkBodies: { entries: [], bytes: 0 }
+    };
+
+    session.context = await createContext(session);
+
+    try {
+      await activateTab(session, await openTab(session));
+    } catch (error) {
+      if (!session.isDefault) {
+        await session.context.close().catch(() => {});
+      }
+      throw error;
+    }
+
+    sessions.set(id, session);
+    console.log(`Session ${id} created`);
+    return session;
+  }
+
+  // Replace a session's context and/or page if they are no longer usable
+  async function restoreSession(session) {
+    if (!session.context) {
+      session.context = await createContext(session);
+    }
+
+    if (isPageUsable(session.page)) {
+      return;
+    }
+
+    const lostPage = session.page;
+    const lostTab = findTabByPage(session, lostPage);
+    pruneTabs(session);
+
+    // Another tab is still open, e.g. the opener of a popup that closed itself
+    const fallback = fallbackTab(session, lostTab);
+    if (fallback) {
+      await activateTab(session, fallback);
+      session.switchedToTab = fallback.id;
+      console.log(`Session ${session.id}: active tab closed, switched to ${fallback.id}`);
+      return;
+    }
+
+    session.page = null;
+    await activateTab(session, await openTab(session));
+    session.pageRecreated = true;
+    console.log(`Session ${session.id}: page recreated`);
+  }
+
+  // Guard against two concurrent calls opening the same session twice
+  function openSessionOnce(id) {
+    if (!pending.has(id)) {
+      pending.set(id, openSession(id).finally(() => pending.delete(id)));
+    }
+    return pending.get(id);
+  }
+
+  async function createSession() {
+    return openSessionOnce(crypto.randomUUID());
+  }
+
+  // Resolve a sessionId (or the default session when omitted) and mark it as used
+  async function getSession(sessionId) {
+    const id = sessionId || DEFAULT_SESSION_ID;
+    let session = sessions.get(id);
+
+    if (!session) {
+      if (id !== DEFAULT_SESSION_ID) {
+        throw new Error(`Unknown session: ${id}`);
+      }
+      session = await openSessionOnce(id);
+    }
+
+    if (!session.restoring) {
+      session.restoring = restoreSession(session).finally(() => {
+        session.restoring = null;
+      });
+    }
+    await session.restoring;
+
+    session.lastUsedAt = Date.now();
+    return session;
+  }
+
+  async function closeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Unknown session: ${sessionId}`);
+    }
+
+    sessions.delete(sessionId);
+
+    if (session.isDefault) {
+      // The default context cannot be closed, only its pages
+      for (const tab of session.tabs) {
+        if (!tab.page.isClosed()) {
+          await tab.page.close();
+        }
+      }
+    } else if (session.context) {
+      await session.context.close();
+    }
+
+    console.log(`Session ${sessionId} closed`);
+  }
+
+  function listSessions() {
+    return Array.from(sessions.values()).map(session => ({
+      sessionId: session.id,
+      isDefault: session.isDefault,
+      url: session.page && !session.page.isClosed() ? session.page.url() : null,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastUsedAt: new Date(session.lastUsedAt).toISOString()
+    }));
+  }
+
+  async function reapIdleSessions() {
+    const cutoff = Date.now() - idleTimeout;
+
+    for (const session of Array.from(sessions.values())) {
+      if (!session.isDefault && session.lastUsedAt < cutoff) {
+        console.log(`Session ${session.id} idle for more than ${idleTimeout} ms, closing`);
+        try {
+          await closeSession(session.id);
+        } catch (error) {
+          console.error(`Error closing idle session ${session.id}:`, error);
+        }
+      }
+    }
+  }
+
+  function startReaper() {
+    const timer = setInterval(reapIdleSessions, REAP_INTERVAL);
+    timer.unref();
+    return timer;
+  }
+
+  // The browser went away: contexts and pages are gone, but sessions and
+  // their monitors are kept so they can be restored on next use
+  function detachAll() {
+    for (const session of sessions.values()) {
+      session.context = null;
+      session.tabs = [];
+      if (session.page) {
+        session.page = null;
+        session.pageRecreated = true;
+      }
+    }
+  }
+
+  return {
+    createSession,
+    getSession,
+    openTab,
+    closeSession,
+    listSessions,
+    reapIdleSessions,
+    startReaper,
+    detachAll
+  };
+}
+
+module.exports = {
+  DEFAULT_SESSION_ID,
+  createSessionManager
+};
@@ -0,0 +1,354 @@
+// Compact page snapshots for language models. The page is rendered as an
+// indented outline of landmarks, headings, text and interactive elements,
+// and every interactive element gets a short ref (e1, e2, ...) that tools
+// accept in place of a selector.
+//
+// Refs are kept in the page itself, so they last until the page navigates.
+// An element keeps its ref across snapshots; only refs that appeared in the
+// latest snapshot of its frame resolve. Numbering is per page, so refs from
+// snapshots of different frames do not collide.
+
+const DEFAULT_MAX_TOKENS = 4000;
+// Rough size of a token in characters, to budget the outline
+const CHARS_PER_TOKEN = 4;
+
+const STATE_KEY = '__mcpSnapshot';
+
+// Last ref number handed out, by page
+const refCounters = new WeakMap();
+
+// Runs in the page. Must be self-contained.
+function snapshotInPage(root, { stateKey, counter, maxLength }) {
+  if (!window[stateKey]) {
+    Object.defineProperty(window, stateKey, {
+      value: { ids: new WeakMap(), refs: new Map() },
+      enumerable: false
+    });
+  }
+  const state = window[stateKey];
+  state.refs = new Map();
+  let lastRef = counter;
+
+  const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'META', 'LINK', 'svg']);
+  const LANDMARKS = new Set(['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'form', 'region', 'search', 'dialog', 'alertdialog', 'list', 'table', 'row', 'group', 'tablist', 'menu', 'menubar', 'listbox', 'tree', 'grid']);
+  const WIDGETS = new Set(['link', 'button', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'combobox', 'listbox', 'textbox', 'searchbox', 'slider', 'spinbutton', 'treeitem', 'file']);
+  const STRUCTURE = 'a[href],button,input,select,textarea,summary,iframe,img,[role],[contenteditable],[onclick],[tabindex],h1,h2,h3,h4,h5,h6,nav,main,header,footer,aside,form,section,dialog,ul,ol,table';
+
+  const clean = (text, max = 80) => {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+  };
+
+  const implicitRole = el => {
+    const tag = el.tagName.toLowerCase();
+    switch (tag) {
+      case 'a': return el.hasAttribute('href') ? 'link' : null;
+      case 'button': case 'summary': return 'button';
+      case 'select': return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+      case 'textarea': return 'textbox';
+      case 'input': {
+        const type = (el.getAttribute('type') || 'text').toLowerCase();
+        if (type === 'hidden') return null;
+        if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+        if (type === 'checkbox' || type === 'radio') return type;
+        if (type === 'range') return 'slider';
+        if (type === 'number') return 'spinbutton';
+        if (type === 'search') return 'searchbox';
+        if (type === 'file') return 'file';
+        return 'textbox';
+      }
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': return 'heading';
+      case 'nav': return 'navigation';
+      case 'main': return 'main';
+      case 'aside': return 'complementary';
+      case 'header': return el.closest('article, section, main, aside, nav') ? null : 'banner';
+      case 'footer': return el.closest('article, section, main, aside, nav') ? null : 'contentinfo';
+      case 'form': return 'form';
+      case 'section': return el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : null;
+      case 'dialog': return 'dialog';
+      case 'ul': case 'ol': return 'list';
+      case 'li': return 'listitem';
+      case 'table': return 'table';
+      case 'img': return 'img';
+      case 'iframe': return 'iframe';
+      default: return el.isContentEditable && !(el.parentElement && el.parentElement.isContentEditable) ? 'textbox' : null;
+    }
+  };
+
+  const roleOf = el => (el.getAttribute('role') || '').split(' ')[0] || implicitRole(el);
+
+  const explicitNameOf = el => {
+    const label = el.getAttribute('aria-label');
+    if (label && label.trim()) {
+      return clean(label);
+    }
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      return clean(labelledBy.split(/\s+/).map(id => document.getElementById(id)).filter(Boolean).map(node => node.innerText).join(' '));
+    }
+    return '';
+  };
+
+  const nameOf = el => {
+    const explicit = explicitNameOf(el);
+    if (explicit) {
+      return explicit;
+    }
+    const tag = el.tagName;
+    if (el.labels && el.labels.length > 0) {
+      return clean(Array.from(el.labels).map(node => node.innerText).join(' '));
+    }
+    if (tag === 'IMG' || (tag === 'INPUT' && el.type === 'image')) {
+      return clean(el.alt);
+    }
+    if (tag === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) {
+      return clean(el.value || el.type);
+    }
+    if (tag !== 'INPUT' && tag !== 'TEXTAREA' && tag !== 'SELECT') {
+      const text = clean(el.innerText);
+      if (text) {
+        return text;
+      }
+    }
+    return clean(el.getAttribute('title') || el.getAttribute('placeholder') || '');
+  };
+
+  const isHidden = el => {
+    if (el.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+    const style = getComputedStyle(el);
+    if (style.display === 'contents') {
+      return false;
+    }
+    return typeof el.checkVisibility === 'function'
+      ? !el.checkVisibility({ checkVisibilityCSS: true })
+      : style.display === 'none' || style.visibility === 'hidden';
+  };
+
+  const isInteractive = (el, role) => WIDGETS.has(role)
+    || (!role && (el.hasAttribute('onclick') || (el.hasAttribute('tabindex') && el.tabIndex >= 0)));
+
+  const idOf = el => {
+    let ref = state.ids.get(el);
+    if (!ref) {
+      ref = `e${++lastRef}`;
+      state.ids.set(el, ref);
+    }
+    return ref;
+  };
+
+  const describeState = (el, role) => {
+    const parts = [];
+    if (el.disabled || el.getAttribute('aria-disabled') === 'true') {
+      parts.push('disabled');
+    }
+    if (['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'].includes(role)) {
+      const checked = 'checked' in el ? el.checked : el.getAttribute('aria-checked') === 'true';
+      if (checked) {
+        parts.push('checked');
+      }
+    }
+    if (el.getAttribute('aria-expanded')) {
+      parts.push(el.getAttribute('aria-expanded') === 'true' ? 'expanded' : 'collapsed');
+    }
+    if (el.getAttribute('aria-selected') === 'true') {
+      parts.push('selected');
+    }
+    if (el.required) {
+      parts.push('required');
+    }
+    if (el.readOnly) {
+      parts.push('readonly');
+    }
+    if (el.tagName === 'SELECT') {
+      const selected = Array.from(el.selectedOptions).map(option => clean(option.text, 40));
+      if (selected.length > 0) {
+        parts.push(`value="${selected.join(', ')}"`);
+      }
+    } else if (['textbox', 'searchbox', 'spinbutton', 'slider', 'combobox'].includes(role) && 'value' in el && el.value) {
+      parts.push(`value="${el.type === 'password' ? '••••' : clean(el.value, 40)}"`);
+    } else if (el.isContentEditable && role === 'textbox') {
+      const text = clean(el.innerText, 40);
+      if (text) {
+        parts.push(`value="${text}"`);
+      }
+    }
+    if (role === 'link' && el.getAttribute('href')) {
+      parts.push(`href="${clean(el.getAttribute('href'), 60)}"`);
+    }
+    return parts.map(part => ` [${part}]`).join('');
+  };
+
+  const lines = [];
+  let length = 0;
+  let truncated = false;
+
+  const emit = (depth, text) => {
+    if (truncated) {
+      return false;
+    }
+    const line = `${'  '.repeat(depth)}- ${text}`;
+    if (length + line.length + 1 > maxLength) {
+      truncated = true;
+      return false;
+    }
+    lines.push(line);
+    length += line.length + 1;
+    return true;
+  };
+
+  const childrenOf = el => {
+    if (el.shadowRoot) {
+      return Array.from(el.shadowRoot.childNodes);
+    }
+    if (el.tagName === 'SLOT') {
+      const assigned = el.assignedNodes({ flatten: true });
+      return assigned.length > 0 ? assigned : Array.from(el.childNodes);
+    }
+    return Array.from(el.childNodes);
+  };
+
+  const hasStructure = el => Boolean(el.shadowRoot) || Boolean(el.querySelector(STRUCTURE)) || el.querySelector('slot') !== null;
+
+  const walk = (node, depth) => {
+    if (truncated) {
+      return;
+    }
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = clean(node.textContent, 200);
+      if (text) {
+        emit(depth, `text: ${text}`);
+      }
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || SKIP_TAGS.has(node.tagName) || isHidden(node)) {
+      return;
+    }
+
+    const el = node;
+    const role = roleOf(el);
+
+    if (isInteractive(el, role)) {
+      const name = nameOf(el);
+      const ref = idOf(el);
+      // Only refs the model has seen resolve
+      if (emit(depth, `${role || 'clickable'}${name ? ` "${name}"` : ''} [ref=${ref}]${describeState(el, role)}`)) {
+        state.refs.set(ref, el);
+      }
+      // Native controls describe themselves; custom widgets may hold more
+      if (role && el.matches('a, button, input, select, textarea, summary')) {
+        return;
+      }
+      if (!hasStructure(el)) {
+        return;
+      }
+      childrenOf(el).forEach(child => walk(child, depth + 1));
+      return;
+    }
+
+    if (role === 'heading') {
+      const level = el.getAttribute('aria-level') || el.tagName.replace(/^H/, '');
+      emit(depth, `heading "${nameOf(el)}" [level=${level}]`);
+      return;
+    }
+
+    if (role === 'img') {
+      const name = nameOf(el);
+      if (name) {
+        emit(depth, `img "${name}"`);
+      }
+      return;
+    }
+
+    if (role === 'iframe') {
+      emit(depth, `iframe${el.title ? ` "${clean(el.title)}"` : ''}${el.src ? ` [src="${clean(el.src, 60)}"]` : ''}`);
+      return;
+    }
+
+    // A label's text is already the name of its control
+    if (el.tagName === 'LABEL' && el.control) {
+      childrenOf(el).filter(child => child.nodeType === Node.ELEMENT_NODE).forEach(child => walk(child, depth));
+      return;
+    }
+
+    // Leaf blocks of text are written as a single line
+    if (!hasStructure(el)) {
+      const text = clean(el.innerText, 200);
+      if (text) {
+        emit(depth, `${role ? `${role}: ` : 'text: '}${text}`);
+      }
+      return;
+    }
+
+    let childDepth = depth;
+    if (role && (LANDMARKS.has(role) || role === 'listitem')) {
+      const name = explicitNameOf(el);
+      emit(depth, `${role}${name ? ` "${name}"` : ''}`);
+      childDepth = depth + 1;
+    }
+    childrenOf(el).forEach(child => walk(child, childDepth));
+  };
+
+  walk(root || document.body, 0);
+
+  return {
+    snapshot: lines.join('\n'),
+    refCount: state.refs.size,
+    truncated,
+    counter: lastRef
+  };
+}
+
+// Take a snapshot of the page, or of the element `root`
+async function takeSnapshot(page, { root = null, maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+  const frame = root ? root.frame : page.mainFrame();
+  const { counter, ...result } = await frame.evaluate(snapshotInPage, root, {
+    stateKey: STATE_KEY,
+    counter: refCounters.get(page) || 0,
+    maxLength: maxTokens * CHARS_PER_TOKEN
+  });
+  refCounters.set(page, counter);
+
+  return {
+    url: page.url(),
+    title: await page.title(),
+    ...result
+  };
+}
+
+// Find the element a ref from the latest snapshot points at, in whichever
+// frame it was taken
+async function resolveRef(page, ref) {
+  let element = null;
+  for (const frame of page.frames()) {
+    try {
+      const handle = await frame.evaluateHandle((stateKey, ref) => {
+        const state = window[stateKey];
+        return (state && state.refs.get(ref)) || null;
+      }, STATE_KEY, ref);
+      element = handle.asElement();
+      if (element) {
+        break;
+      }
+      await handle.dispose();
+    } catch (error) {
+      // The frame went away while we were looking
+    }
+  }
+
+  if (!element) {
+    throw new Error(`Unknown ref: ${ref} (refs come from the latest snapshotPage of the current page; take a new snapshot)`);
+  }
+  if (!(await element.evaluate(el => el.isConnected))) {
+    await element.dispose();
+    throw new Error(`Element ${ref} is no longer on the page; take a new snapshot`);
+  }
+  return element;
+}
+
+module.exports = {
+  DEFAULT_MAX_TOKENS,
+  takeSnapshot,
+  resolveRef
+};
@@ -0,0 +1,613 @@
+const fs = require('fs');
+const path = require('path');
+
+// Cookies and storage state. Cookies are listed and deleted through the
+// DevTools protocol, which sees every cookie of the session's browser
+// context, HttpOnly ones and those of other domains and paths included.
+//
+// A storage state is a JSON file in the storage state directory holding a
+// session's cookies and the site data of each origin:
+//
+//   {
+//     "cookies": [{ "name": "sid", "value": "...", "domain": "shop.example", "path": "/", ... }],
+//     "origins": [{
+//       "origin": "https://shop.example",
+//       "localStorage": [{ "name": "cart", "value": "[1,2]" }],
+//       "sessionStorage": [...],
+//       "indexedDB": [{ "name": "app", "version": 2, "stores": [{ "name": "items", "keyPath": "id", "autoIncrement": false, "indexes": [...], "records": [{ "key": 1, "value": {...} }] }] }]
+//     }]
+//   }
+//
+// Values IndexedDB can hold but JSON cannot (dates, maps, binary data, ...)
+// are written as objects with a $type, as evaluateScript returns them.
+
+const NAME_PATTERN = /^[\w-][\w.-]*$/;
+const DEFAULT_RECORD_LIMIT = 50;
+const COOKIE_PARAMS = ['name', 'value', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite', 'priority', 'sameParty', 'sourceScheme', 'sourcePort', 'partitionKey'];
+
+async function withClient(page, action) {
+  const client = await page.target().createCDPSession();
+  try {
+    return await action(client);
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+// Whether a cookie belongs to `domain` (or one of its subdomains), lies at
+// or under `path`, and has one of `names`
+function cookieMatches(cookie, { names, domain, path: cookiePath }) {
+  if (names && names.length > 0 && !names.includes(cookie.name)) {
+    return false;
+  }
+  if (domain) {
+    const wanted = domain.replace(/^\./, '').toLowerCase();
+    const own = cookie.domain.replace(/^\./, '').toLowerCase();
+    if (own !== wanted && !own.endsWith(`.${wanted}`)) {
+      return false;
+    }
+  }
+  if (cookiePath && cookie.path !== cookiePath && !cookie.path.startsWith(cookiePath.endsWith('/') ? cookiePath : `${cookiePath}/`)) {
+    return false;
+  }
+  return true;
+}
+
+// The cookies the browser would send to `urls`, or with no urls every
+// cookie of the context, filtered by names, domain and path
+async function listCookies(page, { urls, ...filters } = {}) {
+  const { cookies } = await withClient(page, client => (urls && urls.length > 0
+    ? client.send('Network.getCookies', { urls })
+    : client.send('Network.getAllCookies')));
+  return cookies.filter(cookie => cookieMatches(cookie, filters));
+}
+
+// Delete the cookies listCookies finds, each by its exact name, domain and
+// path. Resolves to the cookies deleted.
+async function removeCookies(page, filters = {}) {
+  const cookies = await listCookies(page, filters);
+  await withClient(page, async client => {
+    for (const { name, domain, path: cookiePath } of cookies) {
+      await client.send('Network.deleteCookies', { name, domain, path: cookiePath });
+    }
+  });
+  return cookies;
+}
+
+function originOf(url) {
+  try {
+    const { protocol, origin } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Runs in the page: the frame's localStorage and sessionStorage as lists of
+// { name, value }
+function webStorageInPage() {
+  const entries = storage => Array.from({ length: storage.length }, (_, index) => storage.key(index))
+    .map(name => ({ name, value: storage.getItem(name) }));
+  try {
+    return { localStorage: entries(localStorage), sessionStorage: entries(sessionStorage) };
+  } catch (error) {
+    // Storage is off limits to sandboxed frames and opaque origins
+    return { localStorage: [], sessionStorage: [] };
+  }
+}
+
+// Runs in the page: write storage read by webStorageInPage into the frame.
+// Lists left out (null) are not touched; with `replace`, the others are
+// cleared first.
+function writeWebStorageInPage({ localStorage: localItems, sessionStorage: sessionItems, replace }) {
+  for (const [storage, items] of [[localStorage, localItems], [sessionStorage, sessionItems]]) {
+    if (!items) {
+      continue;
+    }
+    if (replace) {
+      storage.clear();
+    }
+    for (const { name, value } of items) {
+      storage.setItem(name, value);
+    }
+  }
+}
+
+// Runs in the page: IndexedDB work on the frame's origin. `action` is
+//
+//   list     the databases, or just `database`, with their object stores,
+//            indexes and record counts
+//   query    records of `store` (through `index` if given) in a key range,
+//            from `offset`, at most `limit` of them, in `direction`
+//   delete   records of `store` in a key range, or all of them with `all`
+//   dump     every database with all its records, for a storage state
+//   restore  databases from a dump, replacing those of the same name
+//
+// A key range is an exact `key`, or `lower` and/or `upper` bounds that
+// `lowerOpen` and `upperOpen` exclude. Keys and values JSON cannot hold
+// (dates, maps, binary data, ...) are objects with a $type; blobs cannot be
+// carried over and are counted in `skipped`.
+async function indexedDBInPage(action, options = {}) {
+  let skipped = 0;
+  const toBase64 = bytes => btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+  const fromBase64 = base64 => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+  const encode = value => {
+    switch (typeof value) {
+      case 'undefined':
+        return { $type: 'undefined' };
+      case 'number':
+        return Number.isFinite(value) && !Object.is(value, -0) ? value : { $type: 'number', value: Object.is(value, -0) ? '-0' : String(value) };
+      case 'bigint':
+        return { $type: 'bigint', value: String(value) };
+      case 'string':
+      case 'boolean':
+        return value;
+      default:
+        break;
+    }
+    if (value === null) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return { $type: 'date', value: Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString() };
+    }
+    if (value instanceof RegExp) {
+      return { $type: 'regexp', source: value.source, flags: value.flags };
+    }
+    if (value instanceof ArrayBuffer) {
+      return { $type: 'arraybuffer', base64: toBase64(new Uint8Array(value)) };
+    }
+    if (ArrayBuffer.isView(value)) {
+      return { $type: 'typedarray', name: value.constructor.name, base64: toBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+    }
+    if (value instanceof Map) {
+      return { $type: 'map', entries: Array.from(value, ([key, item]) => [encode(key), encode(item)]) };
+    }
+    if (value instanceof Set) {
+      return { $type: 'set', values: Array.from(value, encode) };
+    }
+    if (value instanceof Blob) {
+      skipped++;
+      return { $type: 'undefined' };
+    }
+    if (Array.isArray(value)) {
+      return value.map(encode);
+    }
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = encode(value[key]);
+    }
+    // Data that has a $type of its own is wrapped, so it is not mistaken for
+    // an encoded value
+    return Object.prototype.hasOwnProperty.call(value, '$type') ? { $type: 'object', value: result } : result;
+  };
+  const decodeFields = object => {
+    const result = {};
+    for (const key of Object.keys(object)) {
+      result[key] = decode(object[key]);
+    }
+    return result;
+  };
+  const decode = value => {
+    if (Array.isArray(value)) {
+      return value.map(decode);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    switch (value.$type) {
+      case undefined:
+        return decodeFields(value);
+      case 'object':
+        return decodeFields(value.value);
+      case 'undefined':
+        return undefined;
+      case 'number':
+        return Number(value.value);
+      case 'bigint':
+        return BigInt(value.value);
+      case 'date':
+        return new Date(value.value);
+      case 'regexp':
+        return new RegExp(value.source, value.flags);
+      case 'arraybuffer':
+        return fromBase64(value.base64).buffer;
+      case 'typedarray': {
+        const bytes = fromBase64(value.base64);
+        const Type = window[value.name] || Uint8Array;
+        return value.name === 'DataView' ? new DataView(bytes.buffer) : new Type(bytes.buffer, 0, bytes.byteLength / (Type.BYTES_PER_ELEMENT || 1));
+      }
+      case 'map':
+        return new Map(value.entries.map(([key, item]) => [decode(key), decode(item)]));
+      case 'set':
+        return new Set(value.values.map(decode));
+      default:
+        throw new Error(`Unknown $type: ${value.$type}`);
+    }
+  };
+
+  const done = request => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  const completed = transaction => new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const openDatabase = async name => {
+    if (typeof name !== 'string' || !name) {
+      throw new Error('database is required');
+    }
+    const request = indexedDB.open(name);
+    // Opening a database that does not exist would create it
+    request.onupgradeneeded = () => request.transaction.abort();
+    try {
+      return await done(request);
+    } catch (error) {
+      throw new Error(`IndexedDB database not found: ${name}`);
+    }
+  };
+  const objectStore = (db, mode) => {
+    const { store } = options;
+    if (!db.objectStoreNames.contains(store)) {
+      throw new Error(`Object store not found: ${store} (${db.name} has ${Array.from(db.objectStoreNames).join(', ') || 'none'})`);
+    }
+    return db.transaction(store, mode).objectStore(store);
+  };
+  const keyRange = () => {
+    const { key, lower, upper, lowerOpen = false, upperOpen = false } = options;
+    if (key !== undefined) {
+      return IDBKeyRange.only(decode(key));
+    }
+    if (lower !== undefined && upper !== undefined) {
+      return IDBKeyRange.bound(decode(lower), decode(upper), lowerOpen, upperOpen);
+    }
+    if (lower !== undefined) {
+      return IDBKeyRange.lowerBound(decode(lower), lowerOpen);
+    }
+    if (upper !== undefined) {
+      return IDBKeyRange.upperBound(decode(upper), upperOpen);
+    }
+    return null;
+  };
+  const describeStore = store => ({
+    name: store.name,
+    keyPath: store.keyPath,
+    autoIncrement: store.autoIncrement,
+    indexes: Array.from(store.indexNames, indexName => {
+      const index = store.index(indexName);
+      return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+    })
+  });
+  const eachDatabase = async read => {
+    const databases = options.database ? [{ name: options.database }] : await indexedDB.databases();
+    const result = [];
+    for (const { name } of databases) {
+      const db = await openDatabase(name);
+      try {
+        const names = Array.from(db.objectStoreNames);
+        const transaction = names.length > 0 ? db.transaction(names, 'readonly') : null;
+        const stores = await Promise.all(names.map(storeName => read(transaction.objectStore(storeName))));
+        result.push({ name, version: db.version, stores });
+      } finally {
+        db.close();
+      }
+    }
+    return result;
+  };
+
+  const run = async () => {
+    switch (action) {
+      case 'list':
+        return {
+          databases: await eachDatabase(async store => ({ ...describeStore(store), count: await done(store.count()) }))
+        };
+
+      case 'dump': {
+        const databases = await eachDatabase(async store => {
+          const [keys, values] = await Promise.all([done(store.getAllKeys()), done(store.getAll())]);
+          return { ...describeStore(store), records: keys.map((key, i) => ({ key: encode(key), value: encode(values[i]) })) };
+        });
+        return { databases, skipped };
+      }
+
+      case 'restore':
+        for (const database of options.databases) {
+          await done(indexedDB.deleteDatabase(database.name));
+          const request = indexedDB.open(database.name, database.version);
+          request.onupgradeneeded = () => {
+            for (const store of database.stores) {
+              const created = request.result.createObjectStore(store.name, { keyPath: store.keyPath, autoIncrement: store.autoIncrement });
+              for (const index of store.indexes) {
+                created.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+              }
+            }
+          };
+          const db = await done(request);
+          try {
+            if (database.stores.length > 0) {
+              const transaction = db.transaction(database.stores.map(store => store.name), 'readwrite');
+              for (const store of database.stores) {
+                for (const record of store.records) {
+                  // Stores with a keyPath take the key from the value
+                  if (store.keyPath === null) {
+                    transaction.objectStore(store.name).put(decode(record.value), decode(record.key));
+                  } else {
+                    transaction.objectStore(store.name).put(decode(record.value));
+                  }
+                }
+              }
+              await completed(transaction);
+            }
+          } finally {
+            db.close();
+          }
+        }
+        return {};
+
+      case 'query': {
+        const { index, offset = 0, limit, direction = 'next' } = options;
+        const db = await openDatabase(options.database);
+        try {
+          const store = objectStore(db, 'readonly');
+          if (index && !store.indexNames.contains(index)) {
+            throw new Error(`Index not found: ${index} (${store.name} has ${Array.from(store.indexNames).join(', ') || 'none'})`);
+          }
+          const source = index ? store.index(index) : store;
+          const range = keyRange();
+          const records = [];
+          let hasMore = false;
+          await new Promise((resolve, reject) => {
+            const request = source.openCursor(range, direction);
+            let skippedOffset = offset === 0;
+            request.onsuccess = () => {
+              const cursor = request.result;
+              if (!cursor) {
+                resolve();
+              } else if (!skippedOffset) {
+                skippedOffset = true;
+                cursor.advance(offset);
+              } else if (records.length >= limit) {
+                hasMore = true;
+                resolve();
+              } else {
+                const record = { key: encode(cursor.key), value: encode(cursor.value) };
+                if (index) {
+                  record.primaryKey = encode(cursor.primaryKey);
+                }
+                records.push(record);
+                cursor.continue();
+              }
+            };
+            request.onerror = () => reject(request.error);
+          });
+          return { records, total: await done(source.count(range)), hasMore, skipped };
+        } finally {
+          db.close();
+        }
+      }
+
+      case 'delete': {
+        const { key, lower, upper, all } = options;
+        if (!all && key === undefined && lower === undefined && upper === undefined) {
+          throw new Error('Give a key, lower and/or upper bounds, or all: true to delete every record');
+        }
+        const db = await openDatabase(options.database);
+        try {
+          const store = objectStore(db, 'readwrite');
+          const range = all ? null : keyRange();
+          const deleted = await done(store.count(range));
+          if (range) {
+            store.delete(range);
+          } else {
+            store.clear();
+          }
+          await completed(store.transaction);
+          return { deleted };
+        } finally {
+          db.close();
+        }
+      }
+
+      default:
+        throw new Error(`Unknown IndexedDB action: ${action}`);
+    }
+  };
+
+  // Errors are returned rather than thrown: thrown from async code, their
+  // message would carry the stack with it
+  try {
+    return await run();
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Run an IndexedDB action (see indexedDBInPage) in a page or frame
+async function runIndexedDB(frame, action, options = {}) {
+  const result = await frame.evaluate(indexedDBInPage, action, options);
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+// Run `action` on a frame of `origin` in a page of its own, whose requests
+// are answered with an empty document so nothing of the site runs. The page
+// is not one of the session's tabs.
+async function withBlankOrigin(context, origin, action) {
+  const page = await context.newPage();
+  try {
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        request.respond({ status: 200, contentType: 'text/html', body: '<!DOCTYPE html><title></title>' }).catch(() => {});
+      } else {
+        request.abort().catch(() => {});
+      }
+    });
+    await page.goto(`${origin}/`);
+    return await action(page.mainFrame());
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// The origins of the frames open in the session, active tab first, each
+// with the frame to read it through
+function openOrigins(session) {
+  const frames = new Map();
+  const pages = [session.page, ...session.tabs.map(tab => tab.page).filter(page => page !== session.page)];
+  for (const page of pages) {
+    for (const frame of page.frames()) {
+      const origin = originOf(frame.url());
+      if (origin && !frames.has(origin)) {
+        frames.set(origin, frame);
+      }
+    }
+  }
+  return frames;
+}
+
+function normalizeOrigins(origins = []) {
+  return origins.map(url => {
+    const origin = originOf(url);
+    if (!origin) {
+      throw new Error(`Invalid origin: ${url} (expected an http or https URL)`);
+    }
+    return origin;
+  });
+}
+
+// The session's cookies, and the storage of every origin open in it plus
+// `origins`
+async function captureStorageState(session, { origins = [], indexedDB = true } = {}) {
+  const frames = openOrigins(session);
+  const wanted = [...new Set([...frames.keys(), ...normalizeOrigins(origins)])];
+  const state = {
+    cookies: await listCookies(session.page),
+    origins: []
+  };
+  let skipped = 0;
+  const read = async frame => {
+    const storage = await frame.evaluate(webStorageInPage);
+    if (!indexedDB) {
+      return storage;
+    }
+    const dump = await runIndexedDB(frame, 'dump');
+    skipped += dump.skipped;
+    return { ...storage, indexedDB: dump.databases };
+  };
+  for (const origin of wanted) {
+    const storage = frames.has(origin) ? await read(frames.get(origin)) : await withBlankOrigin(session.context, origin, read);
+    if (storage.localStorage.length > 0 || storage.sessionStorage.length > 0 || (storage.indexedDB || []).length > 0) {
+      state.origins.push({ origin, ...storage });
+    }
+  }
+  return { state, skipped };
+}
+
+// Restore a state captureStorageState made. Origins open in the active tab
+// get everything at once; others get their localStorage and IndexedDB
+// through a page of their own, and their sessionStorage, which belongs to a
+// tab, when the active tab first loads them.
+async function applyStorageState(session, state, { replace = false } = {}) {
+  if (!state || !Array.isArray(state.cookies) || !Array.isArray(state.origins)) {
+    throw new Error('A storage state needs cookies and origins arrays');
+  }
+  const { page } = session;
+  const now = Date.now() / 1000;
+  const cookies = state.cookies
+    .filter(cookie => !(cookie.expires > 0 && cookie.expires < now))
+    .map(cookie => {
+      const param = {};
+      for (const key of COOKIE_PARAMS) {
+        if (cookie[key] !== undefined && !(key === 'expires' && cookie.expires <= 0)) {
+          param[key] = cookie[key];
+        }
+      }
+      return param;
+    });
+  await withClient(page, async client => {
+    if (replace) {
+      await client.send('Network.clearBrowserCookies');
+    }
+    if (cookies.length > 0) {
+      await client.send('Network.setCookies', { cookies });
+    }
+  });
+
+  const activeFrames = new Map(page.frames().map(frame => [originOf(frame.url()), frame]));
+  const later = {};
+  for (const { origin, localStorage = [], sessionStorage = [], indexedDB = [] } of state.origins) {
+    const write = async (frame, sessionItems) => {
+      await frame.evaluate(writeWebStorageInPage, { localStorage, sessionStorage: sessionItems, replace });
+      if (indexedDB.length > 0) {
+        await runIndexedDB(frame, 'restore', { databases: indexedDB });
+      }
+    };
+    if (activeFrames.has(origin)) {
+      await write(activeFrames.get(origin), sessionStorage);
+      continue;
+    }
+    await withBlankOrigin(session.context, origin, frame => write(frame, null));
+    if (sessionStorage.length > 0) {
+      later[origin] = sessionStorage;
+    }
+  }
+  if (Object.keys(later).length > 0) {
+    // Only into a fresh sessionStorage, so the page's own changes stand
+    await page.evaluateOnNewDocument(items => {
+      const own = items[location.origin];
+      if (own && sessionStorage.length === 0) {
+        for (const { name, value } of own) {
+          sessionStorage.setItem(name, value);
+        }
+      }
+    }, later);
+  }
+  return {
+    cookies: cookies.length,
+    origins: state.origins.map(({ origin }) => origin)
+  };
+}
+
+function stateFile(storageStateDir, name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid storage state name: ${name} (use letters, digits, _, - and .)`);
+  }
+  return path.join(storageStateDir, `${name}.json`);
+}
+
+function readStorageState(storageStateDir, name) {
+  const file = stateFile(storageStateDir, name);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Storage state not found: ${name}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Storage state ${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Storage states hold session cookies, so only the owner may read them
+function writeStorageState(storageStateDir, name, state) {
+  const file = stateFile(storageStateDir, name);
+  fs.mkdirSync(storageStateDir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ savedAt: new Date().toISOString(), ...state }, null, 2), { mode: 0o600 });
+  return file;
+}
+
+module.exports = {
+  DEFAULT_RECORD_LIMIT,
+  listCookies,
+  removeCookies,
+  runIndexedDB,
+  captureStorageState,
+  applyStorageState,
+  readStorageState,
+  writeStorageState
+};
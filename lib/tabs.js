@@ -0,0 +1,105 @@
+const { isPageUsable } = require('./pages');
+
+// Tabs within a session. session.tabs holds every open page of the session
+// and session.page is always the active one, so tools keep working on
+// session.page without knowing about tabs. Pages opened by the page itself
+// (window.open, target=_blank, OAuth popups) are added by the session manager
+// as they appear.
+
+// How long to keep listening for popups after an action that may open one
+const POPUP_GRACE_PERIOD = 300;
+
+function addTab(session, page, openerTabId = null) {
+  const number = ++session.tabCounter;
+  const tab = {
+    id: `tab-${number}`,
+    number,
+    page,
+    openerTabId,
+    createdAt: Date.now()
+  };
+
+  session.tabs.push(tab);
+  return tab;
+}
+
+function findTab(session, tabId) {
+  const tab = session.tabs.find(t => t.id === tabId);
+  if (!tab) {
+    throw new Error(`Unknown tab: ${tabId}`);
+  }
+  return tab;
+}
+
+function findTabByPage(session, page) {
+  return session.tabs.find(t => t.page === page) || null;
+}
+
+async function activateTab(session, tab) {
+  await tab.page.bringToFront();
+  session.page = tab.page;
+}
+
+// Drop tabs whose page has been closed or has crashed
+function pruneTabs(session) {
+  for (const tab of session.tabs) {
+    if (!isPageUsable(tab.page) && !tab.page.isClosed()) {
+      tab.page.close().catch(() => {});
+    }
+  }
+  session.tabs = session.tabs.filter(tab => isPageUsable(tab.page));
+}
+
+// The tab to activate when the given tab goes away: its opener if that is
+// still open, otherwise the most recently opened tab
+function fallbackTab(session, tab) {
+  const remaining = session.tabs.filter(t => t !== tab);
+  const opener = tab && remaining.find(t => t.id === tab.openerTabId);
+  return opener || remaining[remaining.length - 1] || null;
+}
+
+async function describeTab(session, tab) {
+  let title = '';
+  try {
+    title = await tab.page.title();
+  } catch (error) {
+    // The page may be navigating or closing
+  }
+
+  return {
+    tabId: tab.id,
+    url: tab.page.url(),
+    title,
+    active: tab.page === session.page,
+    openerTabId: tab.openerTabId
+  };
+}
+
+// Run an action and report the tabs that were opened while it ran
+async function captureOpenedTabs(session, action) {
+  const lastTabNumber = session.tabCounter;
+  const result = await action();
+
+  await new Promise(resolve => setTimeout(resolve, POPUP_GRACE_PERIOD));
+  await Promise.all(Array.from(session.pendingTabs));
+
+  const openedTabs = [];
+  for (const tab of session.tabs) {
+    if (tab.number > lastTabNumber) {
+      openedTabs.push(await describeTab(session, tab));
+    }
+  }
+
+  return { result, openedTabs };
+}
+
+module.exports = {
+  addTab,
+  findTab,
+  findTabByPage,
+  activateTab,
+  pruneTabs,
+  fallbackTab,
+  describeTab,
+  captureOpenedTabs
+};
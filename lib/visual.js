@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const { queryAll } = require('./selectors');
+
+// Visual regression. A baseline is a named PNG in the baselines directory,
+// next to a JSON file recording how it was captured (element, full page,
+// ignored selectors) so a comparison can capture the page the same way.
+//
+// Ignored regions are painted over in both images before diffing, so
+// content such as timestamps and ads never counts as a change.
+
+const NAME_PATTERN = /^[\w-][\w.-]*$/;
+const IGNORE_COLOR = [255, 0, 255, 255];
+
+function baselineFiles(baselinesDir, name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid baseline name: ${name} (use letters, digits, _, - and .)`);
+  }
+  const base = path.join(baselinesDir, name);
+  return {
+    image: `${base}.png`,
+    metadata: `${base}.json`
+  };
+}
+
+function readBaseline(baselinesDir, name) {
+  const files = baselineFiles(baselinesDir, name);
+  if (!fs.existsSync(files.image)) {
+    throw new Error(`Baseline not found: ${name}`);
+  }
+  const metadata = fs.existsSync(files.metadata)
+    ? JSON.parse(fs.readFileSync(files.metadata, 'utf8'))
+    : {};
+  return {
+    image: fs.readFileSync(files.image),
+    metadata
+  };
+}
+
+function writeBaseline(baselinesDir, name, image, metadata) {
+  const files = baselineFiles(baselinesDir, name);
+  fs.mkdirSync(baselinesDir, { recursive: true });
+  fs.writeFileSync(files.image, image);
+  fs.writeFileSync(files.metadata, JSON.stringify(metadata, null, 2));
+  return imageSize(image);
+}
+
+// Dimensions of a PNG, from its IHDR chunk
+function imageSize(image) {
+  return {
+    width: image.readUInt32BE(16),
+    height: image.readUInt32BE(20)
+  };
+}
+
+// Bounding boxes of every element matching the ignore selectors, in the
+// screenshot's pixels. `origin` is the top left of the screenshot in
+// viewport coordinates.
+async function findIgnoreRegions(page, selectors, origin) {
+  const scale = await page.evaluate(() => window.devicePixelRatio || 1);
+  const regions = [];
+
+  for (const selector of selectors) {
+    for (const element of await queryAll(page, selector)) {
+      const box = await element.boundingBox();
+      if (box && box.width > 0 && box.height > 0) {
+        regions.push({
+          selector,
+          x: Math.floor((box.x - origin.x) * scale),
+          y: Math.floor((box.y - origin.y) * scale),
+          width: Math.ceil(box.width * scale),
+          height: Math.ceil(box.height * scale)
+        });
+      }
+    }
+  }
+
+  return regions;
+}
+
+function maskRegions(image, regions) {
+  for (const region of regions) {
+    const left = Math.max(0, region.x);
+    const top = Math.max(0, region.y);
+    const right = Math.min(image.width, region.x + region.width);
+    const bottom = Math.min(image.height, region.y + region.height);
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        const offset = (y * image.width + x) * 4;
+        image.data[offset] = IGNORE_COLOR[0];
+        image.data[offset + 1] = IGNORE_COLOR[1];
+        image.data[offset + 2] = IGNORE_COLOR[2];
+        image.data[offset + 3] = IGNORE_COLOR[3];
+      }
+    }
+  }
+}
+
+// Copy an image onto a larger transparent canvas, so images of different
+// sizes can be diffed; the added area counts as changed
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+// Diff two PNG files. colorThreshold is pixelmatch's per-pixel color
+// tolerance (0 to 1); the result's diff image highlights changed pixels in red.
+function compareImages(baselineImage, actualImage, { ignoreRegions = [], colorThreshold = 0.1 } = {}) {
+  const baseline = PNG.sync.read(baselineImage);
+  const actual = PNG.sync.read(actualImage);
+  const width = Math.max(baseline.width, actual.width);
+  const height = Math.max(baseline.height, actual.height);
+  const expected = padImage(baseline, width, height);
+  const received = padImage(actual, width, height);
+
+  maskRegions(expected, ignoreRegions);
+  maskRegions(received, ignoreRegions);
+
+  const diff = new PNG({ width, height });
+  const mismatchedPixels = pixelmatch(expected.data, received.data, diff.data, width, height, {
+    threshold: colorThreshold
+  });
+  const totalPixels = width * height;
+
+  return {
+    dimensionsMatch: baseline.width === actual.width && baseline.height === actual.height,
+    baselineSize: { width: baseline.width, height: baseline.height },
+    actualSize: { width: actual.width, height: actual.height },
+    mismatchedPixels,
+    totalPixels,
+    mismatchPercent: totalPixels > 0 ? Math.round((mismatchedPixels / totalPixels) * 1000000) / 10000 : 0,
+    diff: PNG.sync.write(diff)
+  };
+}
+
+module.exports = {
+  readBaseline,
+  writeBaseline,
+  findIgnoreRegions,
+  compareImages
+};
@@ -0,0 +1,189 @@
+const { parseSelector, queryAll } = require('./selectors');
+const { scriptSource } = require('./evaluate');
+
+// Waiting for the page to reach a state: a URL, quiet network, a predicate,
+// text, an element going away, or a response.
+
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+const SELECTOR_STATES = ['attached', 'visible', 'hidden', 'detached'];
+const POLL_INTERVAL = 100;
+const DEFAULT_MAX_BODY_LENGTH = 100000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function checkWaitUntil(waitUntil) {
+  if (!WAIT_UNTIL.includes(waitUntil)) {
+    throw new Error(`Invalid waitUntil: ${waitUntil} (expected one of ${WAIT_UNTIL.join(', ')})`);
+  }
+}
+
+// Waits count down to Date.now() + timeout, which a string or NaN would turn
+// into a wait that never ends
+function checkDuration(name, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid ${name}: ${JSON.stringify(value)} (expected a non-negative number of milliseconds)`);
+  }
+  return value;
+}
+
+// Wait for the page to navigate, or, given `matches`, until its URL matches.
+// A URL that already matches returns at once, so a navigation that finished
+// before the wait started is not missed. Resolves to the main document's
+// response, which is null for same-document navigations.
+async function waitForUrl(page, matches, { waitUntil, timeout, description }) {
+  checkWaitUntil(waitUntil);
+  if (matches && matches(page.url())) {
+    return null;
+  }
+
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    let response;
+    try {
+      response = await page.waitForNavigation({ waitUntil, timeout: Math.max(1, deadline - Date.now()) });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(matches
+          ? `No navigation to a URL matching ${description} within ${timeout}ms (current URL: ${page.url()})`
+          : `No navigation within ${timeout}ms`);
+      }
+      throw error;
+    }
+    if (!matches || matches(page.url())) {
+      return response;
+    }
+  }
+}
+
+// Runs in the page: whether an element is rendered
+function isVisibleInPage(el) {
+  const rect = el.getBoundingClientRect();
+  const visible = typeof el.checkVisibility === 'function'
+    ? el.checkVisibility({ visibilityProperty: true })
+    : getComputedStyle(el).visibility === 'visible';
+  return visible && rect.width > 0 && rect.height > 0;
+}
+
+// Wait until nothing matches the selector ('detached'), or nothing that
+// matches is visible ('hidden')
+async function waitForSelectorGone(page, selector, { state, timeout }) {
+  parseSelector(selector);
+  const deadline = Date.now() + timeout;
+  let remaining = 0;
+
+  for (;;) {
+    // A navigation in progress counts as nothing matching yet
+    const matches = await queryAll(page, selector).catch(() => []);
+    remaining = 0;
+    for (const element of matches) {
+      const counts = state === 'detached' || await element.evaluate(isVisibleInPage).catch(() => false);
+      if (counts) {
+        remaining++;
+      }
+      await element.dispose().catch(() => {});
+    }
+    if (remaining === 0) {
+      return;
+    }
+    if (Date.now() >= deadline) {
+      break;
+    }
+    await sleep(Math.min(POLL_INTERVAL, Math.max(0, deadline - Date.now())));
+  }
+
+  const what = state === 'detached' ? 'still on the page' : 'still visible';
+  throw new Error(`${remaining} element${remaining === 1 ? '' : 's'} matching "${selector}" ${remaining === 1 ? 'is' : 'are'} ${what} after ${timeout}ms`);
+}
+
+// Wait until text is visible on the page, or inside `root`. Whitespace is
+// collapsed on both sides before comparing.
+async function waitForText(page, text, { root = null, timeout }) {
+  const frame = root ? root.frame : page.mainFrame();
+  try {
+    await frame.waitForFunction((text, root) => {
+      const normalize = value => String(value || '').replace(/\s+/g, ' ').trim();
+      const scope = root || document.body;
+      return Boolean(scope) && normalize(scope.innerText).includes(normalize(text));
+    }, { timeout, polling: POLL_INTERVAL }, text, root);
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Text "${text}" did not appear within ${timeout}ms`);
+    }
+    throw error;
+  }
+}
+
+// Wait until a script returns a truthy value, and resolve to that value.
+// The script is read the way evaluateScript reads it (see scriptSource): an
+// expression, a function that is called, or a function body with `return`.
+// A promise it returns is waited for.
+async function waitForPredicate(page, script, { polling = POLL_INTERVAL, timeout }) {
+  const expression = `(${scriptSource(script)})()`;
+  let handle;
+  try {
+    handle = await page.waitForFunction(expression, { timeout, polling });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Script did not return a truthy value within ${timeout}ms`);
+    }
+    throw error;
+  }
+  try {
+    return await handle.jsonValue();
+  } catch (error) {
+    // DOM nodes and other values that cannot be serialized
+    return true;
+  } finally {
+    await handle.dispose();
+  }
+}
+
+function isTextual(contentType) {
+  return /^text\/|[/+](json|xml|javascript|ecmascript)\b|^application\/(x-www-form-urlencoded|graphql)/i.test(contentType || '');
+}
+
+// The status, headers and body of a Puppeteer response. Text bodies are
+// returned as text, others base64-encoded; either is cut at maxBodyLength.
+async function describeResponse(response, { maxBodyLength = DEFAULT_MAX_BODY_LENGTH } = {}) {
+  const request = response.request();
+  const headers = response.headers();
+  const result = {
+    url: response.url(),
+    method: request.method(),
+    resourceType: request.resourceType(),
+    status: response.status(),
+    statusText: response.statusText(),
+    headers
+  };
+
+  try {
+    const buffer = await response.buffer();
+    const base64Encoded = !isTextual(headers['content-type']);
+    const body = base64Encoded ? buffer.toString('base64') : buffer.toString('utf8');
+    result.body = body.length > maxBodyLength ? body.slice(0, maxBodyLength) : body;
+    result.base64Encoded = base64Encoded;
+    if (body.length > maxBodyLength) {
+      result.bodyTruncated = true;
+    }
+  } catch (error) {
+    // Redirects and some cached responses have no body to read
+    result.body = null;
+    result.bodyError = error.message;
+  }
+  return result;
+}
+
+module.exports = {
+  WAIT_UNTIL,
+  SELECTOR_STATES,
+  checkWaitUntil,
+  checkDuration,
+  waitForUrl,
+  isVisibleInPage,
+  waitForSelectorGone,
+  waitForText,
+  waitForPredicate,
+  describeResponse
+};
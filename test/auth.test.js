@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('assert');
+const { decodeBase32, totp, redact, redactHeaders, redactValue } = require('../lib/auth');
+
+// The seeds of RFC 6238 appendix B, base32-encoded
+const SEEDS = {
+  sha1: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+  sha256: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA',
+  sha512: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA'
+};
+
+// Test vectors from RFC 6238 appendix B: time in seconds and the 8-digit
+// code for each algorithm
+const VECTORS = [
+  [59, { sha1: '94287082', sha256: '46119246', sha512: '90693936' }],
+  [1111111109, { sha1: '07081804', sha256: '68084774', sha512: '25091201' }],
+  [1111111111, { sha1: '14050471', sha256: '67062674', sha512: '99943326' }],
+  [1234567890, { sha1: '89005924', sha256: '91819424', sha512: '93441116' }],
+  [2000000000, { sha1: '69279037', sha256: '90698825', sha512: '38618901' }],
+  [20000000000, { sha1: '65353130', sha256: '77737706', sha512: '47863826' }]
+];
+
+test('decodeBase32 decodes the RFC 6238 seeds', () => {
+  assert.strictEqual(decodeBase32(SEEDS.sha1).toString(), '12345678901234567890');
+  assert.strictEqual(decodeBase32(SEEDS.sha256).toString(), '12345678901234567890123456789012');
+  assert.strictEqual(decodeBase32(SEEDS.sha512).toString(), '1234567890'.repeat(6) + '1234');
+});
+
+test('decodeBase32 ignores case, spaces, dashes and padding', () => {
+  assert.strictEqual(decodeBase32('gezd gnbv-gy3t qojq====').toString(), '1234567890');
+});
+
+test('decodeBase32 rejects invalid and empty secrets', () => {
+  assert.throws(() => decodeBase32('GEZD1'), /not valid base32/);
+  assert.throws(() => decodeBase32('=='), /empty/);
+});
+
+for (const [seconds, codes] of VECTORS) {
+  for (const [algorithm, code] of Object.entries(codes)) {
+    test(`totp matches RFC 6238 for ${algorithm} at ${seconds}s`, () => {
+      assert.strictEqual(totp(SEEDS[algorithm], { digits: 8, algorithm, time: seconds * 1000 }).code, code);
+    });
+  }
+}
+
+test('totp defaults to 6 digits and says how long the code is valid', () => {
+  const { code, expiresIn } = totp(SEEDS.sha1, { time: 59 * 1000 });
+  assert.strictEqual(code, '287082');
+  assert.strictEqual(expiresIn, 1000);
+});
+
+test('totp reads digits, period and algorithm from an otpauth URI', () => {
+  const uri = `otpauth://totp/Example:alice?secret=${SEEDS.sha256}&digits=8&period=30&algorithm=SHA256`;
+  assert.strictEqual(totp(uri, { time: 1111111109 * 1000 }).code, '68084774');
+  assert.throws(() => totp(`otpauth://totp/x?secret=${SEEDS.sha1}&algorithm=MD5`), /Unsupported TOTP algorithm: md5/);
+});
+
+test('redact replaces a secret in every form it is sent in', () => {
+  const secrets = new Set(['p@ss word"1']);
+  assert.strictEqual(redact('password=p@ss word"1', secrets), 'password=[redacted]');
+  assert.strictEqual(redact('password=p%40ss%20word%221', secrets), 'password=[redacted]');
+  assert.strictEqual(redact('password=p%40ss+word%221', secrets), 'password=[redacted]');
+  assert.strictEqual(redact('{"password":"p@ss word\\"1"}', secrets), '{"password":"[redacted]"}');
+});
+
+test('redact replaces longer secrets before the ones they contain', () => {
+  assert.strictEqual(redact('hunter2hunter2 and hunter2', new Set(['hunter2', 'hunter2hunter2'])), '[redacted] and [redacted]');
+});
+
+test('redact leaves text alone without secrets', () => {
+  assert.strictEqual(redact('hunter2', new Set()), 'hunter2');
+  assert.strictEqual(redact('hunter2', undefined), 'hunter2');
+  assert.strictEqual(redact(null, new Set(['hunter2'])), null);
+});
+
+test('redactHeaders redacts header values', () => {
+  assert.deepStrictEqual(
+    redactHeaders({ authorization: 'Bearer t0ken', accept: '*/*' }, new Set(['t0ken'])),
+    { authorization: 'Bearer [redacted]', accept: '*/*' }
+  );
+});
+
+test('redactValue redacts every string but leaves images alone', () => {
+  const secrets = new Set(['hunter2']);
+  const images = [{ data: 'aHVudGVyMg==hunter2', mimeType: 'image/png' }];
+  assert.deepStrictEqual(
+    redactValue({ text: 'pw hunter2', count: 2, items: ['hunter2', null], nested: { value: 'hunter2' }, images }, secrets),
+    { text: 'pw [redacted]', count: 2, items: ['[redacted]', null], nested: { value: '[redacted]' }, images }
+  );
+});
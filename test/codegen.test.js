@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('assert');
+const { generateTest } = require('../lib/codegen');
+
+const LOGIN_STEPS = [
+  { tool: 'navigateTo', parameters: { url: 'https://shop.example/login' }, assert: [{ type: 'status', value: 200 }] },
+  { tool: 'typeText', parameters: { selector: '#user', text: 'alice' } },
+  { tool: 'clickElement', parameters: { selector: 'button[type=submit]' } },
+  { tool: 'getElementText', parameters: { selector: 'h1' }, assert: [{ type: 'textEquals', selector: 'h1', value: 'Welcome' }] }
+];
+
+test('puppeteer output is a runnable script', () => {
+  const { code, exported, skipped } = generateTest(LOGIN_STEPS, { framework: 'puppeteer' });
+  assert.strictEqual(exported, 4);
+  assert.strictEqual(skipped, 0);
+  assert.ok(code.startsWith("const assert = require('assert');\nconst puppeteer = require('puppeteer');\n"));
+  assert.ok(code.includes("const response1 = await page.goto('https://shop.example/login', { waitUntil: 'networkidle2' });\n    assert.strictEqual(response1.status(), 200);"));
+  assert.ok(code.includes("await (await page.locator('#user').waitHandle()).type('alice');"));
+  assert.ok(code.includes("await page.locator('button[type=submit]').click();"));
+  assert.ok(code.includes("assert.strictEqual(await (await page.locator('h1').waitHandle()).evaluate(el => el.textContent.replace(/\\s+/g, ' ').trim()), 'Welcome');"));
+  // The generated code must at least parse
+  assert.doesNotThrow(() => new Function(code));
+});
+
+test('playwright output uses its own locators and assertions', () => {
+  const { code } = generateTest(LOGIN_STEPS, { framework: 'playwright', testName: "logs in as 'alice'" });
+  assert.ok(code.startsWith("const { test, expect } = require('@playwright/test');\n"));
+  assert.ok(code.includes("test('logs in as \\'alice\\'', async ({ page }) => {"));
+  assert.ok(code.includes("await page.goto('https://shop.example/login', { waitUntil: 'networkidle' });"));
+  assert.ok(code.includes("expect(response1.status()).toBe(200);"));
+  assert.ok(code.includes("await page.locator('#user').pressSequentially('alice');"));
+  assert.ok(code.includes("await expect(page.locator('h1')).toHaveText('Welcome');"));
+  assert.doesNotThrow(() => new Function(code));
+});
+
+test('jest output sets up the browser, viewport and fixtures', () => {
+  const steps = [
+    { tool: 'pressKey', parameters: { key: 'Control+a' } },
+    { tool: 'uploadFile', parameters: { selector: 'input[type=file]', files: ['a.png'] } }
+  ];
+  const { code } = generateTest(steps, { framework: 'jest', viewport: { width: 800, height: 600 }, fixturesDir: '/fixtures', header: 'Exported from checkout' });
+  assert.ok(code.startsWith("// Exported from checkout\nconst path = require('path');\n"));
+  assert.ok(code.includes("const FIXTURES_DIR = '/fixtures';"));
+  assert.ok(code.includes('await page.setViewport({ width: 800, height: 600 });'));
+  assert.ok(code.includes("await page.keyboard.down('Control');\n    await page.keyboard.press('a');\n    await page.keyboard.up('Control');"));
+  assert.ok(code.includes(".uploadFile(path.join(FIXTURES_DIR, 'a.png'));"));
+  assert.doesNotThrow(() => new Function(code));
+});
+
+test('steps without an equivalent become comments that leave secrets out', () => {
+  const steps = [
+    { tool: 'authenticate', parameters: { username: 'alice', password: 'hunter2' } },
+    { tool: 'setCookie', parameters: { name: 'sid', value: 'abc123', domain: 'shop.example' } }
+  ];
+  const { code, exported, skipped } = generateTest(steps, { framework: 'puppeteer' });
+  assert.strictEqual(exported, 0);
+  assert.strictEqual(skipped, 2);
+  assert.ok(code.includes('// authenticate has no equivalent in the exported test'));
+  assert.ok(code.includes("// setCookie { name: 'sid', domain: 'shop.example' } has no equivalent in the exported test"));
+  assert.ok(!code.includes('hunter2'));
+  assert.ok(!code.includes('alice'));
+  assert.ok(!code.includes('abc123'));
+});
+
+test('unknown frameworks are rejected', () => {
+  assert.throws(() => generateTest([], { framework: 'cypress' }), /^Error: Invalid framework: cypress/);
+});
+
+test('waitForFunction predicates are exported the way the tool reads them', () => {
+  const steps = [
+    { tool: 'waitForFunction', parameters: { script: '() => window.appReady' } },
+    { tool: 'waitForFunction', parameters: { script: '"return" in window' } }
+  ];
+  for (const framework of ['puppeteer', 'playwright']) {
+    const { code, exported } = generateTest(steps, { framework });
+    assert.strictEqual(exported, 2);
+    assert.ok(code.includes('() => window.appReady'));
+    assert.ok(code.includes('"return" in window'));
+    assert.ok(!code.includes('{ "return" in window }'));
+    assert.ok(code.includes(framework === 'playwright' ? 'await expect.poll(() => page.evaluate(async (...args) => {' : 'await page.waitForFunction(async (...args) => {'));
+    assert.doesNotThrow(() => new Function(code));
+  }
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULTS, loadConfig, getLaunchOptions } = require('../lib/config');
+
+// A directory with a config file in it, removed after the test
+function configDir(t, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  if (contents !== undefined) {
+    fs.writeFileSync(path.join(dir, 'mcp-puppeteer.config.json'), typeof contents === 'string' ? contents : JSON.stringify(contents));
+  }
+  return dir;
+}
+
+test('without settings, the defaults apply', (t) => {
+  const config = loadConfig({ argv: [], env: {}, cwd: configDir(t) });
+  assert.strictEqual(config.port, DEFAULTS.port);
+  assert.deepStrictEqual(config.timeouts, DEFAULTS.timeouts);
+  assert.strictEqual(config.configFile, null);
+  assert.strictEqual(config.help, false);
+});
+
+test('flags beat the environment, which beats the config file', (t) => {
+  const cwd = configDir(t, { port: 4000, timeouts: { navigation: 1000 }, sessions: { eventBufferSize: 50 } });
+  const env = { MCP_PORT: '5000', MCP_NAVIGATION_TIMEOUT: '2000' };
+
+  const fromFile = loadConfig({ argv: [], env: {}, cwd });
+  assert.strictEqual(fromFile.port, 4000);
+  assert.strictEqual(fromFile.timeouts.element, DEFAULTS.timeouts.element);
+
+  const fromEnv = loadConfig({ argv: [], env, cwd });
+  assert.strictEqual(fromEnv.port, 5000);
+  assert.strictEqual(fromEnv.timeouts.navigation, 2000);
+  assert.strictEqual(fromEnv.sessions.eventBufferSize, 50);
+
+  const fromFlags = loadConfig({ argv: ['--port', '6000', '--navigation-timeout=3000'], env, cwd });
+  assert.strictEqual(fromFlags.port, 6000);
+  assert.strictEqual(fromFlags.timeouts.navigation, 3000);
+});
+
+test('relative paths in the config file are relative to the file', (t) => {
+  const dir = configDir(t);
+  fs.mkdirSync(path.join(dir, 'conf'));
+  fs.writeFileSync(path.join(dir, 'conf', 'settings.json'), JSON.stringify({ scriptsDir: 'scripts' }));
+  const config = loadConfig({ argv: ['--config', 'conf/settings.json'], env: {}, cwd: dir });
+  assert.strictEqual(config.scriptsDir, path.join(dir, 'conf', 'scripts'));
+  assert.strictEqual(config.configFile, path.join(dir, 'conf', 'settings.json'));
+});
+
+test('boolean flags can be negated and list flags repeated', (t) => {
+  const config = loadConfig({
+    argv: ['--no-stealth', '--headless', 'new', '--browser-arg', '--a', '--browser-arg=--b'],
+    env: { MCP_BROWSER_ARGS: '--c, --d' },
+    cwd: configDir(t)
+  });
+  assert.strictEqual(config.browser.stealth, false);
+  assert.strictEqual(config.browser.headless, 'new');
+  assert.deepStrictEqual(config.browser.args, ['--c', '--d', '--a', '--b']);
+});
+
+test('config file values of the wrong type or out of range name the key', (t) => {
+  const cases = [
+    [{ port: '3025' }, /port .*"3025" \(expected an integer from 0 to 65535\)/],
+    [{ port: 70000 }, /port .*70000/],
+    [{ timeouts: { navigation: -1 } }, /timeouts\.navigation .*-1 \(expected a number of at least 0\)/],
+    [{ timeouts: 5 }, /timeouts .*5 \(expected an object\)/],
+    [{ sessions: { eventBufferSize: 1.5 } }, /sessions\.eventBufferSize/],
+    [{ sessions: { idleTimeout: 0 } }, /sessions\.idleTimeout/],
+    [{ visual: { threshold: 101 } }, /visual\.threshold .*expected a number from 0 to 100/],
+    [{ browser: { headless: 'yes' } }, /browser\.headless .*expected true, false or "new"/],
+    [{ browser: { args: '--foo' } }, /browser\.args .*expected an array of strings/],
+    [{ viewport: { width: 0 } }, /viewport .*positive integer width and height/],
+    [[], /must contain a JSON object/]
+  ];
+  for (const [contents, message] of cases) {
+    const cwd = configDir(t, contents);
+    assert.throws(() => loadConfig({ argv: [], env: {}, cwd }), message, JSON.stringify(contents));
+  }
+});
+
+test('invalid JSON in the config file is reported', (t) => {
+  assert.throws(() => loadConfig({ argv: [], env: {}, cwd: configDir(t, '{ port: ') }), /Invalid JSON in config file/);
+});
+
+test('nullable settings accept null in the config file', (t) => {
+  const config = loadConfig({ argv: [], env: {}, cwd: configDir(t, { host: null, browser: { executablePath: null } }) });
+  assert.strictEqual(config.host, null);
+});
+
+test('invalid environment and flag values name where they came from', (t) => {
+  const cwd = configDir(t);
+  assert.throws(() => loadConfig({ argv: ['--port', '1.5'], env: {}, cwd }), /--port: 1\.5 \(expected an integer/);
+  assert.throws(() => loadConfig({ argv: [], env: { MCP_EVENT_BUFFER_SIZE: '0' }, cwd }), /MCP_EVENT_BUFFER_SIZE: 0/);
+  assert.throws(() => loadConfig({ argv: ['--viewport', '0x5'], env: {}, cwd }), /--viewport: 0x5/);
+  assert.throws(() => loadConfig({ argv: ['--sandbox', 'maybe'], env: {}, cwd }), /--sandbox: maybe/);
+  assert.throws(() => loadConfig({ argv: ['--transport', 'pigeon'], env: {}, cwd }), /Invalid transport: pigeon/);
+  assert.throws(() => loadConfig({ argv: ['--nope'], env: {}, cwd }), /Unknown option: --nope/);
+  assert.throws(() => loadConfig({ argv: ['stray'], env: {}, cwd }), /Unexpected argument: stray/);
+  assert.throws(() => loadConfig({ argv: ['--port', '6000', '--config'], env: {}, cwd }), /Missing value for --config/);
+  assert.throws(() => loadConfig({ argv: ['--config='], env: {}, cwd }), /Missing value for --config/);
+});
+
+test('launch options follow the browser settings', (t) => {
+  const config = loadConfig({ argv: ['--proxy', 'http://proxy:8080', '--viewport', '800x600', '--sandbox'], env: {}, cwd: configDir(t) });
+  const options = getLaunchOptions(config);
+  assert.ok(!options.args.includes('--no-sandbox'));
+  assert.ok(options.args.includes('--proxy-server=http://proxy:8080'));
+  assert.ok(options.args.includes('--window-size=800,600'));
+  assert.strictEqual(options.executablePath, undefined);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('assert');
+const { sliceContent } = require('../lib/content');
+
+test('content shorter than maxLength comes back whole', () => {
+  assert.deepStrictEqual(sliceContent('hello world', { maxLength: 100 }), { content: 'hello world', length: 11, truncated: false });
+});
+
+test('slices end after a newline, or else a space, past half of maxLength', () => {
+  const text = 'first line\nsecond line here';
+  assert.deepStrictEqual(sliceContent(text, { maxLength: 16 }), { content: 'first line\n', length: 27, truncated: true, cursor: 11 });
+  assert.deepStrictEqual(sliceContent('aaaa bbbb cccc dddd', { maxLength: 12 }), { content: 'aaaa bbbb ', length: 19, truncated: true, cursor: 10 });
+});
+
+test('a slice with no break past half of maxLength is cut at maxLength', () => {
+  assert.deepStrictEqual(sliceContent('a abcdefghijklmnop', { maxLength: 8 }), { content: 'a abcdef', length: 18, truncated: true, cursor: 8 });
+});
+
+test('slices do not split a surrogate pair', () => {
+  const text = 'abc😀def';
+  const slice = sliceContent(text, { maxLength: 4 });
+  assert.strictEqual(slice.content, 'abc');
+  assert.strictEqual(slice.cursor, 3);
+});
+
+test('following the cursor reads the whole content', () => {
+  const text = Array.from({ length: 50 }, (_, i) => `line ${i}`).join('\n');
+  let cursor = 0;
+  let read = '';
+  for (;;) {
+    const slice = sliceContent(text, { cursor, maxLength: 40 });
+    read += slice.content;
+    if (!slice.truncated) {
+      break;
+    }
+    cursor = slice.cursor;
+  }
+  assert.strictEqual(read, text);
+});
+
+test('cursor and maxLength are checked', () => {
+  assert.throws(() => sliceContent('text', { cursor: -1 }), /cursor must be a non-negative integer/);
+  assert.throws(() => sliceContent('text', { cursor: 1.5 }), /cursor must be a non-negative integer/);
+  assert.throws(() => sliceContent('text', { maxLength: 0 }), /maxLength must be a positive integer/);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('assert');
+const vm = require('vm');
+const { scriptSource, serializeInPage } = require('../lib/evaluate');
+
+async function run(script, ...args) {
+  return eval(scriptSource(script))(...args);
+}
+
+// Serialize `expression` the way evaluateScript does in the page: in a
+// context with stand-ins for the DOM, then through JSON
+function serialize(expression, options) {
+  const context = vm.createContext({ location: { href: 'https://shop.example/' } });
+  vm.runInContext(`
+    window = globalThis;
+    class Node { constructor(nodeName, textContent) { this.nodeName = nodeName; this.textContent = textContent; } }
+    class Element extends Node { constructor(localName, textContent) { super(localName.toUpperCase(), textContent); this.localName = localName; } }
+    class NodeList { constructor(items) { this.items = items; } [Symbol.iterator]() { return this.items[Symbol.iterator](); } }
+    class HTMLCollection extends NodeList {}
+  `, context);
+  const source = `JSON.stringify((${serializeInPage})(${expression}, element => '#' + element.localName, ${JSON.stringify(options || {})}))`;
+  return JSON.parse(vm.runInContext(source, context));
+}
+
+test('scriptSource runs an expression', async () => {
+  assert.strictEqual(await run('1 + 2'), 3);
+  assert.strictEqual(await run('  Promise.resolve("done");;  '), 'done');
+});
+
+test('scriptSource calls a function with the arguments', async () => {
+  assert.strictEqual(await run('(a, b) => a + b', 2, 3), 5);
+  assert.strictEqual(await run('async function (name) { return `hi ${name}`; }', 'bob'), 'hi bob');
+});
+
+test('scriptSource runs a function body that uses return', async () => {
+  assert.strictEqual(await run('const x = args => args; return 4;'), 4);
+  assert.deepStrictEqual(await run('const [a] = args; return a * 2;', 21), 42);
+});
+
+test('scriptSource rejects empty scripts and syntax errors', () => {
+  assert.throws(() => scriptSource(''), /non-empty string/);
+  assert.throws(() => scriptSource(42), /non-empty string/);
+  assert.throws(() => scriptSource('return ('), /^Error: Script has a syntax error/);
+});
+
+test('serializeInPage keeps JSON values as they are', () => {
+  assert.deepStrictEqual(serialize('{ a: 1, b: "two", c: [true, null] }'), { a: 1, b: 'two', c: [true, null] });
+});
+
+test('serializeInPage tags values JSON has no place for', () => {
+  assert.deepStrictEqual(serialize('[undefined, NaN, -0, Infinity, 12n]'), [
+    { $type: 'undefined' },
+    { $type: 'number', value: 'NaN' },
+    { $type: 'number', value: '-0' },
+    { $type: 'number', value: 'Infinity' },
+    { $type: 'bigint', value: '12' }
+  ]);
+  assert.deepStrictEqual(serialize('new Date(0)'), { $type: 'date', value: '1970-01-01T00:00:00.000Z' });
+  assert.deepStrictEqual(serialize('/a+b/gi'), { $type: 'regexp', source: 'a+b', flags: 'gi' });
+  assert.deepStrictEqual(serialize('function named() {}'), { $type: 'function', name: 'named' });
+  assert.deepStrictEqual(serialize('Symbol("tag")'), { $type: 'symbol', description: 'tag' });
+  assert.deepStrictEqual(serialize('Promise.resolve()'), { $type: 'promise' });
+  assert.deepStrictEqual(serialize('window'), { $type: 'window', url: 'https://shop.example/' });
+});
+
+test('serializeInPage serializes maps, sets, typed arrays and errors', () => {
+  assert.deepStrictEqual(serialize('new Map([["a", 1]])'), { $type: 'map', entries: [['a', 1]] });
+  assert.deepStrictEqual(serialize('new Set([1, 2])'), { $type: 'set', values: [1, 2] });
+  assert.deepStrictEqual(serialize('new Uint8Array([1, 2])'), { $type: 'typedarray', name: 'Uint8Array', length: 2, values: [1, 2] });
+  const error = serialize('new TypeError("bad")');
+  assert.strictEqual(error.$type, 'error');
+  assert.strictEqual(error.name, 'TypeError');
+  assert.strictEqual(error.message, 'bad');
+});
+
+test('serializeInPage describes elements and other nodes', () => {
+  assert.deepStrictEqual(serialize('new Element("button", "  Buy\\n now ")'), { $type: 'element', selector: '#button', tag: 'button', text: 'Buy now' });
+  assert.deepStrictEqual(serialize('new Node("#text", "hello")'), { $type: 'node', nodeName: '#text', text: 'hello' });
+  assert.deepStrictEqual(serialize('new NodeList([new Node("#comment", "x")])'), [{ $type: 'node', nodeName: '#comment', text: 'x' }]);
+});
+
+test('serializeInPage marks circular references with their path', () => {
+  assert.deepStrictEqual(serialize('(() => { const a = { b: {} }; a.b.c = a; return a; })()'), { b: { c: { $type: 'circular', path: '$' } } });
+  // The same object twice is not a cycle
+  assert.deepStrictEqual(serialize('(() => { const x = { n: 1 }; return [x, x]; })()'), [{ n: 1 }, { n: 1 }]);
+});
+
+test('serializeInPage names class instances', () => {
+  assert.deepStrictEqual(serialize('new (class Point { constructor() { this.x = 1; } })()'), { $class: 'Point', x: 1 });
+});
+
+test('serializeInPage truncates past maxDepth and maxItems', () => {
+  assert.deepStrictEqual(serialize('{ a: { b: { c: 1 } } }', { maxDepth: 2 }), { a: { b: { $type: 'truncated', summary: 'Object' } } });
+  assert.deepStrictEqual(serialize('[1, 2, 3]', { maxItems: 2 }), [1, 2, { $type: 'truncated', remaining: 1 }]);
+  assert.deepStrictEqual(serialize('{ a: 1, b: 2, c: 3 }', { maxItems: 1 }), { a: 1, $truncated: 2 });
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('assert');
+const { createEventStore } = require('../lib/events');
+
+test('events are kept per source with one sequence across sources', () => {
+  const store = createEventStore();
+  store.add('console', { text: 'a' });
+  store.add('network', { url: 'https://shop.example/' });
+  store.add('console', { text: 'b' });
+  assert.deepStrictEqual(store.list('console'), [{ text: 'a' }, { text: 'b' }]);
+  assert.deepStrictEqual(store.query('console').events.map(event => event.seq), [1, 3]);
+  assert.deepStrictEqual(store.query('network').events, [{ seq: 2, url: 'https://shop.example/' }]);
+});
+
+test('a full buffer drops its oldest events and counts them', () => {
+  const store = createEventStore({ capacity: 2 });
+  for (const text of ['a', 'b', 'c']) {
+    store.add('console', { text });
+  }
+  store.add('network', { url: 'x' });
+  const result = store.query('console');
+  assert.deepStrictEqual(result.events.map(event => event.text), ['b', 'c']);
+  assert.strictEqual(result.dropped, 1);
+  assert.strictEqual(store.query('network').dropped, 0);
+});
+
+test('without since, a query returns the most recent events', () => {
+  const store = createEventStore();
+  for (let i = 1; i <= 5; i++) {
+    store.add('console', { i });
+  }
+  const result = store.query('console', { limit: 2 });
+  assert.deepStrictEqual(result.events.map(event => event.i), [4, 5]);
+  assert.strictEqual(result.cursor, 5);
+  assert.strictEqual(result.hasMore, true);
+});
+
+test('since pages forward from a cursor', () => {
+  const store = createEventStore();
+  for (let i = 1; i <= 5; i++) {
+    store.add('console', { i });
+  }
+  const first = store.query('console', { since: 0, limit: 2 });
+  assert.deepStrictEqual(first.events.map(event => event.i), [1, 2]);
+  const second = store.query('console', { since: first.cursor, limit: 2 });
+  assert.deepStrictEqual(second.events.map(event => event.i), [3, 4]);
+  const last = store.query('console', { since: second.cursor, limit: 2 });
+  assert.deepStrictEqual(last.events.map(event => event.i), [5]);
+  assert.strictEqual(last.hasMore, false);
+  const none = store.query('console', { since: last.cursor });
+  assert.deepStrictEqual(none.events, []);
+  assert.strictEqual(none.cursor, last.cursor);
+});
+
+test('queries filter by predicate, search text and time', () => {
+  const store = createEventStore();
+  store.add('console', { type: 'log', text: 'Loaded Cart' });
+  store.add('console', { type: 'error', text: 'cart failed' });
+  store.add('console', { type: 'error', text: 'other' });
+
+  const errors = store.query('console', { filter: event => event.type === 'error' });
+  assert.deepStrictEqual(errors.events.map(event => event.text), ['cart failed', 'other']);
+  const cart = store.query('console', { search: 'CART', searchText: event => event.text });
+  assert.deepStrictEqual(cart.events.map(event => event.text), ['Loaded Cart', 'cart failed']);
+  assert.strictEqual(store.query('console', { from: Date.now() + 60000 }).events.length, 0);
+  assert.strictEqual(store.query('console', { to: new Date(Date.now() + 60000).toISOString() }).events.length, 3);
+  assert.throws(() => store.query('console', { from: 'yesterday' }), /Invalid from: yesterday/);
+});
+
+test('events are stored by reference so sources can fill them in', () => {
+  const store = createEventStore();
+  const request = store.add('network', { url: 'https://shop.example/' });
+  request.status = 200;
+  assert.strictEqual(store.query('network').events[0].status, 200);
+});
+
+test('clear empties one source, or all of them', () => {
+  const store = createEventStore({ capacity: 1 });
+  store.add('console', { text: 'a' });
+  store.add('console', { text: 'b' });
+  store.add('network', { url: 'x' });
+
+  store.clear('console');
+  assert.deepStrictEqual(store.list('console'), []);
+  assert.strictEqual(store.query('console').dropped, 0);
+  assert.strictEqual(store.list('network').length, 1);
+
+  store.clear();
+  assert.deepStrictEqual(store.list('network'), []);
+});
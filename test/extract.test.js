@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('assert');
+const { normalizeSchema, extractPages } = require('../lib/extract');
+
+test('normalizeSchema expands shorthand and nested fields', () => {
+  assert.deepStrictEqual(normalizeSchema('h1'), { selector: 'h1' });
+  assert.deepStrictEqual(normalizeSchema({
+    selector: '.product',
+    list: true,
+    fields: { name: 'h2', price: { selector: '.price', type: 'number' } }
+  }), {
+    selector: '.product',
+    list: true,
+    attribute: undefined,
+    value: undefined,
+    type: undefined,
+    pattern: undefined,
+    fields: {
+      name: { selector: 'h2' },
+      price: { selector: '.price', list: false, attribute: undefined, value: undefined, type: 'number', pattern: undefined }
+    }
+  });
+});
+
+test('normalizeSchema names the part of the schema that is wrong', () => {
+  const cases = [
+    [[], /^Error: schema must be a selector or an object$/],
+    [{ selector: 'h1', colour: 'red' }, /Unknown key in schema: colour/],
+    [{ selector: '' }, /schema\.selector must be a non-empty string/],
+    [{ value: 'innerText' }, /Invalid schema\.value: innerText/],
+    [{ type: 'float' }, /Invalid schema\.type: float/],
+    [{ attribute: 'href', value: 'text' }, /an attribute or a value, not both/],
+    [{ pattern: '(' }, /Invalid schema\.pattern/],
+    [{ fields: {} }, /schema\.fields must be an object with at least one field/],
+    [{ type: 'number', fields: { a: 'b' } }, /has fields, so it cannot also have/],
+    [{ fields: { price: { type: 'money' } } }, /Invalid schema\.fields\.price\.type: money/]
+  ];
+  for (const [schema, message] of cases) {
+    assert.throws(() => normalizeSchema(schema), message, JSON.stringify(schema));
+  }
+});
+
+// A page whose extraction results are given in order, one per evaluate
+function fakePage(results) {
+  const page = {
+    evaluations: 0,
+    evaluate: async () => {
+      const result = results[Math.min(page.evaluations, results.length - 1)];
+      page.evaluations++;
+      if (result instanceof Error) {
+        throw result;
+      }
+      return result;
+    }
+  };
+  return page;
+}
+
+test('extractPages returns one pass over the page', async () => {
+  const result = await extractPages(fakePage([{ title: 'Cart' }]), { fields: { title: 'h1' } }, { timeout: 1000 });
+  assert.deepStrictEqual(result, { data: { title: 'Cart' }, pages: 1 });
+});
+
+test('extractPages retries while a navigation is in progress', async () => {
+  const page = fakePage([new Error('Execution context was destroyed'), ['a']]);
+  const result = await extractPages(page, { selector: 'li', list: true }, { timeout: 1000 });
+  assert.deepStrictEqual(result.data, ['a']);
+  assert.strictEqual(page.evaluations, 2);
+});
+
+test('extractPages follows next until there is no next page', async () => {
+  const page = fakePage([['a', 'b'], ['c'], ['d']]);
+  const clicks = [];
+  const clickNext = async (next) => {
+    clicks.push(next);
+    return clicks.length < 3;
+  };
+  const result = await extractPages(page, { selector: 'li', list: true }, { next: 'a.next', maxPages: 10, timeout: 1000, clickNext });
+  assert.deepStrictEqual(result, { data: ['a', 'b', 'c', 'd'], pages: 3, stoppedBecause: 'noNextPage' });
+  assert.deepStrictEqual(clicks, ['a.next', 'a.next', 'a.next']);
+});
+
+test('extractPages stops at maxPages, or when the data stops changing', async () => {
+  const clickNext = async () => true;
+  const limited = await extractPages(fakePage([['a'], ['b'], ['c']]), { selector: 'li', list: true }, { next: 'a.next', maxPages: 2, timeout: 1000, clickNext });
+  assert.deepStrictEqual(limited, { data: ['a', 'b'], pages: 2, stoppedBecause: 'maxPages' });
+
+  const unchanged = await extractPages(fakePage([['a']]), { selector: 'li', list: true }, { next: 'a.next', timeout: 0, clickNext });
+  assert.deepStrictEqual(unchanged, { data: ['a'], pages: 1, stoppedBecause: 'unchanged' });
+});
+
+test('extractPages needs a list schema to paginate', async () => {
+  await assert.rejects(extractPages(fakePage([{}]), 'h1', { next: 'a.next', timeout: 0 }), /next needs a list schema/);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('assert');
+const EventEmitter = require('events');
+const { createRouteRule, attachInterception, detachInterceptionIfUnused } = require('../lib/interception');
+
+const options = { fixturesDir: '/nonexistent' };
+
+test('rules are built from tool parameters with their defaults', () => {
+  const rule = createRouteRule('rule-1', { url: '**/api/*', method: 'post', action: 'fulfill', body: { ok: true } }, options);
+  assert.strictEqual(rule.status, 200);
+  assert.strictEqual(rule.body, '{"ok":true}');
+  assert.strictEqual(rule.contentType, 'application/json');
+  assert.deepStrictEqual(rule.methods, ['post']);
+  assert.strictEqual(rule.matchesUrl('https://shop.example/api/cart'), true);
+  assert.strictEqual(createRouteRule('rule-2', { action: 'abort' }, options).errorReason, 'failed');
+});
+
+test('times and status must be in range', () => {
+  for (const times of [0, -1, 1.5, '2']) {
+    assert.throws(() => createRouteRule('rule-1', { times }, options), /^Error: Invalid times: .* \(expected a positive integer\)$/, String(times));
+  }
+  for (const status of [0, 99, 600, 201.5, '404']) {
+    assert.throws(() => createRouteRule('rule-1', { action: 'fulfill', status }, options), /^Error: Invalid status: .* \(expected an HTTP status from 100 to 599\)$/, String(status));
+  }
+  assert.strictEqual(createRouteRule('rule-1', { action: 'fulfill', status: 404, times: 2 }, options).status, 404);
+  assert.throws(() => createRouteRule('rule-1', { action: 'mock' }, options), /Invalid action: mock/);
+  assert.throws(() => createRouteRule('rule-1', { action: 'abort', errorReason: 'nope' }, options), /Invalid errorReason: nope/);
+});
+
+// A page that records whether requests are being intercepted
+function fakePage() {
+  const page = new EventEmitter();
+  page.intercepting = false;
+  page.setRequestInterception = async enabled => {
+    page.intercepting = enabled;
+  };
+  page.isClosed = () => false;
+  return page;
+}
+
+test('interception is turned off once no rules or login headers need it', async () => {
+  const page = fakePage();
+  const session = { page, tabs: [{ page }], routeRules: [{ id: 'rule-1' }], originHeaders: {}, monitors: new Map() };
+  session.monitors.set('interception', target => attachInterception(session, target));
+  await attachInterception(session, page);
+  assert.strictEqual(page.intercepting, true);
+  assert.strictEqual(page.listenerCount('request'), 1);
+
+  assert.strictEqual(await detachInterceptionIfUnused(session), false);
+  session.routeRules = [];
+  session.originHeaders = { 'https://api.example.com': { Authorization: 'Bearer x' } };
+  assert.strictEqual(await detachInterceptionIfUnused(session), false);
+  assert.strictEqual(page.intercepting, true);
+
+  session.originHeaders = {};
+  assert.strictEqual(await detachInterceptionIfUnused(session), true);
+  assert.strictEqual(page.intercepting, false);
+  assert.strictEqual(page.listenerCount('request'), 0);
+  assert.strictEqual(session.monitors.has('interception'), false);
+});
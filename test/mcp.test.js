@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('assert');
+const express = require('express');
+const { PassThrough } = require('stream');
+const { LATEST_PROTOCOL_VERSION, createMcpServer, startStdioTransport, createStreamableHttpRouter } = require('../lib/mcp');
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Echo the parameters back',
+    parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+  },
+  { name: 'fail', description: 'Report a failure' },
+  { name: 'throw', description: 'Throw' },
+  { name: 'screenshot', description: 'Return an image' }
+];
+
+function callTool(name, parameters) {
+  switch (name) {
+    case 'echo':
+      return { success: true, ...parameters };
+    case 'fail':
+      return { success: false, error: 'It went wrong' };
+    case 'throw':
+      throw new Error('Tool blew up');
+    default:
+      return { success: true, images: [{ data: 'aGVsbG8=', mimeType: 'image/png' }] };
+  }
+}
+
+function createServer() {
+  return createMcpServer({ name: 'test-server', version: '1.2.3', tools, callTool: async (...args) => callTool(...args) });
+}
+
+function request(id, method, params) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+test('initialize accepts a supported protocol version', async () => {
+  const response = await createServer().handleMessage(request(1, 'initialize', { protocolVersion: '2025-03-26' }));
+  assert.strictEqual(response.id, 1);
+  assert.strictEqual(response.result.protocolVersion, '2025-03-26');
+  assert.deepStrictEqual(response.result.serverInfo, { name: 'test-server', version: '1.2.3' });
+});
+
+test('initialize answers an unknown protocol version with the latest', async () => {
+  const response = await createServer().handleMessage(request(1, 'initialize', { protocolVersion: '1999-01-01' }));
+  assert.strictEqual(response.result.protocolVersion, LATEST_PROTOCOL_VERSION);
+});
+
+test('tools/list describes the tools with their input schemas', async () => {
+  const response = await createServer().handleMessage(request(2, 'tools/list'));
+  assert.deepStrictEqual(response.result.tools[0], {
+    name: 'echo',
+    description: 'Echo the parameters back',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+  });
+  assert.deepStrictEqual(response.result.tools[1].inputSchema, { type: 'object', properties: {}, required: [] });
+});
+
+test('tools/call returns the result as text and structured content', async () => {
+  const response = await createServer().handleMessage(request(3, 'tools/call', { name: 'echo', arguments: { text: 'hi' } }));
+  assert.deepStrictEqual(response.result.structuredContent, { success: true, text: 'hi' });
+  assert.deepStrictEqual(JSON.parse(response.result.content[0].text), { success: true, text: 'hi' });
+  assert.strictEqual(response.result.isError, false);
+});
+
+test('tools/call reports a failed tool as isError', async () => {
+  const response = await createServer().handleMessage(request(4, 'tools/call', { name: 'fail' }));
+  assert.strictEqual(response.result.isError, true);
+  assert.strictEqual(response.result.structuredContent.error, 'It went wrong');
+});
+
+test('tools/call turns a thrown error into an isError result', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const response = await createServer().handleMessage(request(5, 'tools/call', { name: 'throw' }));
+  assert.deepStrictEqual(response.result, { content: [{ type: 'text', text: 'Tool blew up' }], isError: true });
+});
+
+test('tools/call returns images as image content', async () => {
+  const response = await createServer().handleMessage(request(6, 'tools/call', { name: 'screenshot' }));
+  assert.deepStrictEqual(response.result.content[1], { type: 'image', data: 'aGVsbG8=', mimeType: 'image/png' });
+  assert.deepStrictEqual(JSON.parse(response.result.content[0].text), { success: true });
+});
+
+test('tools/call rejects unknown tools and missing names with invalid params', async () => {
+  const server = createServer();
+  const unknown = await server.handleMessage(request(7, 'tools/call', { name: 'nope' }));
+  assert.strictEqual(unknown.error.code, -32602);
+  assert.match(unknown.error.message, /Unknown tool: nope/);
+  const missing = await server.handleMessage(request(8, 'tools/call', {}));
+  assert.strictEqual(missing.error.code, -32602);
+});
+
+test('unknown methods get method not found', async () => {
+  const response = await createServer().handleMessage(request(9, 'resources/list'));
+  assert.deepStrictEqual(response, {
+    jsonrpc: '2.0',
+    id: 9,
+    error: { code: -32601, message: 'Method not found: resources/list' }
+  });
+});
+
+test('messages that are not JSON-RPC 2.0 are invalid requests', async () => {
+  const server = createServer();
+  const wrongVersion = await server.handleMessage({ jsonrpc: '1.0', id: 10, method: 'ping' });
+  assert.strictEqual(wrongVersion.error.code, -32600);
+  assert.strictEqual(wrongVersion.id, 10);
+  const notAnObject = await server.handleMessage('ping');
+  assert.strictEqual(notAnObject.error.code, -32600);
+  assert.strictEqual(notAnObject.id, null);
+});
+
+test('notifications and responses get no reply', async () => {
+  const server = createServer();
+  assert.strictEqual(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  assert.strictEqual(await server.handleMessage({ jsonrpc: '2.0', id: 1, result: {} }), null);
+});
+
+test('batches get one response per request', async () => {
+  const server = createServer();
+  const responses = await server.handleMessage([
+    request(11, 'ping'),
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    request(12, 'nope')
+  ]);
+  assert.strictEqual(responses.length, 2);
+  assert.deepStrictEqual(responses[0], { jsonrpc: '2.0', id: 11, result: {} });
+  assert.strictEqual(responses[1].error.code, -32601);
+
+  assert.strictEqual(await server.handleMessage([{ jsonrpc: '2.0', method: 'notifications/initialized' }]), null);
+  assert.strictEqual((await server.handleMessage([])).error.code, -32600);
+});
+
+test('stdio answers every request read before stdin ends, then closes', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const lines = [];
+  output.on('data', chunk => lines.push(...chunk.toString().split('\n').filter(Boolean)));
+  const server = createMcpServer({
+    name: 'test-server',
+    version: '1.2.3',
+    tools,
+    callTool: (name, parameters) => new Promise(resolve => setTimeout(() => resolve(callTool(name, parameters)), 50))
+  });
+  const closed = new Promise(resolve => startStdioTransport(server, { input, output, onClose: resolve }));
+
+  input.write(JSON.stringify(request(1, 'tools/call', { name: 'echo', arguments: { text: 'slow' } })) + '\n');
+  input.write('not json\n');
+  input.end();
+  await closed;
+
+  const responses = lines.map(line => JSON.parse(line));
+  assert.deepStrictEqual(responses.map(response => response.id), [null, 1]);
+  assert.strictEqual(responses[0].error.code, -32700);
+  assert.strictEqual(responses[1].result.structuredContent.text, 'slow');
+});
+
+test('Streamable HTTP sessions expire when idle', async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.use(createStreamableHttpRouter(createServer(), { idleTimeout: 100 }));
+  const listener = app.listen(0, '127.0.0.1');
+  t.after(() => listener.close());
+  await new Promise(resolve => listener.once('listening', resolve));
+
+  const post = (message, headers = {}) => fetch(`http://127.0.0.1:${listener.address().port}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: JSON.stringify(message)
+  });
+
+  const initialized = await post(request(1, 'initialize', { protocolVersion: LATEST_PROTOCOL_VERSION }));
+  const sessionId = initialized.headers.get('Mcp-Session-Id');
+  assert.ok(sessionId);
+  const headers = { 'Mcp-Session-Id': sessionId, 'Mcp-Protocol-Version': LATEST_PROTOCOL_VERSION };
+
+  assert.strictEqual((await post(request(2, 'ping'), headers)).status, 200);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.strictEqual((await post(request(3, 'ping'), headers)).status, 404);
+});
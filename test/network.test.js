@@ -0,0 +1,261 @@
+const test = require('node:test');
+const assert = require('assert');
+const EventEmitter = require('events');
+const { BODY_BUDGET, attachNetworkCapture, clearBodies, summarizeRequest, createRequestFilter, requestSearchText } = require('../lib/network');
+const { buildHar } = require('../lib/har');
+const { createEventStore } = require('../lib/events');
+
+// A session and a page whose DevTools session is driven by the test:
+// `client.emit` delivers protocol events, `bodies` answers getResponseBody
+async function capture({ networkOptions = {}, secrets = [] } = {}) {
+  const client = new EventEmitter();
+  const bodies = new Map();
+  client.send = async (method, params) => {
+    if (method === 'Network.getResponseBody') {
+      if (!bodies.has(params.requestId)) {
+        throw new Error('No resource with given identifier found');
+      }
+      return bodies.get(params.requestId);
+    }
+    return {};
+  };
+  const page = { target: () => ({ createCDPSession: async () => client }) };
+  const session = {
+    isNetworkMonitoring: true,
+    networkOptions,
+    secrets: new Set(secrets),
+    events: createEventStore(),
+    networkBodies: { entries: [], bytes: 0 }
+  };
+  await attachNetworkCapture(session, page);
+  return { client, bodies, session };
+}
+
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function sendRequest(client, requestId, url, extra = {}) {
+  client.emit('Network.requestWillBeSent', {
+    requestId,
+    request: { url, method: 'GET', headers: { Accept: '*/*' } },
+    wallTime: 1700000000,
+    timestamp: 100,
+    type: 'Document',
+    ...extra
+  });
+}
+
+function respond(client, requestId, response = {}) {
+  client.emit('Network.responseReceived', {
+    requestId,
+    response: { status: 200, statusText: 'OK', headers: { 'Content-Type': 'text/html' }, mimeType: 'text/html', protocol: 'h2', ...response }
+  });
+}
+
+test('a request is recorded with its response and timings', async () => {
+  const { client, session } = await capture();
+  sendRequest(client, '1', 'https://shop.example/cart?id=7');
+  client.emit('Network.requestWillBeSentExtraInfo', { requestId: '1', headers: { Cookie: 'sid=abc' } });
+  respond(client, '1');
+  client.emit('Network.loadingFinished', { requestId: '1', timestamp: 100.25, encodedDataLength: 512 });
+  await settle();
+
+  const [entry] = session.events.list('network');
+  assert.strictEqual(entry.url, 'https://shop.example/cart?id=7');
+  assert.strictEqual(entry.response.status, 200);
+  assert.deepStrictEqual(entry.extraHeaders, { Cookie: 'sid=abc' });
+  assert.strictEqual(entry.finished, true);
+  assert.strictEqual(entry.encodedDataLength, 512);
+  assert.strictEqual(entry.responseBody, undefined);
+});
+
+test('a redirect ends the previous hop', async () => {
+  const { client, session } = await capture();
+  sendRequest(client, '1', 'https://shop.example/old');
+  sendRequest(client, '1', 'https://shop.example/new', {
+    redirectResponse: { status: 301, statusText: 'Moved', headers: { Location: '/new' } },
+    timestamp: 100.1
+  });
+  const [first, second] = session.events.list('network');
+  assert.strictEqual(first.response.status, 301);
+  assert.strictEqual(first.redirectURL, 'https://shop.example/new');
+  assert.strictEqual(first.finished, true);
+  assert.strictEqual(second.finished, false);
+});
+
+test('failures are recorded', async () => {
+  const { client, session } = await capture();
+  sendRequest(client, '1', 'https://ads.example/tracker.js');
+  client.emit('Network.loadingFailed', { requestId: '1', timestamp: 101, errorText: 'net::ERR_BLOCKED_BY_CLIENT', blockedReason: 'inspector' });
+  const [entry] = session.events.list('network');
+  assert.deepStrictEqual(entry.failed, { errorText: 'net::ERR_BLOCKED_BY_CLIENT', canceled: false, blockedReason: 'inspector' });
+});
+
+test('nothing is recorded while monitoring is off', async () => {
+  const { client, session } = await capture();
+  session.isNetworkMonitoring = false;
+  sendRequest(client, '1', 'https://shop.example/');
+  assert.deepStrictEqual(session.events.list('network'), []);
+});
+
+test('secrets are redacted from URLs, headers and post data', async () => {
+  const { client, session } = await capture({ secrets: ['hunter2'] });
+  client.emit('Network.requestWillBeSent', {
+    requestId: '1',
+    request: { url: 'https://shop.example/login?pw=hunter2', method: 'POST', headers: { Authorization: 'Basic hunter2' }, postData: 'password=hunter2' },
+    wallTime: 1700000000,
+    timestamp: 100
+  });
+  const [entry] = session.events.list('network');
+  assert.strictEqual(entry.url, 'https://shop.example/login?pw=[redacted]');
+  assert.strictEqual(entry.headers.Authorization, 'Basic [redacted]');
+  assert.strictEqual(entry.postData, 'password=[redacted]');
+});
+
+test('bodies are captured only when asked for and within maxBodySize', async () => {
+  const { client, bodies, session } = await capture({ networkOptions: { captureBodies: true, maxBodySize: 10 } });
+  bodies.set('1', { body: '<p>hi</p>', base64Encoded: false });
+  bodies.set('2', { body: 'x'.repeat(100), base64Encoded: false });
+  for (const [requestId, size] of [['1', 9], ['2', 100]]) {
+    sendRequest(client, requestId, `https://shop.example/${requestId}`);
+    respond(client, requestId);
+    client.emit('Network.loadingFinished', { requestId, timestamp: 101, encodedDataLength: size });
+  }
+  await settle();
+  const [small, large] = session.events.list('network');
+  assert.strictEqual(small.responseBody, '<p>hi</p>');
+  assert.strictEqual(small.responseBodyBase64, false);
+  assert.strictEqual(large.responseBody, undefined);
+  assert.deepStrictEqual(summarizeRequest(small).responseBody, undefined);
+});
+
+test('past the body budget the oldest bodies are dropped', async () => {
+  const { client, bodies, session } = await capture({ networkOptions: { captureBodies: true, maxBodySize: BODY_BUDGET } });
+  const body = 'x'.repeat(BODY_BUDGET / 2);
+  for (const requestId of ['1', '2', '3']) {
+    bodies.set(requestId, { body, base64Encoded: false });
+    sendRequest(client, requestId, `https://shop.example/${requestId}`);
+    client.emit('Network.loadingFinished', { requestId, timestamp: 101, encodedDataLength: body.length });
+    await settle();
+  }
+  const [first, second, third] = session.events.list('network');
+  assert.strictEqual(first.responseBody, undefined);
+  assert.strictEqual(first.responseBodyDropped, true);
+  assert.strictEqual(second.responseBody.length, body.length);
+  assert.strictEqual(third.responseBody.length, body.length);
+  assert.strictEqual(session.networkBodies.bytes, BODY_BUDGET);
+
+  clearBodies(session);
+  assert.strictEqual(second.responseBody, undefined);
+  assert.deepStrictEqual(session.networkBodies, { entries: [], bytes: 0 });
+});
+
+test('bodies are measured and charged by their decoded size', async () => {
+  const { client, bodies, session } = await capture({ networkOptions: { captureBodies: true, maxBodySize: 6 } });
+  // 6 bytes as base64 (8 characters), 8 bytes of UTF-8 (4 characters)
+  bodies.set('1', { body: Buffer.from('abcdef').toString('base64'), base64Encoded: true });
+  bodies.set('2', { body: 'éééé', base64Encoded: false });
+  for (const requestId of ['1', '2']) {
+    sendRequest(client, requestId, `https://shop.example/${requestId}`);
+    respond(client, requestId, { encodedDataLength: 200 });
+    client.emit('Network.loadingFinished', { requestId, timestamp: 101, encodedDataLength: 204 });
+  }
+  await settle();
+  const [image, text] = session.events.list('network');
+  assert.strictEqual(image.responseBody, 'YWJjZGVm');
+  assert.strictEqual(text.responseBody, undefined);
+  assert.strictEqual(session.networkBodies.bytes, 6);
+});
+
+test('response headers as received are kept whether they come before or after the response', async () => {
+  const { client, session } = await capture();
+  sendRequest(client, '1', 'https://shop.example/old');
+  client.emit('Network.responseReceivedExtraInfo', { requestId: '1', headers: { Location: '/new', 'Set-Cookie': 'a=1' } });
+  sendRequest(client, '1', 'https://shop.example/new', {
+    redirectResponse: { status: 302, statusText: 'Found', headers: { Location: '/new' } },
+    timestamp: 100.1
+  });
+  client.emit('Network.responseReceivedExtraInfo', { requestId: '1', headers: { 'Set-Cookie': 'b=2' } });
+  respond(client, '1');
+  const [first, second] = session.events.list('network');
+  assert.deepStrictEqual(first.extraResponseHeaders, { Location: '/new', 'Set-Cookie': 'a=1' });
+  assert.deepStrictEqual(second.extraResponseHeaders, { 'Set-Cookie': 'b=2' });
+
+  sendRequest(client, '2', 'https://shop.example/after');
+  respond(client, '2');
+  client.emit('Network.responseReceivedExtraInfo', { requestId: '2', headers: { 'Set-Cookie': 'c=3' } });
+  assert.deepStrictEqual(session.events.list('network')[2].extraResponseHeaders, { 'Set-Cookie': 'c=3' });
+});
+
+test('request filters combine URL, method, type, status and failure', () => {
+  const entries = [
+    { url: 'https://shop.example/api/cart', method: 'POST', type: 'XHR', response: { status: 201 } },
+    { url: 'https://shop.example/app.js', method: 'GET', type: 'Script', response: { status: 404 } },
+    { url: 'https://ads.example/t.js', method: 'GET', type: 'Script', failed: { errorText: 'net::ERR_FAILED' } }
+  ];
+  const urls = parameters => entries.filter(createRequestFilter(parameters)).map(entry => entry.url);
+  assert.deepStrictEqual(urls({ url: '**/api/**' }), ['https://shop.example/api/cart']);
+  assert.deepStrictEqual(urls({ method: 'post' }), ['https://shop.example/api/cart']);
+  assert.deepStrictEqual(urls({ resourceType: ['script'] }), ['https://shop.example/app.js', 'https://ads.example/t.js']);
+  assert.deepStrictEqual(urls({ statusMin: 400 }), ['https://shop.example/app.js']);
+  assert.deepStrictEqual(urls({ statusMax: 299 }), ['https://shop.example/api/cart']);
+  assert.deepStrictEqual(urls({ failed: true }), ['https://ads.example/t.js']);
+  assert.throws(() => createRequestFilter({ statusMin: 'lots' }), /Invalid statusMin: lots/);
+  assert.strictEqual(requestSearchText(entries[2]), 'GET https://ads.example/t.js  net::ERR_FAILED');
+});
+
+test('buildHar converts entries to HAR 1.2', () => {
+  const entry = {
+    url: 'https://shop.example/cart?id=7',
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    extraHeaders: { 'Content-Type': 'application/json', Cookie: 'sid=abc; theme=dark' },
+    postData: '{"qty":1}',
+    type: 'XHR',
+    wallTime: 1700000000,
+    startTime: 100,
+    finishedTime: 100.5,
+    encodedDataLength: 300,
+    responseBody: 'aGk=',
+    responseBodyBase64: true,
+    response: {
+      status: 200,
+      statusText: 'OK',
+      protocol: 'h2',
+      mimeType: 'image/png',
+      remoteIPAddress: '[::1]',
+      connectionId: 12,
+      headers: { 'Set-Cookie': 'sid=def; Path=/; HttpOnly\ntheme=light' },
+      timing: { requestTime: 100, dnsStart: 1, dnsEnd: 3, connectStart: 3, connectEnd: 10, sslStart: 5, sslEnd: 10, sendStart: 10, sendEnd: 11, receiveHeadersEnd: 50 }
+    }
+  };
+  const har = buildHar([entry, { url: 'about:blank' }], { creator: { name: 'test', version: '1' }, pageTitle: 'Cart' });
+  assert.strictEqual(har.log.version, '1.2');
+  assert.strictEqual(har.log.pages[0].title, 'Cart');
+  assert.strictEqual(har.log.entries.length, 1);
+
+  const [harEntry] = har.log.entries;
+  assert.strictEqual(harEntry.startedDateTime, '2023-11-14T22:13:20.000Z');
+  assert.deepStrictEqual(harEntry.request.cookies, [{ name: 'sid', value: 'abc' }, { name: 'theme', value: 'dark' }]);
+  assert.deepStrictEqual(harEntry.request.queryString, [{ name: 'id', value: '7' }]);
+  assert.deepStrictEqual(harEntry.request.postData, { mimeType: 'application/json', text: '{"qty":1}' });
+  assert.strictEqual(harEntry.request.bodySize, 9);
+  assert.strictEqual(harEntry.request.httpVersion, 'HTTP/2.0');
+  assert.deepStrictEqual(harEntry.response.cookies, [{ name: 'sid', value: 'def', path: '/', httpOnly: true }, { name: 'theme', value: 'light' }]);
+  assert.strictEqual(harEntry.response.headers.length, 2);
+  assert.deepStrictEqual(harEntry.response.content, { size: 2, mimeType: 'image/png', text: 'aGk=', encoding: 'base64' });
+  assert.strictEqual(harEntry.response.bodySize, 300);
+  assert.deepStrictEqual(harEntry.timings, { blocked: 1, dns: 2, connect: 7, ssl: 5, send: 1, wait: 39, receive: 450 });
+  assert.strictEqual(harEntry.time, 500);
+  assert.strictEqual(harEntry.serverIPAddress, '::1');
+  assert.strictEqual(harEntry.connection, '12');
+});
+
+test('buildHar marks phases without timing as -1', () => {
+  const har = buildHar([{ url: 'https://shop.example/', method: 'GET', wallTime: 1700000000, startTime: 1, finishedTime: 1.25, failed: { errorText: 'net::ERR_FAILED' } }], {});
+  const [harEntry] = har.log.entries;
+  assert.deepStrictEqual(harEntry.timings, { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 250, receive: 0 });
+  assert.strictEqual(harEntry.response.status, 0);
+  assert.strictEqual(harEntry.response._error, 'net::ERR_FAILED');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('assert');
+const { globToRegExp, createUrlMatcher } = require('../lib/patterns');
+
+test('globs match the whole URL', () => {
+  const regExp = globToRegExp('https://shop.example/api/*');
+  assert.ok(regExp.test('https://shop.example/api/cart'));
+  assert.ok(!regExp.test('https://shop.example/api/cart/items'));
+  assert.ok(!regExp.test('xhttps://shop.example/api/cart'));
+});
+
+test('** crosses path segments and * does not', () => {
+  assert.ok(globToRegExp('**/api/**').test('https://shop.example/v1/api/cart/items'));
+  assert.ok(globToRegExp('**/*.png').test('https://cdn.example/img/logo.png'));
+  assert.ok(!globToRegExp('https://cdn.example/*.png').test('https://cdn.example/img/logo.png'));
+});
+
+test('everything but * is literal, including ? and regex characters', () => {
+  const regExp = globToRegExp('https://shop.example/search?q=(a+b)');
+  assert.ok(regExp.test('https://shop.example/search?q=(a+b)'));
+  assert.ok(!regExp.test('https://shop.example/searchq=(aab)'));
+  assert.ok(!globToRegExp('https://shop.example/a.js').test('https://shop.example/abjs'));
+});
+
+test('a matcher without patterns matches every URL', () => {
+  assert.ok(createUrlMatcher()('https://anything.example/'));
+  assert.ok(createUrlMatcher({})('about:blank'));
+});
+
+test('a matcher with a glob and a regex needs both to match', () => {
+  const matches = createUrlMatcher({ url: '**/api/**', urlRegex: 'cart' });
+  assert.ok(matches('https://shop.example/api/cart'));
+  assert.ok(!matches('https://shop.example/api/user'));
+  assert.ok(!matches('https://shop.example/cart'));
+});
+
+test('regexes are not anchored', () => {
+  assert.ok(createUrlMatcher({ urlRegex: '\\.json$' })('https://shop.example/data.json'));
+});
+
+test('an invalid regex is reported with the pattern', () => {
+  assert.throws(() => createUrlMatcher({ urlRegex: '(' }), /^Error: Invalid urlRegex \(:/);
+});
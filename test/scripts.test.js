@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('assert');
+const { recordStep, runSteps } = require('../lib/scripts');
+const { generateTest } = require('../lib/codegen');
+
+// Replay steps, returning the parameters each tool was called with
+async function replay(steps, variables) {
+  const calls = [];
+  const callStep = async (tool, parameters) => {
+    calls.push(parameters);
+    return { success: true };
+  };
+  const result = await runSteps({ steps }, { variables, callStep, getPage: () => null, timeout: 0 });
+  return { result, calls };
+}
+
+test('credentials are recorded as ${password}', () => {
+  const login = recordStep('authenticate', { sessionId: 's1', username: 'ann', password: 'hunter2' }, { success: true });
+  assert.deepStrictEqual(login, { tool: 'authenticate', parameters: { username: 'ann', password: '${password}' } });
+
+  const typed = recordStep('typeText', { selector: '#pw', text: 'hunter2' }, { success: true, masked: true });
+  assert.deepStrictEqual(typed.parameters, { selector: '#pw', text: '${password}' });
+  const replaced = recordStep('clearAndType', { selector: '#pw', text: 'hunter2' }, { success: true, masked: true });
+  assert.strictEqual(replaced.parameters.text, '${password}');
+  assert.strictEqual(recordStep('typeText', { selector: '#user', text: 'ann' }, { success: true }).parameters.text, 'ann');
+});
+
+test('recorded text with ${ in it is replayed literally', async () => {
+  const steps = [
+    recordStep('typeText', { selector: '#template', text: 'Hello ${name} and $${price}' }, { success: true }),
+    recordStep('getElementText', { selector: 'h1' }, { text: '${title}' })
+  ];
+  assert.strictEqual(steps[0].parameters.text, 'Hello $${name} and $$${price}');
+
+  const { result, calls } = await replay(steps, {});
+  assert.deepStrictEqual(calls[0], { selector: '#template', text: 'Hello ${name} and $${price}' });
+  assert.strictEqual(result.stepsRun, 2);
+
+  const { code } = generateTest(steps, { framework: 'puppeteer' });
+  assert.ok(code.includes("type('Hello ${name} and $${price}')"));
+});
+
+test('variables are still substituted next to escaped text', async () => {
+  const { calls } = await replay([{ tool: 'typeText', parameters: { selector: '#user', text: '${user} costs $${price}' } }], { user: 'ann' });
+  assert.strictEqual(calls[0].text, 'ann costs ${price}');
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('assert');
+const { parseSelector, waitForElement, queryAll } = require('../lib/selectors');
+
+test('plain selectors are CSS', () => {
+  assert.deepStrictEqual(parseSelector('button.primary'), [{ source: 'button.primary', engine: 'css', query: 'button.primary' }]);
+  assert.deepStrictEqual(parseSelector('css=#host >>> .inner'), [{ source: 'css=#host >>> .inner', engine: 'css', query: '#host >>> .inner' }]);
+});
+
+test('text selectors match loosely, or exactly when quoted', () => {
+  assert.deepStrictEqual(parseSelector('text=Save'), [{ source: 'text=Save', engine: 'text', text: 'Save', exact: false, query: 'text/Save' }]);
+  assert.deepStrictEqual(parseSelector("text='Save all'")[0], { source: "text='Save all'", engine: 'text', text: 'Save all', exact: true, query: 'text/Save all' });
+});
+
+test('role selectors map onto ARIA queries', () => {
+  assert.strictEqual(parseSelector('role=button')[0].query, 'aria/[role="button"]');
+  const part = parseSelector('role=button[name="Save draft"]')[0];
+  assert.strictEqual(part.role, 'button');
+  assert.strictEqual(part.name, 'Save draft');
+  assert.strictEqual(part.query, 'aria/Save draft[role="button"]');
+  assert.throws(() => parseSelector('role=button[label=x]'), /Invalid role selector/);
+});
+
+test('XPath is recognised with or without the prefix', () => {
+  assert.strictEqual(parseSelector('xpath=//button[2]')[0].query, 'xpath///button[2]');
+  assert.strictEqual(parseSelector('//button[2]')[0].engine, 'xpath');
+  assert.strictEqual(parseSelector('(//button)[2]')[0].engine, 'xpath');
+});
+
+test('>> chains parts and >>> stays inside a CSS part', () => {
+  const parts = parseSelector('iframe#pay >> text=Pay >> css=a >>> b');
+  assert.deepStrictEqual(parts.map(part => part.engine), ['css', 'text', 'css']);
+  assert.strictEqual(parts[2].query, 'a >>> b');
+});
+
+test('empty selectors and parts are rejected', () => {
+  assert.throws(() => parseSelector(''), /non-empty string/);
+  assert.throws(() => parseSelector(null), /non-empty string/);
+  assert.throws(() => parseSelector('text='), /Empty text selector in "text="/);
+});
+
+// A stand-in for a page or element: `$$` answers from `tree`, keyed by
+// query, and handles record being disposed
+function fakeElement(tag, text = '', tree = {}) {
+  const element = {
+    tag,
+    disposed: false,
+    $$: async query => (tree[query] || []).map(child => ({ ...child, disposed: false })),
+    evaluate: async fn => fn({ tagName: tag.toUpperCase(), textContent: text }),
+    dispose: async () => {
+      element.disposed = true;
+    },
+    asElement: () => element
+  };
+  return element;
+}
+
+test('queryAll matches each part of a chain inside the previous match', async () => {
+  const link = fakeElement('a', 'Pay now');
+  const form = fakeElement('form', '', { a: [link] });
+  const page = fakeElement('html', '', { 'form.checkout': [form, fakeElement('form')] });
+  const matches = await queryAll(page, 'form.checkout >> a');
+  assert.strictEqual(matches.length, 1);
+  assert.strictEqual(matches[0].tag, 'a');
+});
+
+test('exact text matches compare whole, normalized text', async () => {
+  const page = fakeElement('html', '', {
+    'text/Save': [fakeElement('button', '  Save '), fakeElement('button', 'Save all')]
+  });
+  const matches = await queryAll(page, 'text="Save"');
+  assert.strictEqual(matches.length, 1);
+  assert.strictEqual((await matches[0].evaluate(el => el.textContent)).trim(), 'Save');
+});
+
+test('waitForElement names the part of a chain that found nothing', async () => {
+  const page = fakeElement('html', '', { '#cart': [fakeElement('div')] });
+  page.evaluateHandle = async () => {
+    throw new Error('no DOM here');
+  };
+  await assert.rejects(
+    waitForElement(page, '#cart >> text=Checkout', { timeout: 0 }),
+    /^Error: No element matches "#cart >> text=Checkout" \(waited 0ms\): "text=Checkout" found nothing inside "#cart"$/
+  );
+});
+
+test('waitForElement retries while a navigation destroys the context', async () => {
+  let calls = 0;
+  const button = fakeElement('button');
+  const page = fakeElement('html');
+  page.$$ = async () => {
+    calls++;
+    if (calls === 1) {
+      throw new Error('Execution context was destroyed, most likely because of a navigation.');
+    }
+    return [button];
+  };
+  assert.strictEqual(await waitForElement(page, 'button', { timeout: 1000 }), button);
+  assert.strictEqual(calls, 2);
+});
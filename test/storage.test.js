@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listCookies, removeCookies, runIndexedDB, captureStorageState, applyStorageState, readStorageState, writeStorageState } = require('../lib/storage');
+
+const COOKIES = [
+  { name: 'sid', value: '1', domain: 'shop.example', path: '/' },
+  { name: 'cart', value: '2', domain: '.shop.example', path: '/cart' },
+  { name: 'sid', value: '3', domain: 'api.shop.example', path: '/v1/items' },
+  { name: 'ad', value: '4', domain: 'ads.example', path: '/' }
+];
+
+// A page whose DevTools sessions record the commands sent to them
+function fakePage(frames = []) {
+  const sent = [];
+  const client = {
+    send: async (method, params) => {
+      sent.push([method, params]);
+      return method === 'Network.getAllCookies' || method === 'Network.getCookies' ? { cookies: COOKIES } : {};
+    },
+    detach: async () => {}
+  };
+  return { sent, target: () => ({ createCDPSession: async () => client }), frames: () => frames };
+}
+
+test('listCookies filters by names, domain and subdomains, and path', async () => {
+  const page = fakePage();
+  const values = async filters => (await listCookies(page, filters)).map(cookie => cookie.value);
+  assert.deepStrictEqual(await values({}), ['1', '2', '3', '4']);
+  assert.deepStrictEqual(await values({ names: ['sid'] }), ['1', '3']);
+  assert.deepStrictEqual(await values({ domain: '.shop.example' }), ['1', '2', '3']);
+  assert.deepStrictEqual(await values({ domain: 'api.shop.example' }), ['3']);
+  assert.deepStrictEqual(await values({ path: '/v1' }), ['3']);
+  assert.deepStrictEqual(await values({ path: '/car' }), []);
+  assert.deepStrictEqual(page.sent.map(([method]) => method), Array(6).fill('Network.getAllCookies'));
+});
+
+test('listCookies asks for the cookies of urls when given', async () => {
+  const page = fakePage();
+  await listCookies(page, { urls: ['https://shop.example/'] });
+  assert.deepStrictEqual(page.sent, [['Network.getCookies', { urls: ['https://shop.example/'] }]]);
+});
+
+test('removeCookies deletes each match by name, domain and path', async () => {
+  const page = fakePage();
+  const removed = await removeCookies(page, { domain: 'ads.example' });
+  assert.deepStrictEqual(removed.map(cookie => cookie.value), ['4']);
+  assert.deepStrictEqual(page.sent.pop(), ['Network.deleteCookies', { name: 'ad', domain: 'ads.example', path: '/' }]);
+});
+
+test('applyStorageState sets unexpired cookies, replacing the old ones if asked', async () => {
+  const page = fakePage();
+  const now = Date.now() / 1000;
+  const state = {
+    cookies: [
+      { name: 'sid', value: '1', domain: 'shop.example', path: '/', expires: -1, size: 4, session: true },
+      { name: 'old', value: '2', domain: 'shop.example', path: '/', expires: now - 60 },
+      { name: 'kept', value: '3', domain: 'shop.example', path: '/', expires: now + 60, httpOnly: true }
+    ],
+    origins: []
+  };
+  const result = await applyStorageState({ page }, state, { replace: true });
+  assert.deepStrictEqual(result, { cookies: 2, origins: [] });
+  assert.deepStrictEqual(page.sent, [
+    ['Network.clearBrowserCookies', undefined],
+    ['Network.setCookies', {
+      cookies: [
+        { name: 'sid', value: '1', domain: 'shop.example', path: '/' },
+        { name: 'kept', value: '3', domain: 'shop.example', path: '/', expires: now + 60, httpOnly: true }
+      ]
+    }]
+  ]);
+});
+
+test('applyStorageState writes storage into frames open on the origin', async () => {
+  const writes = [];
+  const frame = {
+    url: () => 'https://shop.example/cart',
+    evaluate: async (fn, options) => {
+      writes.push(options);
+    }
+  };
+  const page = fakePage([frame]);
+  const state = {
+    cookies: [],
+    origins: [{ origin: 'https://shop.example', localStorage: [{ name: 'cart', value: '[1]' }], sessionStorage: [{ name: 'tab', value: 'a' }] }]
+  };
+  const result = await applyStorageState({ page }, state);
+  assert.deepStrictEqual(result, { cookies: 0, origins: ['https://shop.example'] });
+  assert.deepStrictEqual(writes, [{ localStorage: [{ name: 'cart', value: '[1]' }], sessionStorage: [{ name: 'tab', value: 'a' }], replace: false }]);
+});
+
+test('applyStorageState rejects states without cookies and origins', async () => {
+  await assert.rejects(applyStorageState({ page: fakePage() }, { cookies: [] }), /needs cookies and origins arrays/);
+});
+
+test('storage states are written for the owner only and read back', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = writeStorageState(path.join(dir, 'states'), 'shop.admin', { cookies: [], origins: [] });
+  assert.strictEqual(file, path.join(dir, 'states', 'shop.admin.json'));
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+
+  const state = readStorageState(path.join(dir, 'states'), 'shop.admin');
+  assert.deepStrictEqual(state.cookies, []);
+  assert.ok(state.savedAt);
+  assert.throws(() => readStorageState(dir, 'missing'), /Storage state not found: missing/);
+  assert.throws(() => readStorageState(dir, '../etc/passwd'), /Invalid storage state name/);
+});
+
+test('runIndexedDB passes the action on and throws the error the page returns', async () => {
+  const calls = [];
+  const frame = {
+    evaluate: async (fn, action, options) => {
+      calls.push([action, options]);
+      return action === 'list' ? { databases: [] } : { error: 'Object store not found: items (app has none)' };
+    }
+  };
+  assert.deepStrictEqual(await runIndexedDB(frame, 'list'), { databases: [] });
+  await assert.rejects(runIndexedDB(frame, 'query', { database: 'app', store: 'items' }), /^Error: Object store not found: items/);
+  assert.deepStrictEqual(calls, [['list', {}], ['query', { database: 'app', store: 'items' }]]);
+});
+
+test('captureStorageState reads the web storage and IndexedDB of every open origin', async () => {
+  const frameOf = (url, storage, databases) => ({
+    url: () => url,
+    evaluate: async (fn, action) => (action === 'dump' ? { databases, skipped: 1 } : storage)
+  });
+  const shop = frameOf('https://shop.example/cart', { localStorage: [{ name: 'cart', value: '[1]' }], sessionStorage: [] }, [{ name: 'app', version: 1, stores: [] }]);
+  const empty = frameOf('https://empty.example/', { localStorage: [], sessionStorage: [] }, []);
+  const blank = frameOf('about:blank', null, []);
+  const page = fakePage([shop, empty, blank]);
+
+  const { state, skipped } = await captureStorageState({ page, tabs: [] });
+  assert.strictEqual(state.cookies.length, COOKIES.length);
+  assert.deepStrictEqual(state.origins, [{
+    origin: 'https://shop.example',
+    localStorage: [{ name: 'cart', value: '[1]' }],
+    sessionStorage: [],
+    indexedDB: [{ name: 'app', version: 1, stores: [] }]
+  }]);
+  assert.strictEqual(skipped, 2);
+
+  const { state: withoutIndexedDB } = await captureStorageState({ page, tabs: [] }, { indexedDB: false });
+  assert.strictEqual(withoutIndexedDB.origins[0].indexedDB, undefined);
+  await assert.rejects(captureStorageState({ page, tabs: [] }, { origins: ['ftp://files.example'] }), /Invalid origin: ftp:\/\/files\.example/);
+});
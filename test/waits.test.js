@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('assert');
+const { waitForPredicate } = require('../lib/waits');
+
+// A page that runs the predicate once, here in Node, the way
+// page.waitForFunction would run it in the page
+function fakePage(globals = {}) {
+  return {
+    waitForFunction: async (expression, options) => {
+      const value = await new Function(...Object.keys(globals), `return ${expression};`)(...Object.values(globals));
+      if (!value) {
+        const error = new Error(`Waiting failed: ${options.timeout}ms exceeded`);
+        error.name = 'TimeoutError';
+        throw error;
+      }
+      return { jsonValue: async () => value, dispose: async () => {} };
+    }
+  };
+}
+
+test('expressions, functions and function bodies are all predicates', async () => {
+  const page = fakePage({ app: { ready: 'yes' } });
+  assert.strictEqual(await waitForPredicate(page, 'app.ready', { timeout: 100 }), 'yes');
+  assert.strictEqual(await waitForPredicate(page, '() => app.ready', { timeout: 100 }), 'yes');
+  assert.strictEqual(await waitForPredicate(page, 'async () => app.ready', { timeout: 100 }), 'yes');
+  assert.strictEqual(await waitForPredicate(page, 'const state = app.ready; return state;', { timeout: 100 }), 'yes');
+});
+
+test('"return" in a string or a name does not make an expression a function body', async () => {
+  const page = fakePage({ returnValue: 7 });
+  assert.strictEqual(await waitForPredicate(page, '"return"', { timeout: 100 }), 'return');
+  assert.strictEqual(await waitForPredicate(page, 'returnValue', { timeout: 100 }), 7);
+});
+
+test('a predicate that stays falsy times out, and syntax errors are reported first', async () => {
+  await assert.rejects(waitForPredicate(fakePage(), 'false', { timeout: 100 }), /^Error: Script did not return a truthy value within 100ms$/);
+  await assert.rejects(waitForPredicate(fakePage(), 'app.ready ===', { timeout: 100 }), /Script has a syntax error/);
+});